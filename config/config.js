@@ -1,5 +1,27 @@
 require('dotenv').config();
 
+// Build the encryption keyring. ENCRYPTION_KEY is always key version 1; additional
+// versions come from ENCRYPTION_KEYS as "2:secret,3:secret".
+const parseEncryptionKeys = () => {
+  const keys = {};
+
+  if (process.env.ENCRYPTION_KEY) {
+    keys[1] = process.env.ENCRYPTION_KEY;
+  }
+
+  (process.env.ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const version = parseInt(entry.slice(0, separator));
+    if (separator > 0 && version > 0) {
+      keys[version] = entry.slice(separator + 1);
+    }
+  });
+
+  return keys;
+};
+
+const encryptionKeys = parseEncryptionKeys();
+
 const config = {
   server: {
     port: process.env.PORT || process.env.TENANT_PORT || 3003,
@@ -20,9 +42,35 @@ const config = {
   // Encryption settings for subaccount connection strings
   encryption: {
     key: process.env.ENCRYPTION_KEY,
-    algorithm: 'aes-256-gcm'
+    algorithm: 'aes-256-gcm',
+    // Keyring used to decrypt; new secrets are encrypted with currentKeyVersion
+    keys: encryptionKeys,
+    currentKeyVersion: parseInt(process.env.ENCRYPTION_KEY_VERSION) ||
+      Math.max(1, ...Object.keys(encryptionKeys).map(Number)),
+    // Documents re-encrypted per batch during key rotation
+    rotationBatchSize: parseInt(process.env.ENCRYPTION_ROTATION_BATCH_SIZE) || 100,
+    // Scheme of the secrets handed to other services: 'cbc' (legacy AES-256-CBC with ENCRYPTION_KEY,
+    // what the database and webhook servers decrypt today) or 'gcm' (stored AES-256-GCM + keyVersion).
+    // Callers can ask for either with the X-Encryption-Scheme header.
+    serviceScheme: (process.env.SERVICE_ENCRYPTION_SCHEME || 'cbc').toLowerCase()
   },
-  
+
+  // Where tenant credentials are stored: 'database' (encrypted in MongoDB),
+  // 'file' or 'http' (the document only keeps a reference)
+  secrets: {
+    backend: process.env.SECRET_BACKEND || 'database',
+    file: {
+      directory: process.env.SECRET_FILE_DIR || 'secrets'
+    },
+    http: {
+      url: process.env.SECRET_VAULT_URL,
+      token: process.env.SECRET_VAULT_TOKEN,
+      mount: process.env.SECRET_VAULT_MOUNT || 'secret',
+      prefix: process.env.SECRET_VAULT_PREFIX || 'tenant-manager',
+      timeout: parseInt(process.env.SECRET_VAULT_TIMEOUT) || 5000
+    }
+  },
+
   // Redis configuration for session management and caching
   redis: {
     url: process.env.REDIS_URL || `redis://${process.env.REDIS_PASSWORD ? ":" + process.env.REDIS_PASSWORD + "@" : ""}${process.env.REDIS_HOST || "localhost"}:${process.env.REDIS_PORT || 6379}`,
@@ -37,7 +85,8 @@ const config = {
       subaccount: 'subaccount:',
       userSubaccount: 'user_subaccount:',
       permissions: 'permissions:',
-      session: 'session:'
+      session: 'session:',
+      quota: 'quota:'
     }
   },
   
@@ -66,6 +115,114 @@ const config = {
     defaultBundleSid: process.env.TWILIO_DEFAULT_BUNDLE_SID || 'BU3d5be36ba71da67b804b80c766250783'
   },
   
+  // Subaccount deletion job settings
+  deletion: {
+    // Time a deleted subaccount can still be restored before it is purged. Opt-in: the
+    // default 0 keeps DELETE /api/subaccounts/:id an immediate hard delete
+    gracePeriodMs: (parseFloat(process.env.DELETION_GRACE_PERIOD_HOURS) || 0) * 60 * 60 * 1000,
+    // How often the reaper looks for subaccounts whose grace period ended
+    reaperIntervalMs: parseInt(process.env.DELETION_REAPER_INTERVAL_MS) || 5 * 60 * 1000,
+    // Attempts per step before the job is marked as failed
+    maxStepAttempts: parseInt(process.env.DELETION_MAX_STEP_ATTEMPTS) || 3,
+    // Base delay between attempts (doubled on every retry)
+    retryDelayMs: parseInt(process.env.DELETION_RETRY_DELAY_MS) || 2000,
+    // How long a worker owns a job before another instance may resume it
+    leaseMs: 10 * 60 * 1000,
+    // Parallel Retell delete requests while purging agents, numbers, KBs and calls
+    retellConcurrency: parseInt(process.env.DELETION_RETELL_CONCURRENCY) || 5,
+    // Page size for Retell list requests (Retell allows up to 1000)
+    retellPageSize: parseInt(process.env.DELETION_RETELL_PAGE_SIZE) || 1000,
+    // Validity of the confirmation token returned by the deletion preview
+    confirmationTtlMs: parseInt(process.env.DELETION_CONFIRMATION_TTL_MS) || 15 * 60 * 1000,
+    // Reject deletions that do not send a confirmation token from the preview
+    requireConfirmation: process.env.DELETION_REQUIRE_CONFIRMATION === 'true'
+  },
+
+  // Post-create side effects of a subaccount (Retell account, calendar, Twilio bundle)
+  provisioning: {
+    // Attempts per step before it is marked as failed and needs a manual re-run
+    maxStepAttempts: parseInt(process.env.PROVISIONING_MAX_STEP_ATTEMPTS) || 5,
+    // Base delay before a failed step is retried (doubled on every retry, capped)
+    retryDelayMs: parseInt(process.env.PROVISIONING_RETRY_DELAY_MS) || 30 * 1000,
+    maxRetryDelayMs: parseInt(process.env.PROVISIONING_MAX_RETRY_DELAY_MS) || 60 * 60 * 1000,
+    // How often the worker looks for steps that are due for a retry
+    workerIntervalMs: parseInt(process.env.PROVISIONING_WORKER_INTERVAL_MS) || 60 * 1000,
+    // How long a worker owns a subaccount's provisioning before another instance may take over
+    leaseMs: 5 * 60 * 1000
+  },
+
+  // Pending subaccount invitations
+  invitations: {
+    // Validity of an invitation token (renewed when the invitation is resent)
+    expiresInMs: (parseFloat(process.env.INVITATION_EXPIRY_HOURS) || 7 * 24) * 60 * 60 * 1000,
+    // Bulk invites with more rows than this run as a background job
+    bulkSyncMaxRows: parseInt(process.env.BULK_INVITE_SYNC_MAX_ROWS) || 25,
+    // Largest accepted bulk invite
+    bulkMaxRows: parseInt(process.env.BULK_INVITE_MAX_ROWS) || 1000,
+    // How long finished bulk invite jobs (and their report) are kept
+    bulkJobRetentionMs: 7 * 24 * 60 * 60 * 1000,
+    // How long a worker owns a bulk invite job before another instance may resume it
+    bulkLeaseMs: 5 * 60 * 1000
+  },
+
+  // Subaccount ownership transfers
+  ownershipTransfer: {
+    // Time the new owner has to confirm a transfer
+    expiresInMs: (parseFloat(process.env.OWNERSHIP_TRANSFER_EXPIRY_HOURS) || 72) * 60 * 60 * 1000
+  },
+
+  // Expiry of temporary subaccount access
+  temporaryAccess: {
+    // How often the worker deactivates expired memberships and sends warnings
+    workerIntervalMs: parseInt(process.env.TEMPORARY_ACCESS_WORKER_INTERVAL_MS) || 5 * 60 * 1000,
+    // How long before expiry the warning is sent through the webhook server
+    warningLeadMs: (parseFloat(process.env.TEMPORARY_ACCESS_WARNING_HOURS) || 24) * 60 * 60 * 1000,
+    // Memberships handled per worker run
+    batchSize: parseInt(process.env.TEMPORARY_ACCESS_BATCH_SIZE) || 100
+  },
+
+  // Retention of data-plane audit logs; expired entries are archived to gzipped NDJSON files
+  auditRetention: {
+    // Days an entry is kept per securityFlags.riskLevel (subaccounts can override them)
+    defaultDays: {
+      low: parseInt(process.env.AUDIT_RETENTION_LOW_DAYS) || 90,
+      medium: parseInt(process.env.AUDIT_RETENTION_MEDIUM_DAYS) || 180,
+      high: parseInt(process.env.AUDIT_RETENTION_HIGH_DAYS) || 730,
+      critical: parseInt(process.env.AUDIT_RETENTION_CRITICAL_DAYS) || 730
+    },
+    // Archives are written to local disk, so the archiver has no lease: enable it
+    // (AUDIT_ARCHIVER_ENABLED=true) on the one instance that keeps them
+    archiverEnabled: process.env.AUDIT_ARCHIVER_ENABLED === 'true',
+    archiveDirectory: process.env.AUDIT_ARCHIVE_DIR || 'archives/audit-logs',
+    // How often the archiver looks for expired entries
+    workerIntervalMs: parseInt(process.env.AUDIT_ARCHIVER_INTERVAL_MS) || 60 * 60 * 1000,
+    // Entries per archive file
+    batchSize: parseInt(process.env.AUDIT_ARCHIVE_BATCH_SIZE) || 5000,
+    // Restored entries are kept this long before the archiver may archive them again
+    restoreHoldMs: (parseFloat(process.env.AUDIT_RESTORE_HOLD_DAYS) || 30) * 24 * 60 * 60 * 1000
+  },
+
+  // Behavioral anomaly detection for data-plane audit logs (AuditLog.analyzeSecurityRisks)
+  anomalyDetection: {
+    enabled: process.env.ANOMALY_DETECTION_ENABLED !== 'false',
+    // History a user's baseline is computed from, and how long a computed baseline is reused
+    baselineWindowDays: parseInt(process.env.ANOMALY_BASELINE_WINDOW_DAYS) || 30,
+    baselineRefreshMs: (parseFloat(process.env.ANOMALY_BASELINE_REFRESH_HOURS) || 6) * 60 * 60 * 1000,
+    // Below this many operations (or active days) the baseline is not trusted yet
+    minSamples: parseInt(process.env.ANOMALY_MIN_SAMPLES) || 50,
+    minActiveDays: parseInt(process.env.ANOMALY_MIN_ACTIVE_DAYS) || 3,
+    // Header set by the CDN or proxy with the client's ISO country code
+    countryHeader: (process.env.ANOMALY_COUNTRY_HEADER || 'cf-ipcountry').toLowerCase(),
+    // An hour (or operation) with a smaller share of the baseline counts as unusual
+    usualHourShare: 0.02,
+    rareOperationShare: 0.01,
+    // Operations in the last hour above mean + n standard deviations of the baseline are a spike
+    volumeSpikeStdDevs: 3,
+    // Anomaly score raising the risk level of the entry
+    mediumRiskScore: 30,
+    highRiskScore: 60
+  },
+
   cors: {
     origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
     credentials: true
@@ -163,6 +320,26 @@ requiredConfig.forEach(key => {
   }
 });
 
+if (!config.encryption.keys[config.encryption.currentKeyVersion]) {
+  console.error(`ENCRYPTION_KEY_VERSION ${config.encryption.currentKeyVersion} is not in the encryption keyring`);
+  process.exit(1);
+}
+
+if (!['cbc', 'gcm'].includes(config.encryption.serviceScheme)) {
+  console.error(`Unknown SERVICE_ENCRYPTION_SCHEME: ${config.encryption.serviceScheme} (expected cbc or gcm)`);
+  process.exit(1);
+}
+
+if (!['database', 'file', 'http'].includes(config.secrets.backend)) {
+  console.error(`Unknown SECRET_BACKEND: ${config.secrets.backend} (expected database, file or http)`);
+  process.exit(1);
+}
+
+if (config.secrets.backend === 'http' && !config.secrets.http.url) {
+  console.error('Missing required environment variable for the http secret backend: SECRET_VAULT_URL');
+  process.exit(1);
+}
+
 // Warn about missing optional configuration
 if (config.server.nodeEnv === 'production') {
   optionalButRecommended.forEach(key => {
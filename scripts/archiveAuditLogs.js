@@ -0,0 +1,49 @@
+/**
+ * Script to archive audit logs past their retention period now, instead of waiting for the archiver
+ * Usage: node scripts/archiveAuditLogs.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const auditArchiveService = require('../src/services/auditArchiveService');
+
+async function archiveAuditLogs(options) {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(config.database.mongoUri, {
+      dbName: config.database.dbName
+    });
+    console.log('✅ Connected to MongoDB\n');
+
+    const { defaultDays } = config.auditRetention;
+    console.log(`📁 Archive directory: ${auditArchiveService.directory}`);
+    console.log(`   Default retention (days): ${Object.entries(defaultDays).map(([level, days]) => `${level} ${days}`).join(', ')}\n`);
+
+    if (options.dryRun) {
+      console.log('⚠️  Dry run: expired entries are counted only\n');
+    }
+
+    const summary = await auditArchiveService.archiveExpired(options);
+
+    console.log('📊 Archive Summary:');
+    console.log(`  Subaccounts: ${summary.subaccounts}`);
+    console.log(`  ${options.dryRun ? 'Due for archiving' : '✅ Archived'}: ${summary.archived}`);
+    summary.files.forEach(file => console.log(`    - ${file}`));
+
+    console.log('\n🎉 Done');
+  } catch (error) {
+    console.error('\n❌ Archiving failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n✓ Database connection closed');
+  }
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+archiveAuditLogs({
+  dryRun: args.includes('--dry-run')
+});
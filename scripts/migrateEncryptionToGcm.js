@@ -0,0 +1,80 @@
+/**
+ * Script to upgrade Subaccount MongoDB URLs and RetellAccount API keys encrypted
+ * with legacy AES-256-CBC ('cbc-mode') to authenticated AES-256-GCM, in place.
+ * Afterwards every stored secret is decrypted and integrity failures are reported.
+ * Usage: node scripts/migrateEncryptionToGcm.js [--dry-run] [--batch-size=<n>]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const keyRotationService = require('../src/services/keyRotationService');
+
+function printFailures(failures) {
+  failures.forEach(failure => {
+    console.log(`       - ${failure.id} (${failure.scheme}, key version ${failure.keyVersion}): ${failure.error}`);
+  });
+}
+
+async function migrateEncryptionToGcm(options) {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(config.database.mongoUri, {
+      dbName: config.database.dbName
+    });
+    console.log('✅ Connected to MongoDB\n');
+
+    const status = await keyRotationService.getStatus();
+    console.log(`📋 Legacy CBC records: ${JSON.stringify(status.legacyCbcRecords)}\n`);
+
+    if (options.dryRun) {
+      console.log('⚠️  Dry run: records are decrypted and re-encrypted in memory only\n');
+    }
+
+    // Step 1: upgrade legacy CBC records
+    const report = await keyRotationService.rotate({ ...options, legacyOnly: true });
+
+    console.log('📊 Migration Summary:');
+    for (const [name, result] of Object.entries(report.models)) {
+      console.log(`  ${name}:`);
+      console.log(`    Scanned: ${result.scanned}`);
+      console.log(`    ✅ Upgraded to AES-GCM: ${result.rotated}`);
+      console.log(`    ⏭️  Skipped (changed during migration): ${result.skipped}`);
+      console.log(`    ❌ Failed: ${result.failed}`);
+      printFailures(result.failures);
+    }
+
+    // Step 2: integrity check of every stored secret
+    console.log('\n🔍 Verifying all stored secrets...');
+    const verification = await keyRotationService.verify(options);
+    let totalFailed = 0;
+
+    for (const [name, result] of Object.entries(verification.models)) {
+      console.log(`  ${name}: ${result.valid}/${result.scanned} valid, ${result.legacy} still CBC, ${result.failed} failed`);
+      printFailures(result.failures);
+      totalFailed += result.failed;
+    }
+
+    if (totalFailed > 0) {
+      console.log(`\n⚠️  ${totalFailed} record(s) failed integrity checks and need their secret re-entered`);
+      process.exitCode = 1;
+    } else {
+      console.log('\n🎉 Migration complete');
+    }
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n✓ Database connection closed');
+  }
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const batchSizeArg = args.find(arg => arg.startsWith('--batch-size='));
+
+migrateEncryptionToGcm({
+  dryRun: args.includes('--dry-run'),
+  batchSize: batchSizeArg ? parseInt(batchSizeArg.split('=')[1]) : undefined
+});
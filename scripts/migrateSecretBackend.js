@@ -0,0 +1,66 @@
+/**
+ * Script to move all Subaccount MongoDB URLs and RetellAccount API keys into the
+ * configured secret backend (SECRET_BACKEND)
+ * Usage: node scripts/migrateSecretBackend.js [--dry-run] [--batch-size=<n>]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const keyRotationService = require('../src/services/keyRotationService');
+
+async function migrateSecretBackend(options) {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(config.database.mongoUri, {
+      dbName: config.database.dbName
+    });
+    console.log('✅ Connected to MongoDB\n');
+
+    const before = await keyRotationService.getStatus();
+    console.log(`🗄️  Target secret backend: ${before.secretBackend}`);
+    console.log(`   Secrets per backend: ${JSON.stringify(before.secretBackends)}\n`);
+
+    if (options.dryRun) {
+      console.log('⚠️  Dry run: secrets are read from their current backend only\n');
+    }
+
+    const report = await keyRotationService.migrateBackend(options);
+
+    console.log('📊 Migration Summary:');
+    let totalFailed = 0;
+    for (const [name, result] of Object.entries(report.models)) {
+      console.log(`  ${name}:`);
+      console.log(`    Scanned: ${result.scanned}`);
+      console.log(`    ✅ Migrated: ${result.migrated}`);
+      console.log(`    ⏭️  Skipped (changed during migration): ${result.skipped}`);
+      console.log(`    ❌ Failed: ${result.failed}`);
+      result.failures.forEach(failure => {
+        console.log(`       - ${failure.id} (${failure.secretBackend}): ${failure.error}`);
+      });
+      totalFailed += result.failed;
+    }
+
+    if (totalFailed > 0) {
+      console.log('\n⚠️  Some secrets could not be migrated. They stay readable from their previous backend.');
+      process.exitCode = 1;
+    } else {
+      console.log('\n🎉 Migration complete');
+    }
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n✓ Database connection closed');
+  }
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const batchSizeArg = args.find(arg => arg.startsWith('--batch-size='));
+
+migrateSecretBackend({
+  dryRun: args.includes('--dry-run'),
+  batchSize: batchSizeArg ? parseInt(batchSizeArg.split('=')[1]) : undefined
+});
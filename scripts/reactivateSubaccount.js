@@ -30,7 +30,7 @@ async function reactivateSubaccount(subaccountId) {
     }
 
     // Find the subaccount
-    const subaccount = await Subaccount.findById(subaccountId);
+    let subaccount = await Subaccount.findById(subaccountId);
     
     if (!subaccount) {
       console.error(`Error: Subaccount with ID ${subaccountId} not found`);
@@ -38,6 +38,21 @@ async function reactivateSubaccount(subaccountId) {
     }
 
     console.log(`Found subaccount: ${subaccount.name}`);
+
+    if (subaccount.pendingDeletion) {
+      if (subaccount.deletion?.jobId) {
+        console.error('Error: Subaccount deletion has already started and cannot be undone');
+        process.exit(1);
+      }
+
+      // Cancel the pending deletion (same as POST /api/subaccounts/:id/restore)
+      subaccount = await Subaccount.restorePending(subaccount._id);
+      if (!subaccount) {
+        console.error('Error: Subaccount deletion started while restoring and cannot be undone');
+        process.exit(1);
+      }
+      console.log('✓ Pending deletion cancelled');
+    }
     console.log(`Current status: ${subaccount.isActive ? 'Active' : 'Inactive'}\n`);
 
     if (subaccount.isActive) {
@@ -0,0 +1,65 @@
+/**
+ * Script to re-import an audit log archive for an investigation
+ * Usage: node scripts/restoreAuditArchive.js --file=<archive> [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const auditArchiveService = require('../src/services/auditArchiveService');
+
+async function restoreAuditArchive(options) {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(config.database.mongoUri, {
+      dbName: config.database.dbName
+    });
+    console.log('✅ Connected to MongoDB\n');
+
+    console.log(`📦 Archive: ${options.file}`);
+    if (options.dryRun) {
+      console.log('⚠️  Dry run: entries are checked but not written\n');
+    } else {
+      const holdDays = config.auditRetention.restoreHoldMs / (24 * 60 * 60 * 1000);
+      console.log(`   Restored entries are kept for ${holdDays} days before they are archived again\n`);
+    }
+
+    const report = await auditArchiveService.restore(options.file, { dryRun: options.dryRun });
+
+    console.log('📊 Restore Summary:');
+    console.log(`  ✅ Restored: ${report.restored}`);
+    console.log(`  ⏭️  Skipped (already in the database): ${report.skipped}`);
+    console.log(`  ❌ Rejected: ${report.rejected}`);
+    report.failures.forEach(failure => {
+      console.log(`     - line ${failure.line}${failure.id ? ` (${failure.id})` : ''}: ${failure.error}`);
+    });
+
+    if (report.rejected > 0) {
+      console.log('\n⚠️  Some entries were rejected. Entries that do not match their hash were modified after archiving.');
+      process.exitCode = 1;
+    } else {
+      console.log('\n🎉 Restore complete');
+    }
+  } catch (error) {
+    console.error('\n❌ Restore failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n✓ Database connection closed');
+  }
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const fileArg = args.find(arg => arg.startsWith('--file='));
+
+if (!fileArg) {
+  console.error('❌ Pass the archive with --file=<path>');
+  console.log('Usage: node scripts/restoreAuditArchive.js --file=<archive> [--dry-run]');
+  process.exit(1);
+}
+
+restoreAuditArchive({
+  file: fileArg.slice('--file='.length),
+  dryRun: args.includes('--dry-run')
+});
@@ -0,0 +1,67 @@
+/**
+ * Script to re-encrypt all Subaccount MongoDB URLs and RetellAccount API keys
+ * with the current encryption key version (ENCRYPTION_KEY_VERSION)
+ * Usage: node scripts/rotateEncryptionKeys.js [--dry-run] [--batch-size=<n>]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const keyRotationService = require('../src/services/keyRotationService');
+
+async function rotateEncryptionKeys(options) {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(config.database.mongoUri, {
+      dbName: config.database.dbName
+    });
+    console.log('✅ Connected to MongoDB\n');
+
+    const before = await keyRotationService.getStatus();
+    console.log(`🔑 Target key version: ${before.currentKeyVersion}`);
+    console.log(`   Available key versions: ${before.availableKeyVersions.join(', ')}`);
+    console.log(`   Secrets per key version: ${JSON.stringify(before.keyVersions)}\n`);
+
+    if (options.dryRun) {
+      console.log('⚠️  Dry run: secrets are decrypted and re-encrypted in memory only\n');
+    }
+
+    const report = await keyRotationService.rotate(options);
+
+    console.log('📊 Rotation Summary:');
+    let totalFailed = 0;
+    for (const [name, result] of Object.entries(report.models)) {
+      console.log(`  ${name}:`);
+      console.log(`    Scanned: ${result.scanned}`);
+      console.log(`    ✅ Re-encrypted: ${result.rotated}`);
+      console.log(`    ⏭️  Skipped (changed during rotation): ${result.skipped}`);
+      console.log(`    ❌ Failed: ${result.failed}`);
+      result.failures.forEach(failure => {
+        console.log(`       - ${failure.id} (key version ${failure.keyVersion}): ${failure.error}`);
+      });
+      totalFailed += result.failed;
+    }
+
+    if (totalFailed > 0) {
+      console.log('\n⚠️  Some secrets could not be decrypted with any configured key. Keep the old keys in the keyring.');
+      process.exitCode = 1;
+    } else {
+      console.log('\n🎉 Rotation complete');
+    }
+  } catch (error) {
+    console.error('\n❌ Rotation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n✓ Database connection closed');
+  }
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const batchSizeArg = args.find(arg => arg.startsWith('--batch-size='));
+
+rotateEncryptionKeys({
+  dryRun: args.includes('--dry-run'),
+  batchSize: batchSizeArg ? parseInt(batchSizeArg.split('=')[1]) : undefined
+});
@@ -40,7 +40,7 @@ async function updateRetellApiKey(newApiKey) {
     console.log('Current RetellAccounts:');
     for (const account of retellAccounts) {
       try {
-        const currentKey = account.getDecryptedApiKey();
+        const currentKey = await account.getDecryptedApiKey();
         const maskedCurrentKey = currentKey.substring(0, 8) + '...' + currentKey.substring(currentKey.length - 4);
         console.log(`  - ID: ${account._id}`);
         console.log(`    SubaccountId: ${account.subaccountId}`);
@@ -62,28 +62,18 @@ async function updateRetellApiKey(newApiKey) {
     console.log(`⚠️  This will update ALL ${retellAccounts.length} RetellAccount(s) with the new API key.`);
     console.log('');
 
-    // Encrypt the new API key
-    console.log('🔐 Encrypting new API key...');
-    const encryptionResult = RetellAccount.encryptApiKey(newApiKey);
-    console.log('✅ New API key encrypted successfully');
-    console.log('');
-
     // Update all accounts
     let successCount = 0;
     let failCount = 0;
 
     for (const account of retellAccounts) {
       try {
-        // Update with new encrypted key
-        account.apiKey = encryptionResult.encrypted;
-        account.encryptionIV = encryptionResult.iv;
-        account.encryptionAuthTag = encryptionResult.authTag;
-        
-        // Save without triggering pre-save encryption (already encrypted)
+        // Pre-save middleware stores the new key in the configured secret backend
+        account.apiKey = newApiKey;
         await account.save({ validateBeforeSave: true });
         
         // Verify decryption works
-        const decrypted = account.getDecryptedApiKey();
+        const decrypted = await account.getDecryptedApiKey();
         if (decrypted === newApiKey) {
           console.log(`✅ Updated RetellAccount: ${account._id} (Subaccount: ${account.subaccountId})`);
           successCount++;
@@ -0,0 +1,93 @@
+/**
+ * Script to verify the hash chain of the data-plane audit logs and report the first broken link
+ * Usage: node scripts/verifyAuditChain.js (--subaccount=<id> | --all) [--start-date=<iso>] [--end-date=<iso>]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const AuditLog = require('../src/models/AuditLog');
+const auditLogService = require('../src/services/auditLogService');
+
+async function verifyAuditChain(options) {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(config.database.mongoUri, {
+      dbName: config.database.dbName
+    });
+    console.log('✅ Connected to MongoDB\n');
+
+    const subaccountIds = options.all
+      ? await AuditLog.distinct('subaccountId', { 'integrity.sequence': { $exists: true } })
+      : [options.subaccountId];
+
+    console.log(`🔗 Verifying ${subaccountIds.length} chain(s)`);
+    if (options.startDate || options.endDate) {
+      console.log(`   Range: ${options.startDate?.toISOString() || 'start'} - ${options.endDate?.toISOString() || 'now'}`);
+    }
+    console.log('');
+
+    let broken = 0;
+    for (const subaccountId of subaccountIds) {
+      const report = await auditLogService.verifyChain(subaccountId.toString(), options);
+
+      if (report.firstSequence === null) {
+        console.log(`  ⏭️  ${subaccountId}: no chained entries in range`);
+        continue;
+      }
+
+      const range = `entries ${report.firstSequence}-${report.lastSequence}`;
+      const anchor = report.anchored ? '' : ' (predecessor missing, link into the range not checked)';
+
+      if (report.valid) {
+        console.log(`  ✅ ${subaccountId}: ${report.checked} ${range} intact${anchor}`);
+      } else {
+        const { brokenLink } = report;
+        console.log(`  ❌ ${subaccountId}: broken at entry ${brokenLink.sequence} (${brokenLink.reason})${anchor}`);
+        console.log(`     ${brokenLink.message}`);
+        if (brokenLink.entryId) {
+          console.log(`     Entry: ${brokenLink.entryId}, created ${new Date(brokenLink.createdAt).toISOString()}`);
+        }
+        broken++;
+      }
+    }
+
+    if (broken > 0) {
+      console.log(`\n⚠️  ${broken} chain(s) are broken. Audit logs were modified or deleted outside the application.`);
+      process.exitCode = 1;
+    } else {
+      console.log('\n🎉 All chains are intact');
+    }
+  } catch (error) {
+    console.error('\n❌ Verification failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n✓ Database connection closed');
+  }
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const getArg = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+const subaccountId = getArg('subaccount');
+const startDate = getArg('start-date') ? new Date(getArg('start-date')) : undefined;
+const endDate = getArg('end-date') ? new Date(getArg('end-date')) : undefined;
+
+if (!args.includes('--all') && !mongoose.Types.ObjectId.isValid(subaccountId || '')) {
+  console.error('❌ Pass --subaccount=<id> or --all');
+  console.log('Usage: node scripts/verifyAuditChain.js (--subaccount=<id> | --all) [--start-date=<iso>] [--end-date=<iso>]');
+  process.exit(1);
+}
+
+if ([startDate, endDate].some(date => date && isNaN(date.getTime()))) {
+  console.error('❌ --start-date and --end-date must be ISO 8601 dates');
+  process.exit(1);
+}
+
+verifyAuditChain({
+  all: args.includes('--all'),
+  subaccountId,
+  startDate,
+  endDate
+});
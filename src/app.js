@@ -8,11 +8,19 @@ const config = require('../config/config');
 // Import routes
 const subaccountRoutes = require('./routes/subaccountRoutes');
 const userRoutes = require('./routes/userRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const accessRequestRoutes = require('./routes/accessRequestRoutes');
+const auditLogRoutes = require('./routes/auditLogRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
 const connectorRoutes = require('./routes/connectorRoutes');
 const healthRoutes = require('./routes/healthRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const authzRoutes = require('./routes/authzRoutes');
 
 // Import middleware
 const { generalLimiter } = require('./middleware/rateLimiter');
+const { requestContext } = require('./middleware/auditMiddleware');
 const errorHandler = require('./middleware/errorHandler');
 
 // Import monitoring (simplified for now)
@@ -51,9 +59,13 @@ app.use(cors({
   origin: config.cors.origin,
   credentials: config.cors.credentials,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-ID'],
+  exposedHeaders: ['X-Request-ID']
 }));
 
+// Request IDs for logs and the admin audit trail
+app.use(requestContext);
+
 // Compression
 app.use(compression());
 
@@ -88,9 +100,17 @@ app.use(generalLimiter);
 app.use('/api', healthRoutes);
 
 // API routes
+// Templates are mounted first so /templates is not taken for a subaccount ID
+app.use('/api/subaccounts/templates', templateRoutes);
 app.use('/api/subaccounts', subaccountRoutes);
 app.use('/api/connectors', connectorRoutes);
 app.use('/api/subaccounts', userRoutes);
+app.use('/api/subaccounts', roleRoutes);
+app.use('/api/subaccounts', accessRequestRoutes);
+app.use('/api/subaccounts', auditLogRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/authz', authzRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -102,6 +122,8 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/api/health',
       subaccounts: '/api/subaccounts',
+      invitations: '/api/invitations',
+      authz: '/api/authz',
       documentation: '/api/docs'
     }
   });
@@ -0,0 +1,405 @@
+const Logger = require('../utils/logger');
+const accessRequestService = require('../services/accessRequestService');
+
+// Import models
+const AccessRequest = require('../models/AccessRequest');
+const Subaccount = require('../models/Subaccount');
+
+class AccessRequestController {
+  // Ask for a role (or a time-boxed elevation) in a subaccount
+  static async createAccessRequest(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+
+      // Requests are made by users for themselves
+      if (!req.user) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access requests can only be made by users',
+          code: 'USER_AUTH_REQUIRED'
+        });
+      }
+
+      Logger.audit('Create access request', 'access_request', {
+        userId: req.user.id,
+        subaccountId,
+        role: req.body.role,
+        temporary: req.body.temporaryAccess.enabled
+      });
+
+      // Check if subaccount exists and is active
+      const subaccount = await Subaccount.exists({
+        _id: subaccountId,
+        isActive: true,
+        pendingDeletion: { $ne: true }
+      });
+
+      if (!subaccount) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subaccount not found or inactive',
+          code: 'SUBACCOUNT_NOT_FOUND'
+        });
+      }
+
+      const result = await accessRequestService.create(subaccountId, req.user, req.body);
+
+      if (!result.success) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message,
+          code: result.code,
+          ...(result.data && { data: result.data })
+        });
+      }
+
+      res.locals.audit = {
+        target: { type: 'access_request', id: result.accessRequest._id.toString() },
+        after: result.accessRequest
+      };
+
+      res.status(201).json({
+        success: true,
+        message: 'Access request submitted successfully',
+        data: result.accessRequest
+      });
+
+    } catch (error) {
+      Logger.error('Failed to create access request', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+      next(error);
+    }
+  }
+
+  // Get the authenticated user's own requests for a subaccount
+  static async getMyAccessRequests(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+
+      if (!req.user) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access requests can only be made by users',
+          code: 'USER_AUTH_REQUIRED'
+        });
+      }
+
+      Logger.audit('Get own access requests', 'access_request', {
+        userId: req.user.id,
+        subaccountId
+      });
+
+      const accessRequests = await AccessRequest.find({ subaccountId, userId: req.user.id })
+        .sort({ createdAt: -1 })
+        .limit(50);
+
+      res.json({
+        success: true,
+        message: 'Access requests retrieved successfully',
+        data: accessRequests
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get own access requests', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+      next(error);
+    }
+  }
+
+  // Withdraw the authenticated user's pending request
+  static async cancelAccessRequest(req, res, next) {
+    try {
+      const { subaccountId, requestId } = req.params;
+
+      if (!req.user) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access requests can only be made by users',
+          code: 'USER_AUTH_REQUIRED'
+        });
+      }
+
+      Logger.audit('Cancel access request', 'access_request', {
+        userId: req.user.id,
+        subaccountId,
+        requestId
+      });
+
+      const accessRequest = await AccessRequest.findOne({
+        _id: requestId,
+        subaccountId,
+        userId: req.user.id
+      });
+
+      if (!accessRequest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Access request not found',
+          code: 'ACCESS_REQUEST_NOT_FOUND'
+        });
+      }
+
+      const previous = accessRequest.toJSON();
+      const cancelled = await accessRequestService.cancel(accessRequest);
+
+      res.locals.audit = { before: previous, after: cancelled };
+
+      res.json({
+        success: true,
+        message: 'Access request cancelled successfully',
+        data: cancelled
+      });
+
+    } catch (error) {
+      Logger.error('Failed to cancel access request', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId,
+        requestId: req.params.requestId
+      });
+
+      if (error.code === 'ACCESS_REQUEST_NOT_PENDING') {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Get the access requests of a subaccount (for its admins)
+  static async getAccessRequests(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+      const { page = 1, limit = 20, status } = req.query;
+
+      Logger.audit('Get subaccount access requests', 'access_request', {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId,
+        status
+      });
+
+      const query = { subaccountId };
+      if (status) query.status = status;
+
+      const skip = (page - 1) * limit;
+      const [accessRequests, total] = await Promise.all([
+        AccessRequest.find(query)
+          .populate('userId', 'firstName lastName email')
+          .populate('reviewedBy', 'firstName lastName email')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        AccessRequest.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        message: 'Access requests retrieved successfully',
+        data: {
+          accessRequests,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get subaccount access requests', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+      next(error);
+    }
+  }
+
+  // Approve a request: creates the membership or changes the member's role
+  static async approveAccessRequest(req, res, next) {
+    try {
+      const { subaccountId, requestId } = req.params;
+      const { temporaryAccess, note } = req.body;
+
+      Logger.audit('Approve access request', 'access_request', {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId,
+        requestId,
+        temporaryAccess
+      });
+
+      const accessRequest = await AccessRequest.findOne({ _id: requestId, subaccountId });
+      const failure = AccessRequestController.checkReviewable(req, accessRequest);
+      if (failure) {
+        return res.status(failure.status).json({ success: false, ...failure.body });
+      }
+
+      const previous = accessRequest.toJSON();
+      const result = await accessRequestService.approve(accessRequest, req.user?.id, { temporaryAccess, note });
+
+      res.locals.audit = {
+        before: previous,
+        after: result.accessRequest,
+        metadata: { membershipId: result.userSubaccount._id.toString() }
+      };
+
+      Logger.security('Access request approved', 'medium', {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId,
+        targetUserId: result.accessRequest.userId.toString(),
+        role: result.accessRequest.role,
+        temporary: result.accessRequest.temporaryAccess.enabled
+      });
+
+      res.json({
+        success: true,
+        message: 'Access request approved successfully',
+        data: {
+          accessRequest: result.accessRequest,
+          membership: {
+            id: result.userSubaccount._id,
+            userId: result.userSubaccount.userId,
+            role: result.userSubaccount.role,
+            customRole: result.userSubaccount.customRole,
+            permissions: result.userSubaccount.permissions,
+            temporaryAccess: result.userSubaccount.temporaryAccess
+          }
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to approve access request', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId,
+        requestId: req.params.requestId
+      });
+
+      if (['ACCESS_REQUEST_NOT_PENDING', 'ROLE_NOT_FOUND', 'OWNER_REQUEST_DENIED'].includes(error.code)) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      if (error.code === 'USER_LIMIT_EXCEEDED') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Deny a request
+  static async denyAccessRequest(req, res, next) {
+    try {
+      const { subaccountId, requestId } = req.params;
+
+      Logger.audit('Deny access request', 'access_request', {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId,
+        requestId
+      });
+
+      const accessRequest = await AccessRequest.findOne({ _id: requestId, subaccountId });
+      const failure = AccessRequestController.checkReviewable(req, accessRequest);
+      if (failure) {
+        return res.status(failure.status).json({ success: false, ...failure.body });
+      }
+
+      const previous = accessRequest.toJSON();
+      const denied = await accessRequestService.deny(accessRequest, req.user?.id, req.body.note);
+
+      res.locals.audit = { before: previous, after: denied };
+
+      res.json({
+        success: true,
+        message: 'Access request denied successfully',
+        data: denied
+      });
+
+    } catch (error) {
+      Logger.error('Failed to deny access request', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId,
+        requestId: req.params.requestId
+      });
+
+      if (error.code === 'ACCESS_REQUEST_NOT_PENDING') {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Error response for a request that cannot be reviewed by the caller, or null
+  static checkReviewable(req, accessRequest) {
+    if (!accessRequest) {
+      return {
+        status: 404,
+        body: { message: 'Access request not found', code: 'ACCESS_REQUEST_NOT_FOUND' }
+      };
+    }
+
+    if (accessRequest.status !== 'pending') {
+      return {
+        status: 409,
+        body: {
+          message: `Access request is already ${accessRequest.status}`,
+          code: 'ACCESS_REQUEST_NOT_PENDING',
+          data: { status: accessRequest.status }
+        }
+      };
+    }
+
+    // Admins cannot review their own requests
+    if (req.user && accessRequest.userId.toString() === req.user.id) {
+      Logger.security('Self-review of access request attempted', 'medium', {
+        userId: req.user.id,
+        subaccountId: accessRequest.subaccountId.toString(),
+        requestId: accessRequest._id.toString()
+      });
+
+      return {
+        status: 403,
+        body: { message: 'You cannot review your own access request', code: 'SELF_REVIEW_DENIED' }
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = AccessRequestController;
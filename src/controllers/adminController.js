@@ -0,0 +1,124 @@
+const Logger = require('../utils/logger');
+const Keyring = require('../utils/keyring');
+const keyRotationService = require('../services/keyRotationService');
+
+class AdminController {
+  // Get encryption keyring status (secrets per key version)
+  static async getEncryptionStatus(req, res, next) {
+    try {
+      Logger.audit('Get encryption status', 'encryption', {
+        userId: req.user.id
+      });
+
+      const status = await keyRotationService.getStatus();
+
+      res.json({
+        success: true,
+        message: 'Encryption status retrieved successfully',
+        data: status
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get encryption status', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id
+      });
+      next(error);
+    }
+  }
+
+  // Decrypt all stored secrets and report integrity failures
+  static async verifyEncryption(req, res, next) {
+    try {
+      Logger.audit('Verify encryption', 'encryption', {
+        userId: req.user.id
+      });
+
+      const report = await keyRotationService.verify();
+      const failed = Object.values(report.models).reduce((sum, result) => sum + result.failed, 0);
+
+      if (failed > 0) {
+        Logger.security('Encrypted secrets failed integrity check', 'high', {
+          userId: req.user.id,
+          failed
+        });
+      }
+
+      res.json({
+        success: true,
+        message: failed > 0 ? `${failed} secret(s) failed integrity checks` : 'All secrets passed integrity checks',
+        data: report
+      });
+
+    } catch (error) {
+      Logger.error('Failed to verify encryption', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id
+      });
+      next(error);
+    }
+  }
+
+  // Re-encrypt all stored secrets with the current encryption key version
+  static async rotateEncryptionKeys(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { batchSize, dryRun = false, legacyOnly = false } = req.body || {};
+
+      Logger.audit('Rotate encryption keys', 'encryption', {
+        userId,
+        batchSize,
+        dryRun
+      });
+
+      if (batchSize !== undefined && (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > 1000)) {
+        return res.status(400).json({
+          success: false,
+          message: 'batchSize must be an integer between 1 and 1000',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const started = keyRotationService.start({
+        batchSize,
+        dryRun: dryRun === true,
+        legacyOnly: legacyOnly === true,
+        requestedBy: userId
+      });
+
+      if (!started) {
+        return res.status(409).json({
+          success: false,
+          message: 'An encryption key rotation is already running',
+          code: 'ROTATION_IN_PROGRESS'
+        });
+      }
+
+      res.locals.audit = {
+        target: { type: 'encryption_key', id: String(Keyring.getCurrentVersion()) },
+        metadata: { batchSize, dryRun: dryRun === true, legacyOnly: legacyOnly === true }
+      };
+
+      res.status(202).json({
+        success: true,
+        message: 'Encryption key rotation started. Follow progress via GET /api/admin/encryption',
+        data: {
+          targetKeyVersion: Keyring.getCurrentVersion(),
+          dryRun: dryRun === true
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to start encryption key rotation', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id
+      });
+      next(error);
+    }
+  }
+}
+
+module.exports = AdminController;
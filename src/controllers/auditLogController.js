@@ -0,0 +1,186 @@
+const Logger = require('../utils/logger');
+const auditLogService = require('../services/auditLogService');
+
+class AuditLogController {
+  // Get a page of the audit logs of a subaccount (or of every subaccount for global admins)
+  static async getAuditLogs(req, res, next) {
+    try {
+      const { limit, cursor, subaccountId: subaccountFilter, ...filters } = req.query;
+      const subaccountId = req.params.subaccountId || subaccountFilter;
+
+      Logger.audit('Get audit logs', 'audit_logs', {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId: subaccountId || 'all',
+        filters
+      });
+
+      const filter = auditLogService.buildFilter(filters, subaccountId);
+      const { auditLogs, nextCursor } = await auditLogService.list(filter, { limit, cursor });
+
+      res.json({
+        success: true,
+        message: 'Audit logs retrieved successfully',
+        data: {
+          auditLogs,
+          pagination: {
+            limit,
+            nextCursor,
+            hasMore: nextCursor !== null
+          }
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get audit logs', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+
+      if (error.code === 'INVALID_CURSOR') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Stream every matching audit log as CSV or NDJSON
+  static async exportAuditLogs(req, res, next) {
+    const { format, subaccountId: subaccountFilter, ...filters } = req.query;
+    const subaccountId = req.params.subaccountId || subaccountFilter;
+    let cursor;
+    let exported = 0;
+
+    try {
+      Logger.audit('Export audit logs', 'audit_logs', {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId: subaccountId || 'all',
+        format,
+        filters
+      });
+
+      cursor = auditLogService.stream(auditLogService.buildFilter(filters, subaccountId));
+
+      // Stop reading when the client goes away
+      res.on('close', () => cursor.close().catch(() => {}));
+
+      const date = new Date().toISOString().slice(0, 10);
+      res.set({
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+        'Content-Disposition': `attachment; filename="audit-logs-${subaccountId || 'all'}-${date}.${format}"`,
+        'Cache-Control': 'no-store'
+      });
+
+      if (format === 'csv') {
+        res.write(auditLogService.csvHeader());
+      }
+
+      for await (const auditLog of cursor) {
+        const line = format === 'csv'
+          ? auditLogService.toCsvRow(auditLog)
+          : auditLogService.toNdjsonLine(auditLog);
+
+        // Respect backpressure so large exports are not buffered in memory
+        if (!res.write(line)) {
+          await AuditLogController.waitForDrain(res);
+        }
+        if (res.destroyed) {
+          break;
+        }
+        exported++;
+      }
+
+      res.end();
+
+      Logger.info('Audit logs exported', {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId: subaccountId || 'all',
+        format,
+        exported
+      });
+
+    } catch (error) {
+      Logger.error('Failed to export audit logs', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId,
+        exported
+      });
+
+      // Part of the file is already sent; abort so the client sees a truncated download
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      next(error);
+    }
+  }
+
+  // Verify the hash chain of a subaccount's audit logs and report the first broken link
+  static async verifyAuditLogs(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+      const { startDate, endDate } = req.query;
+
+      Logger.audit('Verify audit log chain', 'audit_logs', {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId,
+        startDate,
+        endDate
+      });
+
+      const report = await auditLogService.verifyChain(subaccountId, { startDate, endDate });
+
+      if (!report.valid) {
+        Logger.security('Audit log chain broken', 'high', {
+          userId: req.user?.id,
+          serviceName: req.service?.serviceName,
+          subaccountId,
+          brokenLink: report.brokenLink
+        });
+      }
+
+      res.json({
+        success: true,
+        message: report.valid ? 'Audit log chain is intact' : 'Audit log chain is broken',
+        data: report
+      });
+
+    } catch (error) {
+      Logger.error('Failed to verify audit logs', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+
+      next(error);
+    }
+  }
+
+  // Resolves when the response can take more data or the client is gone
+  static waitForDrain(res) {
+    return new Promise(resolve => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  }
+}
+
+module.exports = AuditLogController;
@@ -0,0 +1,150 @@
+const Logger = require('../utils/logger');
+const authorizationService = require('../services/authorizationService');
+
+class AuthzController {
+  // Authorization decision for another service: may this user perform the operation?
+  static async check(req, res, next) {
+    try {
+      const { userId, subaccountId, collection, operation, countQuery } = req.body;
+
+      Logger.audit('Authorization check', 'authz', {
+        serviceName: req.service.serviceName,
+        userId,
+        subaccountId,
+        collection,
+        operation
+      });
+
+      const decision = await authorizationService.check({ userId, subaccountId, collection, operation, countQuery });
+
+      if (!decision.allowed) {
+        Logger.security('Authorization check denied', 'low', {
+          serviceName: req.service.serviceName,
+          userId,
+          subaccountId,
+          collection,
+          operation,
+          reason: decision.reason
+        });
+      }
+
+      // A denial is a valid decision, not a failed request
+      res.json({
+        success: true,
+        message: decision.allowed ? 'Operation allowed' : 'Operation denied',
+        data: {
+          userId,
+          subaccountId,
+          collection: collection || null,
+          operation,
+          ...decision
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to check authorization', {
+        error: error.message,
+        stack: error.stack,
+        serviceName: req.service?.serviceName,
+        userId: req.body?.userId,
+        subaccountId: req.body?.subaccountId
+      });
+      next(error);
+    }
+  }
+
+  // Several authorization decisions in one request, returned in request order
+  static async checkBatch(req, res, next) {
+    try {
+      const { checks } = req.body;
+
+      Logger.audit('Batch authorization check', 'authz', {
+        serviceName: req.service.serviceName,
+        checks: checks.length,
+        subaccountIds: [...new Set(checks.map(check => check.subaccountId))]
+      });
+
+      const decisions = await authorizationService.checkBatch(checks);
+
+      const results = checks.map((check, index) => ({
+        userId: check.userId,
+        subaccountId: check.subaccountId,
+        collection: check.collection || null,
+        operation: check.operation,
+        ...decisions[index]
+      }));
+      const allowed = results.filter(result => result.allowed).length;
+
+      if (allowed < results.length) {
+        Logger.security('Batch authorization check denied operations', 'low', {
+          serviceName: req.service.serviceName,
+          checks: results.length,
+          denied: results.length - allowed
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Authorization decisions computed',
+        data: {
+          results,
+          total: results.length,
+          allowed,
+          denied: results.length - allowed
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to check authorization batch', {
+        error: error.message,
+        stack: error.stack,
+        serviceName: req.service?.serviceName,
+        checks: req.body?.checks?.length
+      });
+      next(error);
+    }
+  }
+
+  // Drop cached authorization decisions after permissions changed in another service
+  static async invalidate(req, res, next) {
+    try {
+      const { subaccountId, userId } = req.body;
+
+      Logger.audit('Invalidate authorization cache', 'authz', {
+        serviceName: req.service.serviceName,
+        subaccountId,
+        userId
+      });
+
+      const keysDeleted = await authorizationService.invalidate(subaccountId, userId);
+
+      res.locals.audit = {
+        target: userId ? { type: 'user', id: userId } : { type: 'subaccount', id: subaccountId },
+        subaccountId,
+        metadata: { keysDeleted }
+      };
+
+      res.json({
+        success: true,
+        message: 'Authorization cache invalidated',
+        data: {
+          subaccountId,
+          userId: userId || null,
+          keysDeleted,
+          redisAvailable: keysDeleted !== null
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to invalidate authorization cache', {
+        error: error.message,
+        stack: error.stack,
+        serviceName: req.service?.serviceName,
+        subaccountId: req.body?.subaccountId
+      });
+      next(error);
+    }
+  }
+}
+
+module.exports = AuthzController;
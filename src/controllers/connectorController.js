@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const Logger = require('../utils/logger');
+const redisManager = require('../services/redisManager');
 const Connector = require('../models/Connector');
+const Subaccount = require('../models/Subaccount');
 
 class ConnectorController {
   // Create a new connector
@@ -70,6 +72,11 @@ class ConnectorController {
         name: connector.name
       });
 
+      res.locals.audit = {
+        target: { type: 'connector', id: connector._id.toString() },
+        after: connector
+      };
+
       res.status(201).json({
         success: true,
         message: 'Connector created successfully',
@@ -271,6 +278,8 @@ class ConnectorController {
         });
       }
 
+      const previous = connector.toJSON();
+
       // Update allowed fields
       const allowedUpdates = [
         'name', 'description', 'config', 'icon', 
@@ -303,6 +312,8 @@ class ConnectorController {
         connectorId
       });
 
+      res.locals.audit = { before: previous, after: connector };
+
       res.json({
         success: true,
         message: 'Connector updated successfully',
@@ -359,6 +370,8 @@ class ConnectorController {
         connectorId
       });
 
+      res.locals.audit = { before: connector };
+
       res.json({
         success: true,
         message: 'Connector deleted successfully',
@@ -378,6 +391,374 @@ class ConnectorController {
       next(error);
     }
   }
+
+  // Get connectors activated for a subaccount
+  static async getSubaccountConnectors(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user?.id || req.serviceUserId || null;
+      const { includeInactive } = req.query;
+
+      Logger.audit('Get subaccount connectors', 'connectors', {
+        userId,
+        serviceName: req.service?.serviceName,
+        subaccountId
+      });
+
+      const subaccount = await Subaccount.findById(subaccountId)
+        .select('activatedConnectors')
+        .populate({
+          path: 'activatedConnectors.connectorId',
+          select: 'type name description icon category version isActive isGlobal'
+        });
+
+      if (!subaccount) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subaccount not found',
+          code: 'SUBACCOUNT_NOT_FOUND'
+        });
+      }
+
+      const activatedConnectors = includeInactive === 'true'
+        ? subaccount.activatedConnectors
+        : subaccount.getActiveConnectors();
+
+      Logger.info('Subaccount connectors retrieved', {
+        userId,
+        subaccountId,
+        count: activatedConnectors.length
+      });
+
+      res.json({
+        success: true,
+        message: 'Subaccount connectors retrieved successfully',
+        data: {
+          connectors: activatedConnectors
+            .filter(ac => ac.connectorId) // Skip connectors that were deleted
+            .map(ac => ConnectorController.formatActivatedConnector(ac, ac.connectorId))
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get subaccount connectors', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+      next(error);
+    }
+  }
+
+  // Activate a connector for a subaccount
+  static async activateSubaccountConnector(req, res, next) {
+    try {
+      const { subaccountId, connectorId } = req.params;
+      const userId = req.user?.id || req.serviceUserId || null;
+      const { config = {} } = req.body;
+
+      Logger.audit('Activate subaccount connector', 'connectors', {
+        userId,
+        serviceName: req.service?.serviceName,
+        subaccountId,
+        connectorId,
+        configFields: Object.keys(config)
+      });
+
+      const connector = await Connector.findById(connectorId);
+      if (!connector) {
+        return res.status(404).json({
+          success: false,
+          message: 'Connector not found',
+          code: 'CONNECTOR_NOT_FOUND'
+        });
+      }
+
+      if (!connector.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Connector is not active',
+          code: 'CONNECTOR_INACTIVE'
+        });
+      }
+
+      // Non-global connectors can only be enabled by global admins or services
+      const isGlobalAdmin = req.user && (req.user.role === 'admin' || req.user.role === 'super_admin');
+      if (!connector.isGlobal && !isGlobalAdmin && !req.service) {
+        Logger.security('Non-global connector activation denied', 'medium', {
+          userId,
+          subaccountId,
+          connectorId
+        });
+
+        return res.status(403).json({
+          success: false,
+          message: 'Connector is not available for this subaccount',
+          code: 'CONNECTOR_NOT_AVAILABLE'
+        });
+      }
+
+      const subaccount = await Subaccount.findById(subaccountId);
+      if (!subaccount) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subaccount not found',
+          code: 'SUBACCOUNT_NOT_FOUND'
+        });
+      }
+
+      // Validate the effective config (existing subaccount config + new values)
+      const existing = subaccount.activatedConnectors.find(
+        ac => ac.connectorId.toString() === connectorId
+      );
+      try {
+        connector.validateSubaccountConfig({ ...(existing?.config || {}), ...config });
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError.message,
+          code: 'INVALID_CONFIG'
+        });
+      }
+
+      const previous = existing?.toJSON();
+
+      const activatedBy = mongoose.Types.ObjectId.isValid(userId) ? userId : undefined;
+      await subaccount.activateConnector(connectorId, config, activatedBy);
+
+      await ConnectorController.invalidateSubaccountCaches(subaccountId, userId);
+
+      const activated = subaccount.activatedConnectors.find(
+        ac => ac.connectorId.toString() === connectorId
+      );
+
+      Logger.info('Connector activated for subaccount', {
+        userId,
+        subaccountId,
+        connectorId,
+        type: connector.type,
+        reactivated: !!existing
+      });
+
+      res.locals.audit = {
+        target: { type: 'subaccount_connector', id: connectorId },
+        before: previous,
+        after: activated
+      };
+
+      res.status(existing ? 200 : 201).json({
+        success: true,
+        message: 'Connector activated successfully',
+        data: ConnectorController.formatActivatedConnector(activated, connector)
+      });
+
+    } catch (error) {
+      Logger.error('Failed to activate subaccount connector', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId,
+        connectorId: req.params.connectorId
+      });
+      next(error);
+    }
+  }
+
+  // Update the config of a connector activated for a subaccount
+  static async updateSubaccountConnectorConfig(req, res, next) {
+    try {
+      const { subaccountId, connectorId } = req.params;
+      const userId = req.user?.id || req.serviceUserId || null;
+      const { config } = req.body;
+
+      Logger.audit('Update subaccount connector config', 'connectors', {
+        userId,
+        serviceName: req.service?.serviceName,
+        subaccountId,
+        connectorId,
+        configFields: Object.keys(config)
+      });
+
+      const [connector, subaccount] = await Promise.all([
+        Connector.findById(connectorId),
+        Subaccount.findById(subaccountId)
+      ]);
+
+      if (!subaccount) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subaccount not found',
+          code: 'SUBACCOUNT_NOT_FOUND'
+        });
+      }
+
+      const existing = subaccount.activatedConnectors.find(
+        ac => ac.connectorId.toString() === connectorId
+      );
+
+      if (!connector || !existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Connector not activated for this subaccount',
+          code: 'CONNECTOR_NOT_ACTIVATED'
+        });
+      }
+
+      try {
+        connector.validateSubaccountConfig({ ...(existing.config || {}), ...config });
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError.message,
+          code: 'INVALID_CONFIG'
+        });
+      }
+
+      const previous = existing.toJSON();
+
+      await subaccount.updateConnectorConfig(connectorId, config);
+
+      await ConnectorController.invalidateSubaccountCaches(subaccountId, userId);
+
+      Logger.info('Subaccount connector config updated', {
+        userId,
+        subaccountId,
+        connectorId,
+        updatedFields: Object.keys(config)
+      });
+
+      res.locals.audit = {
+        target: { type: 'subaccount_connector', id: connectorId },
+        before: previous,
+        after: existing
+      };
+
+      res.json({
+        success: true,
+        message: 'Connector config updated successfully',
+        data: ConnectorController.formatActivatedConnector(existing, connector)
+      });
+
+    } catch (error) {
+      Logger.error('Failed to update subaccount connector config', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId,
+        connectorId: req.params.connectorId
+      });
+      next(error);
+    }
+  }
+
+  // Deactivate a connector for a subaccount (config is kept for reactivation)
+  static async deactivateSubaccountConnector(req, res, next) {
+    try {
+      const { subaccountId, connectorId } = req.params;
+      const userId = req.user?.id || req.serviceUserId || null;
+
+      Logger.audit('Deactivate subaccount connector', 'connectors', {
+        userId,
+        serviceName: req.service?.serviceName,
+        subaccountId,
+        connectorId
+      });
+
+      const subaccount = await Subaccount.findById(subaccountId);
+      if (!subaccount) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subaccount not found',
+          code: 'SUBACCOUNT_NOT_FOUND'
+        });
+      }
+
+      const existing = subaccount.activatedConnectors.find(
+        ac => ac.connectorId.toString() === connectorId
+      );
+
+      if (!existing || !existing.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Connector not activated for this subaccount',
+          code: 'CONNECTOR_NOT_ACTIVATED'
+        });
+      }
+
+      const previous = existing.toJSON();
+
+      await subaccount.deactivateConnector(connectorId);
+
+      await ConnectorController.invalidateSubaccountCaches(subaccountId, userId);
+
+      Logger.info('Connector deactivated for subaccount', {
+        userId,
+        subaccountId,
+        connectorId
+      });
+
+      res.locals.audit = {
+        target: { type: 'subaccount_connector', id: connectorId },
+        before: previous,
+        after: existing
+      };
+
+      res.json({
+        success: true,
+        message: 'Connector deactivated successfully',
+        data: {
+          connectorId,
+          isActive: false,
+          deactivatedAt: new Date()
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to deactivate subaccount connector', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId,
+        connectorId: req.params.connectorId
+      });
+      next(error);
+    }
+  }
+
+  // Helper methods
+  static formatActivatedConnector(activatedConnector, connector) {
+    return {
+      id: activatedConnector._id,
+      connectorId: connector._id,
+      type: connector.type,
+      name: connector.name,
+      description: connector.description,
+      icon: connector.icon,
+      category: connector.category,
+      version: connector.version,
+      isGlobal: connector.isGlobal,
+      connectorBaseActive: connector.isActive,
+      isActive: activatedConnector.isActive,
+      config: activatedConnector.config,
+      activatedAt: activatedConnector.activatedAt,
+      activatedBy: activatedConnector.activatedBy
+    };
+  }
+
+  static async invalidateSubaccountCaches(subaccountId, userId) {
+    const redisService = redisManager.getRedisService();
+    if (redisService && redisService.isConnected) {
+      try {
+        await Promise.all([
+          redisService.invalidateSubaccount(subaccountId),
+          userId ? redisService.invalidateUserSubaccounts(userId) : Promise.resolve()
+        ]);
+      } catch (cacheError) {
+        Logger.warn('Failed to invalidate cache', { error: cacheError.message });
+      }
+    }
+  }
 }
 
 module.exports = ConnectorController;
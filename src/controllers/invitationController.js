@@ -0,0 +1,478 @@
+const Logger = require('../utils/logger');
+const invitationService = require('../services/invitationService');
+const bulkInvitationService = require('../services/bulkInvitationService');
+
+// Import models
+const Invitation = require('../models/Invitation');
+const BulkInvitationJob = require('../models/BulkInvitationJob');
+const Subaccount = require('../models/Subaccount');
+const UserSubaccount = require('../models/UserSubaccount');
+
+// Invitations are created by UserController.inviteUser (POST /api/subaccounts/:subaccountId/users)
+class InvitationController {
+  // Get the invitations of a subaccount
+  static async getInvitations(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+      const { page = 1, limit = 20, status } = req.query;
+
+      Logger.audit('Get subaccount invitations', 'invitation', {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId,
+        status
+      });
+
+      await Invitation.expirePending({ subaccountId });
+
+      const query = { subaccountId };
+      if (status) query.status = status;
+
+      const skip = (page - 1) * limit;
+      const [invitations, total] = await Promise.all([
+        Invitation.find(query)
+          .populate('customRole', 'name subaccountId')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Invitation.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        message: 'Invitations retrieved successfully',
+        data: {
+          invitations,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get subaccount invitations', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+      next(error);
+    }
+  }
+
+  // Issue a new token for a pending or expired invitation
+  static async resendInvitation(req, res, next) {
+    try {
+      const { subaccountId, invitationId } = req.params;
+
+      Logger.audit('Resend invitation', 'invitation', {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId,
+        invitationId
+      });
+
+      const invitation = await Invitation.findOne({ _id: invitationId, subaccountId });
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found',
+          code: 'INVITATION_NOT_FOUND'
+        });
+      }
+
+      if (!['pending', 'expired'].includes(invitation.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Invitation is already ${invitation.status}`,
+          code: 'INVITATION_NOT_PENDING',
+          data: { status: invitation.status }
+        });
+      }
+
+      const previous = invitation.toJSON();
+      const token = await invitationService.resend(invitation);
+
+      res.locals.audit = { before: previous, after: invitation };
+
+      // The token is only returned here and on creation; deliver it to the invitee
+      res.json({
+        success: true,
+        message: 'Invitation resent successfully',
+        data: {
+          ...invitation.toJSON(),
+          token
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to resend invitation', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId,
+        invitationId: req.params.invitationId
+      });
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'Another invitation for this email is already pending',
+          code: 'INVITATION_PENDING'
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Revoke a pending invitation
+  static async revokeInvitation(req, res, next) {
+    try {
+      const { subaccountId, invitationId } = req.params;
+
+      Logger.audit('Revoke invitation', 'invitation', {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId,
+        invitationId
+      });
+
+      const invitation = await Invitation.findOne({ _id: invitationId, subaccountId });
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found',
+          code: 'INVITATION_NOT_FOUND'
+        });
+      }
+
+      if (invitation.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          message: `Invitation is already ${invitation.status}`,
+          code: 'INVITATION_NOT_PENDING',
+          data: { status: invitation.status }
+        });
+      }
+
+      const previous = invitation.toJSON();
+      await invitationService.revoke(invitation, req.user?.id);
+
+      res.locals.audit = { before: previous, after: invitation };
+
+      res.json({
+        success: true,
+        message: 'Invitation revoked successfully',
+        data: invitation
+      });
+
+    } catch (error) {
+      Logger.error('Failed to revoke invitation', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId,
+        invitationId: req.params.invitationId
+      });
+      next(error);
+    }
+  }
+
+  // Accept an invitation as the authenticated user (the invited email must match)
+  static async acceptInvitation(req, res, next) {
+    try {
+      const userId = req.user.id;
+
+      Logger.audit('Accept invitation', 'invitation', {
+        userId,
+        email: req.user.email
+      });
+
+      const invitation = await InvitationController.findOpenInvitation(req, res);
+      if (!invitation) {
+        return;
+      }
+
+      // Check if subaccount still exists and is active
+      const subaccount = await Subaccount.findOne({
+        _id: invitation.subaccountId,
+        isActive: true
+      }).select('name');
+
+      if (!subaccount) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subaccount not found or inactive',
+          code: 'SUBACCOUNT_NOT_FOUND'
+        });
+      }
+
+      const existingAssociation = await UserSubaccount.exists({
+        userId,
+        subaccountId: invitation.subaccountId,
+        isActive: true
+      });
+
+      if (existingAssociation) {
+        return res.status(400).json({
+          success: false,
+          message: 'User is already associated with this subaccount',
+          code: 'USER_ALREADY_EXISTS'
+        });
+      }
+
+      const userSubaccount = await invitationService.accept(invitation, req.user);
+
+      // The invitation is claimed in the database; the loaded copy is still pending
+      res.locals.audit = {
+        target: { type: 'invitation', id: invitation._id.toString() },
+        subaccountId: invitation.subaccountId,
+        before: { status: invitation.status },
+        after: { status: 'accepted', acceptedBy: userId },
+        metadata: { membershipId: userSubaccount._id.toString(), role: userSubaccount.role }
+      };
+
+      res.json({
+        success: true,
+        message: 'Invitation accepted successfully',
+        data: {
+          id: userSubaccount._id,
+          subaccount: {
+            id: subaccount._id,
+            name: subaccount.name
+          },
+          role: userSubaccount.role,
+          customRole: userSubaccount.customRole,
+          permissions: userSubaccount.permissions,
+          invitedAt: userSubaccount.invitedAt,
+          acceptedAt: userSubaccount.acceptedAt,
+          temporaryAccess: userSubaccount.temporaryAccess
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to accept invitation', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id
+      });
+
+      if (error.code === 'INVITATION_NOT_PENDING' || error.code === 'ROLE_NOT_FOUND') {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'User is already associated with this subaccount',
+          code: 'USER_ALREADY_EXISTS'
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Decline an invitation; the token is enough, so unregistered invitees can decline too
+  static async declineInvitation(req, res, next) {
+    try {
+      Logger.audit('Decline invitation', 'invitation', {
+        userId: req.user?.id,
+        email: req.user?.email
+      });
+
+      const invitation = await InvitationController.findOpenInvitation(req, res);
+      if (!invitation) {
+        return;
+      }
+
+      const previous = invitation.toJSON();
+      await invitationService.decline(invitation);
+
+      res.locals.audit = {
+        target: { type: 'invitation', id: invitation._id.toString() },
+        subaccountId: invitation.subaccountId,
+        before: previous,
+        after: invitation
+      };
+
+      res.json({
+        success: true,
+        message: 'Invitation declined successfully'
+      });
+
+    } catch (error) {
+      Logger.error('Failed to decline invitation', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id
+      });
+      next(error);
+    }
+  }
+
+  // Invite many users from CSV or JSON rows; large uploads continue as a background job
+  static async bulkInvite(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+      const { rows } = req.body;
+
+      Logger.audit('Bulk invite users to subaccount', 'invitation', {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId,
+        rows: rows.length
+      });
+
+      // Check if subaccount exists and is active
+      const subaccount = await Subaccount.exists({ _id: subaccountId, isActive: true });
+      if (!subaccount) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subaccount not found or inactive',
+          code: 'SUBACCOUNT_NOT_FOUND'
+        });
+      }
+
+      const { job, background, tokens } = await bulkInvitationService.start(subaccountId, rows, req.user?.id);
+
+      res.locals.audit = {
+        target: { type: 'bulk_invitation', id: job._id.toString() },
+        metadata: { rows: rows.length, background }
+      };
+
+      if (background) {
+        return res.status(202).json({
+          success: true,
+          message: 'Bulk invitation started; poll the job for the report',
+          data: job.toReport()
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Bulk invitation completed',
+        data: await bulkInvitationService.deliverReport(job, tokens)
+      });
+
+    } catch (error) {
+      Logger.error('Failed to bulk invite users', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+      next(error);
+    }
+  }
+
+  // Get the progress and per-row report of a bulk invitation job
+  static async getBulkInvitation(req, res, next) {
+    try {
+      const { subaccountId, jobId } = req.params;
+
+      Logger.audit('Get bulk invitation job', 'invitation', {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId,
+        jobId
+      });
+
+      const job = await BulkInvitationJob.findOne({ _id: jobId, subaccountId });
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Bulk invitation job not found',
+          code: 'JOB_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Bulk invitation job retrieved successfully',
+        data: await bulkInvitationService.deliverReport(job)
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get bulk invitation job', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId,
+        jobId: req.params.jobId
+      });
+      next(error);
+    }
+  }
+
+  // Load the invitation for req.params.token, or send the error response and return null
+  static async findOpenInvitation(req, res) {
+    const invitation = await Invitation.findByToken(req.params.token);
+
+    if (!invitation) {
+      Logger.security('Unknown invitation token used', 'medium', {
+        userId: req.user?.id,
+        ip: req.ip
+      });
+
+      res.status(404).json({
+        success: false,
+        message: 'Invitation not found',
+        code: 'INVITATION_NOT_FOUND'
+      });
+      return null;
+    }
+
+    if (invitation.status === 'pending' && !invitation.isOpen()) {
+      invitation.status = 'expired';
+      await invitation.save();
+    }
+
+    if (invitation.status === 'expired') {
+      res.status(410).json({
+        success: false,
+        message: 'Invitation has expired. Ask for it to be resent.',
+        code: 'INVITATION_EXPIRED'
+      });
+      return null;
+    }
+
+    if (invitation.status !== 'pending') {
+      res.status(409).json({
+        success: false,
+        message: `Invitation is already ${invitation.status}`,
+        code: 'INVITATION_NOT_PENDING',
+        data: { status: invitation.status }
+      });
+      return null;
+    }
+
+    // Invitations are personal: signed-in users can only answer their own
+    if (req.user && req.user.email?.toLowerCase() !== invitation.email) {
+      Logger.security('Invitation used by another user', 'medium', {
+        userId: req.user.id,
+        invitationId: invitation._id.toString(),
+        ip: req.ip
+      });
+
+      res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address',
+        code: 'INVITATION_EMAIL_MISMATCH'
+      });
+      return null;
+    }
+
+    return invitation;
+  }
+}
+
+module.exports = InvitationController;
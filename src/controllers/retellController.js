@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Logger = require('../utils/logger');
+const Keyring = require('../utils/keyring');
 const redisManager = require('../services/redisManager');
 
 // Import models
@@ -56,9 +57,11 @@ class RetellController {
 
       // Include encrypted API key for service requests
       if (needsApiKey && retellAccount.apiKey) {
-        result.apiKey = retellAccount.apiKey; // Keep encrypted
-        result.encryptionIV = retellAccount.encryptionIV;
-        result.encryptionAuthTag = retellAccount.encryptionAuthTag;
+        const encryptionData = await retellAccount.getEncryptionData(Keyring.resolveServiceScheme(req.get('X-Encryption-Scheme')));
+        result.apiKey = encryptionData.encrypted; // Keep encrypted
+        result.encryptionIV = encryptionData.iv;
+        result.encryptionAuthTag = encryptionData.authTag;
+        result.keyVersion = encryptionData.keyVersion;
         Logger.debug('API key encryption data provided for service request', { 
           subaccountId,
           serviceName: req.service?.serviceName || 'unknown'
@@ -134,6 +137,8 @@ class RetellController {
       let retellAccount = await RetellAccount.findOne({ subaccountId });
       let isNew = false;
 
+      const previous = retellAccount ? RetellController.auditSnapshot(retellAccount) : undefined;
+
       if (retellAccount) {
         // Update existing retell account
         retellAccount.apiKey = apiKey;
@@ -187,6 +192,13 @@ class RetellController {
         }
       }
 
+      // The key itself is redacted; the trail only shows that it was replaced
+      res.locals.audit = {
+        target: { type: 'retell_account', id: retellAccount._id.toString() },
+        before: previous,
+        after: { ...RetellController.auditSnapshot(retellAccount), apiKey }
+      };
+
       const response = {
         id: retellAccount._id,
         accountName: retellAccount.accountName,
@@ -267,6 +279,8 @@ class RetellController {
         });
       }
 
+      const previous = RetellController.auditSnapshot(retellAccount);
+
       // Update fields
       if (updates.apiKey !== undefined) {
         retellAccount.apiKey = updates.apiKey;
@@ -300,6 +314,12 @@ class RetellController {
         updatedFields: Object.keys(updates)
       });
 
+      res.locals.audit = {
+        target: { type: 'retell_account', id: retellAccount._id.toString() },
+        before: previous,
+        after: { ...RetellController.auditSnapshot(retellAccount), apiKey: updates.apiKey }
+      };
+
       const response = {
         id: retellAccount._id,
         accountName: retellAccount.accountName,
@@ -392,6 +412,11 @@ class RetellController {
         retellAccountId: retellAccount._id
       });
 
+      res.locals.audit = {
+        target: { type: 'retell_account', id: retellAccount._id.toString() },
+        before: RetellController.auditSnapshot(retellAccount)
+      };
+
       res.json({
         success: true,
         message: 'Retell account deleted successfully'
@@ -407,6 +432,17 @@ class RetellController {
       next(error);
     }
   }
+
+  // Audited fields of a retell account (the API key is never selected)
+  static auditSnapshot(retellAccount) {
+    return {
+      accountName: retellAccount.accountName,
+      isActive: retellAccount.isActive,
+      verificationStatus: retellAccount.verificationStatus,
+      secretBackend: retellAccount.secretBackend,
+      keyVersion: retellAccount.keyVersion
+    };
+  }
 }
 
 module.exports = RetellController; 
\ No newline at end of file
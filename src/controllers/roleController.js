@@ -0,0 +1,314 @@
+const Logger = require('../utils/logger');
+const redisManager = require('../services/redisManager');
+
+// Import models
+const Role = require('../models/Role');
+const Subaccount = require('../models/Subaccount');
+const UserSubaccount = require('../models/UserSubaccount');
+const Invitation = require('../models/Invitation');
+
+// Subaccount roles are served under /api/subaccounts/:subaccountId/roles, global roles
+// (available in every subaccount) under /api/admin/roles without a subaccountId
+class RoleController {
+  // Get the roles of a subaccount (including global ones), or the global roles
+  static async getRoles(req, res, next) {
+    try {
+      const subaccountId = req.params.subaccountId || null;
+
+      Logger.audit('Get roles', 'roles', {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId
+      });
+
+      const roles = subaccountId
+        ? await Role.getAvailableRoles(subaccountId)
+        : await Role.find({ subaccountId: null }).sort({ name: 1 });
+
+      res.json({
+        success: true,
+        message: 'Roles retrieved successfully',
+        data: {
+          builtInRoles: Role.BUILT_IN_ROLES,
+          roles,
+          total: roles.length
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get roles', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+      next(error);
+    }
+  }
+
+  // Create a role
+  static async createRole(req, res, next) {
+    try {
+      const subaccountId = req.params.subaccountId || null;
+      const userId = req.user?.id;
+
+      Logger.audit('Create role', 'roles', {
+        userId,
+        serviceName: req.service?.serviceName,
+        subaccountId,
+        name: req.body.name
+      });
+
+      if (subaccountId) {
+        const subaccount = await Subaccount.exists({ _id: subaccountId, isActive: true });
+        if (!subaccount) {
+          return res.status(404).json({
+            success: false,
+            message: 'Subaccount not found or inactive',
+            code: 'SUBACCOUNT_NOT_FOUND'
+          });
+        }
+      }
+
+      const role = new Role({
+        ...req.body,
+        subaccountId,
+        createdBy: userId,
+        updatedBy: userId
+      });
+      await role.save();
+
+      Logger.info('Role created', {
+        userId,
+        subaccountId,
+        roleId: role._id.toString(),
+        name: role.name
+      });
+
+      res.locals.audit = {
+        target: { type: 'role', id: role._id.toString() },
+        after: role
+      };
+
+      res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: role
+      });
+
+    } catch (error) {
+      Logger.error('Failed to create role', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role name already exists',
+          code: 'DUPLICATE_NAME'
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Update a role and apply its permissions to every member that has it
+  static async updateRole(req, res, next) {
+    try {
+      const subaccountId = req.params.subaccountId || null;
+      const { roleId } = req.params;
+      const userId = req.user?.id;
+      const { permissions, ...attributes } = req.body;
+
+      Logger.audit('Update role', 'roles', {
+        userId,
+        serviceName: req.service?.serviceName,
+        subaccountId,
+        roleId,
+        updates: req.body
+      });
+
+      // Global roles can only be changed through the global endpoint
+      const role = await Role.findOne({ _id: roleId, subaccountId });
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found',
+          code: 'ROLE_NOT_FOUND'
+        });
+      }
+
+      const previous = role.toJSON();
+
+      role.set(attributes);
+      if (permissions) {
+        const current = role.permissions.toObject();
+        role.permissions = {
+          ...current,
+          ...permissions,
+          // Limits left out of the update keep their values (they are copied to every member)
+          queryLimits: {
+            ...current.queryLimits,
+            ...permissions.queryLimits
+          }
+        };
+      }
+      role.updatedBy = userId;
+      await role.save();
+
+      const membersUpdated = permissions ? await RoleController.propagateRole(role) : 0;
+
+      Logger.info('Role updated', {
+        userId,
+        subaccountId,
+        roleId,
+        updatedFields: Object.keys(req.body),
+        membersUpdated
+      });
+
+      res.locals.audit = { before: previous, after: role, metadata: { membersUpdated } };
+
+      res.json({
+        success: true,
+        message: 'Role updated successfully',
+        data: {
+          role,
+          membersUpdated
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to update role', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId,
+        roleId: req.params.roleId
+      });
+
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role name already exists',
+          code: 'DUPLICATE_NAME'
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Delete a role that is no longer assigned
+  static async deleteRole(req, res, next) {
+    try {
+      const subaccountId = req.params.subaccountId || null;
+      const { roleId } = req.params;
+
+      Logger.audit('Delete role', 'roles', {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId,
+        roleId
+      });
+
+      const role = await Role.findOne({ _id: roleId, subaccountId });
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found',
+          code: 'ROLE_NOT_FOUND'
+        });
+      }
+
+      await Invitation.expirePending({ customRole: role._id });
+      const [memberCount, invitationCount] = await Promise.all([
+        UserSubaccount.countDocuments({ customRole: role._id, isActive: true }),
+        Invitation.countDocuments({ customRole: role._id, status: 'pending' })
+      ]);
+      if (memberCount > 0 || invitationCount > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Role is assigned to ${memberCount} member(s) and ${invitationCount} pending invitation(s); assign them another role first`,
+          code: 'ROLE_IN_USE',
+          data: { memberCount, invitationCount }
+        });
+      }
+
+      await role.deleteOne();
+
+      // Inactive memberships may still point at the role
+      await UserSubaccount.updateMany({ customRole: role._id }, { $set: { customRole: null } });
+
+      Logger.info('Role deleted', {
+        userId: req.user?.id,
+        subaccountId,
+        roleId,
+        name: role.name
+      });
+
+      res.locals.audit = { before: role };
+
+      res.json({
+        success: true,
+        message: 'Role deleted successfully'
+      });
+
+    } catch (error) {
+      Logger.error('Failed to delete role', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId,
+        roleId: req.params.roleId
+      });
+      next(error);
+    }
+  }
+
+  // Copy a role's permission matrix to its members and drop their cached permissions
+  static async propagateRole(role) {
+    const members = await UserSubaccount.find({ customRole: role._id })
+      .select('userId subaccountId')
+      .lean();
+
+    if (members.length === 0) {
+      return 0;
+    }
+
+    const { role: baseRole, permissions } = role.toMembership();
+    await UserSubaccount.updateMany(
+      { customRole: role._id },
+      { $set: { role: baseRole, permissions, updatedAt: new Date() } }
+    );
+
+    const subaccountIds = [...new Set(members.map(member => member.subaccountId.toString()))];
+
+    const redisService = redisManager.getRedisService();
+    if (redisService && redisService.isConnected) {
+      try {
+        await Promise.all([
+          ...members.map(member => redisService.invalidatePermissions(member.userId, member.subaccountId)),
+          ...members.map(member => redisService.invalidateUserSubaccounts(member.userId)),
+          ...subaccountIds.map(id => redisService.invalidateSubaccountUsers(id))
+        ]);
+      } catch (error) {
+        Logger.warn('Cache invalidation failed', { error: error.message, roleId: role._id.toString() });
+      }
+    }
+
+    Logger.info('Role permissions propagated to members', {
+      roleId: role._id.toString(),
+      name: role.name,
+      members: members.length,
+      subaccounts: subaccountIds.length
+    });
+
+    return members.length;
+  }
+}
+
+module.exports = RoleController;
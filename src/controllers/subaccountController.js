@@ -1,11 +1,16 @@
 const mongoose = require('mongoose');
 const config = require('../../config/config');
 const Logger = require('../utils/logger');
+const Keyring = require('../utils/keyring');
 const redisManager = require('../services/redisManager');
-const Database = require('../utils/database');
 const webhookService = require('../services/webhookService');
-const databaseService = require('../services/databaseService');
-const RetellSDK = require('retell-sdk').Retell;
+const subaccountDeletionService = require('../services/subaccountDeletionService');
+const subaccountBundleService = require('../services/subaccountBundleService');
+const subaccountProvisioningService = require('../services/subaccountProvisioningService');
+const quotaService = require('../services/quotaService');
+const invitationService = require('../services/invitationService');
+const ownershipTransferService = require('../services/ownershipTransferService');
+const { createRetellAccountSchema } = require('../validators/retellValidator');
 
 // Import models
 const Subaccount = require('../models/Subaccount');
@@ -13,7 +18,8 @@ const UserSubaccount = require('../models/UserSubaccount');
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
 const Connector = require('../models/Connector');
-const RetellAccount = require('../models/RetellAccount');
+const DeletionJob = require('../models/DeletionJob');
+const SubaccountTemplate = require('../models/SubaccountTemplate');
 
 class SubaccountController {
   // Get user's subaccounts with caching
@@ -47,9 +53,12 @@ static async getUserSubaccounts(req, res, next) {
         
         if (isGlobalAdmin) {
           // Global admins see all subaccounts (active by default unless status param is set)
-          const subaccountQuery = {};
+          const subaccountQuery = { pendingDeletion: { $ne: true } };
           // Default to showing only active subaccounts unless status query param is explicitly set
-          if (status !== undefined) {
+          if (status === 'pending_deletion') {
+            // Subaccounts in their deletion grace period (can still be restored)
+            subaccountQuery.pendingDeletion = true;
+          } else if (status !== undefined) {
             // If status param is provided, use it explicitly
             subaccountQuery.isActive = status === 'active';
           } else {
@@ -60,7 +69,7 @@ static async getUserSubaccounts(req, res, next) {
           const [subaccounts, total] = await Promise.race([
             Promise.all([
               Subaccount.find(subaccountQuery)
-                .select('name description isActive stats createdAt maintenanceMode rateLimits activatedConnectors createdBy')
+                .select('name description isActive stats createdAt maintenanceMode rateLimits activatedConnectors createdBy pendingDeletion deletion.scheduledFor')
                 .populate({
                   path: 'activatedConnectors.connectorId',
                   select: 'type name icon category'
@@ -89,6 +98,8 @@ static async getUserSubaccounts(req, res, next) {
               description: subaccount.description,
               isActive: subaccount.isActive,
               maintenanceMode: subaccount.maintenanceMode,
+              pendingDeletion: subaccount.pendingDeletion,
+              deletionScheduledFor: subaccount.deletion?.scheduledFor,
               timezone: subaccount.timezone,
               role: 'admin', // Global admins have admin role on all subaccounts
               permissions: {
@@ -133,7 +144,9 @@ static async getUserSubaccounts(req, res, next) {
               UserSubaccount.find(query)
                 .populate({
                   path: 'subaccountId',
-                  match: status ? { isActive: status === 'active' } : {},
+                  match: status
+                    ? { isActive: status === 'active', pendingDeletion: { $ne: true } }
+                    : { pendingDeletion: { $ne: true } },
                   select: 'name description isActive stats createdAt maintenanceMode rateLimits activatedConnectors',
                   populate: {
                     path: 'activatedConnectors.connectorId',
@@ -423,9 +436,11 @@ static async getUserSubaccounts(req, res, next) {
 
       // Include encrypted MongoDB URL and decryption data for service requests
       if (needsMongoUrl && subaccount.mongodbUrl) {
-        result.mongodbUrl = subaccount.mongodbUrl; // Keep encrypted
-        result.encryptionIV = subaccount.encryptionIV;
-        result.encryptionAuthTag = subaccount.encryptionAuthTag;
+        const encryptionData = await subaccount.getEncryptionData(Keyring.resolveServiceScheme(req.get('X-Encryption-Scheme')));
+        result.mongodbUrl = encryptionData.encrypted; // Keep encrypted
+        result.encryptionIV = encryptionData.iv;
+        result.encryptionAuthTag = encryptionData.authTag;
+        result.keyVersion = encryptionData.keyVersion;
         Logger.debug('MongoDB URL encryption data provided for service request', { 
           subaccountId, 
           serviceName: serviceName || 'unknown' 
@@ -487,22 +502,8 @@ static async getUserSubaccounts(req, res, next) {
         databaseName
       });
 
-      // Get Redis service instance (dynamic)
-      const redisService = redisManager.getRedisService();
-
       // Check if user has reached subaccount limit
-      const userSubaccountCount = await UserSubaccount.countDocuments({
-        userId,
-        isActive: true
-      });
-
-      if (userSubaccountCount >= config.security.maxSubaccountsPerUser) {
-        Logger.security('Subaccount limit exceeded', 'medium', {
-          userId,
-          currentCount: userSubaccountCount,
-          limit: config.security.maxSubaccountsPerUser
-        });
-
+      if (await SubaccountController.hasReachedSubaccountLimit(userId)) {
         return res.status(400).json({
           success: false,
           message: `Maximum ${config.security.maxSubaccountsPerUser} subaccounts allowed per user`,
@@ -510,368 +511,26 @@ static async getUserSubaccounts(req, res, next) {
         });
       }
 
-      // Auto-generate MongoDB URL if not provided
-      let finalMongodbUrl = mongodbUrl;
-      if (!finalMongodbUrl || finalMongodbUrl.trim() === '') {
-        try {
-          Logger.info('Auto-generating MongoDB URL from admin connection', {
-            userId,
-            databaseName
-          });
-          
-          finalMongodbUrl = SubaccountController.buildMongoUrlFromAdminConnection(databaseName);
-          
-          Logger.info('MongoDB URL auto-generated successfully', {
-            userId,
-            databaseName,
-            maskedUrl: SubaccountController.maskConnectionString(finalMongodbUrl)
-          });
-
-          // Optionally test the connection (lightweight verification)
-          try {
-            await SubaccountController.testMongoConnection(finalMongodbUrl, databaseName);
-            Logger.debug('MongoDB connection test passed', {
-              userId,
-              databaseName
-            });
-          } catch (testError) {
-            // Log warning but don't fail - database will be created on first write
-            Logger.warn('MongoDB connection test failed (non-critical)', {
-              error: testError.message,
-              userId,
-              databaseName,
-              note: 'Database will be created automatically on first write'
-            });
-          }
-        } catch (error) {
-          Logger.error('Failed to auto-generate MongoDB URL', {
-            error: error.message,
-            userId,
-            databaseName
-          });
-          
-          return res.status(500).json({
-            success: false,
-            message: 'Failed to auto-generate MongoDB URL. Please provide mongodbUrl explicitly.',
-            code: 'MONGODB_URL_GENERATION_FAILED',
-            error: error.message
-          });
-        }
-      }
-
-      // Validate MongoDB URL format and allowed hosts
-      if (!SubaccountController.validateMongoUrl(finalMongodbUrl)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid MongoDB URL format',
-          code: 'INVALID_MONGODB_URL'
-        });
-      }
-
-      if (!SubaccountController.isHostAllowed(finalMongodbUrl)) {
-        Logger.security('Unauthorized MongoDB host', 'high', {
-          userId,
-          mongodbUrl: SubaccountController.maskConnectionString(finalMongodbUrl)
-        });
-
-        return res.status(403).json({
-          success: false,
-          message: 'MongoDB host not allowed',
-          code: 'HOST_NOT_ALLOWED'
-        });
+      const urlResult = await SubaccountController.prepareMongodbUrl(userId, databaseName, mongodbUrl);
+      if (urlResult.error) {
+        const { status, ...error } = urlResult.error;
+        return res.status(status).json({ success: false, ...error });
       }
 
       // Create subaccount (simplified without transaction for now)
       try {
-        // Create subaccount first (without retellAccountId initially)
-        const subaccount = new Subaccount({
+        const result = await SubaccountController.provisionSubaccount(userId, {
           name,
           description,
-          mongodbUrl: finalMongodbUrl, // Will be encrypted by pre-save middleware
+          mongodbUrl: urlResult.mongodbUrl,
           databaseName,
-          timezone: timezone || 'UTC',
-          maxConnections: Math.min(maxConnections, 20), // Cap at 20
+          timezone,
+          maxConnections,
           enforceSchema,
           allowedCollections,
-          createdBy: userId,
-          rateLimits: {
-            queriesPerMinute: rateLimits.queriesPerMinute || 100,
-            queriesPerHour: rateLimits.queriesPerHour || 1000,
-            queriesPerDay: rateLimits.queriesPerDay || 10000
-          }
-        });
-
-        await subaccount.save();
-        console.log('[DEBUG] Subaccount saved with ID:', subaccount._id);
-
-        // Create a new RetellAccount for this subaccount with same API key as first RetellAccount
-        let retellAccountId = null;
-        try {
-          // Find the first RetellAccount to get its API key configuration
-          const firstRetellAccount = await RetellAccount.findOne({})
-            .select('+apiKey +encryptionIV +encryptionAuthTag')
-            .sort({ createdAt: 1 }); // Get the first created one
-
-          if (firstRetellAccount) {
-            // Get the decrypted API key from the first RetellAccount
-            const decryptedApiKey = firstRetellAccount.getDecryptedApiKey();
-            
-            // Create a new RetellAccount with the same API key but linked to the new subaccount
-            const newRetellAccount = new RetellAccount({
-              apiKey: decryptedApiKey, // Will be encrypted by pre-save middleware
-              accountName: firstRetellAccount.accountName || `${name} Retell Account`,
-              subaccountId: subaccount._id,
-              createdBy: userId,
-              isActive: firstRetellAccount.isActive !== undefined ? firstRetellAccount.isActive : true,
-              verificationStatus: firstRetellAccount.verificationStatus || 'pending'
-            });
-
-            await newRetellAccount.save();
-            retellAccountId = newRetellAccount._id;
-
-            // Update subaccount with the new retellAccountId
-            subaccount.retellAccountId = retellAccountId;
-            await subaccount.save();
-
-            Logger.info('Created new RetellAccount for subaccount', {
-              userId,
-              name,
-              subaccountId: subaccount._id.toString(),
-              retellAccountId: retellAccountId.toString()
-            });
-          } else {
-            Logger.warn('No RetellAccount found in database. New subaccount will be created without retellAccountId link.', {
-              userId,
-              name,
-              subaccountId: subaccount._id.toString()
-            });
-          }
-        } catch (retellError) {
-          Logger.error('Error creating RetellAccount for new subaccount', {
-            error: retellError.message,
-            stack: retellError.stack,
-            userId,
-            name,
-            subaccountId: subaccount._id.toString()
-          });
-          // Continue without retellAccountId - don't fail subaccount creation
-        }
-
-        // Create user-subaccount relationship with owner permissions
-        const userSubaccount = new UserSubaccount({
-          userId,
-          subaccountId: subaccount._id,
-          role: 'owner',
-          permissions: {
-            read: true,
-            write: true,
-            delete: true,
-            admin: true
-          },
-          invitedBy: userId,
-          invitedAt: new Date(),
-          acceptedAt: new Date()
+          rateLimits
         });
 
-        await userSubaccount.save();
-        console.log('[DEBUG] UserSubaccount relationship created');
-
-        // Update user subaccount count
-        await User.findByIdAndUpdate(
-          userId,
-          { $inc: { subaccountCount: 1 } }
-        );
-        console.log('[DEBUG] User subaccount count updated');
-
-        const result = { subaccount, userSubaccount };
-
-        // Invalidate caches
-        if (redisService && redisService.isConnected) {
-          try {
-            Logger.info('Starting cache invalidation after subaccount creation', {
-              userId,
-              subaccountId: subaccount._id.toString(),
-              redisConnected: redisService.isConnected
-            });
-            
-            // Invalidate ALL user subaccount caches (most aggressive approach)
-            // This ensures all users (including global admins) see the new subaccount immediately
-            const allKeysDeleted = await redisService.invalidateAllUserSubaccounts();
-            Logger.info('Invalidated all user subaccount caches', { 
-              keysDeleted: allKeysDeleted,
-              userId,
-              subaccountId: subaccount._id.toString()
-            });
-            
-            // Also invalidate the specific subaccount cache
-            const subaccountInvalidation = await redisService.invalidateSubaccount(subaccount._id.toString());
-            Logger.info('Invalidated subaccount cache', { 
-              subaccountId: subaccount._id.toString(), 
-              result: subaccountInvalidation,
-              userId
-            });
-            
-            // Invalidate subaccount users cache for the new subaccount
-            const usersKeysDeleted = await redisService.invalidateSubaccountUsers(subaccount._id.toString());
-            Logger.info('Invalidated subaccount users cache', { 
-              subaccountId: subaccount._id.toString(), 
-              keysDeleted: usersKeysDeleted,
-              userId
-            });
-            
-            // Also directly invalidate the creator's cache as a fallback
-            const creatorKeysDeleted = await redisService.invalidateUserSubaccounts(userId);
-            Logger.info('Invalidated creator cache as fallback', { 
-              userId,
-              keysDeleted: creatorKeysDeleted
-            });
-            
-            Logger.info('All caches invalidated after subaccount creation', {
-              userId,
-              subaccountId: subaccount._id.toString(),
-              allUserSubaccountKeysDeleted: allKeysDeleted,
-              subaccountKeysDeleted: subaccountInvalidation?.globalAdminKeys || 0,
-              usersKeysDeleted,
-              creatorKeysDeleted
-            });
-          } catch (cacheError) {
-            Logger.error('Failed to invalidate cache', { 
-              error: cacheError.message,
-              stack: cacheError.stack,
-              userId,
-              subaccountId: subaccount._id.toString()
-            });
-          }
-        } else {
-          Logger.warn('Redis not connected, skipping cache invalidation', {
-            hasRedisService: !!redisService,
-            isConnected: redisService ? redisService.isConnected : false,
-            userId,
-            subaccountId: subaccount._id.toString()
-          });
-        }
-
-        // Create default calendar for the new subaccount
-        try {
-          const subaccountIdStr = result.subaccount._id.toString();
-          
-          // Check if webhook server is configured
-          if (!webhookService.serviceToken) {
-            Logger.warn('Webhook server service token not configured - skipping calendar creation', {
-              subaccountId: subaccountIdStr,
-              webhookServerUrl: webhookService.baseURL
-            });
-          } else {
-            Logger.info('Creating default calendar for new subaccount', {
-              subaccountId: subaccountIdStr,
-              webhookServerUrl: webhookService.baseURL
-            });
-            
-            const calendarResponse = await webhookService.client.post(
-              `/api/calendar/${subaccountIdStr}/default`,
-              {},
-              {
-                headers: {
-                  'X-Service-Token': webhookService.serviceToken,
-                  'X-Service-Name': config.server.serviceName
-                },
-                timeout: 10000
-              }
-            );
-            
-            if (calendarResponse.data.success) {
-              Logger.info('Default calendar created successfully', {
-                subaccountId: subaccountIdStr,
-                calendarId: calendarResponse.data.calendar?._id,
-                calendarUserEmail: calendarResponse.data.calendar?.userEmail
-              });
-            } else {
-              Logger.warn('Failed to create default calendar', {
-                subaccountId: subaccountIdStr,
-                message: calendarResponse.data.message,
-                response: calendarResponse.data
-              });
-            }
-          }
-        } catch (calendarError) {
-          // Don't fail subaccount creation if calendar creation fails
-          // But log it prominently so it can be debugged
-          Logger.error('Error creating default calendar (non-critical)', {
-            subaccountId: result.subaccount._id.toString(),
-            error: calendarError.message,
-            errorCode: calendarError.code,
-            status: calendarError.response?.status,
-            statusText: calendarError.response?.statusText,
-            responseData: calendarError.response?.data,
-            webhookServerUrl: webhookService.baseURL,
-            hasServiceToken: !!webhookService.serviceToken,
-            stack: calendarError.stack
-          });
-          
-          // Log a warning that calendar will be created on first query
-          Logger.warn('Calendar will be created automatically when first queried', {
-            subaccountId: result.subaccount._id.toString()
-          });
-        }
-
-        // Configure Twilio regulatory bundle for GB phone numbers
-        try {
-          const subaccountIdStr = result.subaccount._id.toString();
-          const bundleSid = config.twilio.defaultBundleSid;
-          
-          if (!bundleSid) {
-            Logger.warn('No default Twilio bundle SID configured - skipping bundle configuration', {
-              subaccountId: subaccountIdStr
-            });
-          } else if (!databaseService.serviceToken) {
-            Logger.warn('Database server service token not configured - skipping bundle configuration', {
-              subaccountId: subaccountIdStr,
-              databaseServerUrl: databaseService.baseURL
-            });
-          } else {
-            Logger.info('Configuring Twilio regulatory bundle for new subaccount', {
-              subaccountId: subaccountIdStr,
-              bundleSid,
-              databaseServerUrl: databaseService.baseURL
-            });
-            
-            const bundleResponse = await databaseService.configureTwilioBundle(subaccountIdStr, bundleSid);
-            
-            if (bundleResponse.success) {
-              Logger.info('Twilio bundle configured successfully', {
-                subaccountId: subaccountIdStr,
-                bundleSid
-              });
-            } else {
-              Logger.warn('Failed to configure Twilio bundle', {
-                subaccountId: subaccountIdStr,
-                bundleSid,
-                message: bundleResponse.message
-              });
-            }
-          }
-        } catch (bundleError) {
-          // Don't fail subaccount creation if bundle configuration fails
-          // But log it prominently so it can be debugged
-          Logger.error('Error configuring Twilio bundle (non-critical)', {
-            subaccountId: result.subaccount._id.toString(),
-            error: bundleError.message,
-            errorCode: bundleError.code,
-            status: bundleError.response?.status,
-            statusText: bundleError.response?.statusText,
-            responseData: bundleError.response?.data,
-            databaseServerUrl: databaseService.baseURL,
-            hasServiceToken: !!databaseService.serviceToken,
-            stack: bundleError.stack
-          });
-          
-          // Log a warning that bundle can be configured manually later
-          Logger.warn('Twilio bundle can be configured manually later using the connector API', {
-            subaccountId: result.subaccount._id.toString(),
-            bundleSid: config.twilio.defaultBundleSid
-          });
-        }
-
         Logger.info('Subaccount created successfully', {
           userId,
           subaccountId: result.subaccount._id,
@@ -880,27 +539,15 @@ static async getUserSubaccounts(req, res, next) {
           allowedCollections
         });
 
-        // Return sanitized response
-        const response = {
-          id: result.subaccount._id,
-          name: result.subaccount.name,
-          description: result.subaccount.description,
-          databaseName: result.subaccount.databaseName,
-          timezone: result.subaccount.timezone,
-          isActive: result.subaccount.isActive,
-          maxConnections: result.subaccount.maxConnections,
-          enforceSchema: result.subaccount.enforceSchema,
-          allowedCollections: result.subaccount.allowedCollections,
-          rateLimits: result.subaccount.rateLimits,
-          createdAt: result.subaccount.createdAt,
-          role: result.userSubaccount.role,
-          permissions: result.userSubaccount.permissions
+        res.locals.audit = {
+          target: { type: 'subaccount', id: result.subaccount._id.toString() },
+          after: result.subaccount
         };
 
         res.status(201).json({
           success: true,
           message: 'Subaccount created successfully',
-          data: response
+          data: SubaccountController.formatProvisionedSubaccount(result)
         });
 
       } catch (error) {
@@ -942,6 +589,427 @@ static async getUserSubaccounts(req, res, next) {
     }
   }
 
+  // Create a new subaccount from an existing subaccount or a template
+  static async cloneSubaccount(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { subaccountId, templateId } = req.params;
+      const { name, description, databaseName, mongodbUrl, includeMembers, includeConnectors } = req.body;
+
+      Logger.audit('Clone subaccount', 'subaccount', {
+        userId,
+        sourceSubaccountId: subaccountId,
+        templateId,
+        name,
+        databaseName
+      });
+
+      // A subaccount is cloned through an unsaved template capturing its settings
+      let template;
+      if (templateId) {
+        template = await SubaccountTemplate.findOne({ _id: templateId, isActive: true });
+      } else {
+        const source = await Subaccount.findById(subaccountId);
+        template = source ? await SubaccountTemplate.fromSubaccount(source, { description: source.description }) : null;
+      }
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: templateId ? 'Template not found' : 'Subaccount not found',
+          code: templateId ? 'TEMPLATE_NOT_FOUND' : 'SUBACCOUNT_NOT_FOUND'
+        });
+      }
+
+      if (await SubaccountController.hasReachedSubaccountLimit(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: `Maximum ${config.security.maxSubaccountsPerUser} subaccounts allowed per user`,
+          code: 'SUBACCOUNT_LIMIT_EXCEEDED'
+        });
+      }
+
+      const urlResult = await SubaccountController.prepareMongodbUrl(userId, databaseName, mongodbUrl);
+      if (urlResult.error) {
+        const { status, ...error } = urlResult.error;
+        return res.status(status).json({ success: false, ...error });
+      }
+
+      const result = await SubaccountController.provisionSubaccount(userId, {
+        ...template.toSubaccountSettings(),
+        name,
+        description: description !== undefined ? description : template.description,
+        databaseName,
+        mongodbUrl: urlResult.mongodbUrl
+      }, {
+        members: includeMembers ? template.defaultUserRoles : [],
+        connectors: includeConnectors ? template.defaultConnectors : []
+      });
+
+      if (templateId) {
+        await SubaccountTemplate.updateOne({ _id: templateId }, { $inc: { usageCount: 1 } });
+      }
+
+      Logger.info('Subaccount cloned successfully', {
+        userId,
+        subaccountId: result.subaccount._id,
+        sourceSubaccountId: subaccountId,
+        templateId
+      });
+
+      res.locals.audit = {
+        target: { type: 'subaccount', id: result.subaccount._id.toString() },
+        subaccountId: result.subaccount._id,
+        after: result.subaccount,
+        metadata: { clonedFrom: templateId ? { type: 'template', id: templateId } : { type: 'subaccount', id: subaccountId } }
+      };
+
+      res.status(201).json({
+        success: true,
+        message: 'Subaccount cloned successfully',
+        data: {
+          ...SubaccountController.formatProvisionedSubaccount(result),
+          activatedConnectors: result.subaccount.activatedConnectors.length,
+          clonedFrom: templateId
+            ? { type: 'template', id: templateId }
+            : { type: 'subaccount', id: subaccountId }
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to clone subaccount', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId,
+        templateId: req.params.templateId
+      });
+
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'Subaccount name already exists',
+          code: 'DUPLICATE_NAME'
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Check if user has reached the subaccount limit
+  static async hasReachedSubaccountLimit(userId) {
+    const userSubaccountCount = await UserSubaccount.countDocuments({
+      userId,
+      isActive: true
+    });
+
+    if (userSubaccountCount >= config.security.maxSubaccountsPerUser) {
+      Logger.security('Subaccount limit exceeded', 'medium', {
+        userId,
+        currentCount: userSubaccountCount,
+        limit: config.security.maxSubaccountsPerUser
+      });
+      return true;
+    }
+
+    return false;
+  }
+
+  // Resolve the MongoDB URL of a new subaccount: generate it when missing, then check format and host.
+  // Returns { mongodbUrl } or { error: { status, message, code } }
+  static async prepareMongodbUrl(userId, databaseName, mongodbUrl) {
+    if (!mongodbUrl || mongodbUrl.trim() === '') {
+      try {
+        Logger.info('Auto-generating MongoDB URL from admin connection', {
+          userId,
+          databaseName
+        });
+
+        mongodbUrl = SubaccountController.buildMongoUrlFromAdminConnection(databaseName);
+
+        Logger.info('MongoDB URL auto-generated successfully', {
+          userId,
+          databaseName,
+          maskedUrl: SubaccountController.maskConnectionString(mongodbUrl)
+        });
+
+        // Optionally test the connection (lightweight verification)
+        try {
+          await SubaccountController.testMongoConnection(mongodbUrl, databaseName);
+          Logger.debug('MongoDB connection test passed', {
+            userId,
+            databaseName
+          });
+        } catch (testError) {
+          // Log warning but don't fail - database will be created on first write
+          Logger.warn('MongoDB connection test failed (non-critical)', {
+            error: testError.message,
+            userId,
+            databaseName,
+            note: 'Database will be created automatically on first write'
+          });
+        }
+      } catch (error) {
+        Logger.error('Failed to auto-generate MongoDB URL', {
+          error: error.message,
+          userId,
+          databaseName
+        });
+
+        return {
+          error: {
+            status: 500,
+            message: 'Failed to auto-generate MongoDB URL. Please provide mongodbUrl explicitly.',
+            code: 'MONGODB_URL_GENERATION_FAILED',
+            error: error.message
+          }
+        };
+      }
+    }
+
+    // Validate MongoDB URL format and allowed hosts
+    if (!SubaccountController.validateMongoUrl(mongodbUrl)) {
+      return {
+        error: { status: 400, message: 'Invalid MongoDB URL format', code: 'INVALID_MONGODB_URL' }
+      };
+    }
+
+    if (!SubaccountController.isHostAllowed(mongodbUrl)) {
+      Logger.security('Unauthorized MongoDB host', 'high', {
+        userId,
+        mongodbUrl: SubaccountController.maskConnectionString(mongodbUrl)
+      });
+
+      return {
+        error: { status: 403, message: 'MongoDB host not allowed', code: 'HOST_NOT_ALLOWED' }
+      };
+    }
+
+    return { mongodbUrl };
+  }
+
+  /**
+   * Provision a new subaccount: the record, the owner membership, cache invalidation and
+   * the provisioning steps (Retell account, default calendar, Twilio bundle)
+   * @param {string} userId - Owner of the new subaccount
+   * @param {Object} settings - Validated subaccount settings with a resolved mongodbUrl
+   * @param {Object} options - { members: [{ userId, role }], connectors: [{ connectorId, config, isActive }] }
+   * @returns {Promise<Object>} { subaccount, userSubaccount, provisioning }
+   */
+  static async provisionSubaccount(userId, settings, options = {}) {
+    const {
+      name,
+      description,
+      mongodbUrl,
+      databaseName,
+      timezone,
+      maxConnections = 5,
+      enforceSchema = true,
+      allowedCollections = [],
+      rateLimits = {}
+    } = settings;
+
+    // Get Redis service instance (dynamic)
+    const redisService = redisManager.getRedisService();
+
+    // Create subaccount first (without retellAccountId initially)
+    const subaccount = new Subaccount({
+      name,
+      description,
+      mongodbUrl, // Will be stored by pre-save middleware
+      databaseName,
+      timezone: timezone || 'UTC',
+      maxConnections: Math.min(maxConnections, 20), // Cap at 20
+      enforceSchema,
+      allowedCollections,
+      createdBy: userId,
+      rateLimits: {
+        queriesPerMinute: rateLimits.queriesPerMinute || 100,
+        queriesPerHour: rateLimits.queriesPerHour || 1000,
+        queriesPerDay: rateLimits.queriesPerDay || 10000
+      }
+    });
+
+    await subaccount.save();
+    console.log('[DEBUG] Subaccount saved with ID:', subaccount._id);
+
+    // Create user-subaccount relationship with owner permissions
+    const userSubaccount = new UserSubaccount({
+      userId,
+      subaccountId: subaccount._id,
+      role: 'owner',
+      permissions: {
+        read: true,
+        write: true,
+        delete: true,
+        admin: true
+      },
+      invitedBy: userId,
+      invitedAt: new Date(),
+      acceptedAt: new Date()
+    });
+
+    await userSubaccount.save();
+    console.log('[DEBUG] UserSubaccount relationship created');
+
+    // Update user subaccount count
+    await User.findByIdAndUpdate(
+      userId,
+      { $inc: { subaccountCount: 1 } }
+    );
+    console.log('[DEBUG] User subaccount count updated');
+
+    // Members and connectors carried over by cloning
+    await SubaccountController.addProvisionedMembers(subaccount, userId, options.members || []);
+    await SubaccountController.activateProvisionedConnectors(subaccount, userId, options.connectors || []);
+
+    const result = { subaccount, userSubaccount };
+
+    // Invalidate caches
+    if (redisService && redisService.isConnected) {
+      try {
+        Logger.info('Starting cache invalidation after subaccount creation', {
+          userId,
+          subaccountId: subaccount._id.toString(),
+          redisConnected: redisService.isConnected
+        });
+        
+        // Invalidate ALL user subaccount caches (most aggressive approach)
+        // This ensures all users (including global admins) see the new subaccount immediately
+        const allKeysDeleted = await redisService.invalidateAllUserSubaccounts();
+        Logger.info('Invalidated all user subaccount caches', { 
+          keysDeleted: allKeysDeleted,
+          userId,
+          subaccountId: subaccount._id.toString()
+        });
+        
+        // Also invalidate the specific subaccount cache
+        const subaccountInvalidation = await redisService.invalidateSubaccount(subaccount._id.toString());
+        Logger.info('Invalidated subaccount cache', { 
+          subaccountId: subaccount._id.toString(), 
+          result: subaccountInvalidation,
+          userId
+        });
+        
+        // Invalidate subaccount users cache for the new subaccount
+        const usersKeysDeleted = await redisService.invalidateSubaccountUsers(subaccount._id.toString());
+        Logger.info('Invalidated subaccount users cache', { 
+          subaccountId: subaccount._id.toString(), 
+          keysDeleted: usersKeysDeleted,
+          userId
+        });
+        
+        // Also directly invalidate the creator's cache as a fallback
+        const creatorKeysDeleted = await redisService.invalidateUserSubaccounts(userId);
+        Logger.info('Invalidated creator cache as fallback', { 
+          userId,
+          keysDeleted: creatorKeysDeleted
+        });
+        
+        Logger.info('All caches invalidated after subaccount creation', {
+          userId,
+          subaccountId: subaccount._id.toString(),
+          allUserSubaccountKeysDeleted: allKeysDeleted,
+          subaccountKeysDeleted: subaccountInvalidation?.globalAdminKeys || 0,
+          usersKeysDeleted,
+          creatorKeysDeleted
+        });
+      } catch (cacheError) {
+        Logger.error('Failed to invalidate cache', { 
+          error: cacheError.message,
+          stack: cacheError.stack,
+          userId,
+          subaccountId: subaccount._id.toString()
+        });
+      }
+    } else {
+      Logger.warn('Redis not connected, skipping cache invalidation', {
+        hasRedisService: !!redisService,
+        isConnected: redisService ? redisService.isConnected : false,
+        userId,
+        subaccountId: subaccount._id.toString()
+      });
+    }
+
+    // Retell account, default calendar and Twilio bundle; failed steps are retried in the background
+    result.provisioning = await subaccountProvisioningService.start(subaccount);
+
+    return result;
+  }
+
+  // Add members with their role (permissions follow from the role) to a provisioned subaccount
+  static async addProvisionedMembers(subaccount, ownerId, members) {
+    const seen = new Set([ownerId.toString()]);
+
+    for (const member of members) {
+      const memberId = member.userId.toString();
+      if (seen.has(memberId) || seen.size >= config.security.maxUsersPerSubaccount) {
+        continue;
+      }
+      seen.add(memberId);
+
+      const user = await User.findById(memberId).select('isActive');
+      if (!user || !user.isActive) {
+        Logger.warn('Skipping inactive or missing member while provisioning subaccount', {
+          subaccountId: subaccount._id.toString(),
+          memberId
+        });
+        continue;
+      }
+
+      await new UserSubaccount({
+        userId: memberId,
+        subaccountId: subaccount._id,
+        role: member.role,
+        invitedBy: ownerId,
+        invitedAt: new Date(),
+        acceptedAt: new Date()
+      }).save();
+
+      await User.findByIdAndUpdate(memberId, { $inc: { subaccountCount: 1 } });
+    }
+  }
+
+  // Activate connectors on a provisioned subaccount, skipping missing or inactive ones
+  static async activateProvisionedConnectors(subaccount, userId, connectors) {
+    for (const entry of connectors) {
+      const connector = await Connector.findById(entry.connectorId);
+      if (!connector || !connector.isActive) {
+        Logger.warn('Skipping unavailable connector while provisioning subaccount', {
+          subaccountId: subaccount._id.toString(),
+          connectorId: entry.connectorId?.toString()
+        });
+        continue;
+      }
+
+      await subaccount.activateConnector(connector._id, entry.config || {}, userId);
+      if (entry.isActive === false) {
+        await subaccount.deactivateConnector(connector._id);
+      }
+    }
+  }
+
+  // Sanitized response for a newly provisioned subaccount
+  static formatProvisionedSubaccount(result) {
+    return {
+      id: result.subaccount._id,
+      name: result.subaccount.name,
+      description: result.subaccount.description,
+      databaseName: result.subaccount.databaseName,
+      timezone: result.subaccount.timezone,
+      isActive: result.subaccount.isActive,
+      maxConnections: result.subaccount.maxConnections,
+      enforceSchema: result.subaccount.enforceSchema,
+      allowedCollections: result.subaccount.allowedCollections,
+      rateLimits: result.subaccount.rateLimits,
+      createdAt: result.subaccount.createdAt,
+      role: result.userSubaccount.role,
+      permissions: result.userSubaccount.permissions,
+      provisioning: result.provisioning
+    };
+  }
+
   // Update subaccount
   static async updateSubaccount(req, res, next) {
     try {
@@ -976,7 +1044,8 @@ static async getUserSubaccounts(req, res, next) {
       // Filter allowed updates
       const allowedUpdates = [
         'name', 'description', 'maxConnections', 'enforceSchema',
-        'allowedCollections', 'rateLimits', 'maintenanceMode', 'maintenanceMessage', 'timezone'
+        'allowedCollections', 'rateLimits', 'maintenanceMode', 'maintenanceMessage', 'timezone',
+        'auditRetention'
       ];
       
       const filteredUpdates = {};
@@ -991,6 +1060,10 @@ static async getUserSubaccounts(req, res, next) {
         filteredUpdates.maxConnections = Math.min(filteredUpdates.maxConnections, 20);
       }
 
+      // Previous state for the audit trail
+      const previous = await Subaccount.findById(subaccountId)
+        .select('-mongodbUrl -encryptionIV -encryptionAuthTag');
+
       // Update subaccount
       const subaccount = await Subaccount.findByIdAndUpdate(
         subaccountId,
@@ -1019,7 +1092,9 @@ static async getUserSubaccounts(req, res, next) {
           await Promise.all([
             redisService.invalidateSubaccount(subaccountId),
             redisService.invalidateSubaccountUsers(subaccountId),
-            redisService.invalidateUserSubaccounts(userId)
+            redisService.invalidateUserSubaccounts(userId),
+            // Cached authorization decisions depend on isActive and maintenanceMode
+            redisService.invalidateSubaccountPermissions(subaccountId)
           ]);
         } catch (cacheError) {
           Logger.warn('Failed to invalidate cache', { error: cacheError.message });
@@ -1032,6 +1107,8 @@ static async getUserSubaccounts(req, res, next) {
         updatedFields: Object.keys(filteredUpdates)
       });
 
+      res.locals.audit = { before: previous, after: subaccount };
+
       res.json({
         success: true,
         message: 'Subaccount updated successfully',
@@ -1060,9 +1137,6 @@ static async getUserSubaccounts(req, res, next) {
         subaccountId
       });
 
-      // Get Redis service instance (dynamic)
-      const redisService = redisManager.getRedisService();
-
       // Check if user is a global admin or super_admin (they have access to all subaccounts)
       const isGlobalAdmin = req.user && (req.user.role === 'admin' || req.user.role === 'super_admin');
 
@@ -1085,10 +1159,9 @@ static async getUserSubaccounts(req, res, next) {
         }
       }
 
-      // Get subaccount with encrypted fields before deletion (needed for database deletion)
       const subaccount = await Subaccount.findById(subaccountId)
-        .select('+mongodbUrl +encryptionIV +encryptionAuthTag databaseName');
-      
+        .select('name databaseName pendingDeletion deletion');
+
       if (!subaccount) {
         return res.status(404).json({
           success: false,
@@ -1097,396 +1170,865 @@ static async getUserSubaccounts(req, res, next) {
         });
       }
 
-      // Delete the MongoDB database associated with this subaccount
-      let dbConnection = null;
-      try {
-        const decryptedUrl = subaccount.getDecryptedUrl();
-        const databaseName = subaccount.databaseName;
-        
-        Logger.info('Deleting MongoDB database for subaccount', {
+      // Only one deletion job per subaccount at a time
+      const existingJob = await DeletionJob.findActiveJob(subaccountId);
+
+      // The confirmation token from GET /:subaccountId/deletion-preview pins what gets deleted
+      const confirmationToken = req.body?.confirmationToken || req.query.confirmationToken;
+      if (!existingJob && (confirmationToken || config.deletion.requireConfirmation)) {
+        if (!confirmationToken) {
+          return res.status(400).json({
+            success: false,
+            message: 'Deletion requires a confirmation token from the deletion preview',
+            code: 'CONFIRMATION_REQUIRED'
+          });
+        }
+
+        const confirmation = await subaccountDeletionService.verifyConfirmationToken(confirmationToken, subaccountId);
+        if (!confirmation.valid) {
+          const conflict = ['DELETION_PREVIEW_CHANGED', 'DELETION_PREVIEW_INCOMPLETE'].includes(confirmation.code);
+          return res.status(conflict ? 409 : 400).json({
+            success: false,
+            message: confirmation.message,
+            code: confirmation.code,
+            data: confirmation.preview
+          });
+        }
+      }
+      if (existingJob && existingJob.status === 'failed') {
+        return res.status(409).json({
+          success: false,
+          message: 'A previous deletion of this subaccount failed. Retry it instead of starting a new one',
+          code: 'DELETION_FAILED',
+          data: existingJob.toSummary()
+        });
+      }
+
+      if (existingJob) {
+        res.locals.audit = false;
+        return res.status(202).json({
+          success: true,
+          message: 'Subaccount deletion already in progress',
+          data: existingJob.toSummary()
+        });
+      }
+
+      if (subaccount.pendingDeletion) {
+        res.locals.audit = false;
+        return res.status(202).json({
+          success: true,
+          message: 'Subaccount is already scheduled for deletion',
+          data: {
+            pendingDeletion: true,
+            scheduledFor: subaccount.deletion?.scheduledFor
+          }
+        });
+      }
+
+      const result = await subaccountDeletionService.scheduleDeletion(subaccount, userId);
+
+      res.locals.audit = {
+        metadata: { name: subaccount.name, databaseName: subaccount.databaseName, scheduledFor: result.scheduledFor }
+      };
+
+      if (result.scheduledFor) {
+        return res.status(202).json({
+          success: true,
+          message: 'Subaccount scheduled for deletion. It can be restored until the grace period ends',
+          data: {
+            pendingDeletion: true,
+            scheduledFor: result.scheduledFor
+          }
+        });
+      }
+
+      // Steps run in the background; progress is available via GET /:subaccountId/deletion
+      const job = result.job || await DeletionJob.findActiveJob(subaccountId);
+
+      res.status(202).json({
+        success: true,
+        message: 'Subaccount deletion started',
+        data: job.toSummary()
+      });
+
+    } catch (error) {
+      Logger.error('Failed to delete subaccount', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+      next(error);
+    }
+  }
+
+  // Restore a subaccount that is pending deletion
+  static async restoreSubaccount(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user?.id;
+
+      Logger.audit('Restore subaccount', 'subaccount', {
+        userId,
+        subaccountId
+      });
+
+      // Access middleware rejects pending subaccounts, so check the membership here
+      const isGlobalAdmin = req.user && (req.user.role === 'admin' || req.user.role === 'super_admin');
+
+      if (!isGlobalAdmin) {
+        const userSubaccount = userId && await UserSubaccount.findOne({
+          userId,
           subaccountId,
-          databaseName,
-          maskedUrl: SubaccountController.maskConnectionString(decryptedUrl)
+          role: { $in: ['owner', 'admin'] },
+          isActive: true
+        });
+
+        if (!userSubaccount) {
+          return res.status(403).json({
+            success: false,
+            message: 'Only subaccount owner or admin can restore subaccount',
+            code: 'INSUFFICIENT_PERMISSIONS'
+          });
+        }
+      }
+
+      const subaccount = await Subaccount.findById(subaccountId);
+
+      if (!subaccount) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subaccount not found',
+          code: 'SUBACCOUNT_NOT_FOUND'
+        });
+      }
+
+      if (subaccount.deletion?.jobId) {
+        return res.status(409).json({
+          success: false,
+          message: 'Subaccount deletion has already started and cannot be undone',
+          code: 'DELETION_IN_PROGRESS'
         });
+      }
+
+      if (!subaccount.pendingDeletion) {
+        return res.status(400).json({
+          success: false,
+          message: 'Subaccount is not pending deletion',
+          code: 'NOT_PENDING_DELETION'
+        });
+      }
+
+      const restored = await subaccountDeletionService.restoreSubaccount(subaccountId, userId);
+
+      // The reaper claimed the subaccount (or another request restored it) since it was read
+      if (!restored) {
+        return res.status(409).json({
+          success: false,
+          message: 'Subaccount is no longer pending deletion or its deletion has already started',
+          code: 'RESTORE_CONFLICT'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Subaccount restored successfully',
+        data: {
+          id: restored._id,
+          name: restored.name,
+          isActive: restored.isActive,
+          pendingDeletion: restored.pendingDeletion
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to restore subaccount', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+      next(error);
+    }
+  }
+
+  // Preview what deleting a subaccount would destroy (no changes are made)
+  static async getDeletionPreview(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+
+      Logger.audit('Preview subaccount deletion', 'subaccount', {
+        userId: req.user?.id,
+        subaccountId
+      });
+
+      const preview = await subaccountDeletionService.buildPreview(subaccountId);
+
+      if (!preview) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subaccount not found',
+          code: 'SUBACCOUNT_NOT_FOUND'
+        });
+      }
+
+      if (preview.errors.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Some resources could not be listed, no confirmation token was issued',
+          code: 'DELETION_PREVIEW_INCOMPLETE',
+          data: preview
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Deletion preview generated successfully',
+        data: preview
+      });
+
+    } catch (error) {
+      Logger.error('Failed to generate subaccount deletion preview', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+      next(error);
+    }
+  }
+
+  // Get the status of the latest deletion job of a subaccount
+  static async getDeletionStatus(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+
+      Logger.audit('Get subaccount deletion status', 'subaccount', {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId
+      });
+
+      const job = await DeletionJob.findOne({ subaccountId }).sort({ createdAt: -1 });
+
+      if (!job) {
+        // Still in the grace period: no job exists until the reaper starts it
+        const subaccount = await Subaccount.findById(subaccountId).select('pendingDeletion deletion');
+        if (subaccount?.pendingDeletion && await SubaccountController.canAccessDeletionJob(req, {
+          subaccountId,
+          requestedBy: subaccount.deletion?.requestedBy
+        })) {
+          return res.json({
+            success: true,
+            message: 'Deletion status retrieved successfully',
+            data: {
+              subaccountId,
+              status: 'scheduled',
+              pendingDeletion: true,
+              requestedAt: subaccount.deletion?.requestedAt,
+              scheduledFor: subaccount.deletion?.scheduledFor
+            }
+          });
+        }
+      }
+
+      if (!job || !(await SubaccountController.canAccessDeletionJob(req, job))) {
+        return res.status(404).json({
+          success: false,
+          message: 'No deletion found for this subaccount',
+          code: 'DELETION_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Deletion status retrieved successfully',
+        data: job.toSummary()
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get subaccount deletion status', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+      next(error);
+    }
+  }
+
+  // Retry the failed steps of a subaccount deletion
+  static async retryDeletion(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+      const skipFailed = req.body?.skipFailed === true;
+
+      Logger.audit('Retry subaccount deletion', 'subaccount', {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId,
+        skipFailed
+      });
+
+      const job = await DeletionJob.findActiveJob(subaccountId);
+
+      if (!job || !(await SubaccountController.canAccessDeletionJob(req, job))) {
+        return res.status(404).json({
+          success: false,
+          message: 'No deletion found for this subaccount',
+          code: 'DELETION_NOT_FOUND'
+        });
+      }
+
+      if (job.status !== 'failed') {
+        return res.status(409).json({
+          success: false,
+          message: 'Only failed deletions can be retried',
+          code: 'DELETION_NOT_FAILED',
+          data: job.toSummary()
+        });
+      }
+
+      await subaccountDeletionService.retryJob(job, { skipFailed });
+
+      res.locals.audit = { metadata: { jobId: job._id.toString(), skipFailed } };
+
+      res.status(202).json({
+        success: true,
+        message: skipFailed ? 'Subaccount deletion resumed, failed steps skipped' : 'Subaccount deletion retry started',
+        data: job.toSummary()
+      });
+
+    } catch (error) {
+      Logger.error('Failed to retry subaccount deletion', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+      next(error);
+    }
+  }
+
+  // Get the provisioning state of a subaccount (Retell account, calendar, Twilio bundle)
+  static async getProvisioningStatus(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+
+      Logger.audit('Get subaccount provisioning status', 'subaccount', {
+        userId: req.user.id,
+        subaccountId
+      });
+
+      const subaccount = await Subaccount.findById(subaccountId).select('provisioning');
+
+      if (!subaccount) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subaccount not found',
+          code: 'SUBACCOUNT_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Provisioning status retrieved successfully',
+        data: subaccountProvisioningService.formatStatus(subaccount)
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get subaccount provisioning status', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+      next(error);
+    }
+  }
+
+  // Re-run failed provisioning steps, or the steps listed in the body
+  static async retryProvisioning(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+      const steps = req.body?.steps;
+
+      Logger.audit('Retry subaccount provisioning', 'subaccount', {
+        userId: req.user.id,
+        subaccountId,
+        steps
+      });
+
+      if (steps !== undefined && (!Array.isArray(steps) || steps.length === 0 ||
+        steps.some(step => !Subaccount.PROVISIONING_STEPS.includes(step)))) {
+        return res.status(400).json({
+          success: false,
+          message: `steps must be a non-empty list of: ${Subaccount.PROVISIONING_STEPS.join(', ')}`,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const subaccount = await Subaccount.findById(subaccountId).select('provisioning pendingDeletion');
+
+      if (!subaccount || subaccount.pendingDeletion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subaccount not found',
+          code: 'SUBACCOUNT_NOT_FOUND'
+        });
+      }
+
+      // Subaccounts created before provisioning was tracked get the steps that were asked for
+      if (!subaccount.provisioning?.steps?.length) {
+        if (!steps) {
+          return res.status(409).json({
+            success: false,
+            message: 'No provisioning recorded for this subaccount; list the steps to run',
+            code: 'PROVISIONING_NOT_FOUND'
+          });
+        }
+
+        const provisioning = await subaccountProvisioningService.start(subaccount, { steps });
+        res.locals.audit = { metadata: { steps } };
+        return res.json({
+          success: true,
+          message: 'Provisioning steps executed',
+          data: provisioning
+        });
+      }
+
+      const retryable = steps || subaccount.provisioning.steps
+        .filter(step => step.status === 'failed')
+        .map(step => step.name);
+
+      if (retryable.length === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'No failed provisioning steps to retry',
+          code: 'PROVISIONING_NOT_FAILED',
+          data: subaccountProvisioningService.formatStatus(subaccount)
+        });
+      }
+
+      const provisioning = await subaccountProvisioningService.retry(subaccount, { steps: retryable });
+      res.locals.audit = { metadata: { steps: retryable } };
+
+      if (!provisioning) {
+        return res.status(409).json({
+          success: false,
+          message: 'Provisioning is already running for this subaccount',
+          code: 'PROVISIONING_IN_PROGRESS',
+          data: subaccountProvisioningService.formatStatus(subaccount)
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Provisioning steps executed',
+        data: provisioning
+      });
+
+    } catch (error) {
+      Logger.error('Failed to retry subaccount provisioning', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+      next(error);
+    }
+  }
+
+  // Start handing the subaccount to another user (the new owner has to confirm)
+  static async requestOwnershipTransfer(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+      const { newOwnerId, email } = req.body;
+      const userId = req.user?.id;
+
+      Logger.audit('Request subaccount ownership transfer', 'subaccount', {
+        userId,
+        subaccountId,
+        newOwnerId,
+        email
+      });
+
+      // Only the current owner (or a global admin) can give the subaccount away
+      const isGlobalAdmin = req.user && (req.user.role === 'admin' || req.user.role === 'super_admin');
+
+      if (!isGlobalAdmin) {
+        const ownership = userId && await UserSubaccount.exists({
+          userId,
+          subaccountId,
+          role: 'owner',
+          isActive: true
+        });
+
+        if (!ownership) {
+          return res.status(403).json({
+            success: false,
+            message: 'Only the subaccount owner can transfer ownership',
+            code: 'INSUFFICIENT_PERMISSIONS'
+          });
+        }
+      }
+
+      const subaccount = await Subaccount.findOne({ _id: subaccountId, isActive: true });
+      if (!subaccount) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subaccount not found or inactive',
+          code: 'SUBACCOUNT_NOT_FOUND'
+        });
+      }
+
+      const newOwner = await User.findOne(newOwnerId ? { _id: newOwnerId } : { email }).select('email firstName lastName isActive');
+      if (!newOwner || !newOwner.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'New owner not found or inactive',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      if (subaccount.createdBy.toString() === newOwner._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'User already owns this subaccount',
+          code: 'ALREADY_OWNER'
+        });
+      }
+
+      // The new owner becomes a member on confirmation, so there has to be room for one
+      const isMember = await UserSubaccount.exists({ userId: newOwner._id, subaccountId, isActive: true });
+      if (!isMember && await invitationService.getRemainingCapacity(subaccountId) <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Maximum ${config.security.maxUsersPerSubaccount} users allowed per subaccount`,
+          code: 'USER_LIMIT_EXCEEDED'
+        });
+      }
+
+      const transfer = await ownershipTransferService.request(subaccount, newOwner, userId);
+
+      res.locals.audit = {
+        before: { ownershipTransfer: subaccount.ownershipTransfer },
+        after: { ownershipTransfer: transfer },
+        metadata: { currentOwnerId: subaccount.createdBy.toString(), newOwnerEmail: newOwner.email }
+      };
+
+      res.status(202).json({
+        success: true,
+        message: 'Ownership transfer requested; the new owner has to confirm it',
+        data: {
+          subaccountId: subaccount._id,
+          newOwner: {
+            id: newOwner._id,
+            email: newOwner.email,
+            firstName: newOwner.firstName,
+            lastName: newOwner.lastName
+          },
+          requestedBy: transfer.requestedBy,
+          requestedAt: transfer.requestedAt,
+          expiresAt: transfer.expiresAt
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to request ownership transfer', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+
+      if (error.code === 'SUBACCOUNT_PENDING_DELETION') {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Get the pending ownership transfer (owner, admins and the new owner)
+  static async getOwnershipTransfer(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user?.id;
+
+      Logger.audit('Get subaccount ownership transfer', 'subaccount', {
+        userId,
+        subaccountId
+      });
+
+      const subaccount = await Subaccount.findById(subaccountId)
+        .select('name createdBy ownershipTransfer')
+        .populate('ownershipTransfer.toUserId', 'email firstName lastName');
+
+      const transfer = subaccount?.ownershipTransfer?.toUserId ? subaccount.ownershipTransfer : null;
+      const isNewOwner = transfer && userId && transfer.toUserId._id.toString() === userId;
+      const canView = isNewOwner || await SubaccountController.isOwnerOrAdmin(req, subaccountId);
+
+      if (!subaccount || !canView) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subaccount not found',
+          code: 'SUBACCOUNT_NOT_FOUND'
+        });
+      }
+
+      if (!transfer) {
+        return res.status(404).json({
+          success: false,
+          message: 'No pending ownership transfer',
+          code: 'TRANSFER_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Ownership transfer retrieved successfully',
+        data: {
+          subaccount: {
+            id: subaccount._id,
+            name: subaccount.name,
+            createdBy: subaccount.createdBy
+          },
+          newOwner: transfer.toUserId,
+          requestedBy: transfer.requestedBy,
+          requestedAt: transfer.requestedAt,
+          expiresAt: transfer.expiresAt,
+          expired: transfer.expiresAt <= new Date()
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get ownership transfer', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+      next(error);
+    }
+  }
+
+  // Accept a pending ownership transfer as the new owner
+  static async confirmOwnershipTransfer(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user?.id;
+
+      Logger.audit('Confirm subaccount ownership transfer', 'subaccount', {
+        userId,
+        subaccountId
+      });
+
+      if (!userId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Ownership transfers can only be confirmed by the new owner',
+          code: 'USER_AUTH_REQUIRED'
+        });
+      }
+
+      const subaccount = await Subaccount.findById(subaccountId).select('ownershipTransfer createdBy');
+      const transfer = subaccount?.ownershipTransfer;
+
+      if (!transfer?.toUserId || transfer.toUserId.toString() !== userId) {
+        return res.status(404).json({
+          success: false,
+          message: 'No pending ownership transfer to you',
+          code: 'TRANSFER_NOT_FOUND'
+        });
+      }
+
+      if (transfer.expiresAt <= new Date()) {
+        return res.status(410).json({
+          success: false,
+          message: 'Ownership transfer has expired. Ask the owner to request it again.',
+          code: 'TRANSFER_EXPIRED'
+        });
+      }
+
+      const { previousOwnerIds, membership } = await ownershipTransferService.confirm(subaccountId, userId);
+
+      res.locals.audit = {
+        before: { createdBy: subaccount.createdBy, ownershipTransfer: transfer },
+        after: { createdBy: userId },
+        metadata: { downgradedOwners: previousOwnerIds }
+      };
+
+      res.json({
+        success: true,
+        message: 'Ownership transferred successfully',
+        data: {
+          subaccountId,
+          owner: userId,
+          // Previous owners keep access with the admin role
+          downgradedOwners: previousOwnerIds,
+          membership: {
+            id: membership._id,
+            role: membership.role,
+            permissions: membership.permissions
+          }
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to confirm ownership transfer', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+
+      if (error.code === 'TRANSFER_NOT_FOUND') {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Cancel a pending transfer (owner or global admin) or decline it (new owner)
+  static async cancelOwnershipTransfer(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user?.id;
+
+      Logger.audit('Cancel subaccount ownership transfer', 'subaccount', {
+        userId,
+        subaccountId
+      });
 
-        // Create a connection to the subaccount's MongoDB instance
-        // Ensure we connect to the specific database by including it in the connection options
-        dbConnection = await mongoose.createConnection(decryptedUrl, {
-          dbName: databaseName, // Explicitly specify the database name
-          serverSelectionTimeoutMS: 10000,
-          connectTimeoutMS: 10000,
-          maxPoolSize: 1,
-          minPoolSize: 0
-        });
+      const subaccount = await Subaccount.findById(subaccountId).select('ownershipTransfer');
+      const transfer = subaccount?.ownershipTransfer;
+      const isNewOwner = transfer?.toUserId && userId && transfer.toUserId.toString() === userId;
 
-        // Wait for connection to be ready
-        await new Promise((resolve, reject) => {
-          dbConnection.once('connected', resolve);
-          dbConnection.once('error', reject);
-          setTimeout(() => reject(new Error('Connection timeout')), 10000);
+      if (!isNewOwner && !(await SubaccountController.isOwnerOrAdmin(req, subaccountId, ['owner']))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the owner or the new owner can cancel an ownership transfer',
+          code: 'INSUFFICIENT_PERMISSIONS'
         });
+      }
 
-        // Drop the database
-        // This will drop the database that the connection is currently using
-        const db = dbConnection.db;
-        await db.dropDatabase();
-        
-        Logger.debug('Database drop command executed', {
-          subaccountId,
-          databaseName,
-          dbName: db.databaseName
-        });
-        
-        Logger.info('MongoDB database deleted successfully', {
-          subaccountId,
-          databaseName
+      if (!(await ownershipTransferService.cancel(subaccountId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'No pending ownership transfer',
+          code: 'TRANSFER_NOT_FOUND'
         });
-      } catch (dbError) {
-        Logger.error('Failed to delete MongoDB database', {
-          error: dbError.message,
-          stack: dbError.stack,
-          subaccountId,
-          databaseName: subaccount.databaseName
-        });
-        // Continue with subaccount deletion even if database deletion fails
-      } finally {
-        // Close the database connection
-        if (dbConnection) {
-          try {
-            await dbConnection.close();
-          } catch (closeError) {
-            Logger.warn('Error closing database connection', {
-              error: closeError.message,
-              subaccountId
-            });
-          }
-        }
       }
 
-      // Delete Retell resources (agents, phone numbers, knowledge bases) but keep RetellAccount
-      try {
-        const retellAccount = await RetellAccount.findOne({ subaccountId })
-          .select('+apiKey +encryptionIV +encryptionAuthTag');
-        
-        if (retellAccount && retellAccount.isActive) {
-          Logger.info('Deleting Retell resources for subaccount', {
-            subaccountId,
-            retellAccountId: retellAccount._id
-          });
+      res.locals.audit = {
+        before: { ownershipTransfer: transfer },
+        after: {},
+        metadata: { declined: Boolean(isNewOwner) }
+      };
 
-          // Decrypt API key
-          const decryptedApiKey = retellAccount.getDecryptedApiKey();
-          
-          // Create Retell SDK client
-          const retellClient = new RetellSDK({
-            apiKey: decryptedApiKey
-          });
+      Logger.security(isNewOwner ? 'Subaccount ownership transfer declined' : 'Subaccount ownership transfer cancelled', 'medium', {
+        userId,
+        subaccountId,
+        toUserId: transfer.toUserId.toString()
+      });
 
-          // Delete all agents
-          try {
-            const agents = await retellClient.agent.list();
-            Logger.info('Found agents to delete', {
-              subaccountId,
-              agentCount: agents?.length || 0
-            });
-            
-            for (const agent of agents || []) {
-              try {
-                await retellClient.agent.delete(agent.agent_id);
-                Logger.debug('Deleted agent from Retell', {
-                  subaccountId,
-                  agentId: agent.agent_id,
-                  agentName: agent.agent_name
-                });
-              } catch (agentError) {
-                Logger.warn('Failed to delete agent from Retell', {
-                  subaccountId,
-                  agentId: agent.agent_id,
-                  error: agentError.message
-                });
-              }
-            }
-          } catch (agentsError) {
-            Logger.warn('Failed to list/delete agents from Retell', {
-              subaccountId,
-              error: agentsError.message
-            });
-          }
+      res.json({
+        success: true,
+        message: isNewOwner ? 'Ownership transfer declined' : 'Ownership transfer cancelled'
+      });
 
-          // STEP 1: Delete Twilio trunk FIRST (records phone numbers attached to it)
-          let phoneNumbersToRelease = [];
-          try {
-            Logger.info('Deleting Twilio trunk for subaccount', {
-              subaccountId
-            });
-            
-            const trunkDeletionResult = await databaseService.client.delete(
-              `/api/connectors/${subaccountId}/twilio-trunk`,
-              {
-                headers: {
-                  'X-Service-Token': databaseService.serviceToken,
-                  'X-Service-Name': config.server.serviceName
-                }
-              }
-            );
-            
-            if (trunkDeletionResult.data.success) {
-              phoneNumbersToRelease = trunkDeletionResult.data.data?.phoneNumbersToRelease || [];
-              Logger.info('Twilio trunk deleted successfully', {
-                subaccountId,
-                trunkSid: trunkDeletionResult.data.data?.trunkSid,
-                trunkDeleted: trunkDeletionResult.data.data?.trunkDeleted,
-                skipped: trunkDeletionResult.data.data?.skipped,
-                phoneNumbersRecorded: phoneNumbersToRelease.length,
-                phoneNumbers: phoneNumbersToRelease.map(n => n.phoneNumber)
-              });
-            } else {
-              Logger.warn('Twilio trunk deletion failed', {
-                subaccountId,
-                error: trunkDeletionResult.data.error,
-                message: trunkDeletionResult.data.message
-              });
-            }
-          } catch (trunkError) {
-            Logger.error('Failed to delete Twilio trunk', {
-              subaccountId,
-              error: trunkError.message,
-              response: trunkError.response?.data
-            });
-            // Continue with subaccount deletion even if trunk deletion fails
-          }
+    } catch (error) {
+      Logger.error('Failed to cancel ownership transfer', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+      next(error);
+    }
+  }
 
-          // STEP 2: Release phone numbers from Twilio (that were attached to the trunk)
-          if (phoneNumbersToRelease.length > 0) {
-            try {
-              Logger.info('Releasing phone numbers from Twilio', {
-                subaccountId,
-                phoneNumberCount: phoneNumbersToRelease.length,
-                phoneNumbers: phoneNumbersToRelease.map(n => n.phoneNumber)
-              });
-              
-              const releaseResult = await databaseService.client.post(
-                `/api/connectors/${subaccountId}/twilio/release-phone-numbers`,
-                { phoneNumbersToRelease },
-                {
-                  headers: {
-                    'X-Service-Token': databaseService.serviceToken,
-                    'X-Service-Name': config.server.serviceName
-                  }
-                }
-              );
-              
-              if (releaseResult.data.success) {
-                Logger.info('Phone numbers released from Twilio', {
-                  subaccountId,
-                  phoneNumbersReleased: releaseResult.data.data?.phoneNumbersReleased?.length || 0,
-                  phoneNumbersFailed: releaseResult.data.data?.phoneNumbersFailed?.length || 0,
-                  releasedNumbers: releaseResult.data.data?.phoneNumbersReleased || []
-                });
-              } else {
-                Logger.warn('Phone number release failed', {
-                  subaccountId,
-                  error: releaseResult.data.error,
-                  message: releaseResult.data.message
-                });
-              }
-            } catch (releaseError) {
-              Logger.error('Failed to release phone numbers from Twilio', {
-                subaccountId,
-                error: releaseError.message,
-                response: releaseError.response?.data
-              });
-              // Continue with subaccount deletion even if release fails
-            }
-          } else {
-            Logger.info('No phone numbers to release from Twilio', {
-              subaccountId
-            });
-          }
+  // Whether the caller is a global admin or has one of the given roles in the subaccount
+  static async isOwnerOrAdmin(req, subaccountId, roles = ['owner', 'admin']) {
+    if (!req.user) {
+      return false;
+    }
 
-          // STEP 3: Delete phone numbers from Retell
-          // Note: MongoDB cleanup is not needed as the database was already dropped
-          try {
-            const phoneNumbers = await retellClient.phoneNumber.list();
-            Logger.info('Found phone numbers to delete from Retell', {
-              subaccountId,
-              phoneNumberCount: phoneNumbers?.length || 0
-            });
-            
-            // Delete from Retell
-            for (const phoneNumber of phoneNumbers || []) {
-              try {
-                await retellClient.phoneNumber.delete(phoneNumber.phone_number_id);
-                Logger.info('Deleted phone number from Retell', {
-                  subaccountId,
-                  phoneNumber: phoneNumber.phone_number
-                });
-              } catch (phoneError) {
-                Logger.warn('Failed to delete phone number from Retell', {
-                  subaccountId,
-                  phoneNumber: phoneNumber.phone_number,
-                  error: phoneError.message
-                });
-              }
-            }
-          } catch (phoneNumbersError) {
-            Logger.warn('Failed to list/delete phone numbers from Retell', {
-              subaccountId,
-              error: phoneNumbersError.message
-            });
-          }
+    if (req.user.role === 'admin' || req.user.role === 'super_admin') {
+      return true;
+    }
 
-          // Delete all knowledge bases
-          try {
-            const knowledgeBases = await retellClient.knowledgeBase.list();
-            Logger.info('Found knowledge bases to delete', {
-              subaccountId,
-              knowledgeBaseCount: knowledgeBases?.length || 0
-            });
-            
-            for (const kb of knowledgeBases || []) {
-              try {
-                await retellClient.knowledgeBase.delete(kb.knowledge_base_id);
-                Logger.debug('Deleted knowledge base from Retell', {
-                  subaccountId,
-                  knowledgeBaseId: kb.knowledge_base_id,
-                  knowledgeBaseName: kb.knowledge_base_name
-                });
-              } catch (kbError) {
-                Logger.warn('Failed to delete knowledge base from Retell', {
-                  subaccountId,
-                  knowledgeBaseId: kb.knowledge_base_id,
-                  error: kbError.message
-                });
-              }
-            }
-          } catch (kbError) {
-            Logger.warn('Failed to list/delete knowledge bases from Retell', {
-              subaccountId,
-              error: kbError.message
-            });
-          }
+    return !!(await UserSubaccount.exists({
+      userId: req.user.id,
+      subaccountId,
+      role: { $in: roles },
+      isActive: true
+    }));
+  }
 
-          // Delete all call logs
-          try {
-            // List all calls with maximum limit (Retell API supports up to 1000 per request)
-            const calls = await retellClient.call.list({ limit: 1000 });
-            const callList = Array.isArray(calls) ? calls : [];
-            
-            Logger.info('Found call logs to delete', {
-              subaccountId,
-              callCount: callList.length
-            });
-            
-            // Delete each call log
-            for (const call of callList) {
-              try {
-                await retellClient.call.delete(call.call_id);
-                Logger.debug('Deleted call log from Retell', {
-                  subaccountId,
-                  callId: call.call_id,
-                  agentId: call.agent_id
-                });
-              } catch (callError) {
-                Logger.warn('Failed to delete call log from Retell', {
-                  subaccountId,
-                  callId: call.call_id,
-                  error: callError.message
-                });
-              }
-            }
-            
-            // Note: If there are more than 1000 calls, we'd need pagination
-            // For now, this handles the common case. If needed, pagination can be added later.
-            if (callList.length === 1000) {
-              Logger.warn('Reached call log limit (1000), there may be more calls to delete', {
-                subaccountId
-              });
-            }
-          } catch (callsError) {
-            Logger.warn('Failed to list/delete call logs from Retell', {
-              subaccountId,
-              error: callsError.message
-            });
-          }
+  // Get query quota limits and current usage for a subaccount and user
+  static async getQuota(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+      const ownUserId = req.user?.id || req.serviceUserId;
+      const userId = req.query.userId || ownUserId;
 
-          Logger.info('Retell resources deletion completed', {
-            subaccountId,
-            retellAccountId: retellAccount._id
-          });
-        } else {
-          Logger.debug('No active RetellAccount found, skipping Retell resource deletion', {
-            subaccountId,
-            hasRetellAccount: !!retellAccount,
-            isActive: retellAccount?.isActive
-          });
-        }
-      } catch (retellError) {
-        Logger.error('Failed to delete Retell resources', {
-          error: retellError.message,
-          stack: retellError.stack,
-          subaccountId
+      Logger.audit('Get subaccount quota', 'subaccount', {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId,
+        quotaUserId: userId
+      });
+
+      // Usage of other members is only visible to subaccount admins and services
+      if (userId !== ownUserId && !req.subaccount?.permissions?.admin) {
+        return res.status(403).json({
+          success: false,
+          message: 'Admin permission required to view the quota of other users',
+          code: 'INSUFFICIENT_PERMISSIONS'
         });
-        // Continue with subaccount deletion even if Retell deletion fails
       }
 
-      // Use transaction for atomic operation
-      let affectedUserIds = [];
-      await Database.withTransaction(async (session) => {
-        // Get all users associated with this subaccount before deletion (for updating counts)
-        const allUserSubaccounts = await UserSubaccount.find({ subaccountId }).session(session);
-        affectedUserIds = [...new Set(allUserSubaccounts.map(us => us.userId.toString()))];
-
-        // Note: RetellAccount is NOT deleted - it's kept for potential reuse
-
-        // Hard delete all user-subaccount relationships
-        await UserSubaccount.deleteMany({ subaccountId }).session(session);
-
-        // Hard delete subaccount
-        await Subaccount.findByIdAndDelete(subaccountId).session(session);
+      if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user ID format',
+          code: 'INVALID_ID_FORMAT'
+        });
+      }
 
-        // Update subaccount count for all affected users
-        for (const affectedUserId of affectedUserIds) {
-          const activeSubaccountCount = await UserSubaccount.countDocuments({
-            userId: affectedUserId,
-            isActive: true
-          }).session(session);
-          
-          await User.findByIdAndUpdate(
-            affectedUserId,
-            { subaccountCount: activeSubaccountCount }
-          ).session(session);
-        }
-      });
+      const usage = await quotaService.getUsage(subaccountId, userId);
 
-      // Invalidate all related caches
-      if (redisService && redisService.isConnected) {
-        try {
-          // Invalidate caches for all affected users
-          await Promise.all([
-            redisService.invalidateSubaccount(subaccountId),
-            redisService.invalidateSubaccountUsers(subaccountId),
-            ...affectedUserIds.map(userId => redisService.invalidateUserSubaccounts(userId))
-          ]);
-        } catch (cacheError) {
-          Logger.warn('Failed to invalidate cache', { error: cacheError.message });
-        }
+      if (!usage) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subaccount not found',
+          code: 'SUBACCOUNT_NOT_FOUND'
+        });
       }
 
-      Logger.security('Subaccount deleted', 'high', {
-        userId,
-        subaccountId,
-        action: 'hard_delete',
-        affectedUsers: affectedUserIds.length
-      });
-
       res.json({
         success: true,
-        message: 'Subaccount deleted successfully'
+        message: 'Quota retrieved successfully',
+        data: {
+          subaccountId,
+          userId: userId || null,
+          ...usage
+        }
       });
 
     } catch (error) {
-      Logger.error('Failed to delete subaccount', {
+      Logger.error('Failed to get subaccount quota', {
         error: error.message,
         stack: error.stack,
         userId: req.user?.id,
@@ -1496,6 +2038,35 @@ static async getUserSubaccounts(req, res, next) {
     }
   }
 
+  // Helper: deletion jobs outlive the subaccount and its memberships, so access
+  // is granted to global admins, services, the requester, or remaining subaccount admins
+  static async canAccessDeletionJob(req, job) {
+    if (req.service) {
+      return true;
+    }
+
+    if (!req.user) {
+      return false;
+    }
+
+    if (req.user.role === 'admin' || req.user.role === 'super_admin') {
+      return true;
+    }
+
+    if (job.requestedBy && job.requestedBy.toString() === req.user.id.toString()) {
+      return true;
+    }
+
+    const userSubaccount = await UserSubaccount.findOne({
+      userId: req.user.id,
+      subaccountId: job.subaccountId,
+      role: { $in: ['owner', 'admin'] },
+      isActive: true
+    });
+
+    return !!userSubaccount;
+  }
+
   // Test subaccount connection
   static async testConnection(req, res, next) {
     try {
@@ -1631,6 +2202,8 @@ static async getUserSubaccounts(req, res, next) {
           authUrl: inviteResult.authUrl
         });
 
+        res.locals.audit = { metadata: { userEmail } };
+
         return res.status(200).json({
           success: true,
           message: inviteResult.message || 'Email invited successfully',
@@ -1738,6 +2311,214 @@ static async getUserSubaccounts(req, res, next) {
     }
   }
 
+  // Export subaccount as a versioned bundle (secrets only with a passphrase)
+  static async exportSubaccount(req, res, next) {
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user.id;
+      const includeSecrets = req.query.includeSecrets === 'true';
+      // Sent as a header so the passphrase does not end up in access logs
+      const passphrase = req.get('X-Bundle-Passphrase');
+
+      Logger.audit('Export subaccount', 'subaccount', {
+        userId,
+        subaccountId,
+        includeSecrets
+      });
+
+      if (includeSecrets && (!passphrase || passphrase.length < 12)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Exporting secrets requires an X-Bundle-Passphrase header of at least 12 characters',
+          code: 'PASSPHRASE_REQUIRED'
+        });
+      }
+
+      const bundle = await subaccountBundleService.exportBundle(subaccountId, {
+        passphrase: includeSecrets ? passphrase : null
+      });
+
+      if (!bundle) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subaccount not found',
+          code: 'SUBACCOUNT_NOT_FOUND'
+        });
+      }
+
+      if (includeSecrets) {
+        Logger.security('Subaccount secrets exported', 'high', {
+          userId,
+          subaccountId,
+          ip: req.ip
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Subaccount exported successfully',
+        data: bundle
+      });
+
+    } catch (error) {
+      Logger.error('Failed to export subaccount', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId
+      });
+      next(error);
+    }
+  }
+
+  // Import subaccount from an export bundle
+  static async importSubaccount(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { bundle, overrides } = req.body;
+      // Sent as a header, like on export, so the passphrase stays out of bodies and logs
+      const passphrase = req.get('X-Bundle-Passphrase');
+
+      Logger.audit('Import subaccount', 'subaccount', {
+        userId,
+        name: bundle.subaccount.name,
+        databaseName: bundle.subaccount.databaseName,
+        sourceSubaccountId: bundle.source?.subaccountId,
+        includesSecrets: !!bundle.secrets
+      });
+
+      if (bundle.secrets && (!passphrase || passphrase.length < 12)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Importing a bundle with secrets requires an X-Bundle-Passphrase header of at least 12 characters',
+          code: 'PASSPHRASE_REQUIRED'
+        });
+      }
+
+      let secrets = {};
+      if (bundle.secrets) {
+        try {
+          secrets = subaccountBundleService.openSecrets(bundle.secrets, passphrase);
+        } catch (secretsError) {
+          return res.status(400).json({
+            success: false,
+            message: secretsError.message,
+            code: 'INVALID_BUNDLE_SECRETS'
+          });
+        }
+      }
+
+      if (secrets.retellApiKey) {
+        const { error } = createRetellAccountSchema.validate({ apiKey: secrets.retellApiKey });
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid Retell API key in bundle: ${error.message}`,
+            code: 'VALIDATION_ERROR'
+          });
+        }
+      }
+
+      if (await SubaccountController.hasReachedSubaccountLimit(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: `Maximum ${config.security.maxSubaccountsPerUser} subaccounts allowed per user`,
+          code: 'SUBACCOUNT_LIMIT_EXCEEDED'
+        });
+      }
+
+      // Same MongoDB URL rules as createSubaccount; without one the URL is generated
+      let mongodbUrl = overrides.mongodbUrl || secrets.mongodbUrl;
+      if (!mongodbUrl) {
+        try {
+          mongodbUrl = SubaccountController.buildMongoUrlFromAdminConnection(bundle.subaccount.databaseName);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            message: 'The bundle has no MongoDB URL and it could not be generated. Provide overrides.mongodbUrl.',
+            code: 'MONGODB_URL_GENERATION_FAILED'
+          });
+        }
+      }
+
+      if (!SubaccountController.validateMongoUrl(mongodbUrl)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid MongoDB URL format',
+          code: 'INVALID_MONGODB_URL'
+        });
+      }
+
+      if (!SubaccountController.isHostAllowed(mongodbUrl)) {
+        Logger.security('Unauthorized MongoDB host', 'high', {
+          userId,
+          mongodbUrl: SubaccountController.maskConnectionString(mongodbUrl)
+        });
+
+        return res.status(403).json({
+          success: false,
+          message: 'MongoDB host not allowed',
+          code: 'HOST_NOT_ALLOWED'
+        });
+      }
+
+      const result = await subaccountBundleService.importBundle(bundle, { userId, mongodbUrl, secrets });
+
+      // New subaccount is visible to every imported member and to global admins
+      const redisService = redisManager.getRedisService();
+      if (redisService && redisService.isConnected) {
+        try {
+          await redisService.invalidateAllUserSubaccounts();
+        } catch (cacheError) {
+          Logger.warn('Failed to invalidate cache after subaccount import', {
+            error: cacheError.message,
+            subaccountId: result.subaccount._id.toString()
+          });
+        }
+      }
+
+      Logger.info('Subaccount imported', {
+        userId,
+        subaccountId: result.subaccount._id.toString(),
+        sourceSubaccountId: bundle.source?.subaccountId,
+        connectors: result.connectors.length,
+        members: result.members.length,
+        warnings: result.warnings.length
+      });
+
+      res.locals.audit = {
+        target: { type: 'subaccount', id: result.subaccount._id.toString() },
+        after: result.subaccount,
+        metadata: {
+          sourceSubaccountId: bundle.source?.subaccountId,
+          includesSecrets: !!bundle.secrets,
+          connectors: result.connectors.length,
+          members: result.members.length
+        }
+      };
+
+      res.status(201).json({
+        success: true,
+        message: 'Subaccount imported successfully',
+        data: {
+          subaccount: result.subaccount,
+          retellAccountId: result.retellAccountId,
+          connectors: result.connectors,
+          members: result.members,
+          warnings: result.warnings
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to import subaccount', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id
+      });
+      next(error);
+    }
+  }
+
   // Helper methods
   /**
    * Test MongoDB connection (lightweight verification)
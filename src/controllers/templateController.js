@@ -0,0 +1,243 @@
+const Logger = require('../utils/logger');
+
+// Import models
+const SubaccountTemplate = require('../models/SubaccountTemplate');
+const Subaccount = require('../models/Subaccount');
+
+class TemplateController {
+  // Get all subaccount templates
+  static async getTemplates(req, res, next) {
+    try {
+      const includeInactive = req.query.includeInactive === 'true';
+
+      Logger.audit('Get subaccount templates', 'templates', {
+        userId: req.user.id,
+        includeInactive
+      });
+
+      const templates = await SubaccountTemplate.find(includeInactive ? {} : { isActive: true })
+        .sort({ name: 1 });
+
+      res.json({
+        success: true,
+        message: 'Templates retrieved successfully',
+        data: {
+          templates,
+          total: templates.length
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get subaccount templates', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id
+      });
+      next(error);
+    }
+  }
+
+  // Get a specific template
+  static async getTemplate(req, res, next) {
+    try {
+      const { templateId } = req.params;
+
+      Logger.audit('Get subaccount template', 'templates', {
+        userId: req.user.id,
+        templateId
+      });
+
+      const template = await SubaccountTemplate.findById(templateId)
+        .populate('defaultConnectors.connectorId', 'type name isActive')
+        .populate('defaultUserRoles.userId', 'email firstName lastName');
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template not found',
+          code: 'TEMPLATE_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Template retrieved successfully',
+        data: template
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get subaccount template', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        templateId: req.params.templateId
+      });
+      next(error);
+    }
+  }
+
+  // Create a template from explicit settings or by capturing an existing subaccount
+  static async createTemplate(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { fromSubaccountId, ...attributes } = req.body;
+
+      Logger.audit('Create subaccount template', 'templates', {
+        userId,
+        name: attributes.name,
+        fromSubaccountId
+      });
+
+      let template;
+      if (fromSubaccountId) {
+        const subaccount = await Subaccount.findById(fromSubaccountId);
+        if (!subaccount) {
+          return res.status(404).json({
+            success: false,
+            message: 'Subaccount not found',
+            code: 'SUBACCOUNT_NOT_FOUND'
+          });
+        }
+
+        // Explicit values take precedence over the captured ones
+        template = await SubaccountTemplate.fromSubaccount(subaccount, { createdBy: userId });
+        template.set(attributes);
+      } else {
+        template = new SubaccountTemplate({ ...attributes, createdBy: userId });
+      }
+
+      await template.save();
+
+      Logger.info('Subaccount template created', {
+        userId,
+        templateId: template._id.toString(),
+        fromSubaccountId
+      });
+
+      res.locals.audit = {
+        target: { type: 'template', id: template._id.toString() },
+        after: template,
+        metadata: fromSubaccountId && { fromSubaccountId }
+      };
+
+      res.status(201).json({
+        success: true,
+        message: 'Template created successfully',
+        data: template
+      });
+
+    } catch (error) {
+      Logger.error('Failed to create subaccount template', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id
+      });
+
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'Template name already exists',
+          code: 'DUPLICATE_NAME'
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Update a template
+  static async updateTemplate(req, res, next) {
+    try {
+      const { templateId } = req.params;
+
+      Logger.audit('Update subaccount template', 'templates', {
+        userId: req.user.id,
+        templateId,
+        fields: Object.keys(req.body)
+      });
+
+      const template = await SubaccountTemplate.findById(templateId);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template not found',
+          code: 'TEMPLATE_NOT_FOUND'
+        });
+      }
+
+      const previous = template.toJSON();
+
+      template.set(req.body);
+      await template.save();
+
+      res.locals.audit = { before: previous, after: template };
+
+      res.json({
+        success: true,
+        message: 'Template updated successfully',
+        data: template
+      });
+
+    } catch (error) {
+      Logger.error('Failed to update subaccount template', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        templateId: req.params.templateId
+      });
+
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'Template name already exists',
+          code: 'DUPLICATE_NAME'
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Delete a template (subaccounts created from it are not affected)
+  static async deleteTemplate(req, res, next) {
+    try {
+      const { templateId } = req.params;
+
+      Logger.audit('Delete subaccount template', 'templates', {
+        userId: req.user.id,
+        templateId
+      });
+
+      const template = await SubaccountTemplate.findByIdAndDelete(templateId);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template not found',
+          code: 'TEMPLATE_NOT_FOUND'
+        });
+      }
+
+      res.locals.audit = { before: template };
+
+      res.json({
+        success: true,
+        message: 'Template deleted successfully',
+        data: {
+          templateId,
+          deletedAt: new Date()
+        }
+      });
+
+    } catch (error) {
+      Logger.error('Failed to delete subaccount template', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+        templateId: req.params.templateId
+      });
+      next(error);
+    }
+  }
+}
+
+module.exports = TemplateController;
@@ -4,10 +4,12 @@ const Logger = require('../utils/logger');
 const redisManager = require('../services/redisManager');
 const Database = require('../utils/database');
 const authService = require('../services/authService');
+const invitationService = require('../services/invitationService');
 
 // Import models
 const Subaccount = require('../models/Subaccount');
 const UserSubaccount = require('../models/UserSubaccount');
+const Role = require('../models/Role');
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
 
@@ -85,6 +87,7 @@ class UserController {
       // Get subaccount users WITHOUT populate (since users are in auth server)
       const skip = (page - 1) * limit;
       const subaccountUsers = await UserSubaccount.find(query)
+        .populate('customRole', 'name subaccountId')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit));
@@ -122,6 +125,7 @@ class UserController {
               
               // Subaccount-specific data
               role: su.role,
+              customRole: su.customRole,
               permissions: su.permissions,
               joinedAt: su.createdAt,
               lastAccessed: su.lastAccessed,
@@ -196,11 +200,12 @@ class UserController {
   }
 
   // Invite user to subaccount
-  // When inviting a user to a subaccount, they automatically inherit:
-  // 1. Role-based basic permissions (read, write, delete, admin)
+  // Creates a pending invitation; the membership is added when the invitee accepts it
+  // (POST /api/invitations/:token/accept). On acceptance the user inherits:
+  // 1. Role-based basic permissions (read, write, delete, admin), or a custom role's matrix
   // 2. Collection-specific resource permissions from existing non-admin users
   // 3. Query limits from existing non-admin users
-  // This ensures consistent access to resources across all regular users in the subaccount
+  // The invitee does not have to be registered in the auth server yet
   static async inviteUser(req, res, next) {
     try {
       const { subaccountId } = req.params;
@@ -218,9 +223,8 @@ class UserController {
       const isGlobalAdmin = req.user && (req.user.role === 'admin' || req.user.role === 'super_admin');
 
       // Check if user has admin permissions
-      let userSubaccount = null;
       if (!isGlobalAdmin) {
-        userSubaccount = await UserSubaccount.findOne({
+        const userSubaccount = await UserSubaccount.findOne({
           userId,
           subaccountId,
           isActive: true
@@ -249,13 +253,9 @@ class UserController {
         });
       }
 
-      // Check user limit
-      const currentUserCount = await UserSubaccount.countDocuments({
-        subaccountId,
-        isActive: true
-      });
-
-      if (currentUserCount >= config.security.maxUsersPerSubaccount) {
+      // Check user limit (pending invitations count as members)
+      const remainingCapacity = await invitationService.getRemainingCapacity(subaccountId);
+      if (remainingCapacity <= 0) {
         return res.status(400).json({
           success: false,
           message: `Maximum ${config.security.maxUsersPerSubaccount} users allowed per subaccount`,
@@ -263,204 +263,47 @@ class UserController {
         });
       }
 
-      // Find the user to invite via auth service
-      const authService = require('../services/authService');
-      const token = req.headers.authorization?.split(' ')[1];
-      
-      const userResult = await authService.validateUser(email, token);
-      if (!userResult.success) {
-        return res.status(404).json({
-          success: false,
-          message: userResult.message === 'User not found' ? 'User not found or inactive' : userResult.message,
-          code: 'USER_NOT_FOUND'
-        });
-      }
-      
-      const inviteeUser = userResult.user;
-
-      // Check if user is already associated with this subaccount
-      const existingAssociation = await UserSubaccount.findOne({
-        userId: inviteeUser.id,
-        subaccountId,
-        isActive: true
-      });
+      const result = await invitationService.invite(subaccountId, {
+        email,
+        role,
+        permissions,
+        temporaryAccess
+      }, userId);
 
-      if (existingAssociation) {
-        return res.status(400).json({
+      if (!result.success) {
+        return res.status(result.status).json({
           success: false,
-          message: 'User is already associated with this subaccount',
-          code: 'USER_ALREADY_EXISTS'
+          message: result.message,
+          code: result.code,
+          ...(result.data && { data: result.data })
         });
       }
 
-      // Validate role
-      const validRoles = ['viewer', 'editor', 'admin'];
-      if (!validRoles.includes(role)) {
-        return res.status(400).json({
-          success: false,
-          message: role === 'owner' 
-            ? 'Owner role cannot be assigned through invitation. Owner role is automatically assigned to the subaccount creator only.'
-            : 'Invalid role specified. Role must be one of: viewer, editor, admin',
-          code: 'INVALID_ROLE'
-        });
-      }
-
-      // Get collection-specific permissions from existing non-admin users
-      // This ensures new users get the same resource/collection permissions as other regular users
-      let collectionPermissions = [];
-      let queryLimits = {
-        maxDocuments: 1000,
-        maxQueryTime: 30000,
-        allowAggregation: true,
-        allowTextSearch: true
-      };
-
-      // Find a reference user (non-admin) to copy resource permissions from
-      // We use the oldest non-admin user as the reference to maintain consistency
-      const referenceUser = await UserSubaccount.findOne({
-        subaccountId,
-        isActive: true,
-        role: { $in: ['viewer', 'editor'] } // Only get permissions from non-admin users
-      }).sort({ createdAt: 1 }); // Get the oldest user as reference
-
-      if (referenceUser && referenceUser.permissions) {
-        // Copy collection-specific permissions from reference user
-        if (referenceUser.permissions.collections && referenceUser.permissions.collections.length > 0) {
-          collectionPermissions = referenceUser.permissions.collections.map(coll => ({
-            name: coll.name,
-            permissions: {
-              read: coll.permissions.read,
-              write: coll.permissions.write,
-              delete: coll.permissions.delete
-            }
-          }));
-          
-          Logger.info('Copying resource/collection permissions from reference user to new user', {
-            subaccountId,
-            newUserId: inviteeUser.id,
-            newUserEmail: email,
-            referenceUserId: referenceUser.userId,
-            collectionsCount: collectionPermissions.length,
-            collections: collectionPermissions.map(c => c.name)
-          });
-        } else {
-          Logger.info('No collection-specific permissions found in reference user', {
-            subaccountId,
-            newUserId: inviteeUser.id,
-            referenceUserId: referenceUser.userId
-          });
-        }
-
-        // Copy query limits from reference user
-        if (referenceUser.permissions.queryLimits) {
-          queryLimits = {
-            maxDocuments: referenceUser.permissions.queryLimits.maxDocuments || 1000,
-            maxQueryTime: referenceUser.permissions.queryLimits.maxQueryTime || 30000,
-            allowAggregation: referenceUser.permissions.queryLimits.allowAggregation !== undefined 
-              ? referenceUser.permissions.queryLimits.allowAggregation 
-              : true,
-            allowTextSearch: referenceUser.permissions.queryLimits.allowTextSearch !== undefined 
-              ? referenceUser.permissions.queryLimits.allowTextSearch 
-              : true
-          };
-        }
-      } else {
-        Logger.info('No reference non-admin user found to copy permissions from', {
-          subaccountId,
-          newUserId: inviteeUser.id,
-          newUserEmail: email
-        });
-      }
-
-      // Create user-subaccount relationship
-      const newUserSubaccount = new UserSubaccount({
-        userId: inviteeUser.id,
-        subaccountId,
-        role,
-        permissions: {
-          ...permissions,
-          // Override with role-based defaults
-          ...(role === 'viewer' && { read: true, write: false, delete: false, admin: false }),
-          ...(role === 'editor' && { read: true, write: true, delete: false, admin: false }),
-          ...(role === 'admin' && { read: true, write: true, delete: true, admin: true }),
-          // Add collection-specific permissions from reference user
-          collections: collectionPermissions,
-          queryLimits: queryLimits
-        },
-        invitedBy: userId,
-        invitedAt: new Date(),
-        acceptedAt: new Date(), // Auto-accept for now
-        temporaryAccess: temporaryAccess.enabled ? {
-          enabled: true,
-          expiresAt: new Date(temporaryAccess.expiresAt),
-          reason: temporaryAccess.reason || 'Temporary access granted'
-        } : { enabled: false }
-      });
-
-      await newUserSubaccount.save();
-
-      // Update subaccount user count
-      await Subaccount.findByIdAndUpdate(
-        subaccountId,
-        { 
-          $inc: { 'stats.totalUsers': 1 },
-          updatedAt: new Date()
-        }
-      );
-
-      // Update invitee's subaccount count
-      await User.findByIdAndUpdate(
-        inviteeUser._id,
-        { $inc: { subaccountCount: 1 } }
-      );
-
-      // Invalidate caches
-      const redisService = redisManager.getRedisService();
-      if (redisService && redisService.isConnected) {
-        try {
-          await Promise.all([
-            redisService.invalidateUserSubaccounts(inviteeUser._id),
-            redisService.invalidateSubaccount(subaccountId),
-            redisService.invalidateSubaccountUsers(subaccountId)
-          ]);
-        } catch (error) {
-          Logger.warn('Cache invalidation failed', { error: error.message });
-        }
-      }
+      const { invitation, token, inviteeRegistered } = result;
 
       Logger.info('User invited to subaccount successfully', {
         userId,
         subaccountId,
-        inviteeId: inviteeUser._id,
+        invitationId: invitation._id,
         inviteeEmail: email,
+        inviteeRegistered,
         role
       });
 
-      // Return response
-      const response = {
-        id: newUserSubaccount._id,
-        user: {
-          id: inviteeUser._id,
-          firstName: inviteeUser.firstName,
-          lastName: inviteeUser.lastName,
-          email: inviteeUser.email
-        },
-        role: newUserSubaccount.role,
-        permissions: newUserSubaccount.permissions,
-        invitedBy: {
-          id: userId,
-          name: `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim(),
-          email: req.user.email
-        },
-        invitedAt: newUserSubaccount.invitedAt,
-        acceptedAt: newUserSubaccount.acceptedAt,
-        temporaryAccess: newUserSubaccount.temporaryAccess
+      res.locals.audit = {
+        target: { type: 'invitation', id: invitation._id.toString() },
+        after: invitation
       };
 
+      // The token is only returned here and on resend; deliver it to the invitee
       res.status(201).json({
         success: true,
-        message: 'User invited to subaccount successfully',
-        data: response
+        message: 'Invitation created successfully',
+        data: {
+          ...invitation.toJSON(),
+          token,
+          inviteeRegistered
+        }
       });
 
     } catch (error) {
@@ -547,20 +390,47 @@ class UserController {
       const updates = {};
       
       if (role) {
-        const validRoles = ['viewer', 'editor', 'admin'];
-        if (!validRoles.includes(role)) {
+        if (role === 'owner') {
           return res.status(400).json({
             success: false,
             message: 'Invalid role specified',
             code: 'INVALID_ROLE'
           });
         }
-        updates.role = role;
+
+        if (Role.BUILT_IN_ROLES.includes(role)) {
+          // Built-in roles reset the base permissions (and detach any custom role)
+          updates.role = role;
+          updates.customRole = null;
+          updates.permissions = {
+            ...targetUserSubaccount.permissions.toObject(),
+            ...UserSubaccount.ROLE_PERMISSIONS[role]
+          };
+        } else {
+          const customRole = await Role.findByName(subaccountId, role);
+          if (!customRole) {
+            return res.status(400).json({
+              success: false,
+              message: `Role '${role}' not found`,
+              code: 'INVALID_ROLE'
+            });
+          }
+          Object.assign(updates, customRole.toMembership());
+        }
       }
 
       if (permissions) {
+        // Members with a custom role get their permissions from the role
+        if (updates.customRole || (updates.customRole === undefined && targetUserSubaccount.customRole)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Permissions of members with a custom role are managed through the role',
+            code: 'CUSTOM_ROLE_PERMISSIONS'
+          });
+        }
+
         updates.permissions = {
-          ...targetUserSubaccount.permissions.toObject(),
+          ...(updates.permissions || targetUserSubaccount.permissions.toObject()),
           ...permissions
         };
       }
@@ -583,7 +453,8 @@ class UserController {
           new: true,
           runValidators: true
         }
-      ).populate('userId', 'firstName lastName email');
+      ).populate('userId', 'firstName lastName email')
+        .populate('customRole', 'name subaccountId');
 
       // Invalidate caches
       const redisService = redisManager.getRedisService();
@@ -606,6 +477,11 @@ class UserController {
         updatedFields: Object.keys(updates)
       });
 
+      res.locals.audit = {
+        before: UserController.membershipSnapshot(targetUserSubaccount),
+        after: UserController.membershipSnapshot(updatedUserSubaccount)
+      };
+
       const response = {
         id: updatedUserSubaccount._id,
         user: {
@@ -615,6 +491,7 @@ class UserController {
           email: updatedUserSubaccount.userId.email
         },
         role: updatedUserSubaccount.role,
+        customRole: updatedUserSubaccount.customRole,
         permissions: updatedUserSubaccount.permissions,
         temporaryAccess: updatedUserSubaccount.temporaryAccess,
         updatedAt: updatedUserSubaccount.updatedAt
@@ -702,6 +579,9 @@ class UserController {
         });
       }
 
+      // Previous details for the audit trail
+      const previousDetails = await User.findById(targetUserId).select('firstName lastName email');
+
       // Update user in auth server
       const token = req.headers.authorization?.split(' ')[1];
       const updateResult = await authService.updateUser(targetUserId, updateData, token);
@@ -736,6 +616,20 @@ class UserController {
         updatedFields: Object.keys(updateData)
       });
 
+      res.locals.audit = {
+        before: previousDetails && {
+          firstName: previousDetails.firstName,
+          lastName: previousDetails.lastName,
+          email: previousDetails.email
+        },
+        after: {
+          firstName: previousDetails?.firstName,
+          lastName: previousDetails?.lastName,
+          email: previousDetails?.email,
+          ...updateData
+        }
+      };
+
       res.json({
         success: true,
         message: 'User details updated successfully',
@@ -866,6 +760,8 @@ class UserController {
         targetRole: targetUserSubaccount.role
       });
 
+      res.locals.audit = { before: UserController.membershipSnapshot(targetUserSubaccount) };
+
       res.json({
         success: true,
         message: 'User removed from subaccount successfully'
@@ -1035,6 +931,17 @@ class UserController {
       next(error);
     }
   }
+
+  // Audited fields of a membership (customRole may be populated)
+  static membershipSnapshot(membership) {
+    return {
+      role: membership.role,
+      customRole: membership.customRole?._id || membership.customRole,
+      permissions: membership.permissions,
+      temporaryAccess: membership.temporaryAccess,
+      isActive: membership.isActive
+    };
+  }
 }
 
 module.exports = UserController; 
\ No newline at end of file
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const auditTrailService = require('../services/auditTrailService');
+
+// Caller-provided request IDs are kept if they look like one
+const REQUEST_ID_PATTERN = /^[\w.-]{1,100}$/;
+
+// Give every request an ID (X-Request-ID), used by the logs and the admin audit trail
+const requestContext = (req, res, next) => {
+  const requestId = req.get('X-Request-ID');
+  req.requestId = requestId && REQUEST_ID_PATTERN.test(requestId) ? requestId : crypto.randomUUID();
+  res.set('X-Request-ID', req.requestId);
+  next();
+};
+
+// Record a successful mutation in the admin audit trail once the response is sent.
+// Controllers add the target and before/after snapshots in res.locals.audit, or set it
+// to false when nothing was changed.
+const auditAction = (action) => (req, res, next) => {
+  res.on('finish', () => {
+    if (res.statusCode >= 400 || res.locals.audit === false) {
+      return;
+    }
+    auditTrailService.record(req, res, action);
+  });
+  next();
+};
+
+module.exports = {
+  requestContext,
+  auditAction
+};
@@ -346,29 +346,16 @@ const validateSubaccountAccess = (requiredPermission = 'read') => {
           });
         }
 
-        // Cache the result if access is granted and Redis is available
-        if (accessResult.hasAccess && redisService && redisService.isConnected) {
-          try {
-            await redisService.cachePermissions(
-              req.user.id,
-              subaccountId,
-              accessResult.permissions,
-              3600 // 1 hour
-            );
-            
-            Logger.debug('Cached permissions for future use', {
-              userId: req.user.id,
-              subaccountId
-            });
-          } catch (cacheError) {
-            Logger.warn('Failed to cache permissions', {
-              error: cacheError.message,
-              errorName: cacheError.name,
-              userId: req.user.id,
-              subaccountId
-            });
-            // Don't fail the request if caching fails
-          }
+        // Cache the result if access is granted. The entry is shared with the authorization
+        // service, so it uses the same shape (with role) and never outlives temporary access.
+        if (accessResult.hasAccess) {
+          const authorizationService = require('../services/authorizationService');
+          await authorizationService.cacheAccess(
+            req.user.id,
+            subaccountId,
+            authorizationService.toCachedAccess(accessResult),
+            accessResult.userSubaccount
+          );
         }
       }
 
@@ -389,7 +376,9 @@ const validateSubaccountAccess = (requiredPermission = 'read') => {
           code: 'SUBACCOUNT_ACCESS_DENIED',
           details: {
             subaccountId,
-            requiredPermission
+            requiredPermission,
+            // Where the user can ask the subaccount admins for access
+            accessRequestUrl: `/api/subaccounts/${subaccountId}/access-requests`
           }
         });
       }
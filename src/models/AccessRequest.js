@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const accessRequestSchema = new mongoose.Schema({
+  subaccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subaccount',
+    required: true
+  },
+
+  // Requesting user
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+
+  // Requested role: a built-in role or the name of customRole
+  role: {
+    type: String,
+    required: true
+  },
+
+  customRole: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    default: null
+  },
+
+  // Role the user held when asking (null for users without access)
+  currentRole: {
+    type: String,
+    default: null
+  },
+
+  // Time-boxed access; for members the previous role is restored on expiry
+  temporaryAccess: {
+    enabled: { type: Boolean, default: false },
+    expiresAt: { type: Date },
+    reason: { type: String }
+  },
+
+  justification: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied', 'cancelled'],
+    default: 'pending'
+  },
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  reviewedAt: {
+    type: Date
+  },
+
+  // Note from the reviewer (e.g. why a request was denied)
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+accessRequestSchema.index({ subaccountId: 1, status: 1, createdAt: -1 });
+accessRequestSchema.index({ userId: 1, createdAt: -1 });
+// One open request per user and subaccount
+accessRequestSchema.index({ subaccountId: 1, userId: 1 }, {
+  unique: true,
+  partialFilterExpression: { status: 'pending' }
+});
+
+const AccessRequest = mongoose.model('AccessRequest', accessRequestSchema);
+
+module.exports = AccessRequest;
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Control-plane audit trail: changes made through the tenant-manager API (subaccounts,
+// members, roles, Retell accounts, connectors, ...). Data-plane queries are in AuditLog.
+const adminAuditLogSchema = new mongoose.Schema({
+  // Who made the change
+  actor: {
+    type: {
+      type: String,
+      enum: ['user', 'service', 'anonymous'],
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    role: String,
+    serviceName: String
+  },
+
+  // Dotted action name, e.g. 'subaccount.update' or 'user.permissions.update'
+  action: {
+    type: String,
+    required: true
+  },
+
+  // What was changed
+  target: {
+    type: {
+      type: String,
+      required: true
+    },
+    id: String
+  },
+
+  // Subaccount the change belongs to (not set for global resources like connectors)
+  subaccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subaccount'
+  },
+
+  // Changed fields (dotted paths); secret values are stored as '[REDACTED]'
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+
+  // Extra details given by the controller (e.g. the affected members of a role update)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  request: {
+    requestId: String,
+    ip: String,
+    userAgent: String,
+    method: String,
+    endpoint: String,
+    statusCode: Number
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+adminAuditLogSchema.index({ subaccountId: 1, createdAt: -1 });
+adminAuditLogSchema.index({ 'actor.userId': 1, createdAt: -1 });
+adminAuditLogSchema.index({ action: 1, createdAt: -1 });
+adminAuditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+adminAuditLogSchema.index({ 'request.requestId': 1 });
+
+const AdminAuditLog = mongoose.model('AdminAuditLog', adminAuditLogSchema);
+
+module.exports = AdminAuditLog;
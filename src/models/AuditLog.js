@@ -1,5 +1,12 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
+// Risk levels from lowest to highest
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Attempts to append to a subaccount's hash chain when concurrent writers take the same sequence
+const CHAIN_APPEND_ATTEMPTS = 5;
+
 const auditLogSchema = new mongoose.Schema({
   // User and subaccount identification
   userId: {
@@ -147,7 +154,7 @@ const auditLogSchema = new mongoose.Schema({
     // Risk level assessment
     riskLevel: {
       type: String,
-      enum: ['low', 'medium', 'high', 'critical'],
+      enum: RISK_LEVELS,
       default: 'low',
       index: true
     },
@@ -174,7 +181,18 @@ const auditLogSchema = new mongoose.Schema({
     timeAnomaly: {
       detected: { type: Boolean, default: false },
       usualHours: [Number], // Array of usual hours (0-23)
-      currentHour: Number
+      currentHour: Number,
+      timezone: String // Subaccount timezone the hours are in
+    },
+
+    // Deviation from the user's usual behavior (see anomalyDetectionService)
+    behaviorAnomaly: {
+      score: { type: Number, default: 0 }, // 0-100
+      factors: [{
+        factor: String,
+        impact: Number
+      }],
+      baselineSampleSize: Number
     },
     
     // Query complexity analysis
@@ -238,12 +256,29 @@ const auditLogSchema = new mongoose.Schema({
       type: String,
       enum: ['analytics', 'reporting', 'operations', 'maintenance', 'audit']
     }
+  },
+
+  // Tamper evidence: entries of a subaccount form a hash chain ordered by sequence.
+  // hash covers every stored field except hash itself, archive and updatedAt.
+  integrity: {
+    sequence: Number,
+    previousHash: String, // null for the first entry of the chain
+    hash: String
+  },
+
+  // Retention (see auditArchiveService). Archived entries of the chain are reduced to a
+  // tombstone (ids, createdAt, integrity, archive) so the chain stays verifiable.
+  archive: {
+    archivedAt: Date,
+    // Archive file, relative to config.auditRetention.archiveDirectory
+    file: String,
+    restoredAt: Date,
+    // Restored entries are not archived again before this date
+    holdUntil: Date
   }
 }, {
   timestamps: true,
-  // TTL index for automatic cleanup
-  index: { createdAt: 1 },
-  expireAfterSeconds: 7776000, // 90 days default
+  // Expired entries are archived by auditArchiveService instead of a TTL index
   toJSON: {
     transform: function(doc, ret) {
       delete ret.__v;
@@ -274,6 +309,12 @@ auditLogSchema.index({
   createdAt: -1 
 });
 
+// One position per subaccount; a concurrent writer taking the same sequence gets a duplicate key error
+auditLogSchema.index(
+  { subaccountId: 1, 'integrity.sequence': 1 },
+  { unique: true, partialFilterExpression: { 'integrity.sequence': { $exists: true } } }
+);
+
 // Static method to log database operation
 auditLogSchema.statics.logOperation = async function(operationData) {
   try {
@@ -309,7 +350,7 @@ auditLogSchema.statics.logOperation = async function(operationData) {
       compliance: operationData.compliance || {}
     });
     
-    await auditLog.save();
+    await this.appendToChain(auditLog);
     
     // Trigger alerts if high risk
     if (securityAnalysis.riskLevel === 'high' || securityAnalysis.riskLevel === 'critical') {
@@ -324,6 +365,77 @@ auditLogSchema.statics.logOperation = async function(operationData) {
   }
 };
 
+// Static method to save an entry as the next link of its subaccount's hash chain
+auditLogSchema.statics.appendToChain = async function(auditLog) {
+  for (let attempt = 1; ; attempt++) {
+    const previous = await this.findOne({
+      subaccountId: auditLog.subaccountId,
+      'integrity.sequence': { $exists: true }
+    })
+      .sort({ 'integrity.sequence': -1 })
+      .select('integrity')
+      .lean();
+
+    // Timestamps are set here so they are covered by the hash and follow the sequence order
+    const now = new Date();
+    auditLog.createdAt = now;
+    auditLog.updatedAt = now;
+    auditLog.integrity = {
+      sequence: (previous?.integrity.sequence || 0) + 1,
+      previousHash: previous?.integrity.hash || null
+    };
+    auditLog.integrity.hash = this.computeHash(auditLog.toBSON());
+
+    try {
+      return await auditLog.save();
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= CHAIN_APPEND_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Static method to hash a stored entry (document.toBSON() before saving, lean document when verifying)
+auditLogSchema.statics.computeHash = function(entry) {
+  const { _id, updatedAt, __v, integrity, archive, ...content } = entry;
+  const canonical = canonicalize({
+    ...content,
+    _id,
+    integrity: { sequence: integrity.sequence, previousHash: integrity.previousHash }
+  });
+
+  return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex');
+};
+
+// Stable representation: sorted keys, no null, undefined or empty object fields (save may
+// minimize them away), ObjectIds and dates as strings
+const canonicalize = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof mongoose.Types.ObjectId || value._bsontype === 'ObjectId') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      const field = canonicalize(value[key]);
+      const empty = field !== null && typeof field === 'object' && !Array.isArray(field) && Object.keys(field).length === 0;
+      if (field !== null && !empty) {
+        result[key] = field;
+      }
+      return result;
+    }, {});
+  }
+  return value;
+};
+
 // Static method to sanitize query for logging
 auditLogSchema.statics.sanitizeQuery = function(query) {
   if (!query || typeof query !== 'object') return query;
@@ -368,6 +480,7 @@ auditLogSchema.statics.analyzeSecurityRisks = async function(operationData) {
     suspiciousPatterns: [],
     geoAnomaly: { detected: false },
     timeAnomaly: { detected: false },
+    behaviorAnomaly: { score: 0, factors: [] },
     queryComplexity: { score: 0, factors: [] }
   };
   
@@ -391,17 +504,16 @@ auditLogSchema.statics.analyzeSecurityRisks = async function(operationData) {
     });
   }
   
-  // Analyze time patterns
-  const currentHour = new Date().getHours();
-  if (currentHour < 6 || currentHour > 22) {
-    analysis.timeAnomaly.detected = true;
-    analysis.timeAnomaly.currentHour = currentHour;
-    analysis.riskLevel = analysis.riskLevel === 'low' ? 'medium' : analysis.riskLevel;
-    analysis.suspiciousPatterns.push({
-      pattern: 'unusual_time',
-      severity: 'info',
-      description: `Query executed at unusual hour: ${currentHour}`
-    });
+  // Compare with the user's baseline: hours (subaccount timezone), IPs, countries, operation mix, volume.
+  // Required here because the service reads this model.
+  const anomalyDetectionService = require('../services/anomalyDetectionService');
+  const behavior = await anomalyDetectionService.analyze(operationData);
+  analysis.timeAnomaly = behavior.timeAnomaly;
+  analysis.geoAnomaly = behavior.geoAnomaly;
+  analysis.behaviorAnomaly = behavior.behaviorAnomaly;
+  analysis.suspiciousPatterns.push(...behavior.patterns);
+  if (RISK_LEVELS.indexOf(behavior.riskLevel) > RISK_LEVELS.indexOf(analysis.riskLevel)) {
+    analysis.riskLevel = behavior.riskLevel;
   }
   
   // Analyze failure patterns
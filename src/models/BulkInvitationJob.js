@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+
+const rowResultSchema = new mongoose.Schema({
+  // 1-based position in the uploaded file (data rows, without the CSV header)
+  row: {
+    type: Number,
+    required: true
+  },
+
+  email: {
+    type: String
+  },
+
+  status: {
+    type: String,
+    enum: ['invited', 'failed', 'skipped'],
+    required: true
+  },
+
+  code: {
+    type: String
+  },
+
+  message: {
+    type: String
+  },
+
+  // Field errors of rows that failed validation
+  validationErrors: [{
+    _id: false,
+    field: String,
+    message: String
+  }],
+
+  invitationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invitation'
+  },
+
+  // Invitation token of background jobs, encrypted (see Keyring); removed once the finished
+  // report has been delivered. Synchronous uploads never store tokens.
+  encryptedToken: {
+    encrypted: String,
+    iv: String,
+    authTag: String,
+    keyVersion: Number
+  }
+}, { _id: false });
+
+const bulkInvitationJobSchema = new mongoose.Schema({
+  subaccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subaccount',
+    required: true
+  },
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+
+  // Uploaded rows still to be processed (cleared when the job finishes)
+  rows: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+
+  totalRows: {
+    type: Number,
+    required: true
+  },
+
+  results: {
+    type: [rowResultSchema],
+    default: []
+  },
+
+  // Set when the job could not finish (e.g. the subaccount was deleted)
+  lastError: {
+    type: String
+  },
+
+  tokensDelivered: {
+    type: Boolean,
+    default: false
+  },
+
+  // Lease used to make sure a single worker runs the job and to detect crashed runs
+  lockedBy: {
+    type: String
+  },
+
+  lockedUntil: {
+    type: Date
+  },
+
+  startedAt: {
+    type: Date
+  },
+
+  completedAt: {
+    type: Date
+  },
+
+  // Finished jobs are removed by MongoDB after this date
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.rows;
+      delete ret.lockedBy;
+      delete ret.lockedUntil;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+bulkInvitationJobSchema.index({ subaccountId: 1, createdAt: -1 });
+bulkInvitationJobSchema.index({ status: 1, lockedUntil: 1 });
+bulkInvitationJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to build the per-row report with totals
+bulkInvitationJobSchema.methods.toReport = function() {
+  const count = status => this.results.filter(result => result.status === status).length;
+
+  return {
+    id: this._id,
+    subaccountId: this.subaccountId,
+    status: this.status,
+    progress: {
+      processedRows: this.results.length,
+      totalRows: this.totalRows
+    },
+    summary: {
+      invited: count('invited'),
+      failed: count('failed'),
+      skipped: count('skipped')
+    },
+    results: this.results.map(result => {
+      const { encryptedToken, ...rest } = result.toObject();
+      return rest;
+    }),
+    lastError: this.lastError,
+    requestedBy: this.requestedBy,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    createdAt: this.createdAt
+  };
+};
+
+const BulkInvitationJob = mongoose.model('BulkInvitationJob', bulkInvitationJobSchema);
+
+module.exports = BulkInvitationJob;
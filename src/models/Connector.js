@@ -95,7 +95,8 @@ connectorSchema.virtual('displayName').get(function() {
 });
 
 // Instance method to validate config based on connector type
-connectorSchema.methods.validateConfig = function() {
+// Optionally validates a different config object (e.g. merged subaccount config)
+connectorSchema.methods.validateConfig = function(configToValidate) {
   const requiredFields = {
     google_calendar: ['calendarId'],
     outlook_calendar: ['clientId', 'clientSecret', 'tenantId'],
@@ -107,8 +108,9 @@ connectorSchema.methods.validateConfig = function() {
     custom: []
   };
   
+  const config = configToValidate || this.config || {};
   const required = requiredFields[this.type] || [];
-  const missing = required.filter(field => !this.config[field]);
+  const missing = required.filter(field => !config[field]);
   
   if (missing.length > 0) {
     throw new Error(`Missing required config fields for ${this.type}: ${missing.join(', ')}`);
@@ -168,6 +170,36 @@ connectorSchema.statics.getConfigTemplate = function(type) {
   return templates[type] || {};
 };
 
+// Instance method to validate a subaccount-specific config for this connector
+// Fields present in the type template must match the template's value type,
+// and the config merged over the base connector config must pass validateConfig
+connectorSchema.methods.validateSubaccountConfig = function(subaccountConfig = {}) {
+  if (!subaccountConfig || typeof subaccountConfig !== 'object' || Array.isArray(subaccountConfig)) {
+    throw new Error('Connector config must be an object');
+  }
+
+  const template = this.constructor.getConfigTemplate(this.type);
+  const typeOf = (value) => Array.isArray(value) ? 'array' : typeof value;
+
+  const invalidFields = Object.keys(subaccountConfig).filter(field => {
+    if (!(field in template)) return false;
+    const value = subaccountConfig[field];
+    if (value === null || value === undefined) return false;
+    return typeOf(value) !== typeOf(template[field]);
+  });
+
+  if (invalidFields.length > 0) {
+    throw new Error(`Invalid config field types for ${this.type}: ${invalidFields
+      .map(field => `${field} must be ${typeOf(template[field])}`)
+      .join(', ')}`);
+  }
+
+  const mergedConfig = { ...(this.config || {}), ...subaccountConfig };
+  this.validateConfig(mergedConfig);
+
+  return mergedConfig;
+};
+
 const Connector = mongoose.model('Connector', connectorSchema);
 
 module.exports = Connector;
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+
+// Ordered list of steps executed when deleting a subaccount
+const DELETION_STEPS = [
+  'dropDatabase',
+  'deleteRetellAgents',
+  'deleteTwilioTrunk',
+  'releasePhoneNumbers',
+  'deleteRetellPhoneNumbers',
+  'deleteRetellKnowledgeBases',
+  'deleteRetellCalls',
+  'removeSubaccountRecords',
+  'invalidateCaches'
+];
+
+const stepSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: DELETION_STEPS,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'skipped'],
+    default: 'pending'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  lastError: {
+    type: String
+  },
+
+  // History of errors across all attempts
+  errorHistory: [{
+    message: String,
+    attempt: Number,
+    occurredAt: { type: Date, default: Date.now }
+  }],
+
+  // Step-specific outcome (e.g. number of deleted agents)
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  startedAt: {
+    type: Date
+  },
+
+  completedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+const deletionJobSchema = new mongoose.Schema({
+  // Not a ref-enforced relation: the subaccount is gone once the job completes
+  subaccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  subaccountName: {
+    type: String
+  },
+
+  databaseName: {
+    type: String
+  },
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+
+  steps: {
+    type: [stepSchema],
+    default: () => DELETION_STEPS.map(name => ({ name }))
+  },
+
+  // Data carried between steps (phone numbers to release, affected users, ...)
+  context: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Lease used to make sure a single worker runs the job and to detect crashed runs
+  lockedBy: {
+    type: String
+  },
+
+  lockedUntil: {
+    type: Date
+  },
+
+  startedAt: {
+    type: Date
+  },
+
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.lockedBy;
+      delete ret.lockedUntil;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+deletionJobSchema.index({ subaccountId: 1, createdAt: -1 });
+deletionJobSchema.index({ status: 1, lockedUntil: 1 });
+
+// Instance method to get a step by name
+deletionJobSchema.methods.getStep = function(name) {
+  return this.steps.find(step => step.name === name);
+};
+
+// Instance method to get steps that still have to run
+deletionJobSchema.methods.getRemainingSteps = function() {
+  return this.steps.filter(step => step.status !== 'completed' && step.status !== 'skipped');
+};
+
+// Instance method to build a polling-friendly summary
+deletionJobSchema.methods.toSummary = function() {
+  const completed = this.steps.filter(step => step.status === 'completed' || step.status === 'skipped').length;
+
+  return {
+    id: this._id,
+    subaccountId: this.subaccountId,
+    subaccountName: this.subaccountName,
+    status: this.status,
+    progress: {
+      completedSteps: completed,
+      totalSteps: this.steps.length
+    },
+    steps: this.steps.map(step => ({
+      name: step.name,
+      status: step.status,
+      attempts: step.attempts,
+      lastError: step.lastError,
+      result: step.result,
+      startedAt: step.startedAt,
+      completedAt: step.completedAt
+    })),
+    requestedBy: this.requestedBy,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to find the active (not yet completed) job for a subaccount
+deletionJobSchema.statics.findActiveJob = function(subaccountId) {
+  return this.findOne({
+    subaccountId,
+    status: { $in: ['pending', 'running', 'failed'] }
+  }).sort({ createdAt: -1 });
+};
+
+deletionJobSchema.statics.STEPS = DELETION_STEPS;
+
+const DeletionJob = mongoose.model('DeletionJob', deletionJobSchema);
+
+module.exports = DeletionJob;
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const invitationSchema = new mongoose.Schema({
+  subaccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subaccount',
+    required: true
+  },
+
+  // Invitee; does not have to be registered in the auth server yet
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+
+  // SHA-256 of the token sent to the invitee (the token itself is never stored)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Role given on acceptance: a built-in role or the name of customRole
+  role: {
+    type: String,
+    required: true,
+    default: 'viewer'
+  },
+
+  customRole: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    default: null
+  },
+
+  // Requested permissions for built-in roles (merged like in a direct invite)
+  permissions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  temporaryAccess: {
+    enabled: { type: Boolean, default: false },
+    expiresAt: { type: Date },
+    reason: { type: String }
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked', 'expired'],
+    default: 'pending'
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Times the token was (re)issued
+  sentCount: {
+    type: Number,
+    default: 1
+  },
+
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  acceptedAt: {
+    type: Date
+  },
+
+  declinedAt: {
+    type: Date
+  },
+
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+invitationSchema.index({ subaccountId: 1, status: 1, createdAt: -1 });
+invitationSchema.index({ status: 1, expiresAt: 1 });
+// One open invitation per email and subaccount
+invitationSchema.index({ subaccountId: 1, email: 1 }, {
+  unique: true,
+  partialFilterExpression: { status: 'pending' }
+});
+
+// Static method to hash an invitation token for lookup
+invitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Static method to find an invitation by its plain token
+invitationSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: this.hashToken(token) });
+};
+
+// Static method to mark pending invitations past their expiry as expired
+invitationSchema.statics.expirePending = function(filter = {}) {
+  return this.updateMany(
+    { ...filter, status: 'pending', expiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+// Instance method to issue a new token (invalidating the previous one); returns the plain token
+invitationSchema.methods.issueToken = function(expiresInMs) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  this.tokenHash = this.constructor.hashToken(token);
+  this.expiresAt = new Date(Date.now() + expiresInMs);
+  this.lastSentAt = new Date();
+
+  return token;
+};
+
+// Instance method to check whether the invitation can still be answered
+invitationSchema.methods.isOpen = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
@@ -1,9 +1,10 @@
 const mongoose = require('mongoose');
-const crypto = require('crypto');
 const config = require('../../config/config');
+const Keyring = require('../utils/keyring');
+const secretStore = require('../services/secretStore');
 
 const retellAccountSchema = new mongoose.Schema({
-  // Encrypted Retell API key
+  // Encrypted Retell API key, or a reference when kept in an external secret store
   apiKey: {
     type: String,
     required: [true, 'Retell API key is required'],
@@ -23,6 +24,18 @@ const retellAccountSchema = new mongoose.Schema({
     select: false
   },
   
+  // Version of the encryption key used (see config.encryption.keys)
+  keyVersion: {
+    type: Number
+  },
+
+  // Secret backend holding the API key (see config.secrets)
+  secretBackend: {
+    type: String,
+    enum: ['database', 'file', 'http'],
+    default: 'database'
+  },
+  
   // Retell account configuration
   accountName: {
     type: String,
@@ -78,74 +91,101 @@ retellAccountSchema.index({ subaccountId: 1 }, { unique: true });
 retellAccountSchema.index({ isActive: 1 });
 retellAccountSchema.index({ createdBy: 1 });
 
+// Sanity check used to reject garbage produced by decrypting with the wrong key
+const isApiKey = value => /^[\x21-\x7e]+$/.test(value);
+
 // Static method to encrypt API key
 retellAccountSchema.statics.encryptApiKey = function(apiKey) {
   try {
-    const algorithm = 'aes-256-cbc';
-    const secretKey = crypto.scryptSync(config.encryption.key, 'retell-salt', 32);
-    const iv = crypto.randomBytes(16);
-    
-    const cipher = crypto.createCipheriv(algorithm, secretKey, iv);
-    let encrypted = cipher.update(apiKey, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    return {
-      encrypted,
-      iv: iv.toString('hex'),
-      authTag: 'cbc-mode' // CBC doesn't use auth tag, but field is required
-    };
+    return Keyring.encrypt(apiKey, 'retell-salt');
   } catch (error) {
     throw new Error('Failed to encrypt API key: ' + error.message);
   }
 };
 
-// Static method to decrypt API key
-retellAccountSchema.statics.decryptApiKey = function(encrypted, iv, authTag) {
+// Static method to decrypt API key (AES-256-GCM or legacy CBC, falls back across key versions)
+retellAccountSchema.statics.decryptApiKey = function(encrypted, iv, authTag, keyVersion) {
   try {
-    const algorithm = 'aes-256-cbc';
-    const secretKey = crypto.scryptSync(config.encryption.key, 'retell-salt', 32);
-    
-    const decipher = crypto.createDecipheriv(algorithm, secretKey, Buffer.from(iv, 'hex'));
-    
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
+    return Keyring.decrypt(encrypted, iv, authTag, 'retell-salt', keyVersion, isApiKey).value;
   } catch (error) {
     throw new Error('Failed to decrypt API key: ' + error.message);
   }
 };
 
-// Instance method to get decrypted API key
-retellAccountSchema.methods.getDecryptedApiKey = function() {
-  if (!this.apiKey || !this.encryptionIV || !this.encryptionAuthTag) {
+// Instance method to get decrypted API key from its secret backend
+retellAccountSchema.methods.getDecryptedApiKey = async function() {
+  if (!this.apiKey) {
     throw new Error('Missing encryption data');
   }
-  
-  return this.constructor.decryptApiKey(
-    this.apiKey,
-    this.encryptionIV,
-    this.encryptionAuthTag
-  );
+
+  try {
+    return await secretStore.get(this.secretBackend, {
+      stored: this.apiKey,
+      iv: this.encryptionIV,
+      authTag: this.encryptionAuthTag,
+      keyVersion: this.keyVersion,
+      salt: 'retell-salt',
+      isValid: isApiKey
+    });
+  } catch (error) {
+    throw new Error('Failed to decrypt API key: ' + error.message);
+  }
 };
 
-// Pre-save middleware to encrypt API key
-retellAccountSchema.pre('save', function(next) {
-  // Always encrypt apiKey if it's present and not already encrypted
-  if (this.apiKey && (!this.encryptionIV || !this.encryptionAuthTag)) {
-    try {
-      console.log('[DEBUG] Encrypting Retell API key...');
-      const encryptionResult = this.constructor.encryptApiKey(this.apiKey);
-      this.apiKey = encryptionResult.encrypted;
-      this.encryptionIV = encryptionResult.iv;
-      this.encryptionAuthTag = encryptionResult.authTag;
-      console.log('[DEBUG] Retell API key encrypted successfully');
-    } catch (error) {
-      console.log('[DEBUG] Encryption failed:', error.message);
-      return next(error);
+// Instance method to get the encryption data handed to other services (see Keyring.resolveServiceScheme).
+// 'cbc' re-encrypts for services that still decrypt legacy AES-CBC with ENCRYPTION_KEY; with 'gcm',
+// keys kept outside the database are encrypted on the fly so consumers decrypt them as usual.
+retellAccountSchema.methods.getEncryptionData = async function(scheme = config.encryption.serviceScheme) {
+  const stored = !this.secretBackend || this.secretBackend === 'database';
+
+  if (scheme === 'cbc') {
+    if (stored && Keyring.isLegacy(this.encryptionAuthTag) && (this.keyVersion || 1) === 1) {
+      return {
+        encrypted: this.apiKey,
+        iv: this.encryptionIV,
+        authTag: this.encryptionAuthTag,
+        keyVersion: 1
+      };
     }
+    return Keyring.encryptLegacy(await this.getDecryptedApiKey(), 'retell-salt');
+  }
+
+  if (!stored) {
+    return this.constructor.encryptApiKey(await this.getDecryptedApiKey());
+  }
+
+  return {
+    encrypted: this.apiKey,
+    iv: this.encryptionIV,
+    authTag: this.encryptionAuthTag,
+    keyVersion: this.keyVersion || 1
+  };
+};
+
+// Pre-save middleware to store a new API key in the configured secret backend.
+// Values written together with their encryption metadata are already stored.
+retellAccountSchema.pre('save', async function() {
+  if (!this.apiKey || !this.isModified('apiKey') || this.isModified('encryptionIV')) {
+    return;
+  }
+
+  try {
+    console.log('[DEBUG] Storing Retell API key...');
+    const result = await secretStore.put({
+      path: `retell-accounts/${this._id}/apiKey`,
+      value: this.apiKey,
+      salt: 'retell-salt'
+    });
+    this.apiKey = result.stored;
+    this.encryptionIV = result.iv;
+    this.encryptionAuthTag = result.authTag;
+    this.keyVersion = result.keyVersion;
+    this.secretBackend = result.backend;
+    console.log('[DEBUG] Retell API key stored successfully in', result.backend, 'backend');
+  } catch (error) {
+    console.log('[DEBUG] Encryption failed:', error.message);
+    throw new Error('Failed to store API key: ' + error.message);
   }
-  next();
 });
 
 const RetellAccount = mongoose.model('RetellAccount', retellAccountSchema);
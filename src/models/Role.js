@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+// Roles every membership understands without a Role document
+const BUILT_IN_ROLES = ['viewer', 'editor', 'admin', 'owner'];
+
+const roleSchema = new mongoose.Schema({
+  // Assigned by name (e.g. { role: "analyst" } when inviting a user)
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true,
+    lowercase: true,
+    minlength: [2, 'Name must be at least 2 characters long'],
+    maxlength: [50, 'Name cannot exceed 50 characters'],
+    match: [/^[a-z0-9][a-z0-9_-]*$/, 'Name may only contain letters, numbers, dashes and underscores'],
+    validate: {
+      validator: name => !BUILT_IN_ROLES.includes(name),
+      message: 'Name is reserved for a built-in role'
+    }
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  // Subaccount the role belongs to; null for global roles available in every subaccount
+  subaccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subaccount',
+    default: null
+  },
+
+  // Permission matrix copied to every member with this role (same shape as UserSubaccount.permissions)
+  permissions: {
+    read: {
+      type: Boolean,
+      default: true
+    },
+    write: {
+      type: Boolean,
+      default: false
+    },
+    delete: {
+      type: Boolean,
+      default: false
+    },
+    admin: {
+      type: Boolean,
+      default: false
+    },
+
+    collections: [{
+      _id: false,
+      name: {
+        type: String,
+        required: true
+      },
+      permissions: {
+        read: { type: Boolean, default: true },
+        write: { type: Boolean, default: false },
+        delete: { type: Boolean, default: false }
+      }
+    }],
+
+    queryLimits: {
+      maxDocuments: {
+        type: Number,
+        default: 1000
+      },
+      maxQueryTime: {
+        type: Number,
+        default: 30000 // 30 seconds
+      },
+      allowAggregation: {
+        type: Boolean,
+        default: true
+      },
+      allowTextSearch: {
+        type: Boolean,
+        default: true
+      }
+    }
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+roleSchema.index({ subaccountId: 1, name: 1 }, { unique: true });
+
+roleSchema.statics.BUILT_IN_ROLES = BUILT_IN_ROLES;
+
+// Static method to find the role a name refers to in a subaccount (subaccount roles shadow global ones)
+roleSchema.statics.findByName = async function(subaccountId, name) {
+  const roles = await this.find({
+    name: String(name).trim().toLowerCase(),
+    subaccountId: { $in: [subaccountId, null] }
+  });
+
+  return roles.find(role => role.subaccountId) || roles[0] || null;
+};
+
+// Static method to get the roles usable in a subaccount (its own plus the global ones)
+roleSchema.statics.getAvailableRoles = function(subaccountId) {
+  return this.find({ subaccountId: { $in: [subaccountId, null] } }).sort({ name: 1 });
+};
+
+// Instance method to get the membership fields for users with this role. The built-in role
+// closest to the matrix is kept in UserSubaccount.role for code that only checks the role name.
+roleSchema.methods.toMembership = function() {
+  const { read, write, admin, collections, queryLimits } = this.permissions;
+
+  return {
+    role: admin ? 'admin' : (write ? 'editor' : 'viewer'),
+    customRole: this._id,
+    permissions: {
+      read,
+      write,
+      delete: this.permissions.delete,
+      admin,
+      collections: collections.map(collection => ({
+        name: collection.name,
+        permissions: {
+          read: collection.permissions.read,
+          write: collection.permissions.write,
+          delete: collection.permissions.delete
+        }
+      })),
+      queryLimits: {
+        maxDocuments: queryLimits.maxDocuments,
+        maxQueryTime: queryLimits.maxQueryTime,
+        allowAggregation: queryLimits.allowAggregation,
+        allowTextSearch: queryLimits.allowTextSearch
+      }
+    }
+  };
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
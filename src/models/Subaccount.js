@@ -1,6 +1,14 @@
 const mongoose = require('mongoose');
-const crypto = require('crypto');
 const config = require('../../config/config');
+const Keyring = require('../utils/keyring');
+const secretStore = require('../services/secretStore');
+
+// Side effects run after a subaccount is created, in order
+const PROVISIONING_STEPS = [
+  'cloneRetellAccount',
+  'createDefaultCalendar',
+  'configureTwilioBundle'
+];
 
 const subaccountSchema = new mongoose.Schema({
   name: {
@@ -17,7 +25,7 @@ const subaccountSchema = new mongoose.Schema({
     maxlength: [500, 'Description cannot exceed 500 characters']
   },
   
-  // Encrypted MongoDB connection string
+  // Encrypted MongoDB connection string, or a reference when kept in an external secret store
   mongodbUrl: {
     type: String,
     required: [true, 'MongoDB URL is required'],
@@ -37,6 +45,18 @@ const subaccountSchema = new mongoose.Schema({
     select: false
   },
   
+  // Version of the encryption key used (see config.encryption.keys)
+  keyVersion: {
+    type: Number
+  },
+
+  // Secret backend holding the connection string (see config.secrets)
+  secretBackend: {
+    type: String,
+    enum: ['database', 'file', 'http'],
+    default: 'database'
+  },
+  
   databaseName: {
     type: String,
     required: [true, 'Database name is required'],
@@ -165,6 +185,15 @@ const subaccountSchema = new mongoose.Schema({
     queriesPerDay: { type: Number, default: 10000 }
   },
   
+  // Days data-plane audit logs are kept per risk level before they are archived
+  // (unset levels use config.auditRetention.defaultDays)
+  auditRetention: {
+    low: { type: Number, min: 1 },
+    medium: { type: Number, min: 1 },
+    high: { type: Number, min: 1 },
+    critical: { type: Number, min: 1 }
+  },
+
   // Maintenance settings
   maintenanceMode: {
     type: Boolean,
@@ -174,6 +203,68 @@ const subaccountSchema = new mongoose.Schema({
   maintenanceMessage: {
     type: String,
     trim: true
+  },
+  
+  // Post-create side effects, retried in the background until they succeed
+  provisioning: {
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed']
+    },
+    steps: [{
+      _id: false,
+      name: {
+        type: String,
+        enum: PROVISIONING_STEPS,
+        required: true
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'running', 'completed', 'failed', 'skipped'],
+        default: 'pending'
+      },
+      attempts: { type: Number, default: 0 },
+      lastError: String,
+      // Step-specific outcome (e.g. created calendar ID, skip reason)
+      result: mongoose.Schema.Types.Mixed,
+      nextAttemptAt: Date,
+      startedAt: Date,
+      completedAt: Date
+    }],
+    // Lease used to make sure a single worker provisions the subaccount at a time
+    lockedBy: String,
+    lockedUntil: Date
+  },
+  
+  // Pending ownership transfer, completed when the new owner confirms it
+  ownershipTransfer: {
+    toUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    expiresAt: Date
+  },
+
+  // Soft delete: the subaccount is hidden and purged once the grace period ends
+  pendingDeletion: {
+    type: Boolean,
+    default: false
+  },
+  
+  deletion: {
+    requestedAt: Date,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    scheduledFor: Date,
+    // Set once the reaper (or an immediate delete) has started the deletion job
+    jobId: mongoose.Schema.Types.ObjectId
   }
 }, {
   timestamps: true,
@@ -182,6 +273,10 @@ const subaccountSchema = new mongoose.Schema({
       delete ret.mongodbUrl;
       delete ret.encryptionIV;
       delete ret.encryptionAuthTag;
+      if (ret.provisioning) {
+        delete ret.provisioning.lockedBy;
+        delete ret.provisioning.lockedUntil;
+      }
       delete ret.__v;
       return ret;
     }
@@ -194,75 +289,111 @@ subaccountSchema.index({ isActive: 1 });
 subaccountSchema.index({ name: 1, createdBy: 1 });
 subaccountSchema.index({ 'activatedConnectors.connectorId': 1 });
 subaccountSchema.index({ 'activatedConnectors.isActive': 1 });
+subaccountSchema.index({ pendingDeletion: 1, 'deletion.scheduledFor': 1 });
+subaccountSchema.index({ 'provisioning.steps.status': 1, 'provisioning.steps.nextAttemptAt': 1 });
+
+// Sanity check used to reject garbage produced by decrypting with the wrong key
+const isMongoUrl = value => /^mongodb(\+srv)?:\/\//.test(value);
 
 // Static method to encrypt connection string
 subaccountSchema.statics.encryptConnectionString = function(connectionString) {
   try {
-    const algorithm = 'aes-256-cbc';
-    const secretKey = crypto.scryptSync(config.encryption.key, 'subaccount-salt', 32);
-    const iv = crypto.randomBytes(16);
-    
-    const cipher = crypto.createCipheriv(algorithm, secretKey, iv);
-    let encrypted = cipher.update(connectionString, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    return {
-      encrypted,
-      iv: iv.toString('hex'),
-      authTag: 'cbc-mode' // CBC doesn't use auth tag, but field is required
-    };
+    return Keyring.encrypt(connectionString, 'subaccount-salt');
   } catch (error) {
     throw new Error('Failed to encrypt connection string: ' + error.message);
   }
 };
 
-// Static method to decrypt connection string
-subaccountSchema.statics.decryptConnectionString = function(encrypted, iv, authTag) {
+// Static method to decrypt connection string (AES-256-GCM or legacy CBC, falls back across key versions)
+subaccountSchema.statics.decryptConnectionString = function(encrypted, iv, authTag, keyVersion) {
   try {
-    const algorithm = 'aes-256-cbc';
-    const secretKey = crypto.scryptSync(config.encryption.key, 'subaccount-salt', 32);
-    
-    const decipher = crypto.createDecipheriv(algorithm, secretKey, Buffer.from(iv, 'hex'));
-    
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
+    return Keyring.decrypt(encrypted, iv, authTag, 'subaccount-salt', keyVersion, isMongoUrl).value;
   } catch (error) {
     throw new Error('Failed to decrypt connection string: ' + error.message);
   }
 };
 
-// Instance method to get decrypted connection string
-subaccountSchema.methods.getDecryptedUrl = function() {
-  if (!this.mongodbUrl || !this.encryptionIV || !this.encryptionAuthTag) {
+// Instance method to get decrypted connection string from its secret backend
+subaccountSchema.methods.getDecryptedUrl = async function() {
+  if (!this.mongodbUrl) {
     throw new Error('Missing encryption data');
   }
-  
-  return this.constructor.decryptConnectionString(
-    this.mongodbUrl,
-    this.encryptionIV,
-    this.encryptionAuthTag
-  );
+
+  try {
+    return await secretStore.get(this.secretBackend, {
+      stored: this.mongodbUrl,
+      iv: this.encryptionIV,
+      authTag: this.encryptionAuthTag,
+      keyVersion: this.keyVersion,
+      salt: 'subaccount-salt',
+      isValid: isMongoUrl
+    });
+  } catch (error) {
+    throw new Error('Failed to decrypt connection string: ' + error.message);
+  }
 };
 
-// Pre-save middleware to encrypt connection string
-subaccountSchema.pre('save', function(next) {
-  // Always encrypt mongodbUrl if it's present and not already encrypted
-  if (this.mongodbUrl && (!this.encryptionIV || !this.encryptionAuthTag)) {
-    try {
-      console.log('[DEBUG] Encrypting MongoDB URL...');
-      const encryptionResult = this.constructor.encryptConnectionString(this.mongodbUrl);
-      this.mongodbUrl = encryptionResult.encrypted;
-      this.encryptionIV = encryptionResult.iv;
-      this.encryptionAuthTag = encryptionResult.authTag;
-      console.log('[DEBUG] MongoDB URL encrypted successfully');
-    } catch (error) {
-      console.log('[DEBUG] Encryption failed:', error.message);
-      return next(error);
+// Instance method to get the encryption data handed to other services (see Keyring.resolveServiceScheme).
+// 'cbc' re-encrypts for services that still decrypt legacy AES-CBC with ENCRYPTION_KEY; with 'gcm',
+// secrets kept outside the database are encrypted on the fly so consumers decrypt them as usual.
+subaccountSchema.methods.getEncryptionData = async function(scheme = config.encryption.serviceScheme) {
+  const stored = !this.secretBackend || this.secretBackend === 'database';
+
+  if (scheme === 'cbc') {
+    if (stored && Keyring.isLegacy(this.encryptionAuthTag) && (this.keyVersion || 1) === 1) {
+      return {
+        encrypted: this.mongodbUrl,
+        iv: this.encryptionIV,
+        authTag: this.encryptionAuthTag,
+        keyVersion: 1
+      };
     }
+    return Keyring.encryptLegacy(await this.getDecryptedUrl(), 'subaccount-salt');
+  }
+
+  if (!stored) {
+    return this.constructor.encryptConnectionString(await this.getDecryptedUrl());
+  }
+
+  return {
+    encrypted: this.mongodbUrl,
+    iv: this.encryptionIV,
+    authTag: this.encryptionAuthTag,
+    keyVersion: this.keyVersion || 1
+  };
+};
+
+// Instance method to delete the connection string from an external secret backend
+subaccountSchema.methods.removeSecret = async function() {
+  if (this.mongodbUrl && this.secretBackend && this.secretBackend !== 'database') {
+    await secretStore.remove(this.secretBackend, { stored: this.mongodbUrl });
+  }
+};
+
+// Pre-save middleware to store a new connection string in the configured secret backend.
+// Values written together with their encryption metadata are already stored.
+subaccountSchema.pre('save', async function() {
+  if (!this.mongodbUrl || !this.isModified('mongodbUrl') || this.isModified('encryptionIV')) {
+    return;
+  }
+
+  try {
+    console.log('[DEBUG] Storing MongoDB URL...');
+    const result = await secretStore.put({
+      path: `subaccounts/${this._id}/mongodbUrl`,
+      value: this.mongodbUrl,
+      salt: 'subaccount-salt'
+    });
+    this.mongodbUrl = result.stored;
+    this.encryptionIV = result.iv;
+    this.encryptionAuthTag = result.authTag;
+    this.keyVersion = result.keyVersion;
+    this.secretBackend = result.backend;
+    console.log('[DEBUG] MongoDB URL stored successfully in', result.backend, 'backend');
+  } catch (error) {
+    console.log('[DEBUG] Encryption failed:', error.message);
+    throw new Error('Failed to store connection string: ' + error.message);
   }
-  next();
 });
 
 // Instance method to test connection
@@ -271,7 +402,7 @@ subaccountSchema.methods.testConnection = async function() {
   let testConnection;
   
   try {
-    const connectionUrl = this.getDecryptedUrl();
+    const connectionUrl = await this.getDecryptedUrl();
     
     // Create test connection with timeout
     testConnection = await mongoose.createConnection(connectionUrl, {
@@ -389,6 +520,30 @@ subaccountSchema.methods.updateStats = function(responseTime) {
   return this.save();
 };
 
+// Instance method to mark the subaccount for deletion after the grace period
+subaccountSchema.methods.markPendingDeletion = function(requestedBy, gracePeriodMs) {
+  const now = new Date();
+  this.pendingDeletion = true;
+  this.deletion = {
+    requestedAt: now,
+    requestedBy,
+    scheduledFor: new Date(now.getTime() + gracePeriodMs)
+  };
+  return this.save();
+};
+
+// Static method to cancel a pending deletion. Atomic, so it cannot race the reaper claiming
+// the subaccount: returns null when the subaccount is not pending or its deletion has started.
+subaccountSchema.statics.restorePending = function(subaccountId) {
+  return this.findOneAndUpdate(
+    { _id: subaccountId, pendingDeletion: true, 'deletion.jobId': { $exists: false } },
+    { $set: { pendingDeletion: false }, $unset: { deletion: 1 } },
+    { new: true }
+  );
+};
+
+subaccountSchema.statics.PROVISIONING_STEPS = PROVISIONING_STEPS;
+
 const Subaccount = mongoose.model('Subaccount', subaccountSchema);
 
 module.exports = Subaccount; 
\ No newline at end of file
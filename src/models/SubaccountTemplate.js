@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const UserSubaccount = require('./UserSubaccount');
+
+const subaccountTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    unique: true,
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters long'],
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  // Settings applied to subaccounts created from this template
+  timezone: {
+    type: String,
+    default: 'Europe/Madrid',
+    trim: true
+  },
+
+  maxConnections: {
+    type: Number,
+    default: 5,
+    min: 1,
+    max: 20
+  },
+
+  enforceSchema: {
+    type: Boolean,
+    default: true
+  },
+
+  // Same format as Subaccount.allowedCollections (["*"] or collection objects)
+  allowedCollections: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+
+  rateLimits: {
+    queriesPerMinute: { type: Number, default: 100 },
+    queriesPerHour: { type: Number, default: 1000 },
+    queriesPerDay: { type: Number, default: 10000 }
+  },
+
+  // Connectors activated on every new subaccount
+  defaultConnectors: [{
+    connectorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Connector',
+      required: true
+    },
+    config: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+
+  // Users added to every new subaccount (permissions follow from the role)
+  defaultUserRoles: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['viewer', 'editor', 'admin'],
+      default: 'viewer'
+    }
+  }],
+
+  // Subaccount the template was captured from, if any
+  sourceSubaccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subaccount'
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+subaccountTemplateSchema.index({ isActive: 1, name: 1 });
+
+// Instance method to get the settings a new subaccount inherits
+subaccountTemplateSchema.methods.toSubaccountSettings = function() {
+  return {
+    timezone: this.timezone,
+    maxConnections: this.maxConnections,
+    enforceSchema: this.enforceSchema,
+    allowedCollections: JSON.parse(JSON.stringify(this.allowedCollections || [])),
+    rateLimits: {
+      queriesPerMinute: this.rateLimits.queriesPerMinute,
+      queriesPerHour: this.rateLimits.queriesPerHour,
+      queriesPerDay: this.rateLimits.queriesPerDay
+    }
+  };
+};
+
+// Static method to capture a template from an existing subaccount and its members
+subaccountTemplateSchema.statics.fromSubaccount = async function(subaccount, attributes) {
+  const memberships = await UserSubaccount.find({
+    subaccountId: subaccount._id,
+    isActive: true,
+    role: { $ne: 'owner' }
+  }).select('userId role');
+
+  return new this({
+    ...attributes,
+    timezone: subaccount.timezone,
+    maxConnections: subaccount.maxConnections,
+    enforceSchema: subaccount.enforceSchema,
+    allowedCollections: subaccount.allowedCollections,
+    rateLimits: subaccount.rateLimits,
+    defaultConnectors: subaccount.activatedConnectors.map(ac => ({
+      connectorId: ac.connectorId,
+      config: ac.config,
+      isActive: ac.isActive
+    })),
+    defaultUserRoles: memberships.map(membership => ({
+      userId: membership.userId,
+      role: membership.role
+    })),
+    sourceSubaccountId: subaccount._id
+  });
+};
+
+const SubaccountTemplate = mongoose.model('SubaccountTemplate', subaccountTemplateSchema);
+
+module.exports = SubaccountTemplate;
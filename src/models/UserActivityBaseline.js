@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Usual behavior of a user in a subaccount, computed from their data-plane audit logs
+// (see anomalyDetectionService). Recomputed once it is older than config.anomalyDetection.baselineRefreshMs.
+const userActivityBaselineSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  subaccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subaccount',
+    required: true
+  },
+
+  // Timezone of the subaccount the hours are counted in
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+
+  computedAt: {
+    type: Date,
+    required: true
+  },
+
+  // History the baseline covers
+  windowStart: Date,
+  sampleSize: { type: Number, default: 0 },
+  activeDays: { type: Number, default: 0 },
+
+  // Operations per hour of the day (index 0-23, subaccount timezone)
+  hourHistogram: {
+    type: [Number],
+    default: () => new Array(24).fill(0)
+  },
+  usualHours: [Number],
+
+  // Most used client IPs and countries
+  ipAddresses: [{
+    _id: false,
+    ipAddress: String,
+    count: Number,
+    lastSeen: Date
+  }],
+  countries: [{
+    _id: false,
+    country: String,
+    count: Number,
+    lastSeen: Date
+  }],
+
+  // Operations by type
+  operations: [{
+    _id: false,
+    operation: String,
+    count: Number
+  }],
+
+  // Operations per active hour (hours with at least one operation)
+  volume: {
+    activeHours: { type: Number, default: 0 },
+    hourlyMean: { type: Number, default: 0 },
+    hourlyStdDev: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+userActivityBaselineSchema.index({ userId: 1, subaccountId: 1 }, { unique: true });
+userActivityBaselineSchema.index({ subaccountId: 1 });
+
+const UserActivityBaseline = mongoose.model('UserActivityBaseline', userActivityBaselineSchema);
+
+module.exports = UserActivityBaseline;
@@ -74,6 +74,13 @@ const userSubaccountSchema = new mongoose.Schema({
     default: 'viewer'
   },
   
+  // Custom role the permissions come from (null when only the built-in role applies)
+  customRole: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    default: null
+  },
+  
   // Status
   isActive: {
     type: Boolean,
@@ -118,7 +125,14 @@ const userSubaccountSchema = new mongoose.Schema({
   temporaryAccess: {
     enabled: { type: Boolean, default: false },
     expiresAt: { type: Date },
-    reason: { type: String }
+    reason: { type: String },
+    // Set by the expiry worker once the pre-expiry warning was sent
+    warningSentAt: { type: Date },
+    // Set by the expiry worker when it deactivated (or reverted) the membership
+    expiredAt: { type: Date },
+    // Role, customRole, permissions and the member's own temporaryAccess restored on expiry
+    // of a time-boxed elevation (the membership stays active instead of being deactivated)
+    revertTo: { type: mongoose.Schema.Types.Mixed }
   }
 }, {
   timestamps: true,
@@ -135,8 +149,10 @@ userSubaccountSchema.index({ userId: 1, subaccountId: 1 }, { unique: true });
 userSubaccountSchema.index({ userId: 1, isActive: 1 });
 userSubaccountSchema.index({ subaccountId: 1, isActive: 1 });
 userSubaccountSchema.index({ role: 1 });
-userSubaccountSchema.index({ 'temporaryAccess.expiresAt': 1 }, { 
-  expireAfterSeconds: 0,
+userSubaccountSchema.index({ customRole: 1 }, { sparse: true });
+// Expiring memberships are deactivated by temporaryAccessService (no TTL: deleting the
+// row would leave user counts and caches stale)
+userSubaccountSchema.index({ isActive: 1, 'temporaryAccess.expiresAt': 1 }, {
   partialFilterExpression: { 'temporaryAccess.enabled': true }
 });
 
@@ -148,62 +164,94 @@ userSubaccountSchema.statics.hasAccess = async function(userId, subaccountId, op
     const user = await User.findById(userId);
     
     if (user && (user.role === 'super_admin' || user.role === 'admin')) {
-      return {
-        hasAccess: true,
-        permissions: {
-          read: true,
-          write: true,
-          delete: true,
-          admin: true
-        },
-        role: user.role === 'super_admin' ? 'super_admin' : 'admin'
-      };
+      return this.resolveAccess({ user }, operation);
     }
 
     const userSubaccount = await this.findOne({
       userId,
       subaccountId,
       isActive: true
-    }).populate('subaccountId', 'isActive maintenanceMode');
-    
-    if (!userSubaccount) {
-      return { hasAccess: false, reason: 'User not associated with subaccount' };
-    }
-    
-    // Check if subaccount is active
-    if (!userSubaccount.subaccountId.isActive) {
-      return { hasAccess: false, reason: 'Subaccount is inactive' };
-    }
-    
-    // Check maintenance mode
-    if (userSubaccount.subaccountId.maintenanceMode && !userSubaccount.permissions.admin) {
-      return { hasAccess: false, reason: 'Subaccount is in maintenance mode' };
-    }
-    
-    // Check temporary access expiration
-    if (userSubaccount.temporaryAccess.enabled) {
-      if (new Date() > userSubaccount.temporaryAccess.expiresAt) {
-        return { hasAccess: false, reason: 'Temporary access expired' };
-      }
-    }
-    
-    // Check operation permission
-    const hasPermission = userSubaccount.hasPermission(operation);
-    if (!hasPermission) {
-      return { hasAccess: false, reason: `Insufficient permissions for ${operation}` };
-    }
+    }).populate('subaccountId', 'isActive maintenanceMode pendingDeletion');
     
-    return {
-      hasAccess: true,
+    return this.resolveAccess({
+      user,
       userSubaccount,
-      permissions: userSubaccount.permissions,
-      role: userSubaccount.role
-    };
+      subaccount: userSubaccount ? userSubaccount.subaccountId : null
+    }, operation);
   } catch (error) {
     return { hasAccess: false, reason: 'Error checking access: ' + error.message };
   }
 };
 
+// Static method to decide access from already loaded records (shared by hasAccess and batch checks)
+userSubaccountSchema.statics.resolveAccess = function({ user, userSubaccount, subaccount }, operation = 'read') {
+  if (user && (user.role === 'super_admin' || user.role === 'admin')) {
+    return {
+      hasAccess: true,
+      permissions: {
+        read: true,
+        write: true,
+        delete: true,
+        admin: true
+      },
+      role: user.role === 'super_admin' ? 'super_admin' : 'admin'
+    };
+  }
+
+  if (!userSubaccount) {
+    return { hasAccess: false, reason: 'User not associated with subaccount' };
+  }
+
+  // An expired elevation falls back to the access it replaced until the expiry worker reverts it
+  const { temporaryAccess } = userSubaccount;
+  if (temporaryAccess.enabled && temporaryAccess.revertTo && new Date() > temporaryAccess.expiresAt) {
+    const { role, customRole, permissions, temporaryAccess: previous } = temporaryAccess.revertTo;
+    const reverted = this.hydrate({
+      ...userSubaccount.toObject({ depopulate: true }),
+      role,
+      customRole: customRole || null,
+      permissions,
+      temporaryAccess: previous || { enabled: false }
+    });
+    return this.resolveAccess({ user, userSubaccount: reverted, subaccount }, operation);
+  }
+  
+  // Check if subaccount is active
+  if (!subaccount || !subaccount.isActive) {
+    return { hasAccess: false, reason: 'Subaccount is inactive' };
+  }
+  
+  // Check if subaccount is scheduled for deletion
+  if (subaccount.pendingDeletion) {
+    return { hasAccess: false, reason: 'Subaccount is pending deletion' };
+  }
+  
+  // Check maintenance mode
+  if (subaccount.maintenanceMode && !userSubaccount.permissions.admin) {
+    return { hasAccess: false, reason: 'Subaccount is in maintenance mode' };
+  }
+  
+  // Check temporary access expiration
+  if (userSubaccount.temporaryAccess.enabled) {
+    if (new Date() > userSubaccount.temporaryAccess.expiresAt) {
+      return { hasAccess: false, reason: 'Temporary access expired' };
+    }
+  }
+  
+  // Check operation permission
+  const hasPermission = userSubaccount.hasPermission(operation);
+  if (!hasPermission) {
+    return { hasAccess: false, reason: `Insufficient permissions for ${operation}` };
+  }
+  
+  return {
+    hasAccess: true,
+    userSubaccount,
+    permissions: userSubaccount.permissions,
+    role: userSubaccount.role
+  };
+};
+
 // Instance method to check specific permission
 userSubaccountSchema.methods.hasPermission = function(operation) {
   // Admin and owner have all permissions
@@ -298,6 +346,7 @@ userSubaccountSchema.statics.getUserSubaccounts = async function(userId, options
     subaccount: us.subaccountId,
     permissions: us.permissions,
     role: us.role,
+    customRole: us.customRole,
     stats: us.stats,
     lastAccessed: us.lastAccessed,
     joinedAt: us.createdAt
@@ -314,12 +363,14 @@ userSubaccountSchema.statics.getSubaccountUsers = async function(subaccountId, o
   
   const userSubaccounts = await this.find(query)
     .populate('userId', 'firstName lastName email lastLogin')
+    .populate('customRole', 'name subaccountId')
     .sort({ createdAt: -1 });
   
   return userSubaccounts.map(us => ({
     user: us.userId,
     permissions: us.permissions,
     role: us.role,
+    customRole: us.customRole,
     stats: us.stats,
     lastAccessed: us.lastAccessed,
     joinedAt: us.createdAt,
@@ -327,38 +378,19 @@ userSubaccountSchema.statics.getSubaccountUsers = async function(subaccountId, o
   }));
 };
 
+// Base permissions of the built-in roles
+userSubaccountSchema.statics.ROLE_PERMISSIONS = {
+  viewer: { read: true, write: false, delete: false, admin: false },
+  editor: { read: true, write: true, delete: false, admin: false },
+  admin: { read: true, write: true, delete: true, admin: true },
+  owner: { read: true, write: true, delete: true, admin: true }
+};
+
 // Pre-save middleware to set default permissions based on role
+// (members with a custom role keep the role's permission matrix)
 userSubaccountSchema.pre('save', function(next) {
-  if (this.isModified('role')) {
-    switch (this.role) {
-      case 'viewer':
-        this.permissions.read = true;
-        this.permissions.write = false;
-        this.permissions.delete = false;
-        this.permissions.admin = false;
-        break;
-      
-      case 'editor':
-        this.permissions.read = true;
-        this.permissions.write = true;
-        this.permissions.delete = false;
-        this.permissions.admin = false;
-        break;
-      
-      case 'admin':
-        this.permissions.read = true;
-        this.permissions.write = true;
-        this.permissions.delete = true;
-        this.permissions.admin = true;
-        break;
-      
-      case 'owner':
-        this.permissions.read = true;
-        this.permissions.write = true;
-        this.permissions.delete = true;
-        this.permissions.admin = true;
-        break;
-    }
+  if (this.isModified('role') && !this.customRole) {
+    Object.assign(this.permissions, this.constructor.ROLE_PERMISSIONS[this.role]);
   }
   next();
 });
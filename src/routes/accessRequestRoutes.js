@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const AccessRequestController = require('../controllers/accessRequestController');
+
+// Import middleware
+const {
+  requestLogger
+} = require('../middleware/authMiddleware');
+
+const {
+  authenticateTokenOrService,
+  validateUserAccessOrService
+} = require('../middleware/serviceAuthMiddleware');
+
+const {
+  userLimiter,
+  burstProtection
+} = require('../middleware/rateLimiter');
+
+const { auditAction } = require('../middleware/auditMiddleware');
+
+// Import validators
+const {
+  validateSubaccountId
+} = require('../validators/userValidator');
+
+const {
+  validateCreateAccessRequest,
+  validateApproveAccessRequest,
+  validateDenyAccessRequest,
+  validateAccessRequestId
+} = require('../validators/accessRequestValidator');
+
+// Apply common middleware
+router.use(requestLogger);
+router.use(authenticateTokenOrService);
+router.use(userLimiter);
+
+// Routes for requesters (no access to the subaccount needed)
+
+// POST /api/subaccounts/:subaccountId/access-requests - Request a role or time-boxed elevation
+router.post('/:subaccountId/access-requests',
+  validateSubaccountId,
+  burstProtection, // Prevent request spam
+  validateCreateAccessRequest,
+  auditAction('access_request.create'),
+  AccessRequestController.createAccessRequest
+);
+
+// GET /api/subaccounts/:subaccountId/access-requests/mine - Get own access requests
+router.get('/:subaccountId/access-requests/mine',
+  validateSubaccountId,
+  AccessRequestController.getMyAccessRequests
+);
+
+// DELETE /api/subaccounts/:subaccountId/access-requests/:requestId - Cancel own pending request
+router.delete('/:subaccountId/access-requests/:requestId',
+  validateSubaccountId,
+  validateAccessRequestId,
+  auditAction('access_request.cancel'),
+  AccessRequestController.cancelAccessRequest
+);
+
+// Routes for subaccount admins and services
+
+// GET /api/subaccounts/:subaccountId/access-requests - Get subaccount access requests
+router.get('/:subaccountId/access-requests',
+  validateSubaccountId,
+  validateUserAccessOrService('read'),
+  AccessRequestController.getAccessRequests
+);
+
+// POST /api/subaccounts/:subaccountId/access-requests/:requestId/approve - Approve access request
+router.post('/:subaccountId/access-requests/:requestId/approve',
+  validateSubaccountId,
+  validateAccessRequestId,
+  validateUserAccessOrService('write'),
+  validateApproveAccessRequest,
+  auditAction('access_request.approve'),
+  AccessRequestController.approveAccessRequest
+);
+
+// POST /api/subaccounts/:subaccountId/access-requests/:requestId/deny - Deny access request
+router.post('/:subaccountId/access-requests/:requestId/deny',
+  validateSubaccountId,
+  validateAccessRequestId,
+  validateUserAccessOrService('write'),
+  validateDenyAccessRequest,
+  auditAction('access_request.deny'),
+  AccessRequestController.denyAccessRequest
+);
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controller
+const AdminController = require('../controllers/adminController');
+const RoleController = require('../controllers/roleController');
+const AuditLogController = require('../controllers/auditLogController');
+
+// Import middleware
+const { 
+  authenticateToken, 
+  requireRole,
+  requestLogger 
+} = require('../middleware/authMiddleware');
+
+const { 
+  userLimiter, 
+  burstProtection 
+} = require('../middleware/rateLimiter');
+
+const { auditAction } = require('../middleware/auditMiddleware');
+
+// Import validators
+const {
+  validateCreateRole,
+  validateUpdateRole,
+  validateRoleId
+} = require('../validators/roleValidator');
+
+const {
+  validateGlobalAuditLogList,
+  validateGlobalAuditLogExport
+} = require('../validators/auditLogValidator');
+
+// Apply common middleware
+router.use(requestLogger);
+router.use(authenticateToken);
+router.use(userLimiter);
+
+// Routes
+
+// GET /api/admin/encryption - Get encryption key versions in use (super admin only)
+router.get('/encryption',
+  requireRole('super_admin'),
+  AdminController.getEncryptionStatus
+);
+
+// GET /api/admin/encryption/verify - Decrypt all secrets and report integrity failures (super admin only)
+router.get('/encryption/verify',
+  requireRole('super_admin'),
+  AdminController.verifyEncryption
+);
+
+// POST /api/admin/encryption/rotate - Re-encrypt secrets with the current key and AES-GCM (super admin only)
+router.post('/encryption/rotate',
+  burstProtection,
+  requireRole('super_admin'),
+  auditAction('encryption.rotate'),
+  AdminController.rotateEncryptionKeys
+);
+
+// GET /api/admin/roles - Get global roles (available in every subaccount)
+router.get('/roles',
+  requireRole('admin', 'super_admin'),
+  RoleController.getRoles
+);
+
+// POST /api/admin/roles - Create global role
+router.post('/roles',
+  requireRole('admin', 'super_admin'),
+  validateCreateRole,
+  auditAction('role.create'),
+  RoleController.createRole
+);
+
+// PUT /api/admin/roles/:roleId - Update global role (applied to its members in every subaccount)
+router.put('/roles/:roleId',
+  requireRole('admin', 'super_admin'),
+  validateRoleId,
+  validateUpdateRole,
+  auditAction('role.update'),
+  RoleController.updateRole
+);
+
+// DELETE /api/admin/roles/:roleId - Delete global role
+router.delete('/roles/:roleId',
+  requireRole('admin', 'super_admin'),
+  validateRoleId,
+  auditAction('role.delete'),
+  RoleController.deleteRole
+);
+
+// GET /api/admin/audit-logs - Get audit logs across subaccounts (optionally filtered by subaccountId)
+router.get('/audit-logs',
+  requireRole('admin', 'super_admin'),
+  validateGlobalAuditLogList,
+  AuditLogController.getAuditLogs
+);
+
+// GET /api/admin/audit-logs/export - Stream audit logs across subaccounts as CSV or NDJSON
+router.get('/audit-logs/export',
+  requireRole('admin', 'super_admin'),
+  burstProtection,
+  validateGlobalAuditLogExport,
+  AuditLogController.exportAuditLogs
+);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const AuditLogController = require('../controllers/auditLogController');
+
+// Import middleware
+const {
+  requestLogger
+} = require('../middleware/authMiddleware');
+
+const {
+  authenticateTokenOrService,
+  validateSubaccountAccessOrService
+} = require('../middleware/serviceAuthMiddleware');
+
+const {
+  userLimiter,
+  burstProtection
+} = require('../middleware/rateLimiter');
+
+// Import validators
+const {
+  validateSubaccountId
+} = require('../validators/userValidator');
+
+const {
+  validateAuditLogList,
+  validateAuditLogExport,
+  validateAuditLogVerify
+} = require('../validators/auditLogValidator');
+
+// Apply common middleware
+router.use(requestLogger);
+router.use(authenticateTokenOrService);
+router.use(userLimiter);
+
+// Routes for the data-plane audit logs of a subaccount
+
+// GET /api/subaccounts/:subaccountId/audit-logs - Get audit logs (filters, cursor pagination)
+router.get('/:subaccountId/audit-logs',
+  validateSubaccountId,
+  validateSubaccountAccessOrService('admin'),
+  validateAuditLogList,
+  AuditLogController.getAuditLogs
+);
+
+// GET /api/subaccounts/:subaccountId/audit-logs/export - Stream audit logs as CSV or NDJSON
+router.get('/:subaccountId/audit-logs/export',
+  validateSubaccountId,
+  validateSubaccountAccessOrService('admin'),
+  burstProtection, // Exports scan many entries
+  validateAuditLogExport,
+  AuditLogController.exportAuditLogs
+);
+
+// GET /api/subaccounts/:subaccountId/audit-logs/verify - Verify the hash chain of the audit logs
+router.get('/:subaccountId/audit-logs/verify',
+  validateSubaccountId,
+  validateSubaccountAccessOrService('admin'),
+  burstProtection, // Verification recomputes the hash of every entry in the range
+  validateAuditLogVerify,
+  AuditLogController.verifyAuditLogs
+);
+
+module.exports = router;
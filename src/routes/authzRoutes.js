@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const AuthzController = require('../controllers/authzController');
+
+// Import middleware
+const { requestLogger } = require('../middleware/authMiddleware');
+
+const {
+  authenticateServiceToken,
+  requireServicePermission
+} = require('../middleware/serviceAuthMiddleware');
+
+const { auditAction } = require('../middleware/auditMiddleware');
+
+// Import validators
+const {
+  validateAuthzCheck,
+  validateAuthzBatchCheck,
+  validateAuthzInvalidate
+} = require('../validators/authzValidator');
+
+// Apply common middleware
+router.use(requestLogger);
+
+// Only other services ask for authorization decisions
+router.use(authenticateServiceToken);
+
+// Routes
+
+// POST /api/authz/check - Decide whether a user may perform an operation on a subaccount collection
+router.post('/check',
+  requireServicePermission('authz:check'),
+  validateAuthzCheck,
+  AuthzController.check
+);
+
+// POST /api/authz/check/batch - Decide a list of checks, returned in request order
+router.post('/check/batch',
+  requireServicePermission('authz:check'),
+  validateAuthzBatchCheck,
+  AuthzController.checkBatch
+);
+
+// POST /api/authz/invalidate - Drop cached decisions for a user or a whole subaccount
+router.post('/invalidate',
+  requireServicePermission('authz:invalidate'),
+  validateAuthzInvalidate,
+  auditAction('authz.cache.invalidate'),
+  AuthzController.invalidate
+);
+
+module.exports = router;
@@ -16,6 +16,8 @@ const {
   burstProtection 
 } = require('../middleware/rateLimiter');
 
+const { auditAction } = require('../middleware/auditMiddleware');
+
 // Import validators
 const { 
   validateCreateConnector,
@@ -40,6 +42,7 @@ router.post('/',
   requireRole('admin'),
   burstProtection,
   // validateCreateConnector,
+  auditAction('connector.create'),
   ConnectorController.createConnector
 );
 
@@ -54,6 +57,7 @@ router.put('/:connectorId',
   requireRole('admin'),
   validateConnectorId,
   // validateUpdateConnector,
+  auditAction('connector.update'),
   ConnectorController.updateConnector
 );
 
@@ -62,6 +66,7 @@ router.delete('/:connectorId',
   requireRole('admin'),
   validateConnectorId,
   burstProtection,
+  auditAction('connector.delete'),
   ConnectorController.deleteConnector
 );
 
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const InvitationController = require('../controllers/invitationController');
+
+// Import middleware
+const {
+  authenticateToken,
+  optionalAuth,
+  requestLogger
+} = require('../middleware/authMiddleware');
+
+const {
+  userLimiter,
+  burstProtection
+} = require('../middleware/rateLimiter');
+
+const { auditAction } = require('../middleware/auditMiddleware');
+
+// Import validators
+const {
+  validateInvitationToken
+} = require('../validators/invitationValidator');
+
+// Apply common middleware
+router.use(requestLogger);
+
+// Routes for invitees (invitations are managed under /api/subaccounts/:subaccountId/invitations)
+
+// POST /api/invitations/:token/accept - Accept invitation as the invited user
+router.post('/:token/accept',
+  authenticateToken,
+  userLimiter,
+  burstProtection, // Slow down token guessing
+  validateInvitationToken,
+  auditAction('invitation.accept'),
+  InvitationController.acceptInvitation
+);
+
+// POST /api/invitations/:token/decline - Decline invitation (sign-in optional)
+router.post('/:token/decline',
+  optionalAuth,
+  userLimiter,
+  burstProtection, // Slow down token guessing
+  validateInvitationToken,
+  auditAction('invitation.decline'),
+  InvitationController.declineInvitation
+);
+
+module.exports = router;
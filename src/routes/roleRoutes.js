@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const RoleController = require('../controllers/roleController');
+
+// Import middleware
+const {
+  requestLogger
+} = require('../middleware/authMiddleware');
+
+const {
+  authenticateTokenOrService,
+  validateUserAccessOrService
+} = require('../middleware/serviceAuthMiddleware');
+
+const {
+  userLimiter
+} = require('../middleware/rateLimiter');
+
+const { auditAction } = require('../middleware/auditMiddleware');
+
+// Import validators
+const {
+  validateSubaccountId
+} = require('../validators/userValidator');
+
+const {
+  validateCreateRole,
+  validateUpdateRole,
+  validateRoleId
+} = require('../validators/roleValidator');
+
+// Apply common middleware
+router.use(requestLogger);
+router.use(authenticateTokenOrService);
+router.use(userLimiter);
+
+// Routes for subaccount roles (global roles are managed under /api/admin/roles)
+
+// GET /api/subaccounts/:subaccountId/roles - Get roles available in the subaccount
+router.get('/:subaccountId/roles',
+  validateSubaccountId,
+  validateUserAccessOrService('read'),
+  RoleController.getRoles
+);
+
+// POST /api/subaccounts/:subaccountId/roles - Create subaccount role
+router.post('/:subaccountId/roles',
+  validateSubaccountId,
+  validateUserAccessOrService('write'),
+  validateCreateRole,
+  auditAction('role.create'),
+  RoleController.createRole
+);
+
+// PUT /api/subaccounts/:subaccountId/roles/:roleId - Update subaccount role (applied to its members)
+router.put('/:subaccountId/roles/:roleId',
+  validateSubaccountId,
+  validateRoleId,
+  validateUserAccessOrService('write'),
+  validateUpdateRole,
+  auditAction('role.update'),
+  RoleController.updateRole
+);
+
+// DELETE /api/subaccounts/:subaccountId/roles/:roleId - Delete subaccount role
+router.delete('/:subaccountId/roles/:roleId',
+  validateSubaccountId,
+  validateRoleId,
+  validateUserAccessOrService('write'),
+  auditAction('role.delete'),
+  RoleController.deleteRole
+);
+
+module.exports = router;
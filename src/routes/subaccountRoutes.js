@@ -4,6 +4,7 @@ const router = express.Router();
 // Import controllers
 const SubaccountController = require('../controllers/subaccountController');
 const RetellController = require('../controllers/retellController');
+const ConnectorController = require('../controllers/connectorController');
 
 // Import middleware
 const { 
@@ -25,10 +26,14 @@ const {
   burstProtection 
 } = require('../middleware/rateLimiter');
 
+const { auditAction } = require('../middleware/auditMiddleware');
+
 // Import validators
 const { 
   validateCreateSubaccount,
   validateUpdateSubaccount,
+  validateImportBundle,
+  validateTransferOwnership,
   validateSubaccountId 
 } = require('../validators/subaccountValidator');
 
@@ -37,6 +42,13 @@ const {
   validateUpdateRetellAccount
 } = require('../validators/retellValidator');
 
+const { validateCloneSubaccount } = require('../validators/templateValidator');
+
+const {
+  validateConnectorId,
+  validateSubaccountConnectorConfig
+} = require('../validators/connectorValidator');
+
 // Apply common middleware
 router.use(requestLogger);
 
@@ -56,9 +68,19 @@ router.post('/',
   burstProtection, // Prevent rapid subaccount creation
   validateCreateSubaccount,
   requireRole('admin'),
+  auditAction('subaccount.create'),
   SubaccountController.createSubaccount
 );
 
+// POST /api/subaccounts/import - Recreate a subaccount from an export bundle
+router.post('/import',
+  burstProtection,
+  requireRole('admin', 'super_admin'),
+  validateImportBundle,
+  auditAction('subaccount.import'),
+  SubaccountController.importSubaccount
+);
+
 // GET /api/subaccounts/:subaccountId - Get specific subaccount
 router.get('/:subaccountId',
   validateSubaccountId,
@@ -66,11 +88,19 @@ router.get('/:subaccountId',
   SubaccountController.getSubaccount
 );
 
+// GET /api/subaccounts/:subaccountId/quota - Get query quota limits and usage
+router.get('/:subaccountId/quota',
+  validateSubaccountId,
+  validateSubaccountAccessOrService('read'),
+  SubaccountController.getQuota
+);
+
 // PUT /api/subaccounts/:subaccountId - Update subaccount
 router.put('/:subaccountId',
   validateSubaccountId,
   validateSubaccountAccess('admin'),
   validateUpdateSubaccount,
+  auditAction('subaccount.update'),
   SubaccountController.updateSubaccount
 );
 
@@ -79,9 +109,105 @@ router.delete('/:subaccountId',
   validateSubaccountId,
   validateSubaccountAccess('admin'),
   burstProtection, // Prevent rapid deletions
+  auditAction('subaccount.delete'),
   SubaccountController.deleteSubaccount
 );
 
+// POST /api/subaccounts/:subaccountId/restore - Restore a subaccount pending deletion
+router.post('/:subaccountId/restore',
+  validateSubaccountId,
+  burstProtection,
+  auditAction('subaccount.restore'),
+  SubaccountController.restoreSubaccount
+);
+
+// GET /api/subaccounts/:subaccountId/deletion-preview - Preview what a deletion would destroy
+router.get('/:subaccountId/deletion-preview',
+  validateSubaccountId,
+  validateSubaccountAccess('admin'),
+  subaccountLimiter(10, 60000), // Preview lists every Retell resource
+  SubaccountController.getDeletionPreview
+);
+
+// GET /api/subaccounts/:subaccountId/deletion - Get deletion progress
+router.get('/:subaccountId/deletion',
+  validateSubaccountId,
+  SubaccountController.getDeletionStatus
+);
+
+// POST /api/subaccounts/:subaccountId/deletion/retry - Retry failed deletion steps
+router.post('/:subaccountId/deletion/retry',
+  validateSubaccountId,
+  burstProtection,
+  auditAction('subaccount.deletion.retry'),
+  SubaccountController.retryDeletion
+);
+
+// POST /api/subaccounts/:subaccountId/transfer-ownership - Request ownership transfer (owner only)
+router.post('/:subaccountId/transfer-ownership',
+  validateSubaccountId,
+  burstProtection,
+  validateTransferOwnership,
+  auditAction('subaccount.ownership_transfer.request'),
+  SubaccountController.requestOwnershipTransfer
+);
+
+// GET /api/subaccounts/:subaccountId/transfer-ownership - Get pending ownership transfer
+router.get('/:subaccountId/transfer-ownership',
+  validateSubaccountId,
+  SubaccountController.getOwnershipTransfer
+);
+
+// POST /api/subaccounts/:subaccountId/transfer-ownership/confirm - Confirm ownership transfer as the new owner
+router.post('/:subaccountId/transfer-ownership/confirm',
+  validateSubaccountId,
+  burstProtection,
+  auditAction('subaccount.ownership_transfer.confirm'),
+  SubaccountController.confirmOwnershipTransfer
+);
+
+// DELETE /api/subaccounts/:subaccountId/transfer-ownership - Cancel (owner) or decline (new owner) ownership transfer
+router.delete('/:subaccountId/transfer-ownership',
+  validateSubaccountId,
+  auditAction('subaccount.ownership_transfer.cancel'),
+  SubaccountController.cancelOwnershipTransfer
+);
+
+// GET /api/subaccounts/:subaccountId/provisioning - Get provisioning steps (Retell account, calendar, Twilio bundle)
+router.get('/:subaccountId/provisioning',
+  validateSubaccountId,
+  validateSubaccountAccess('admin'),
+  SubaccountController.getProvisioningStatus
+);
+
+// POST /api/subaccounts/:subaccountId/provisioning - Re-run failed provisioning steps
+router.post('/:subaccountId/provisioning',
+  validateSubaccountId,
+  burstProtection,
+  validateSubaccountAccess('admin'),
+  auditAction('subaccount.provisioning.retry'),
+  SubaccountController.retryProvisioning
+);
+
+// POST /api/subaccounts/:subaccountId/clone - Create a new subaccount with the settings of this one
+router.post('/:subaccountId/clone',
+  validateSubaccountId,
+  burstProtection, // Prevent rapid subaccount creation
+  requireRole('admin', 'super_admin'),
+  validateSubaccountAccess('admin'),
+  validateCloneSubaccount,
+  auditAction('subaccount.clone'),
+  SubaccountController.cloneSubaccount
+);
+
+// GET /api/subaccounts/:subaccountId/export - Export subaccount as a versioned bundle
+router.get('/:subaccountId/export',
+  validateSubaccountId,
+  validateSubaccountAccess('admin'),
+  subaccountLimiter(10, 60000),
+  SubaccountController.exportSubaccount
+);
+
 // POST /api/subaccounts/:subaccountId/test-connection - Test connection
 router.post('/:subaccountId/test-connection',
   validateSubaccountId,
@@ -94,6 +220,7 @@ router.post('/:subaccountId/test-connection',
 router.post('/:subaccountId/invite-calendar',
   validateSubaccountId,
   validateSubaccountAccess('admin'),
+  auditAction('subaccount.calendar.invite'),
   SubaccountController.inviteEmailForCalendar
 );
 
@@ -101,6 +228,7 @@ router.post('/:subaccountId/invite-calendar',
 router.delete('/:subaccountId/cache',
   validateSubaccountId,
   validateSubaccountAccess('admin'),
+  auditAction('subaccount.cache.invalidate'),
   SubaccountController.invalidateCache
 );
 
@@ -118,6 +246,7 @@ router.put('/:subaccountId/retell',
   validateSubaccountId,
   validateSubaccountAccess('admin'),
   validateCreateRetellAccount,
+  auditAction('retell_account.upsert'),
   RetellController.upsertRetellAccount
 );
 
@@ -126,6 +255,7 @@ router.patch('/:subaccountId/retell',
   validateSubaccountId,
   validateSubaccountAccess('admin'),
   validateUpdateRetellAccount,
+  auditAction('retell_account.update'),
   RetellController.updateRetellAccount
 );
 
@@ -134,7 +264,47 @@ router.delete('/:subaccountId/retell',
   validateSubaccountId,
   validateSubaccountAccess('admin'),
   burstProtection, // Prevent rapid deletions
+  auditAction('retell_account.delete'),
   RetellController.deleteRetellAccount
 );
 
+// Subaccount Connector Routes
+
+// GET /api/subaccounts/:subaccountId/connectors - Get connectors activated for subaccount
+router.get('/:subaccountId/connectors',
+  validateSubaccountId,
+  validateSubaccountAccessOrService('admin'),
+  ConnectorController.getSubaccountConnectors
+);
+
+// POST /api/subaccounts/:subaccountId/connectors/:connectorId - Activate connector for subaccount
+router.post('/:subaccountId/connectors/:connectorId',
+  validateSubaccountId,
+  validateConnectorId,
+  validateSubaccountAccessOrService('admin'),
+  validateSubaccountConnectorConfig(false),
+  auditAction('subaccount_connector.activate'),
+  ConnectorController.activateSubaccountConnector
+);
+
+// PUT /api/subaccounts/:subaccountId/connectors/:connectorId/config - Update subaccount connector config
+router.put('/:subaccountId/connectors/:connectorId/config',
+  validateSubaccountId,
+  validateConnectorId,
+  validateSubaccountAccessOrService('admin'),
+  validateSubaccountConnectorConfig(true),
+  auditAction('subaccount_connector.config.update'),
+  ConnectorController.updateSubaccountConnectorConfig
+);
+
+// DELETE /api/subaccounts/:subaccountId/connectors/:connectorId - Deactivate connector for subaccount
+router.delete('/:subaccountId/connectors/:connectorId',
+  validateSubaccountId,
+  validateConnectorId,
+  validateSubaccountAccessOrService('admin'),
+  burstProtection,
+  auditAction('subaccount_connector.deactivate'),
+  ConnectorController.deactivateSubaccountConnector
+);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const TemplateController = require('../controllers/templateController');
+const SubaccountController = require('../controllers/subaccountController');
+
+// Import middleware
+const {
+  authenticateToken,
+  requireRole,
+  requestLogger
+} = require('../middleware/authMiddleware');
+
+const {
+  userLimiter,
+  burstProtection
+} = require('../middleware/rateLimiter');
+
+const { auditAction } = require('../middleware/auditMiddleware');
+
+// Import validators
+const {
+  validateCreateTemplate,
+  validateUpdateTemplate,
+  validateCloneSubaccount,
+  validateTemplateId
+} = require('../validators/templateValidator');
+
+// Apply common middleware
+router.use(requestLogger);
+router.use(authenticateToken);
+router.use(userLimiter);
+
+// Templates are managed by global admins
+router.use(requireRole('admin', 'super_admin'));
+
+// Routes
+
+// GET /api/subaccounts/templates - Get subaccount templates
+router.get('/',
+  TemplateController.getTemplates
+);
+
+// POST /api/subaccounts/templates - Create template (optionally captured from a subaccount)
+router.post('/',
+  validateCreateTemplate,
+  auditAction('template.create'),
+  TemplateController.createTemplate
+);
+
+// GET /api/subaccounts/templates/:templateId - Get specific template
+router.get('/:templateId',
+  validateTemplateId,
+  TemplateController.getTemplate
+);
+
+// PUT /api/subaccounts/templates/:templateId - Update template
+router.put('/:templateId',
+  validateTemplateId,
+  validateUpdateTemplate,
+  auditAction('template.update'),
+  TemplateController.updateTemplate
+);
+
+// DELETE /api/subaccounts/templates/:templateId - Delete template
+router.delete('/:templateId',
+  validateTemplateId,
+  auditAction('template.delete'),
+  TemplateController.deleteTemplate
+);
+
+// POST /api/subaccounts/templates/:templateId/clone - Create a new subaccount from a template
+router.post('/:templateId/clone',
+  validateTemplateId,
+  burstProtection, // Prevent rapid subaccount creation
+  validateCloneSubaccount,
+  auditAction('subaccount.clone'),
+  SubaccountController.cloneSubaccount
+);
+
+module.exports = router;
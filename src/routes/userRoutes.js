@@ -3,6 +3,7 @@ const router = express.Router();
 
 // Import controllers
 const UserController = require('../controllers/userController');
+const InvitationController = require('../controllers/invitationController');
 
 // Import middleware
 const { 
@@ -20,6 +21,8 @@ const {
   subaccountLimiter 
 } = require('../middleware/rateLimiter');
 
+const { auditAction } = require('../middleware/auditMiddleware');
+
 // Import validators
 const { 
   validateInviteUser,
@@ -29,6 +32,12 @@ const {
   validateUserId 
 } = require('../validators/userValidator');
 
+const {
+  validateBulkInvite,
+  validateInvitationId,
+  validateBulkJobId
+} = require('../validators/invitationValidator');
+
 // Apply common middleware
 router.use(requestLogger);
 router.use(authenticateTokenOrService);
@@ -43,21 +52,42 @@ router.get('/:subaccountId/users',
   UserController.getSubaccountUsers
 );
 
-// POST /api/subaccounts/:subaccountId/users - Invite user to subaccount
+// POST /api/subaccounts/:subaccountId/users - Invite user to subaccount (creates a pending invitation)
 router.post('/:subaccountId/users',
   validateSubaccountId,
   validateUserAccessOrService('write'),
   burstProtection, // Prevent rapid invitations
   validateInviteUser,
+  auditAction('invitation.create'),
   UserController.inviteUser
 );
 
+// POST /api/subaccounts/:subaccountId/users/bulk - Invite users from JSON rows or a CSV upload
+router.post('/:subaccountId/users/bulk',
+  validateSubaccountId,
+  validateUserAccessOrService('write'),
+  burstProtection, // Prevent rapid invitations
+  express.text({ type: 'text/csv', limit: '10mb' }),
+  validateBulkInvite,
+  auditAction('invitation.bulk_create'),
+  InvitationController.bulkInvite
+);
+
+// GET /api/subaccounts/:subaccountId/users/bulk/:jobId - Get bulk invitation progress and report
+router.get('/:subaccountId/users/bulk/:jobId',
+  validateSubaccountId,
+  validateBulkJobId,
+  validateUserAccessOrService('read'),
+  InvitationController.getBulkInvitation
+);
+
 // PUT /api/subaccounts/:subaccountId/users/:targetUserId - Update user permissions
 router.put('/:subaccountId/users/:targetUserId',
   validateSubaccountId,
   validateUserId('targetUserId'),
   validateUserAccessOrService('write'),
   validateUpdatePermissions,
+  auditAction('user.permissions.update'),
   UserController.updateUserPermissions
 );
 
@@ -67,6 +97,7 @@ router.patch('/:subaccountId/users/:targetUserId/details',
   validateUserId('targetUserId'),
   validateUserAccessOrService('write'),
   validateUpdateUserDetails,
+  auditAction('user.details.update'),
   UserController.updateUserDetails
 );
 
@@ -76,6 +107,7 @@ router.delete('/:subaccountId/users/:targetUserId',
   validateUserId('targetUserId'),
   validateUserAccessOrService('write'),
   burstProtection, // Prevent rapid user removal
+  auditAction('user.remove'),
   UserController.removeUser
 );
 
@@ -88,4 +120,30 @@ router.get('/:subaccountId/users/:targetUserId/activity',
   UserController.getUserActivity
 );
 
+// GET /api/subaccounts/:subaccountId/invitations - Get subaccount invitations
+router.get('/:subaccountId/invitations',
+  validateSubaccountId,
+  validateUserAccessOrService('read'),
+  InvitationController.getInvitations
+);
+
+// POST /api/subaccounts/:subaccountId/invitations/:invitationId/resend - Resend invitation with a new token
+router.post('/:subaccountId/invitations/:invitationId/resend',
+  validateSubaccountId,
+  validateInvitationId,
+  validateUserAccessOrService('write'),
+  burstProtection, // Prevent rapid invitations
+  auditAction('invitation.resend'),
+  InvitationController.resendInvitation
+);
+
+// DELETE /api/subaccounts/:subaccountId/invitations/:invitationId - Revoke invitation
+router.delete('/:subaccountId/invitations/:invitationId',
+  validateSubaccountId,
+  validateInvitationId,
+  validateUserAccessOrService('write'),
+  auditAction('invitation.revoke'),
+  InvitationController.revokeInvitation
+);
+
 module.exports = router; 
\ No newline at end of file
@@ -3,6 +3,12 @@ const config = require('../config/config');
 const Logger = require('./utils/logger');
 const Database = require("./utils/database");
 const redisManager = require('./services/redisManager');
+const subaccountDeletionService = require('./services/subaccountDeletionService');
+const subaccountProvisioningService = require('./services/subaccountProvisioningService');
+const bulkInvitationService = require('./services/bulkInvitationService');
+const temporaryAccessService = require('./services/temporaryAccessService');
+const auditArchiveService = require('./services/auditArchiveService');
+const quotaService = require('./services/quotaService');
 
 const PORT = config.server.port;
 
@@ -21,6 +27,30 @@ async function startServer() {
     // Initialize Redis (optional - continue if fails)
     await redisManager.initialize();
 
+    // Resume subaccount deletions interrupted by a crash or restart (runs in background),
+    // then keep scanning for jobs whose worker died
+    subaccountDeletionService.resumeInterruptedJobs().catch(error => {
+      Logger.error('Failed to resume subaccount deletion jobs', { error: error.message });
+    });
+    subaccountDeletionService.startResumer();
+
+    // Finish bulk invitations interrupted by a crash or restart (runs in background)
+    bulkInvitationService.resumeInterruptedJobs().catch(error => {
+      Logger.error('Failed to resume bulk invitation jobs', { error: error.message });
+    });
+
+    // Purge subaccounts whose deletion grace period has ended
+    subaccountDeletionService.startReaper();
+
+    // Retry failed subaccount provisioning steps (Retell account, calendar, Twilio bundle)
+    subaccountProvisioningService.startWorker();
+
+    // Deactivate memberships whose temporary access expired and warn before expiry
+    temporaryAccessService.startWorker();
+
+    // Archive audit logs past their retention period (AUDIT_ARCHIVER_ENABLED)
+    auditArchiveService.startWorker();
+
     // Start HTTP server
     const server = app.listen(PORT, () => {
       Logger.info(`🏢 Tenant Manager running on port ${PORT} in ${config.server.nodeEnv} mode`);
@@ -35,6 +65,13 @@ async function startServer() {
         try {
           Logger.info('HTTP server closed');
           
+          subaccountDeletionService.stopResumer();
+          subaccountDeletionService.stopReaper();
+          subaccountProvisioningService.stopWorker();
+          temporaryAccessService.stopWorker();
+          auditArchiveService.stopWorker();
+          quotaService.shutdown();
+          
           // Close database connection
           await Database.disconnect();
           
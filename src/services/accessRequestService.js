@@ -0,0 +1,362 @@
+const Logger = require('../utils/logger');
+const redisManager = require('./redisManager');
+const invitationService = require('./invitationService');
+
+// Import models
+const AccessRequest = require('../models/AccessRequest');
+const Subaccount = require('../models/Subaccount');
+const UserSubaccount = require('../models/UserSubaccount');
+const User = require('../models/User');
+const Role = require('../models/Role');
+
+class AccessRequestService {
+  /**
+   * Record a request for a role in a subaccount. Members can ask for another role
+   * (optionally time-boxed); users without access can ask to join.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} user - { id, email } of the requesting user
+   * @param {Object} request - Validated request ({ role, temporaryAccess, justification })
+   * @returns {Promise<Object>} { success: true, accessRequest } or { success: false, status, code, message, data }
+   */
+  async create(subaccountId, user, { role, temporaryAccess = {}, justification }) {
+    // Any name other than a built-in role refers to a custom role of the subaccount or a global one
+    let customRole = null;
+    if (!Role.BUILT_IN_ROLES.includes(role)) {
+      customRole = await Role.findByName(subaccountId, role);
+      if (!customRole) {
+        return invitationService.rejection(400, 'INVALID_ROLE',
+          `Role '${role}' not found. Role must be one of: viewer, editor, admin, or a custom role`);
+      }
+    }
+
+    const membership = await UserSubaccount.findOne({
+      userId: user.id,
+      subaccountId,
+      isActive: true
+    }).populate('customRole', 'name');
+
+    const currentRole = membership
+      ? (membership.customRole ? membership.customRole.name : membership.role)
+      : null;
+
+    if (currentRole === 'owner') {
+      return invitationService.rejection(400, 'OWNER_REQUEST_DENIED', 'The subaccount owner already has full access');
+    }
+
+    if (currentRole === (customRole ? customRole.name : role) && !temporaryAccess.enabled) {
+      return invitationService.rejection(400, 'ROLE_ALREADY_GRANTED', `You already have the '${currentRole}' role`);
+    }
+
+    try {
+      const accessRequest = await AccessRequest.create({
+        subaccountId,
+        userId: user.id,
+        email: user.email,
+        role: customRole ? customRole.name : role,
+        customRole: customRole ? customRole._id : null,
+        currentRole,
+        temporaryAccess: temporaryAccess.enabled ? {
+          enabled: true,
+          expiresAt: new Date(temporaryAccess.expiresAt),
+          reason: temporaryAccess.reason
+        } : { enabled: false },
+        justification
+      });
+
+      Logger.info('Access request created', {
+        accessRequestId: accessRequest._id.toString(),
+        subaccountId,
+        userId: user.id,
+        role: accessRequest.role,
+        currentRole,
+        temporary: accessRequest.temporaryAccess.enabled
+      });
+
+      return { success: true, accessRequest };
+    } catch (error) {
+      if (error.code === 11000) {
+        const pending = await AccessRequest.findOne({ subaccountId, userId: user.id, status: 'pending' }).select('_id');
+        return invitationService.rejection(409, 'ACCESS_REQUEST_PENDING',
+          'You already have a pending access request for this subaccount',
+          pending ? { accessRequestId: pending._id } : undefined);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a pending request: create the membership, or change the role of an existing one.
+   * Time-boxed elevations of members keep the previous role, which the temporary access
+   * worker restores on expiry.
+   * @param {Object} accessRequest - Pending AccessRequest
+   * @param {string} [reviewerId] - ID of the approving user
+   * @param {Object} options - { temporaryAccess: overrides the requested time box, note }
+   * @returns {Promise<Object>} { accessRequest, userSubaccount } - the approved request and the created or updated membership
+   */
+  async approve(accessRequest, reviewerId, { temporaryAccess, note } = {}) {
+    const reviewedAt = new Date();
+
+    const update = { status: 'approved', reviewedBy: reviewerId, reviewedAt, reviewNote: note };
+    if (temporaryAccess !== undefined) {
+      update.temporaryAccess = temporaryAccess.enabled ? {
+        enabled: true,
+        expiresAt: new Date(temporaryAccess.expiresAt),
+        reason: temporaryAccess.reason
+      } : { enabled: false };
+    }
+
+    // Claim the request first so concurrent approvals cannot both apply it
+    const claimed = await AccessRequest.findOneAndUpdate(
+      { _id: accessRequest._id, status: 'pending' },
+      { $set: update },
+      { new: true }
+    );
+    if (!claimed) {
+      const error = new Error('Access request is no longer pending');
+      error.code = 'ACCESS_REQUEST_NOT_PENDING';
+      throw error;
+    }
+
+    const userId = claimed.userId.toString();
+    const subaccountId = claimed.subaccountId.toString();
+
+    let userSubaccount;
+    try {
+      const existing = await UserSubaccount.findOne({ userId, subaccountId, isActive: true });
+      userSubaccount = existing
+        ? await this.changeRole(existing, claimed)
+        : await this.addMember(claimed, reviewerId);
+    } catch (error) {
+      // Leave the request open so it can be approved once the problem is fixed
+      await AccessRequest.updateOne(
+        { _id: claimed._id },
+        {
+          $set: { status: 'pending', temporaryAccess: accessRequest.toObject().temporaryAccess },
+          $unset: { reviewedBy: 1, reviewedAt: 1, reviewNote: 1 }
+        }
+      );
+      throw error;
+    }
+
+    // Invalidate caches
+    const redisService = redisManager.getRedisService();
+    if (redisService && redisService.isConnected) {
+      try {
+        await Promise.all([
+          redisService.invalidateUserSubaccounts(userId),
+          redisService.invalidatePermissions(userId, subaccountId),
+          redisService.invalidateSubaccount(subaccountId),
+          redisService.invalidateSubaccountUsers(subaccountId)
+        ]);
+      } catch (error) {
+        Logger.warn('Cache invalidation failed', { error: error.message });
+      }
+    }
+
+    Logger.info('Access request approved', {
+      accessRequestId: claimed._id.toString(),
+      subaccountId,
+      userId,
+      reviewerId,
+      role: claimed.role,
+      temporary: claimed.temporaryAccess.enabled
+    });
+
+    return { accessRequest: claimed, userSubaccount };
+  }
+
+  /**
+   * Deny a pending request
+   * @param {Object} accessRequest - Pending AccessRequest
+   * @param {string} [reviewerId] - ID of the denying user
+   * @param {string} [note] - Reason shown to the requester
+   * @returns {Promise<Object>} The denied AccessRequest
+   */
+  async deny(accessRequest, reviewerId, note) {
+    const denied = await AccessRequest.findOneAndUpdate(
+      { _id: accessRequest._id, status: 'pending' },
+      { $set: { status: 'denied', reviewedBy: reviewerId, reviewedAt: new Date(), reviewNote: note } },
+      { new: true }
+    );
+    if (!denied) {
+      const error = new Error('Access request is no longer pending');
+      error.code = 'ACCESS_REQUEST_NOT_PENDING';
+      throw error;
+    }
+
+    Logger.info('Access request denied', {
+      accessRequestId: denied._id.toString(),
+      subaccountId: denied.subaccountId.toString(),
+      userId: denied.userId.toString(),
+      reviewerId
+    });
+
+    return denied;
+  }
+
+  /**
+   * Withdraw a pending request (by the requester)
+   * @param {Object} accessRequest - Pending AccessRequest
+   * @returns {Promise<Object>} The cancelled AccessRequest
+   */
+  async cancel(accessRequest) {
+    const cancelled = await AccessRequest.findOneAndUpdate(
+      { _id: accessRequest._id, status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!cancelled) {
+      const error = new Error('Access request is no longer pending');
+      error.code = 'ACCESS_REQUEST_NOT_PENDING';
+      throw error;
+    }
+
+    Logger.info('Access request cancelled', {
+      accessRequestId: cancelled._id.toString(),
+      subaccountId: cancelled.subaccountId.toString(),
+      userId: cancelled.userId.toString()
+    });
+
+    return cancelled;
+  }
+
+  // Give an existing member the requested role
+  async changeRole(membership, accessRequest) {
+    if (membership.role === 'owner') {
+      const error = new Error('The subaccount owner already has full access');
+      error.code = 'OWNER_REQUEST_DENIED';
+      throw error;
+    }
+
+    const granted = await this.resolveRole(accessRequest, membership);
+
+    if (accessRequest.temporaryAccess.enabled) {
+      // Keep the access held before the first elevation so stacked elevations restore it,
+      // including the member's own temporary access (and its expiry)
+      const revertTo = membership.temporaryAccess.enabled && membership.temporaryAccess.revertTo
+        ? membership.temporaryAccess.revertTo
+        : {
+          role: membership.role,
+          customRole: membership.customRole,
+          permissions: membership.permissions.toObject(),
+          temporaryAccess: membership.temporaryAccess.enabled ? {
+            enabled: true,
+            expiresAt: membership.temporaryAccess.expiresAt,
+            reason: membership.temporaryAccess.reason,
+            warningSentAt: membership.temporaryAccess.warningSentAt
+          } : { enabled: false }
+        };
+
+      // An elevation never outlives the membership it elevates
+      let expiresAt = new Date(accessRequest.temporaryAccess.expiresAt);
+      if (revertTo.temporaryAccess?.enabled && revertTo.temporaryAccess.expiresAt < expiresAt) {
+        expiresAt = revertTo.temporaryAccess.expiresAt;
+      }
+
+      granted.temporaryAccess = {
+        enabled: true,
+        expiresAt,
+        reason: accessRequest.temporaryAccess.reason || 'Temporary elevation approved',
+        revertTo
+      };
+    } else if (membership.temporaryAccess.enabled && membership.temporaryAccess.revertTo) {
+      // A permanent role during an elevation replaces the elevation, not the member's own expiry
+      granted.temporaryAccess = membership.temporaryAccess.revertTo.temporaryAccess || { enabled: false };
+    } else {
+      // The member's own temporary access is left as it is
+      granted.temporaryAccess = membership.temporaryAccess.enabled
+        ? membership.temporaryAccess.toObject()
+        : { enabled: false };
+    }
+
+    membership.set(granted);
+    await membership.save();
+
+    return membership;
+  }
+
+  // Create the membership of a user without access
+  async addMember(accessRequest, reviewerId) {
+    const capacity = await invitationService.getRemainingCapacity(accessRequest.subaccountId);
+    if (capacity <= 0) {
+      const error = new Error('Subaccount has reached its user limit');
+      error.code = 'USER_LIMIT_EXCEEDED';
+      throw error;
+    }
+
+    const membership = await invitationService.buildMembership({
+      subaccountId: accessRequest.subaccountId,
+      email: accessRequest.email,
+      role: accessRequest.role,
+      customRole: accessRequest.customRole,
+      permissions: {}
+    }, accessRequest.userId.toString());
+
+    // A membership deactivated when temporary access expired would block the unique index
+    await UserSubaccount.deleteOne({
+      userId: accessRequest.userId,
+      subaccountId: accessRequest.subaccountId,
+      isActive: false
+    });
+
+    const now = new Date();
+    const userSubaccount = new UserSubaccount({
+      ...membership,
+      userId: accessRequest.userId,
+      subaccountId: accessRequest.subaccountId,
+      invitedBy: reviewerId,
+      invitedAt: now,
+      acceptedAt: now,
+      temporaryAccess: accessRequest.temporaryAccess.enabled ? {
+        enabled: true,
+        expiresAt: accessRequest.temporaryAccess.expiresAt,
+        reason: accessRequest.temporaryAccess.reason || 'Temporary access approved'
+      } : { enabled: false }
+    });
+
+    await userSubaccount.save();
+
+    // Update subaccount user count
+    await Subaccount.findByIdAndUpdate(
+      accessRequest.subaccountId,
+      {
+        $inc: { 'stats.totalUsers': 1 },
+        updatedAt: new Date()
+      }
+    );
+
+    // Update requester's subaccount count
+    await User.findByIdAndUpdate(
+      accessRequest.userId,
+      { $inc: { subaccountCount: 1 } }
+    );
+
+    return userSubaccount;
+  }
+
+  // Role, custom role and permissions for an existing member (same rules as a role update)
+  async resolveRole(accessRequest, membership) {
+    if (accessRequest.customRole) {
+      const customRole = await Role.findById(accessRequest.customRole);
+      if (!customRole) {
+        const error = new Error(`Role '${accessRequest.role}' no longer exists`);
+        error.code = 'ROLE_NOT_FOUND';
+        throw error;
+      }
+      return customRole.toMembership();
+    }
+
+    return {
+      role: accessRequest.role,
+      customRole: null,
+      permissions: {
+        ...membership.permissions.toObject(),
+        ...UserSubaccount.ROLE_PERMISSIONS[accessRequest.role]
+      }
+    };
+  }
+}
+
+const accessRequestService = new AccessRequestService();
+
+module.exports = accessRequestService;
@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+
+// Import models
+const AuditLog = require('../models/AuditLog');
+const Subaccount = require('../models/Subaccount');
+const UserActivityBaseline = require('../models/UserActivityBaseline');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Points each deviation from the baseline adds to the anomaly score (capped at 100)
+const FACTORS = {
+  unusual_time: { impact: 20, severity: 'info' },
+  new_ip_address: { impact: 15, severity: 'info' },
+  new_country: { impact: 35, severity: 'warning' },
+  unusual_operation: { impact: 20, severity: 'warning' },
+  volume_spike: { impact: 30, severity: 'warning' }
+};
+
+// Night hours flagged while a user has no trusted baseline yet
+const isNightHour = hour => hour < 6 || hour > 22;
+
+/**
+ * Anomaly Detection Service
+ * Scores data-plane operations against the usual behavior of the user in the subaccount:
+ * hours of the day (in the subaccount's timezone), client IPs and countries, operation mix and volume
+ */
+class AnomalyDetectionService {
+  constructor() {
+    this.options = config.anomalyDetection;
+    // Baselines being computed, so concurrent operations of a user share one aggregation
+    this.pendingBaselines = new Map();
+  }
+
+  /**
+   * Compare an operation with the user's baseline
+   * @param {Object} operationData - Data passed to AuditLog.logOperation
+   * @param {Date} [now] - Time of the operation
+   * @returns {Promise<Object>} { riskLevel, patterns, timeAnomaly, geoAnomaly, behaviorAnomaly }
+   */
+  async analyze(operationData, now = new Date()) {
+    const result = {
+      riskLevel: 'low',
+      patterns: [],
+      timeAnomaly: { detected: false },
+      geoAnomaly: { detected: false },
+      behaviorAnomaly: { score: 0, factors: [] }
+    };
+
+    const userId = this.toObjectId(operationData.userId);
+    const subaccountId = this.toObjectId(operationData.subaccountId);
+    if (!this.options.enabled || !userId || !subaccountId) {
+      return result;
+    }
+
+    try {
+      const [baseline, recentCount] = await Promise.all([
+        this.getBaseline(userId, subaccountId, now),
+        AuditLog.countDocuments({ userId, subaccountId, createdAt: { $gte: new Date(now.getTime() - HOUR_MS) } })
+      ]);
+
+      const observation = {
+        hour: moment(now).tz(baseline.timezone).hour(),
+        ipAddress: operationData.requestContext?.ipAddress,
+        country: this.countryOf(operationData.requestContext),
+        operation: operationData.operation,
+        // Includes the operation being logged
+        recentCount: recentCount + 1
+      };
+
+      return this.score(baseline, observation, result);
+    } catch (error) {
+      // Anomaly detection must never keep an operation from being logged
+      Logger.warn('Anomaly detection failed', {
+        error: error.message,
+        userId: userId.toString(),
+        subaccountId: subaccountId.toString()
+      });
+      return result;
+    }
+  }
+
+  /**
+   * Score an observation against a baseline and fill in the analysis
+   * @param {Object} baseline - UserActivityBaseline (lean)
+   * @param {Object} observation - { hour, ipAddress, country, operation, recentCount }
+   * @param {Object} result - Analysis to fill in (see analyze)
+   * @returns {Object} The analysis
+   */
+  score(baseline, observation, result) {
+    const trusted = baseline.sampleSize >= this.options.minSamples &&
+      baseline.activeDays >= this.options.minActiveDays;
+    const flag = (factor, description) => {
+      result.behaviorAnomaly.factors.push({ factor, impact: FACTORS[factor].impact });
+      result.patterns.push({ pattern: factor, severity: FACTORS[factor].severity, description });
+    };
+
+    result.behaviorAnomaly.baselineSampleSize = baseline.sampleSize;
+    result.timeAnomaly = {
+      detected: trusted ? !baseline.usualHours.includes(observation.hour) : isNightHour(observation.hour),
+      usualHours: baseline.usualHours,
+      currentHour: observation.hour,
+      timezone: baseline.timezone
+    };
+    if (result.timeAnomaly.detected) {
+      flag('unusual_time', `Operation at ${observation.hour}:00 (${baseline.timezone}), outside the user's usual hours`);
+    }
+
+    // The country is recorded on every entry, so later baselines can learn it
+    const previousCountry = [...baseline.countries].sort((a, b) => b.lastSeen - a.lastSeen)[0]?.country;
+    result.geoAnomaly = {
+      detected: false,
+      previousCountry,
+      currentCountry: observation.country
+    };
+
+    if (!trusted) {
+      return this.finish(result);
+    }
+
+    if (observation.ipAddress && !baseline.ipAddresses.some(entry => entry.ipAddress === observation.ipAddress)) {
+      flag('new_ip_address', `Operation from an IP address not used by this user before: ${observation.ipAddress}`);
+    }
+
+    if (observation.country && baseline.countries.length > 0 &&
+        !baseline.countries.some(entry => entry.country === observation.country)) {
+      result.geoAnomaly.detected = true;
+      flag('new_country', `Operation from ${observation.country}, previously ${previousCountry}`);
+    }
+
+    const operationCount = baseline.operations.find(entry => entry.operation === observation.operation)?.count || 0;
+    if (operationCount / baseline.sampleSize < this.options.rareOperationShare) {
+      flag('unusual_operation', `Operation ${observation.operation} is rare for this user (${operationCount} of ${baseline.sampleSize})`);
+    }
+
+    const { hourlyMean, hourlyStdDev } = baseline.volume;
+    const spikeThreshold = Math.max(hourlyMean + this.options.volumeSpikeStdDevs * hourlyStdDev, hourlyMean * 2, 10);
+    if (observation.recentCount > spikeThreshold) {
+      flag('volume_spike', `${observation.recentCount} operations in the last hour, usually ${Math.round(hourlyMean)}`);
+    }
+
+    return this.finish(result);
+  }
+
+  // Total the score and derive the risk level it warrants
+  finish(result) {
+    const score = Math.min(100, result.behaviorAnomaly.factors.reduce((sum, factor) => sum + factor.impact, 0));
+    result.behaviorAnomaly.score = score;
+    result.riskLevel = score >= this.options.highRiskScore ? 'high'
+      : score >= this.options.mediumRiskScore ? 'medium'
+        : 'low';
+    return result;
+  }
+
+  /**
+   * Baseline of a user in a subaccount, recomputed when missing or stale
+   * @returns {Promise<Object>} UserActivityBaseline (lean)
+   */
+  async getBaseline(userId, subaccountId, now = new Date()) {
+    const baseline = await UserActivityBaseline.findOne({ userId, subaccountId }).lean();
+    if (baseline && now - baseline.computedAt < this.options.baselineRefreshMs) {
+      return baseline;
+    }
+
+    const key = `${userId}:${subaccountId}`;
+    if (!this.pendingBaselines.has(key)) {
+      this.pendingBaselines.set(key, this.computeBaseline(userId, subaccountId, now)
+        .finally(() => this.pendingBaselines.delete(key)));
+    }
+    return this.pendingBaselines.get(key);
+  }
+
+  /**
+   * Compute and store the baseline from the user's audit logs of the last baselineWindowDays
+   * @returns {Promise<Object>} UserActivityBaseline (lean)
+   */
+  async computeBaseline(userId, subaccountId, now = new Date()) {
+    const subaccount = await Subaccount.findById(subaccountId).select('timezone').lean();
+    const timezone = moment.tz.zone(subaccount?.timezone || '') ? subaccount.timezone : 'UTC';
+    const windowStart = new Date(now.getTime() - this.options.baselineWindowDays * DAY_MS);
+
+    const [stats] = await AuditLog.aggregate([
+      { $match: { userId, subaccountId, createdAt: { $gte: windowStart, $lt: now } } },
+      {
+        $facet: {
+          hours: [
+            { $group: { _id: { $hour: { date: '$createdAt', timezone } }, count: { $sum: 1 } } }
+          ],
+          days: [
+            { $group: { _id: { $dateToString: { date: '$createdAt', format: '%Y-%m-%d', timezone } } } },
+            { $count: 'count' }
+          ],
+          ipAddresses: [
+            { $group: { _id: '$requestContext.ipAddress', count: { $sum: 1 }, lastSeen: { $max: '$createdAt' } } },
+            { $sort: { count: -1 } },
+            { $limit: 50 }
+          ],
+          countries: [
+            { $match: { 'securityFlags.geoAnomaly.currentCountry': { $type: 'string' } } },
+            { $group: { _id: '$securityFlags.geoAnomaly.currentCountry', count: { $sum: 1 }, lastSeen: { $max: '$createdAt' } } },
+            { $sort: { count: -1 } },
+            { $limit: 20 }
+          ],
+          operations: [
+            { $group: { _id: '$operation', count: { $sum: 1 } } }
+          ],
+          volume: [
+            { $group: { _id: { $dateToString: { date: '$createdAt', format: '%Y-%m-%dT%H' } }, count: { $sum: 1 } } },
+            { $group: { _id: null, activeHours: { $sum: 1 }, hourlyMean: { $avg: '$count' }, hourlyStdDev: { $stdDevPop: '$count' } } }
+          ]
+        }
+      }
+    ]);
+
+    const hourHistogram = new Array(24).fill(0);
+    stats.hours.forEach(entry => { hourHistogram[entry._id] = entry.count; });
+    const sampleSize = hourHistogram.reduce((sum, count) => sum + count, 0);
+
+    const baseline = {
+      timezone,
+      computedAt: now,
+      windowStart,
+      sampleSize,
+      activeDays: stats.days[0]?.count || 0,
+      hourHistogram,
+      usualHours: hourHistogram
+        .map((count, hour) => (sampleSize > 0 && count / sampleSize >= this.options.usualHourShare ? hour : null))
+        .filter(hour => hour !== null),
+      ipAddresses: stats.ipAddresses
+        .filter(entry => entry._id)
+        .map(entry => ({ ipAddress: entry._id, count: entry.count, lastSeen: entry.lastSeen })),
+      countries: stats.countries.map(entry => ({ country: entry._id, count: entry.count, lastSeen: entry.lastSeen })),
+      operations: stats.operations.map(entry => ({ operation: entry._id, count: entry.count })),
+      volume: {
+        activeHours: stats.volume[0]?.activeHours || 0,
+        hourlyMean: stats.volume[0]?.hourlyMean || 0,
+        hourlyStdDev: stats.volume[0]?.hourlyStdDev || 0
+      }
+    };
+
+    return UserActivityBaseline.findOneAndUpdate(
+      { userId, subaccountId },
+      { $set: baseline },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+  }
+
+  // ISO country code from the header set by the CDN or proxy (XX and T1 mean unknown or Tor)
+  countryOf(requestContext) {
+    const value = requestContext?.headers?.[this.options.countryHeader];
+    const country = typeof value === 'string' ? value.trim().toUpperCase() : '';
+    return /^[A-Z]{2}$/.test(country) && country !== 'XX' ? country : undefined;
+  }
+
+  toObjectId(id) {
+    return id && mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(id.toString()) : null;
+  }
+}
+
+// Create singleton instance
+const anomalyDetectionService = new AnomalyDetectionService();
+
+module.exports = anomalyDetectionService;
@@ -0,0 +1,348 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+
+// Import models
+const AuditLog = require('../models/AuditLog');
+const Subaccount = require('../models/Subaccount');
+
+// Extended JSON keeps ObjectIds and dates, so restored entries match their hash
+const { EJSON } = mongoose.mongo.BSON;
+
+const RISK_LEVELS = AuditLog.schema.path('securityFlags.riskLevel').enumValues;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Audit Archive Service
+ * Moves data-plane audit logs past their retention period to gzipped NDJSON files on local disk
+ * and re-imports them for investigations
+ */
+class AuditArchiveService {
+  constructor() {
+    this.defaultDays = config.auditRetention.defaultDays;
+    this.directory = path.resolve(config.auditRetention.archiveDirectory);
+    this.workerIntervalMs = config.auditRetention.workerIntervalMs;
+    this.batchSize = config.auditRetention.batchSize;
+    this.restoreHoldMs = config.auditRetention.restoreHoldMs;
+    this.workerTimer = null;
+    this.running = false;
+  }
+
+  startWorker() {
+    if (this.workerTimer || !config.auditRetention.archiverEnabled) {
+      return;
+    }
+
+    this.workerTimer = setInterval(() => {
+      // A run can take longer than the interval on large backlogs
+      if (this.running) {
+        return;
+      }
+      this.archiveExpired().catch(error => {
+        Logger.error('Audit log archiver failed', { error: error.message });
+      });
+    }, this.workerIntervalMs);
+    this.workerTimer.unref();
+  }
+
+  stopWorker() {
+    if (this.workerTimer) {
+      clearInterval(this.workerTimer);
+      this.workerTimer = null;
+    }
+  }
+
+  /**
+   * Archive every audit log past the retention of its subaccount and risk level
+   * @param {Object} [options] - { dryRun: count expired entries without archiving them }
+   * @returns {Promise<Object>} { archived, files, subaccounts }
+   */
+  async archiveExpired(options = {}) {
+    this.running = true;
+
+    try {
+      const now = new Date();
+      const retentions = await this.getRetentions();
+      const shortest = Math.min(...RISK_LEVELS.map(level => this.defaultDays[level]),
+        ...[...retentions.values()].flatMap(retention => Object.values(retention)));
+
+      // Only subaccounts with entries older than the shortest retention can have anything to archive
+      const subaccountIds = await AuditLog.distinct('subaccountId', {
+        createdAt: { $lt: new Date(now.getTime() - shortest * DAY_MS) },
+        'archive.archivedAt': { $exists: false }
+      });
+
+      const summary = { archived: 0, files: [], subaccounts: 0 };
+      for (const subaccountId of subaccountIds) {
+        const retention = retentions.get(subaccountId.toString()) || this.defaultDays;
+        const result = await this.archiveSubaccount(subaccountId, retention, now, options);
+
+        if (result.archived > 0) {
+          summary.archived += result.archived;
+          summary.files.push(...result.files);
+          summary.subaccounts++;
+        }
+      }
+
+      if (summary.archived > 0) {
+        Logger.info(options.dryRun ? 'Audit logs due for archiving' : 'Archived expired audit logs', {
+          archived: summary.archived,
+          subaccounts: summary.subaccounts,
+          files: summary.files.length
+        });
+      }
+
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Retention (days per risk level) of every subaccount that overrides the defaults
+   * @returns {Promise<Map>} subaccountId -> { low, medium, high, critical }
+   */
+  async getRetentions() {
+    const subaccounts = await Subaccount.find({ auditRetention: { $exists: true } })
+      .select('auditRetention')
+      .lean();
+
+    return new Map(subaccounts.map(subaccount => [
+      subaccount._id.toString(),
+      this.resolveRetention(subaccount.auditRetention)
+    ]));
+  }
+
+  // Days per risk level, falling back to the configured defaults
+  resolveRetention(overrides = {}) {
+    return Object.fromEntries(RISK_LEVELS.map(level => [level, overrides[level] || this.defaultDays[level]]));
+  }
+
+  /**
+   * Filter for the entries of a subaccount whose retention has passed
+   * @param {ObjectId} subaccountId - Subaccount ID
+   * @param {Object} retention - Days per risk level
+   * @param {Date} now - Current time
+   * @returns {Object} MongoDB filter
+   */
+  buildExpiredFilter(subaccountId, retention, now) {
+    return {
+      subaccountId,
+      'archive.archivedAt': { $exists: false },
+      $and: [
+        { $or: [{ 'archive.holdUntil': { $exists: false } }, { 'archive.holdUntil': { $lte: now } }] },
+        {
+          $or: RISK_LEVELS.map(level => ({
+            'securityFlags.riskLevel': level,
+            createdAt: { $lt: new Date(now.getTime() - retention[level] * DAY_MS) }
+          }))
+        }
+      ]
+    };
+  }
+
+  /**
+   * Archive the expired entries of one subaccount, one file per batch
+   * @returns {Promise<Object>} { archived, files }
+   */
+  async archiveSubaccount(subaccountId, retention, now, options = {}) {
+    const filter = this.buildExpiredFilter(subaccountId, retention, now);
+
+    if (options.dryRun) {
+      return { archived: await AuditLog.countDocuments(filter), files: [] };
+    }
+
+    const result = { archived: 0, files: [] };
+    for (let part = 1; ; part++) {
+      const batch = await this.archiveBatch(subaccountId, filter, now, part);
+      if (batch.archived === 0) {
+        break;
+      }
+
+      result.archived += batch.archived;
+      result.files.push(batch.file);
+
+      if (batch.archived < this.batchSize) {
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Write up to batchSize expired entries to a new archive file, then remove them from the
+   * database. Chained entries become tombstones so verification of the hash chain still works.
+   * @returns {Promise<Object>} { archived, file }
+   */
+  async archiveBatch(subaccountId, filter, now, part) {
+    const file = path.join(
+      subaccountId.toString(),
+      `audit-logs-${subaccountId}-${now.toISOString().replace(/[:.]/g, '-')}-${part}.ndjson.gz`
+    );
+    const filePath = this.resolve(file);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const chainedIds = [];
+    const unchainedIds = [];
+
+    const cursor = AuditLog.find(filter)
+      .sort({ createdAt: 1 })
+      .limit(this.batchSize)
+      .lean()
+      .cursor({ batchSize: 500 });
+
+    async function* lines() {
+      for await (const entry of cursor) {
+        (entry.integrity?.sequence ? chainedIds : unchainedIds).push(entry._id);
+        yield EJSON.stringify(entry) + '\n';
+      }
+    }
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+
+    try {
+      await pipeline(lines, zlib.createGzip(), fs.createWriteStream(tempPath, { mode: 0o600 }));
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    } finally {
+      await cursor.close();
+    }
+
+    const archived = chainedIds.length + unchainedIds.length;
+    if (archived === 0) {
+      await fs.promises.rm(tempPath, { force: true });
+      return { archived: 0, file: null };
+    }
+
+    // Entries are only removed once the archive is complete on disk
+    await fs.promises.rename(tempPath, filePath);
+
+    if (chainedIds.length > 0) {
+      await AuditLog.collection.updateMany(
+        { _id: { $in: chainedIds }, 'archive.archivedAt': { $exists: false } },
+        [{
+          $replaceWith: {
+            _id: '$_id',
+            subaccountId: '$subaccountId',
+            createdAt: '$createdAt',
+            updatedAt: now,
+            integrity: '$integrity',
+            archive: { archivedAt: now, file }
+          }
+        }]
+      );
+    }
+
+    if (unchainedIds.length > 0) {
+      await AuditLog.deleteMany({ _id: { $in: unchainedIds } });
+    }
+
+    Logger.audit('Audit logs archived', 'audit_logs', {
+      subaccountId: subaccountId.toString(),
+      file,
+      archived
+    });
+
+    return { archived, file };
+  }
+
+  /**
+   * Re-import an archive file. Tombstones get their content back (after checking it against the
+   * hash they kept); deleted entries are inserted again. Restored entries are held back from the
+   * archiver for config.auditRetention.restoreHoldMs.
+   * @param {string} file - Archive path (absolute, or relative to the archive directory)
+   * @param {Object} [options] - { dryRun: check the archive without writing }
+   * @returns {Promise<Object>} { restored, skipped, rejected, failures }
+   */
+  async restore(file, options = {}) {
+    const filePath = path.isAbsolute(file) ? file : this.resolve(file);
+    const now = new Date();
+    const archive = {
+      restoredAt: now,
+      holdUntil: new Date(now.getTime() + this.restoreHoldMs),
+      file: path.relative(this.directory, filePath)
+    };
+    const report = { restored: 0, skipped: 0, rejected: 0, failures: [] };
+
+    const input = fs.createReadStream(filePath).pipe(zlib.createGunzip());
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) {
+        continue;
+      }
+
+      try {
+        const outcome = await this.restoreEntry(EJSON.parse(line), archive, options);
+        report[outcome.status]++;
+        if (outcome.status === 'rejected') {
+          report.failures.push({ line: lineNumber, id: outcome.id, error: outcome.reason });
+        }
+      } catch (error) {
+        report.rejected++;
+        report.failures.push({ line: lineNumber, error: error.message });
+      }
+    }
+
+    Logger.audit('Audit log archive restored', 'audit_logs', {
+      file: archive.file,
+      dryRun: Boolean(options.dryRun),
+      restored: report.restored,
+      skipped: report.skipped,
+      rejected: report.rejected
+    });
+
+    return report;
+  }
+
+  // Restore one archived entry: { status: 'restored' | 'skipped' | 'rejected', id, reason }
+  async restoreEntry(entry, archive, options) {
+    const id = entry._id?.toString();
+
+    if (entry.integrity?.hash && AuditLog.computeHash(entry) !== entry.integrity.hash) {
+      return { status: 'rejected', id, reason: 'Entry does not match its hash (archive was modified)' };
+    }
+
+    const current = await AuditLog.findById(entry._id).select('archive integrity').lean();
+
+    if (current && !current.archive?.archivedAt) {
+      return { status: 'skipped', id };
+    }
+    if (current && current.integrity?.hash !== entry.integrity?.hash) {
+      return { status: 'rejected', id, reason: 'Entry does not match the hash kept by its tombstone' };
+    }
+
+    if (!options.dryRun) {
+      // Replaces the archive details of an earlier restore
+      const restored = { ...entry, archive };
+      if (current) {
+        await AuditLog.collection.replaceOne({ _id: entry._id, 'archive.archivedAt': { $exists: true } }, restored);
+      } else {
+        await AuditLog.collection.insertOne(restored);
+      }
+    }
+
+    return { status: 'restored', id };
+  }
+
+  resolve(file) {
+    const filePath = path.resolve(this.directory, file);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error('Archive path escapes the archive directory');
+    }
+    return filePath;
+  }
+}
+
+// Create singleton instance
+const auditArchiveService = new AuditArchiveService();
+
+module.exports = auditArchiveService;
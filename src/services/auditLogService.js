@@ -0,0 +1,325 @@
+const mongoose = require('mongoose');
+
+// Import models
+const AuditLog = require('../models/AuditLog');
+
+// Newest first; _id breaks ties between entries written in the same millisecond
+const SORT = { createdAt: -1, _id: -1 };
+
+// Fields auditArchiveService.archiveBatch leaves on a tombstone
+const TOMBSTONE_FIELDS = {
+  root: ['_id', 'subaccountId', 'createdAt', 'updatedAt', 'integrity', 'archive'],
+  integrity: ['sequence', 'previousHash', 'hash'],
+  archive: ['archivedAt', 'file']
+};
+
+// Columns of the CSV export: [header, value getter]
+const CSV_COLUMNS = [
+  ['id', log => log._id],
+  ['createdAt', log => log.createdAt && new Date(log.createdAt).toISOString()],
+  ['userId', log => log.userId],
+  ['subaccountId', log => log.subaccountId],
+  ['operation', log => log.operation],
+  ['databaseName', log => log.databaseName],
+  ['collectionName', log => log.collectionName],
+  ['success', log => log.result?.success],
+  ['documentsAffected', log => log.result?.documentsAffected],
+  ['documentsReturned', log => log.result?.documentsReturned],
+  ['executionTimeMs', log => log.result?.executionTimeMs],
+  ['error', log => log.result?.error?.message],
+  ['riskLevel', log => log.securityFlags?.riskLevel],
+  ['suspiciousPatterns', log => (log.securityFlags?.suspiciousPatterns || []).map(entry => entry.pattern).join(';')],
+  ['ipAddress', log => log.requestContext?.ipAddress],
+  ['method', log => log.requestContext?.method],
+  ['endpoint', log => log.requestContext?.endpoint],
+  ['requestId', log => log.requestContext?.requestId]
+];
+
+class AuditLogService {
+  /**
+   * MongoDB filter for the query parameters of the audit log endpoints
+   * @param {Object} filters - Validated query ({ userId, operation, collection, riskLevel, success, startDate, endDate })
+   * @param {string} [subaccountId] - Subaccount to restrict to (omit to search every subaccount)
+   * @returns {Object} MongoDB filter
+   */
+  buildFilter(filters, subaccountId) {
+    // Archived entries are only tombstones; their content is in the archive files
+    const filter = { 'archive.archivedAt': { $exists: false } };
+
+    if (subaccountId) filter.subaccountId = new mongoose.Types.ObjectId(subaccountId);
+    if (filters.userId) filter.userId = new mongoose.Types.ObjectId(filters.userId);
+    if (filters.operation) filter.operation = { $in: filters.operation };
+    if (filters.collection) filter.collectionName = filters.collection;
+    if (filters.riskLevel) filter['securityFlags.riskLevel'] = { $in: filters.riskLevel };
+    if (filters.success !== undefined) filter['result.success'] = filters.success;
+    if (filters.startDate || filters.endDate) {
+      filter.createdAt = {};
+      if (filters.startDate) filter.createdAt.$gte = filters.startDate;
+      if (filters.endDate) filter.createdAt.$lte = filters.endDate;
+    }
+
+    return filter;
+  }
+
+  /**
+   * One page of audit logs, newest first
+   * @param {Object} filter - Filter from buildFilter
+   * @param {Object} options - { limit, cursor }
+   * @returns {Promise<Object>} { auditLogs, nextCursor } (nextCursor is null on the last page)
+   */
+  async list(filter, { limit, cursor }) {
+    const query = { ...filter };
+
+    if (cursor) {
+      const position = this.decodeCursor(cursor);
+      query.$and = [{
+        $or: [
+          { createdAt: { $lt: position.createdAt } },
+          { createdAt: position.createdAt, _id: { $lt: position.id } }
+        ]
+      }];
+    }
+
+    // One extra entry tells whether there is a next page
+    const auditLogs = await AuditLog.find(query)
+      .sort(SORT)
+      .limit(limit + 1)
+      .select('-__v')
+      .lean();
+
+    const hasMore = auditLogs.length > limit;
+    if (hasMore) {
+      auditLogs.pop();
+    }
+
+    return {
+      auditLogs,
+      nextCursor: hasMore ? this.encodeCursor(auditLogs[auditLogs.length - 1]) : null
+    };
+  }
+
+  /**
+   * Stream every matching audit log (newest first) without loading them at once
+   * @param {Object} filter - Filter from buildFilter
+   * @returns {Object} Mongoose query cursor
+   */
+  stream(filter) {
+    return AuditLog.find(filter)
+      .sort(SORT)
+      .select('-__v')
+      .lean()
+      .cursor({ batchSize: 500 });
+  }
+
+  /**
+   * Walk a subaccount's hash chain and report the first broken link. The chain is checked
+   * from the first entry at or after startDate to the last entry at or before endDate.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} [range] - { startDate, endDate }
+   * @returns {Promise<Object>} { valid, checked, archived, firstSequence, lastSequence, anchored, brokenLink }
+   */
+  async verifyChain(subaccountId, { startDate, endDate } = {}) {
+    const chained = {
+      subaccountId: new mongoose.Types.ObjectId(subaccountId),
+      'integrity.sequence': { $exists: true }
+    };
+
+    // Sequences bounding the range; walking by sequence also catches deleted entries
+    const [first, last] = await Promise.all([
+      AuditLog.findOne({ ...chained, ...(startDate && { createdAt: { $gte: startDate } }) })
+        .sort({ 'integrity.sequence': 1 })
+        .select('integrity')
+        .lean(),
+      AuditLog.findOne({ ...chained, ...(endDate && { createdAt: { $lte: endDate } }) })
+        .sort({ 'integrity.sequence': -1 })
+        .select('integrity')
+        .lean()
+    ]);
+
+    const report = {
+      subaccountId,
+      startDate: startDate || null,
+      endDate: endDate || null,
+      valid: true,
+      checked: 0,
+      // Archived entries in the range; only their links are checked (restore them to check their content)
+      archived: 0,
+      firstSequence: null,
+      lastSequence: null,
+      // Whether the first checked entry is linked to a verified predecessor (or starts the chain)
+      anchored: true,
+      brokenLink: null
+    };
+
+    if (!first || !last || first.integrity.sequence > last.integrity.sequence) {
+      return report;
+    }
+
+    report.firstSequence = first.integrity.sequence;
+    report.lastSequence = last.integrity.sequence;
+
+    // Start from the predecessor so the link into the range is checked too
+    let previous = null;
+    if (first.integrity.sequence > 1) {
+      previous = await AuditLog.findOne({ ...chained, 'integrity.sequence': first.integrity.sequence - 1 }).lean();
+      if (!previous) {
+        // The predecessor was deleted; the range can only be checked from here on
+        report.anchored = false;
+      } else if (!this.contentMatches(previous)) {
+        report.anchored = false;
+        previous = null;
+      }
+    }
+
+    const cursor = AuditLog.find({
+      ...chained,
+      'integrity.sequence': { $gte: first.integrity.sequence, $lte: last.integrity.sequence }
+    })
+      .sort({ 'integrity.sequence': 1 })
+      .lean()
+      .cursor({ batchSize: 500 });
+
+    try {
+      for await (const entry of cursor) {
+        const brokenLink = this.checkLink(previous, entry, report.checked === 0 && !report.anchored);
+        if (brokenLink) {
+          report.valid = false;
+          report.brokenLink = brokenLink;
+          break;
+        }
+
+        report.checked++;
+        if (entry.archive?.archivedAt) {
+          report.archived++;
+        }
+        previous = entry;
+      }
+    } finally {
+      await cursor.close();
+    }
+
+    // Entries missing at the end of the range
+    if (report.valid && previous && previous.integrity.sequence < last.integrity.sequence) {
+      report.valid = false;
+      report.brokenLink = {
+        sequence: previous.integrity.sequence + 1,
+        entryId: null,
+        createdAt: null,
+        reason: 'missing_entries',
+        message: this.missingEntriesMessage(previous.integrity.sequence + 1, last.integrity.sequence)
+      };
+    }
+
+    return report;
+  }
+
+  // Reason the entry does not follow its predecessor, or null if the link holds
+  checkLink(previous, entry, unanchored) {
+    const { sequence, previousHash, hash } = entry.integrity;
+    const link = { sequence, entryId: entry._id, createdAt: entry.createdAt };
+
+    if (!this.contentMatches(entry)) {
+      return entry.archive?.archivedAt
+        ? { ...link, reason: 'tombstone_modified', message: 'Archived entry holds more than its tombstone (entry was modified)' }
+        : { ...link, reason: 'hash_mismatch', message: 'Entry content does not match its hash (entry was modified)' };
+    }
+
+    if (unanchored) {
+      return null;
+    }
+
+    if (!previous) {
+      return sequence === 1 && previousHash === null
+        ? null
+        : { ...link, reason: 'previous_hash_mismatch', message: 'First entry of the chain references a predecessor' };
+    }
+
+    if (sequence !== previous.integrity.sequence + 1) {
+      return {
+        ...link,
+        reason: 'missing_entries',
+        message: this.missingEntriesMessage(previous.integrity.sequence + 1, sequence - 1)
+      };
+    }
+
+    if (previousHash !== previous.integrity.hash) {
+      return {
+        ...link,
+        reason: 'previous_hash_mismatch',
+        message: `Entry does not reference the hash of entry ${previous.integrity.sequence} (an earlier entry was replaced)`
+      };
+    }
+
+    return null;
+  }
+
+  // Whether the entry matches its own hash. Tombstones of archived entries have no content to
+  // hash, so they must have exactly the shape the archiver leaves (content added back is caught).
+  contentMatches(entry) {
+    if (entry.archive?.archivedAt) {
+      return this.isTombstone(entry);
+    }
+    return AuditLog.computeHash(entry) === entry.integrity.hash;
+  }
+
+  isTombstone(entry) {
+    const only = (value, fields) => Object.keys(value || {}).every(key => fields.includes(key));
+
+    return only(entry, TOMBSTONE_FIELDS.root) &&
+      only(entry.integrity, TOMBSTONE_FIELDS.integrity) &&
+      only(entry.archive, TOMBSTONE_FIELDS.archive) &&
+      typeof entry.archive.file === 'string' && entry.archive.file.length > 0;
+  }
+
+  missingEntriesMessage(from, to) {
+    return from === to ? `Entry ${from} is missing` : `Entries ${from}-${to} are missing`;
+  }
+
+  encodeCursor(auditLog) {
+    const position = `${new Date(auditLog.createdAt).toISOString()}_${auditLog._id}`;
+    return Buffer.from(position).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    const [createdAt, id] = Buffer.from(cursor, 'base64url').toString().split('_');
+    const date = new Date(createdAt);
+
+    if (isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      const error = new Error('Invalid pagination cursor');
+      error.code = 'INVALID_CURSOR';
+      throw error;
+    }
+
+    return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+  }
+
+  csvHeader() {
+    return CSV_COLUMNS.map(([header]) => header).join(',') + '\n';
+  }
+
+  toCsvRow(auditLog) {
+    return CSV_COLUMNS.map(([, getValue]) => this.escapeCsv(getValue(auditLog))).join(',') + '\n';
+  }
+
+  toNdjsonLine(auditLog) {
+    return JSON.stringify(auditLog) + '\n';
+  }
+
+  escapeCsv(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    let text = String(value);
+    // Keep spreadsheets from evaluating logged input as a formula
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+const auditLogService = new AuditLogService();
+
+module.exports = auditLogService;
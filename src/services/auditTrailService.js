@@ -0,0 +1,175 @@
+const Logger = require('../utils/logger');
+
+// Import models
+const AdminAuditLog = require('../models/AdminAuditLog');
+
+// Fields whose values never reach the audit trail (matched against every segment of the path)
+const SENSITIVE_FIELD = /password|secret|token|apikey|api_key|mongodburl|connectionstring|encryption|authtag|privatekey|credential|passphrase/i;
+const SENSITIVE_EXACT = ['key', 'iv', 'salt'];
+
+// Nested objects deeper than this are compared as a whole
+const MAX_DIFF_DEPTH = 6;
+
+// Route parameters that identify the target, most specific first
+const TARGET_PARAMS = [
+  ['targetUserId', 'user'],
+  ['invitationId', 'invitation'],
+  ['requestId', 'access_request'],
+  ['roleId', 'role'],
+  ['jobId', 'bulk_invitation'],
+  ['connectorId', 'connector'],
+  ['templateId', 'template'],
+  ['subaccountId', 'subaccount']
+];
+
+class AuditTrailService {
+  /**
+   * Write the audit record of a completed mutation. Controllers describe the change in
+   * res.locals.audit ({ target, subaccountId, before, after, metadata }); anything missing is
+   * taken from the route. Never throws so auditing cannot break the request.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response (after it was sent)
+   * @param {string} action - Dotted action name
+   * @returns {Promise<Object|null>} The audit record, or null if it could not be written
+   */
+  async record(req, res, action) {
+    try {
+      const details = res.locals.audit || {};
+      const params = req.params || {};
+      const target = details.target || this.targetFromParams(params, action);
+
+      const auditLog = await AdminAuditLog.create({
+        actor: this.actorFromRequest(req),
+        action,
+        target,
+        subaccountId: details.subaccountId || params.subaccountId ||
+          (target.type === 'subaccount' ? target.id : undefined),
+        changes: this.diff(details.before, details.after),
+        metadata: details.metadata ? this.redact(this.toPlain(details.metadata)) : undefined,
+        request: {
+          requestId: req.requestId,
+          ip: req.ip,
+          userAgent: req.get('User-Agent'),
+          method: req.method,
+          endpoint: req.originalUrl,
+          statusCode: res.statusCode
+        }
+      });
+
+      return auditLog;
+    } catch (error) {
+      Logger.error('Failed to write admin audit log', {
+        action,
+        error: error.message,
+        requestId: req.requestId
+      });
+      return null;
+    }
+  }
+
+  actorFromRequest(req) {
+    if (req.service) {
+      return {
+        type: 'service',
+        serviceName: req.service.serviceName,
+        // Services may act for a user (X-User-ID)
+        userId: req.serviceUserId
+      };
+    }
+
+    if (req.user) {
+      return {
+        type: 'user',
+        userId: req.user.id,
+        email: req.user.email,
+        role: req.user.role
+      };
+    }
+
+    return { type: 'anonymous' };
+  }
+
+  targetFromParams(params, action) {
+    for (const [param, type] of TARGET_PARAMS) {
+      if (params[param]) {
+        return { type, id: params[param] };
+      }
+    }
+
+    // e.g. 'connector.create' without an ID yet
+    return { type: action.split('.')[0] };
+  }
+
+  /**
+   * Changed fields between two snapshots (documents or plain objects)
+   * @param {Object} [before] - State before the change (omit for creations)
+   * @param {Object} [after] - State after the change (omit for deletions)
+   * @returns {Array<Object>} [{ field, before, after }] with secret values redacted
+   */
+  diff(before, after) {
+    if (before === undefined && after === undefined) {
+      return [];
+    }
+
+    const previous = this.flatten(this.toPlain(before));
+    const current = this.flatten(this.toPlain(after));
+    const fields = [...new Set([...Object.keys(previous), ...Object.keys(current)])].sort();
+
+    return fields
+      .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(current[field]))
+      .map(field => this.isSensitive(field)
+        ? {
+          field,
+          before: previous[field] === undefined ? undefined : '[REDACTED]',
+          after: current[field] === undefined ? undefined : '[REDACTED]'
+        }
+        : { field, before: previous[field], after: current[field] });
+  }
+
+  // Documents are converted with their toJSON transforms (which already drop connection strings)
+  toPlain(value) {
+    return value === undefined || value === null ? {} : JSON.parse(JSON.stringify(value));
+  }
+
+  // { a: { b: 1 }, c: [1] } -> { 'a.b': 1, c: [1] }; arrays are compared as a whole
+  flatten(value, prefix = '', depth = 0, result = {}) {
+    for (const [key, child] of Object.entries(value)) {
+      if (['_id', '__v', 'createdAt', 'updatedAt'].includes(key) && !prefix) {
+        continue;
+      }
+
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (child && typeof child === 'object' && !Array.isArray(child) && depth < MAX_DIFF_DEPTH) {
+        this.flatten(child, path, depth + 1, result);
+      } else {
+        result[path] = child;
+      }
+    }
+    return result;
+  }
+
+  isSensitive(path) {
+    return path.split('.').some(segment =>
+      SENSITIVE_FIELD.test(segment) || SENSITIVE_EXACT.includes(segment.toLowerCase()));
+  }
+
+  // Replace secret values in a plain object (used for metadata)
+  redact(value, path = '') {
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, path));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, child]) => {
+        const childPath = path ? `${path}.${key}` : key;
+        return [key, this.isSensitive(childPath) ? '[REDACTED]' : this.redact(child, childPath)];
+      }));
+    }
+
+    return value;
+  }
+}
+
+const auditTrailService = new AuditTrailService();
+
+module.exports = auditTrailService;
@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const redisManager = require('./redisManager');
+const quotaService = require('./quotaService');
+
+// Import models
+const UserSubaccount = require('../models/UserSubaccount');
+const Subaccount = require('../models/Subaccount');
+const User = require('../models/User');
+
+// Operation aliases accepted by UserSubaccount.hasPermission, by base permission
+const OPERATIONS = {
+  read: ['read', 'find', 'get'],
+  write: ['write', 'insert', 'update', 'create'],
+  delete: ['delete', 'remove'],
+  admin: ['admin', 'manage']
+};
+
+class AuthorizationService {
+  constructor() {
+    this.cacheTtl = config.redis.ttl;
+  }
+
+  // Map an operation alias (e.g. "insert") to its base permission ("write")
+  normalizeOperation(operation) {
+    const value = String(operation).toLowerCase();
+    return Object.keys(OPERATIONS).find(base => OPERATIONS[base].includes(value)) || null;
+  }
+
+  /**
+   * Decide whether a user may perform an operation in a subaccount, optionally on a collection.
+   * An allowed operation counts as a query against the subaccount quota unless countQuery is false.
+   * @param {Object} request - { userId, subaccountId, collection, operation, countQuery }
+   * @returns {Promise<Object>} { allowed, reason, role, permissions, collectionPermissions, queryLimits, cached, quota }
+   */
+  async check({ userId, subaccountId, collection, operation, countQuery = true }) {
+    const decision = await this.decideAccess({ userId, subaccountId, collection, operation });
+    return countQuery ? quotaService.applyToDecision(decision, subaccountId, userId) : decision;
+  }
+
+  async decideAccess({ userId, subaccountId, collection, operation }) {
+    const baseOperation = this.normalizeOperation(operation);
+    if (!baseOperation) {
+      return this.deny(`Unknown operation: ${operation}`);
+    }
+
+    let access = await this.getCachedAccess(userId, subaccountId);
+    const cached = !!access;
+
+    if (!access) {
+      // Membership and subaccount state (inactive, maintenance, pending deletion, expired access)
+      const result = await UserSubaccount.hasAccess(userId, subaccountId, 'read');
+      if (!result.hasAccess) {
+        return this.deny(result.reason);
+      }
+
+      access = this.toCachedAccess(result);
+      await this.cacheAccess(userId, subaccountId, access, result.userSubaccount);
+    }
+
+    return this.decide(access, baseOperation, collection, cached);
+  }
+
+  /**
+   * Decide a list of checks at once. Cached pairs are read from Redis; memberships and
+   * global roles of the remaining pairs are loaded in a single aggregation.
+   * Every allowed check counts as one query (see check).
+   * @param {Array<Object>} requests - [{ userId, subaccountId, collection, operation, countQuery }]
+   * @returns {Promise<Array<Object>>} Decisions in the order of the requests (see check)
+   */
+  async checkBatch(requests) {
+    const pairs = new Map();
+    requests.forEach(({ userId, subaccountId }) => {
+      pairs.set(`${userId}:${subaccountId}`, { userId, subaccountId });
+    });
+
+    await Promise.all([...pairs.values()].map(async pair => {
+      pair.access = await this.getCachedAccess(pair.userId, pair.subaccountId);
+      pair.cached = !!pair.access;
+    }));
+
+    const missing = [...pairs.values()].filter(pair => !pair.access);
+    if (missing.length > 0) {
+      await this.loadAccess(missing);
+    }
+
+    const decisions = requests.map(({ userId, subaccountId, collection, operation }) => {
+      const baseOperation = this.normalizeOperation(operation);
+      if (!baseOperation) {
+        return this.deny(`Unknown operation: ${operation}`);
+      }
+
+      const pair = pairs.get(`${userId}:${subaccountId}`);
+      if (!pair.access) {
+        return this.deny(pair.reason);
+      }
+
+      return this.decide(pair.access, baseOperation, collection, pair.cached);
+    });
+
+    // In request order, so the checks that go over a limit are the last ones
+    for (const [index, { userId, subaccountId, countQuery = true }] of requests.entries()) {
+      if (countQuery) {
+        decisions[index] = await quotaService.applyToDecision(decisions[index], subaccountId, userId);
+      }
+    }
+
+    return decisions;
+  }
+
+  // Resolve access for user/subaccount pairs from one aggregation over users, memberships and subaccounts
+  async loadAccess(pairs) {
+    const toObjectIds = values => [...new Set(values.map(String))].map(id => new mongoose.Types.ObjectId(id));
+    const subaccountIds = toObjectIds(pairs.map(pair => pair.subaccountId));
+
+    const users = await User.aggregate([
+      { $match: { _id: { $in: toObjectIds(pairs.map(pair => pair.userId)) } } },
+      { $project: { role: 1 } },
+      {
+        $lookup: {
+          from: UserSubaccount.collection.name,
+          let: { userId: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                isActive: true,
+                subaccountId: { $in: subaccountIds },
+                $expr: { $eq: ['$userId', '$$userId'] }
+              }
+            },
+            {
+              $lookup: {
+                from: Subaccount.collection.name,
+                let: { subaccountId: '$subaccountId' },
+                pipeline: [
+                  { $match: { $expr: { $eq: ['$_id', '$$subaccountId'] } } },
+                  { $project: { isActive: 1, maintenanceMode: 1, pendingDeletion: 1 } }
+                ],
+                as: 'subaccount'
+              }
+            }
+          ],
+          as: 'memberships'
+        }
+      }
+    ]);
+
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    for (const pair of pairs) {
+      const user = usersById.get(String(pair.userId));
+      const membership = user?.memberships.find(entry => entry.subaccountId.toString() === String(pair.subaccountId));
+
+      let userSubaccount = null;
+      let subaccount = null;
+      if (membership) {
+        const { subaccount: [joined], ...row } = membership;
+        userSubaccount = UserSubaccount.hydrate(row);
+        subaccount = joined || null;
+      }
+
+      const result = UserSubaccount.resolveAccess({ user, userSubaccount, subaccount }, 'read');
+      if (!result.hasAccess) {
+        pair.reason = result.reason;
+        continue;
+      }
+
+      pair.access = this.toCachedAccess(result);
+      await this.cacheAccess(pair.userId, pair.subaccountId, pair.access, result.userSubaccount);
+    }
+  }
+
+  // Cache entry: the membership permissions (incl. collections and queryLimits) plus the role
+  toCachedAccess(result) {
+    return {
+      ...(result.userSubaccount ? result.userSubaccount.permissions.toObject() : result.permissions),
+      role: result.role
+    };
+  }
+
+  // Evaluate with the model rules so cached and fresh decisions match
+  decide(access, baseOperation, collection, cached) {
+    const membership = UserSubaccount.hydrate({ permissions: access, role: access.role });
+    const allowed = collection
+      ? membership.hasCollectionPermission(collection, baseOperation)
+      : membership.hasPermission(baseOperation);
+
+    const collectionPermissions = collection
+      ? (access.collections || []).find(entry => entry.name === collection)?.permissions || null
+      : null;
+
+    return {
+      allowed,
+      reason: allowed
+        ? null
+        : `Insufficient permissions for ${baseOperation}${collection ? ` on collection ${collection}` : ''}`,
+      role: access.role,
+      permissions: {
+        read: !!access.read,
+        write: !!access.write,
+        delete: !!access.delete,
+        admin: !!access.admin
+      },
+      collectionPermissions,
+      // Global admins are not limited per query
+      queryLimits: access.queryLimits || null,
+      cached
+    };
+  }
+
+  deny(reason) {
+    return {
+      allowed: false,
+      reason,
+      role: null,
+      permissions: null,
+      collectionPermissions: null,
+      queryLimits: null,
+      cached: false
+    };
+  }
+
+  async getCachedAccess(userId, subaccountId) {
+    const redisService = redisManager.getRedisService();
+    if (!redisService || !redisService.isConnected) {
+      return null;
+    }
+
+    try {
+      return await redisService.getCachedPermissions(userId, subaccountId);
+    } catch (error) {
+      Logger.warn('Failed to read cached permissions', { error: error.message, userId, subaccountId });
+      return null;
+    }
+  }
+
+  // Cache granted access; temporary access is never cached past its expiry
+  async cacheAccess(userId, subaccountId, access, userSubaccount) {
+    const redisService = redisManager.getRedisService();
+    if (!redisService || !redisService.isConnected) {
+      return;
+    }
+
+    let ttl = this.cacheTtl;
+    if (userSubaccount?.temporaryAccess?.enabled && userSubaccount.temporaryAccess.expiresAt) {
+      ttl = Math.min(ttl, Math.floor((userSubaccount.temporaryAccess.expiresAt.getTime() - Date.now()) / 1000));
+    }
+    if (ttl <= 0) {
+      return;
+    }
+
+    try {
+      await redisService.cachePermissions(userId, subaccountId, access, ttl);
+    } catch (error) {
+      Logger.warn('Failed to cache permissions', { error: error.message, userId, subaccountId });
+    }
+  }
+
+  /**
+   * Drop cached decisions for one user, or for every user of the subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} [userId] - User ID
+   * @returns {Promise<number|null>} Number of cache entries removed, or null when Redis is unavailable
+   */
+  async invalidate(subaccountId, userId) {
+    const redisService = redisManager.getRedisService();
+    if (!redisService || !redisService.isConnected) {
+      return null;
+    }
+
+    if (userId) {
+      await redisService.invalidatePermissions(userId, subaccountId);
+      return 1;
+    }
+
+    return redisService.invalidateSubaccountPermissions(subaccountId);
+  }
+}
+
+const authorizationService = new AuthorizationService();
+
+module.exports = authorizationService;
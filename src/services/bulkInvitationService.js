@@ -0,0 +1,367 @@
+const os = require('os');
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const Keyring = require('../utils/keyring');
+const invitationService = require('./invitationService');
+const { inviteUserSchema } = require('../validators/userValidator');
+
+// Import models
+const BulkInvitationJob = require('../models/BulkInvitationJob');
+const Subaccount = require('../models/Subaccount');
+
+// Letters of the CSV collections column ("calls:rw;leads:r")
+const COLLECTION_FLAGS = { r: 'read', w: 'write', d: 'delete' };
+
+// Rows saved to the job at once while a large upload is processed
+const SAVE_EVERY_ROWS = 25;
+
+// Results where the invitee already has access (or an open invitation) are not failures
+const SKIPPED_CODES = ['USER_ALREADY_EXISTS', 'INVITATION_PENDING'];
+
+// Keyring salt of the invitation tokens kept by background jobs
+const TOKEN_SALT = 'bulk-invitation-salt';
+
+class BulkInvitationService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.syncMaxRows = config.invitations.bulkSyncMaxRows;
+    this.retentionMs = config.invitations.bulkJobRetentionMs;
+    this.leaseMs = config.invitations.bulkLeaseMs;
+  }
+
+  /**
+   * Invite a list of users. Small uploads are processed before returning; larger ones
+   * run as a background job whose report can be polled.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Array<Object>} rows - Raw CSV/JSON rows
+   * @param {string} [requestedBy] - ID of the inviting user
+   * @returns {Promise<Object>} { job, background, tokens } - tokens (row -> token) only for synchronous uploads
+   */
+  async start(subaccountId, rows, requestedBy) {
+    const job = await BulkInvitationJob.create({
+      subaccountId,
+      requestedBy,
+      rows,
+      totalRows: rows.length
+    });
+
+    Logger.info('Bulk invitation job created', {
+      jobId: job._id.toString(),
+      subaccountId,
+      totalRows: rows.length,
+      requestedBy
+    });
+
+    if (rows.length > this.syncMaxRows) {
+      this.runInBackground(job._id);
+      return { job, background: true };
+    }
+
+    // Tokens of a synchronous upload only live in memory until they are in the response
+    const tokens = new Map();
+    return { job: (await this.runJob(job._id, tokens)) || job, background: false, tokens };
+  }
+
+  /**
+   * Resume jobs whose worker crashed or was restarted mid-run
+   * @returns {Promise<number>} Number of jobs resumed
+   */
+  async resumeInterruptedJobs() {
+    const jobs = await BulkInvitationJob.find({
+      status: { $in: ['pending', 'running'] },
+      $or: [
+        { lockedUntil: { $exists: false } },
+        { lockedUntil: null },
+        { lockedUntil: { $lt: new Date() } }
+      ]
+    }).select('_id');
+
+    if (jobs.length > 0) {
+      Logger.info('Resuming interrupted bulk invitation jobs', {
+        count: jobs.length,
+        workerId: this.workerId
+      });
+    }
+
+    for (const job of jobs) {
+      await this.runJob(job._id);
+    }
+
+    return jobs.length;
+  }
+
+  runInBackground(jobId) {
+    this.runJob(jobId).catch(error => {
+      Logger.error('Bulk invitation job crashed', {
+        jobId: jobId.toString(),
+        error: error.message,
+        stack: error.stack
+      });
+    });
+  }
+
+  /**
+   * Process the remaining rows of a job
+   * @param {string} jobId - BulkInvitationJob ID
+   * @param {Map} [tokens] - Collects invitation tokens (row -> token) instead of storing them encrypted
+   * @returns {Promise<Object|null>} The final job state, or null if another worker holds the lease
+   */
+  async runJob(jobId, tokens = null) {
+    const job = await this.acquireLease(jobId);
+    if (!job) {
+      Logger.debug('Bulk invitation job already running on another worker', { jobId: jobId.toString() });
+      return null;
+    }
+
+    try {
+      const subaccount = await Subaccount.exists({ _id: job.subaccountId, isActive: true });
+
+      if (!subaccount) {
+        job.status = 'failed';
+        job.lastError = 'Subaccount not found or inactive';
+      } else {
+        let capacity = await invitationService.getRemainingCapacity(job.subaccountId);
+        const seen = new Set(job.results.map(result => result.email).filter(Boolean));
+
+        for (let index = job.results.length; index < job.rows.length; index++) {
+          const result = await this.processRow(job, index, seen, capacity, tokens);
+          if (result.status === 'invited') {
+            capacity -= 1;
+          }
+          job.results.push(result);
+
+          if ((index + 1) % SAVE_EVERY_ROWS === 0) {
+            job.lockedUntil = new Date(Date.now() + this.leaseMs);
+            await job.save();
+          }
+        }
+
+        job.status = 'completed';
+      }
+
+      job.completedAt = new Date();
+      job.expiresAt = new Date(job.completedAt.getTime() + this.retentionMs);
+      job.rows = [];
+    } finally {
+      job.lockedBy = undefined;
+      job.lockedUntil = undefined;
+      await job.save();
+    }
+
+    const report = job.toReport();
+    Logger.info('Bulk invitation job finished', {
+      jobId: job._id.toString(),
+      subaccountId: job.subaccountId.toString(),
+      status: job.status,
+      ...report.summary,
+      error: job.lastError
+    });
+
+    return job;
+  }
+
+  async acquireLease(jobId) {
+    const now = new Date();
+
+    return BulkInvitationJob.findOneAndUpdate(
+      {
+        _id: jobId,
+        status: { $in: ['pending', 'running'] },
+        $or: [
+          { lockedUntil: { $exists: false } },
+          { lockedUntil: null },
+          { lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: this.workerId,
+          lockedUntil: new Date(now.getTime() + this.leaseMs)
+        }
+      },
+      { new: true }
+    ).then(job => {
+      if (job && !job.startedAt) {
+        job.startedAt = now;
+      }
+      return job;
+    });
+  }
+
+  // Validate and invite one row; never throws so one bad row cannot stop the job
+  async processRow(job, index, seen, capacity, tokens) {
+    const raw = job.rows[index];
+    const base = { row: index + 1, email: typeof raw?.email === 'string' ? raw.email.trim().toLowerCase() : undefined };
+
+    let invite;
+    try {
+      invite = this.toInvite(raw);
+    } catch (error) {
+      return { ...base, status: 'failed', code: 'VALIDATION_ERROR', message: error.message };
+    }
+
+    const { error, value } = inviteUserSchema.validate(invite, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        ...base,
+        status: 'failed',
+        code: 'VALIDATION_ERROR',
+        message: 'Validation failed',
+        validationErrors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    if (seen.has(value.email)) {
+      return { ...base, status: 'skipped', code: 'DUPLICATE_ROW', message: 'Email appears earlier in the upload' };
+    }
+    seen.add(value.email);
+
+    if (capacity <= 0) {
+      return {
+        ...base,
+        status: 'failed',
+        code: 'USER_LIMIT_EXCEEDED',
+        message: `Maximum ${config.security.maxUsersPerSubaccount} users allowed per subaccount`
+      };
+    }
+
+    try {
+      const result = await invitationService.invite(job.subaccountId, value, job.requestedBy);
+
+      if (!result.success) {
+        return {
+          ...base,
+          status: SKIPPED_CODES.includes(result.code) ? 'skipped' : 'failed',
+          code: result.code,
+          message: result.message
+        };
+      }
+
+      // The plain token is never written to the job (see Invitation: only its hash is stored)
+      if (tokens) {
+        tokens.set(base.row, result.token);
+        return { ...base, status: 'invited', invitationId: result.invitation._id };
+      }
+
+      return {
+        ...base,
+        status: 'invited',
+        invitationId: result.invitation._id,
+        encryptedToken: Keyring.encrypt(result.token, TOKEN_SALT)
+      };
+    } catch (inviteError) {
+      Logger.error('Bulk invitation row failed', {
+        jobId: job._id.toString(),
+        row: base.row,
+        error: inviteError.message
+      });
+
+      return { ...base, status: 'failed', code: 'INVITE_FAILED', message: inviteError.message };
+    }
+  }
+
+  // Convert a CSV or JSON row to the body of a single invite (POST /:subaccountId/users).
+  // CSV rows use flat columns: email, role, collections, temporaryAccessExpiresAt, temporaryAccessReason
+  toInvite(row) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      throw new Error('Row must be an object');
+    }
+
+    const { collections, temporaryAccessExpiresAt, temporaryAccessReason, ...invite } = row;
+
+    if (collections !== undefined) {
+      invite.permissions = {
+        ...(invite.permissions || {}),
+        collections: typeof collections === 'string' ? this.parseCollections(collections) : collections
+      };
+    }
+
+    if (temporaryAccessExpiresAt !== undefined && invite.temporaryAccess === undefined) {
+      invite.temporaryAccess = {
+        enabled: true,
+        expiresAt: temporaryAccessExpiresAt,
+        reason: temporaryAccessReason || 'Temporary access granted'
+      };
+    }
+
+    return invite;
+  }
+
+  // "calls:rw;leads:r" -> [{ name: 'calls', permissions: { read, write, delete } }, ...]
+  parseCollections(value) {
+    return value.split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const [name, flags = 'r'] = entry.split(':').map(part => part.trim());
+      const permissions = { read: false, write: false, delete: false };
+
+      for (const flag of flags.toLowerCase()) {
+        if (!COLLECTION_FLAGS[flag]) {
+          throw new Error(`Invalid permission '${flag}' for collection ${name} (use r, w and d)`);
+        }
+        permissions[COLLECTION_FLAGS[flag]] = true;
+      }
+
+      return { name, permissions };
+    });
+  }
+
+  /**
+   * Report of a job. Invitation tokens are only included in the first finished report
+   * (claimed atomically, so concurrent polls cannot both get them) and then removed from the job.
+   * @param {Object} job - BulkInvitationJob document
+   * @param {Map} [tokens] - Tokens of a synchronous upload (see start)
+   * @returns {Promise<Object>} See BulkInvitationJob.toReport
+   */
+  async deliverReport(job, tokens = null) {
+    const report = job.toReport();
+
+    if (!['completed', 'failed'].includes(job.status) || job.tokensDelivered) {
+      return report;
+    }
+
+    const claimed = await BulkInvitationJob.updateOne(
+      { _id: job._id, tokensDelivered: { $ne: true } },
+      // results.token: plain tokens written by earlier versions
+      { $set: { tokensDelivered: true }, $unset: { 'results.$[].encryptedToken': 1, 'results.$[].token': 1 } }
+    );
+
+    if (claimed.modifiedCount === 1) {
+      report.results.forEach((result, index) => {
+        const token = tokens?.get(result.row) || this.decryptToken(job, job.results[index].encryptedToken);
+        if (token) {
+          result.token = token;
+        }
+      });
+    }
+
+    return report;
+  }
+
+  decryptToken(job, encryptedToken) {
+    if (!encryptedToken?.encrypted) {
+      return null;
+    }
+
+    try {
+      const { encrypted, iv, authTag, keyVersion } = encryptedToken;
+      return Keyring.decrypt(encrypted, iv, authTag, TOKEN_SALT, keyVersion).value;
+    } catch (error) {
+      Logger.warn('Failed to decrypt bulk invitation token', {
+        jobId: job._id.toString(),
+        error: error.message
+      });
+      return null;
+    }
+  }
+}
+
+const bulkInvitationService = new BulkInvitationService();
+
+module.exports = bulkInvitationService;
@@ -171,6 +171,184 @@ class DatabaseService {
     }
   }
   
+  /**
+   * Get the Twilio SIP trunk of a subaccount and the phone numbers attached to it (read-only).
+   * Database Servers without the read endpoint answer 404: the trunk is then reported as
+   * unknown (`known: false`), not as missing.
+   * @param {string} subaccountId - The subaccount ID
+   * @returns {Promise<Object>} Response object with trunk SID and attached phone numbers
+   */
+  async getTwilioTrunk(subaccountId) {
+    try {
+      const response = await this.client.get(
+        `/api/connectors/${subaccountId}/twilio-trunk`,
+        {
+          headers: {
+            'X-Service-Token': this.serviceToken,
+            'X-Service-Name': config.server.serviceName
+          }
+        }
+      );
+      
+      if (response.data.success) {
+        const data = response.data.data || {};
+        return {
+          success: true,
+          known: true,
+          trunkSid: data.trunkSid || null,
+          phoneNumbers: data.phoneNumbers || data.phoneNumbersToRelease || []
+        };
+      } else {
+        return {
+          success: false,
+          message: response.data.message || 'Failed to get Twilio trunk'
+        };
+      }
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return {
+          success: true,
+          known: false,
+          message: error.response.data?.message || 'Twilio trunk lookup is not available on the database service'
+        };
+      }
+
+      Logger.warn('Failed to get Twilio trunk', {
+        subaccountId,
+        error: error.message,
+        status: error.response?.status
+      });
+      
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Database service unavailable'
+      };
+    }
+  }
+  
+  /**
+   * Delete the Twilio SIP trunk of a subaccount
+   * @param {string} subaccountId - The subaccount ID
+   * @returns {Promise<Object>} Response object with success status and phone numbers attached to the trunk
+   */
+  async deleteTwilioTrunk(subaccountId) {
+    try {
+      Logger.info('Deleting Twilio trunk for subaccount', { subaccountId });
+      
+      const response = await this.client.delete(
+        `/api/connectors/${subaccountId}/twilio-trunk`,
+        {
+          headers: {
+            'X-Service-Token': this.serviceToken,
+            'X-Service-Name': config.server.serviceName
+          }
+        }
+      );
+      
+      if (response.data.success) {
+        const data = response.data.data || {};
+        Logger.info('Twilio trunk deleted successfully', {
+          subaccountId,
+          trunkSid: data.trunkSid,
+          trunkDeleted: data.trunkDeleted,
+          skipped: data.skipped,
+          phoneNumbersRecorded: (data.phoneNumbersToRelease || []).length
+        });
+        return {
+          success: true,
+          trunkSid: data.trunkSid,
+          trunkDeleted: data.trunkDeleted,
+          skipped: data.skipped,
+          phoneNumbersToRelease: data.phoneNumbersToRelease || []
+        };
+      } else {
+        Logger.warn('Twilio trunk deletion failed', {
+          subaccountId,
+          error: response.data.error,
+          message: response.data.message
+        });
+        return {
+          success: false,
+          message: response.data.message || 'Failed to delete Twilio trunk'
+        };
+      }
+    } catch (error) {
+      Logger.error('Failed to delete Twilio trunk', {
+        subaccountId,
+        error: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+      
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Database service unavailable'
+      };
+    }
+  }
+  
+  /**
+   * Release phone numbers from Twilio after the trunk has been deleted
+   * @param {string} subaccountId - The subaccount ID
+   * @param {Array<Object>} phoneNumbersToRelease - Phone numbers returned by deleteTwilioTrunk
+   * @returns {Promise<Object>} Response object with released and failed phone numbers
+   */
+  async releaseTwilioPhoneNumbers(subaccountId, phoneNumbersToRelease) {
+    try {
+      Logger.info('Releasing phone numbers from Twilio', {
+        subaccountId,
+        phoneNumberCount: phoneNumbersToRelease.length
+      });
+      
+      const response = await this.client.post(
+        `/api/connectors/${subaccountId}/twilio/release-phone-numbers`,
+        { phoneNumbersToRelease },
+        {
+          headers: {
+            'X-Service-Token': this.serviceToken,
+            'X-Service-Name': config.server.serviceName
+          }
+        }
+      );
+      
+      if (response.data.success) {
+        const data = response.data.data || {};
+        Logger.info('Phone numbers released from Twilio', {
+          subaccountId,
+          phoneNumbersReleased: data.phoneNumbersReleased?.length || 0,
+          phoneNumbersFailed: data.phoneNumbersFailed?.length || 0
+        });
+        return {
+          success: true,
+          phoneNumbersReleased: data.phoneNumbersReleased || [],
+          phoneNumbersFailed: data.phoneNumbersFailed || []
+        };
+      } else {
+        Logger.warn('Phone number release failed', {
+          subaccountId,
+          error: response.data.error,
+          message: response.data.message
+        });
+        return {
+          success: false,
+          message: response.data.message || 'Failed to release phone numbers'
+        };
+      }
+    } catch (error) {
+      Logger.error('Failed to release phone numbers from Twilio', {
+        subaccountId,
+        error: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+      
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Database service unavailable'
+      };
+    }
+  }
+  
   /**
    * Health check for database service
    */
@@ -0,0 +1,373 @@
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const redisManager = require('./redisManager');
+const authService = require('./authService');
+
+// Import models
+const Invitation = require('../models/Invitation');
+const Subaccount = require('../models/Subaccount');
+const UserSubaccount = require('../models/UserSubaccount');
+const User = require('../models/User');
+const Role = require('../models/Role');
+
+class InvitationService {
+  constructor() {
+    this.expiresInMs = config.invitations.expiresInMs;
+  }
+
+  // Seats left in a subaccount; pending invitations count as members
+  async getRemainingCapacity(subaccountId) {
+    await Invitation.expirePending({ subaccountId });
+
+    const [memberCount, pendingCount] = await Promise.all([
+      UserSubaccount.countDocuments({ subaccountId, isActive: true }),
+      Invitation.countDocuments({ subaccountId, status: 'pending' })
+    ]);
+
+    return config.security.maxUsersPerSubaccount - memberCount - pendingCount;
+  }
+
+  /**
+   * Check an invite (role, invitee, existing membership or invitation) and create the
+   * invitation. Shared by single and bulk invites; capacity is checked by the caller.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} invite - Validated invite ({ email, role, permissions, temporaryAccess })
+   * @param {string} invitedBy - ID of the inviting user
+   * @returns {Promise<Object>} { success: true, invitation, token, inviteeRegistered } or { success: false, status, code, message, data }
+   */
+  async invite(subaccountId, { email, role = 'viewer', permissions = {}, temporaryAccess = {} }, invitedBy) {
+    if (role === 'owner') {
+      return this.rejection(400, 'INVALID_ROLE',
+        'Owner role cannot be assigned through invitation. Owner role is automatically assigned to the subaccount creator only.');
+    }
+
+    // Any name other than a built-in role refers to a custom role of the subaccount or a global one
+    let customRole = null;
+    if (!Role.BUILT_IN_ROLES.includes(role)) {
+      customRole = await Role.findByName(subaccountId, role);
+      if (!customRole) {
+        return this.rejection(400, 'INVALID_ROLE',
+          `Role '${role}' not found. Role must be one of: viewer, editor, admin, or a custom role`);
+      }
+    }
+
+    // Look the invitee up in the auth service; unregistered emails can still be invited
+    const userResult = await authService.getUserByEmail(email);
+    const inviteeUser = userResult.success ? userResult.user : null;
+
+    if (inviteeUser) {
+      if (!inviteeUser.isActive) {
+        return this.rejection(404, 'USER_NOT_FOUND', 'User not found or inactive');
+      }
+
+      // Check if user is already associated with this subaccount
+      const existingAssociation = await UserSubaccount.exists({
+        userId: inviteeUser._id || inviteeUser.id,
+        subaccountId,
+        isActive: true
+      });
+
+      if (existingAssociation) {
+        return this.rejection(400, 'USER_ALREADY_EXISTS', 'User is already associated with this subaccount');
+      }
+    }
+
+    const pendingInvitation = await Invitation.findOne({ subaccountId, email, status: 'pending' }).select('_id');
+    if (pendingInvitation) {
+      return this.rejection(409, 'INVITATION_PENDING',
+        'An invitation for this email is already pending. Resend it instead.',
+        { invitationId: pendingInvitation._id });
+    }
+
+    try {
+      const { invitation, token } = await this.create({
+        subaccountId,
+        email,
+        role: customRole ? customRole.name : role,
+        customRole: customRole ? customRole._id : null,
+        permissions: customRole ? {} : permissions,
+        temporaryAccess: temporaryAccess.enabled ? {
+          enabled: true,
+          expiresAt: new Date(temporaryAccess.expiresAt),
+          reason: temporaryAccess.reason || 'Temporary access granted'
+        } : { enabled: false },
+        invitedBy
+      });
+
+      return { success: true, invitation, token, inviteeRegistered: !!inviteeUser };
+    } catch (error) {
+      // Lost a race with another invite for the same email
+      if (error.code === 11000) {
+        return this.rejection(409, 'INVITATION_PENDING',
+          'An invitation for this email is already pending. Resend it instead.');
+      }
+      throw error;
+    }
+  }
+
+  rejection(status, code, message, data) {
+    return { success: false, status, code, message, ...(data && { data }) };
+  }
+
+  /**
+   * Create a pending invitation
+   * @param {Object} attributes - { subaccountId, email, role, customRole, permissions, temporaryAccess, invitedBy }
+   * @returns {Promise<Object>} { invitation, token } - the plain token is only available here
+   */
+  async create(attributes) {
+    // An expired invitation must not block a new one for the same email
+    await Invitation.expirePending({ subaccountId: attributes.subaccountId, email: attributes.email });
+
+    const invitation = new Invitation(attributes);
+    const token = invitation.issueToken(this.expiresInMs);
+    await invitation.save();
+
+    Logger.info('Invitation created', {
+      invitationId: invitation._id.toString(),
+      subaccountId: invitation.subaccountId.toString(),
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt
+    });
+
+    return { invitation, token };
+  }
+
+  // Issue a new token and expiry for an open (or expired) invitation
+  async resend(invitation) {
+    const token = invitation.issueToken(this.expiresInMs);
+    invitation.status = 'pending';
+    invitation.sentCount += 1;
+    await invitation.save();
+
+    Logger.info('Invitation resent', {
+      invitationId: invitation._id.toString(),
+      subaccountId: invitation.subaccountId.toString(),
+      email: invitation.email,
+      sentCount: invitation.sentCount
+    });
+
+    return token;
+  }
+
+  async revoke(invitation, userId) {
+    invitation.status = 'revoked';
+    invitation.revokedBy = userId;
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    Logger.info('Invitation revoked', {
+      invitationId: invitation._id.toString(),
+      subaccountId: invitation.subaccountId.toString(),
+      revokedBy: userId
+    });
+
+    return invitation;
+  }
+
+  async decline(invitation) {
+    invitation.status = 'declined';
+    invitation.declinedAt = new Date();
+    await invitation.save();
+
+    Logger.info('Invitation declined', {
+      invitationId: invitation._id.toString(),
+      subaccountId: invitation.subaccountId.toString(),
+      email: invitation.email
+    });
+
+    return invitation;
+  }
+
+  /**
+   * Turn an invitation into a membership of the accepting user
+   * @param {Object} invitation - Open invitation
+   * @param {Object} user - { id, email } of the authenticated user
+   * @returns {Promise<Object>} The created UserSubaccount
+   */
+  async accept(invitation, user) {
+    const acceptedAt = new Date();
+
+    // Claim the invitation first so concurrent accepts cannot both create a membership
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending' },
+      { $set: { status: 'accepted', acceptedBy: user.id, acceptedAt } },
+      { new: true }
+    );
+    if (!claimed) {
+      const error = new Error('Invitation is no longer pending');
+      error.code = 'INVITATION_NOT_PENDING';
+      throw error;
+    }
+
+    let userSubaccount;
+    try {
+      const membership = await this.buildMembership(invitation, user.id);
+
+      // A membership deactivated when temporary access expired would block the unique index
+      await UserSubaccount.deleteOne({
+        userId: user.id,
+        subaccountId: invitation.subaccountId,
+        isActive: false
+      });
+
+      userSubaccount = new UserSubaccount({
+        ...membership,
+        userId: user.id,
+        subaccountId: invitation.subaccountId,
+        invitedBy: invitation.invitedBy,
+        invitedAt: invitation.createdAt,
+        acceptedAt,
+        temporaryAccess: invitation.temporaryAccess.enabled ? {
+          enabled: true,
+          expiresAt: invitation.temporaryAccess.expiresAt,
+          reason: invitation.temporaryAccess.reason || 'Temporary access granted'
+        } : { enabled: false }
+      });
+
+      await userSubaccount.save();
+    } catch (error) {
+      // Leave the invitation open so it can be accepted once the problem is fixed
+      await Invitation.updateOne(
+        { _id: invitation._id },
+        { $set: { status: 'pending' }, $unset: { acceptedBy: 1, acceptedAt: 1 } }
+      );
+      throw error;
+    }
+
+    invitation.set({ status: 'accepted', acceptedBy: user.id, acceptedAt });
+
+    // Update subaccount user count
+    await Subaccount.findByIdAndUpdate(
+      invitation.subaccountId,
+      {
+        $inc: { 'stats.totalUsers': 1 },
+        updatedAt: new Date()
+      }
+    );
+
+    // Update invitee's subaccount count
+    await User.findByIdAndUpdate(
+      user.id,
+      { $inc: { subaccountCount: 1 } }
+    );
+
+    // Invalidate caches
+    const redisService = redisManager.getRedisService();
+    if (redisService && redisService.isConnected) {
+      try {
+        await Promise.all([
+          redisService.invalidateUserSubaccounts(user.id),
+          redisService.invalidatePermissions(user.id, invitation.subaccountId),
+          redisService.invalidateSubaccount(invitation.subaccountId),
+          redisService.invalidateSubaccountUsers(invitation.subaccountId)
+        ]);
+      } catch (error) {
+        Logger.warn('Cache invalidation failed', { error: error.message });
+      }
+    }
+
+    Logger.info('Invitation accepted', {
+      invitationId: invitation._id.toString(),
+      subaccountId: invitation.subaccountId.toString(),
+      userId: user.id,
+      role: userSubaccount.role
+    });
+
+    return userSubaccount;
+  }
+
+  // Role and permissions of the new membership. Custom roles bring their own matrix; built-in
+  // roles get the collection permissions (unless the invite lists its own) and query limits of
+  // the oldest non-admin member, so regular users of a subaccount have the same access to its resources.
+  async buildMembership(invitation, userId) {
+    if (invitation.customRole) {
+      const customRole = await Role.findById(invitation.customRole);
+      if (!customRole) {
+        const error = new Error(`Role '${invitation.role}' no longer exists`);
+        error.code = 'ROLE_NOT_FOUND';
+        throw error;
+      }
+      return customRole.toMembership();
+    }
+
+    const role = invitation.role;
+    const requested = invitation.permissions || {};
+    let collectionPermissions = [];
+    let queryLimits = {
+      maxDocuments: 1000,
+      maxQueryTime: 30000,
+      allowAggregation: true,
+      allowTextSearch: true
+    };
+
+    const referenceUser = await UserSubaccount.findOne({
+      subaccountId: invitation.subaccountId,
+      isActive: true,
+      role: { $in: ['viewer', 'editor'] }, // Only get permissions from non-admin users
+      customRole: null
+    }).sort({ createdAt: 1 }); // Get the oldest user as reference
+
+    if (referenceUser && referenceUser.permissions) {
+      // Copy collection-specific permissions from reference user
+      if (referenceUser.permissions.collections && referenceUser.permissions.collections.length > 0 &&
+          !(requested.collections && requested.collections.length > 0)) {
+        collectionPermissions = referenceUser.permissions.collections.map(coll => ({
+          name: coll.name,
+          permissions: {
+            read: coll.permissions.read,
+            write: coll.permissions.write,
+            delete: coll.permissions.delete
+          }
+        }));
+
+        Logger.info('Copying resource/collection permissions from reference user to new user', {
+          subaccountId: invitation.subaccountId,
+          newUserId: userId,
+          newUserEmail: invitation.email,
+          referenceUserId: referenceUser.userId,
+          collectionsCount: collectionPermissions.length,
+          collections: collectionPermissions.map(c => c.name)
+        });
+      }
+
+      // Copy query limits from reference user
+      if (referenceUser.permissions.queryLimits) {
+        queryLimits = {
+          maxDocuments: referenceUser.permissions.queryLimits.maxDocuments || 1000,
+          maxQueryTime: referenceUser.permissions.queryLimits.maxQueryTime || 30000,
+          allowAggregation: referenceUser.permissions.queryLimits.allowAggregation !== undefined
+            ? referenceUser.permissions.queryLimits.allowAggregation
+            : true,
+          allowTextSearch: referenceUser.permissions.queryLimits.allowTextSearch !== undefined
+            ? referenceUser.permissions.queryLimits.allowTextSearch
+            : true
+        };
+      }
+    } else {
+      Logger.info('No reference non-admin user found to copy permissions from', {
+        subaccountId: invitation.subaccountId,
+        newUserId: userId,
+        newUserEmail: invitation.email
+      });
+    }
+
+    return {
+      role,
+      permissions: {
+        ...requested,
+        // Override with role-based defaults
+        ...UserSubaccount.ROLE_PERMISSIONS[role],
+        // Collection permissions given in the invite take precedence over the reference user's
+        collections: requested.collections && requested.collections.length > 0
+          ? requested.collections
+          : collectionPermissions,
+        queryLimits
+      }
+    };
+  }
+}
+
+const invitationService = new InvitationService();
+
+module.exports = invitationService;
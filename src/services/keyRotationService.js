@@ -0,0 +1,384 @@
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const Keyring = require('../utils/keyring');
+const secretStore = require('./secretStore');
+
+// Import models
+const Subaccount = require('../models/Subaccount');
+const RetellAccount = require('../models/RetellAccount');
+
+// Encrypted secrets that take part in key rotation
+const ROTATION_TARGETS = [
+  {
+    name: 'subaccounts',
+    model: Subaccount,
+    field: 'mongodbUrl',
+    salt: 'subaccount-salt',
+    secretPath: doc => `subaccounts/${doc._id}/mongodbUrl`,
+    decrypt: doc => doc.getDecryptedUrl(),
+    encrypt: value => Subaccount.encryptConnectionString(value)
+  },
+  {
+    name: 'retellAccounts',
+    model: RetellAccount,
+    field: 'apiKey',
+    salt: 'retell-salt',
+    secretPath: doc => `retell-accounts/${doc._id}/apiKey`,
+    decrypt: doc => doc.getDecryptedApiKey(),
+    encrypt: value => RetellAccount.encryptApiKey(value)
+  }
+];
+
+// Only secrets kept in the database are encrypted with the keyring (documents
+// written before secretBackend existed have no value and live in the database)
+const DATABASE_SECRETS = { secretBackend: { $in: [null, 'database'] } };
+
+class KeyRotationService {
+  constructor() {
+    this.currentRun = null;
+    this.lastReport = null;
+  }
+
+  /**
+   * Number of secrets per key version for every model
+   * @returns {Promise<Object>}
+   */
+  async getStatus() {
+    const models = {};
+    const legacy = {};
+    const backends = {};
+
+    for (const target of ROTATION_TARGETS) {
+      const counts = await target.model.aggregate([
+        { $match: DATABASE_SECRETS },
+        { $group: { _id: { $ifNull: ['$keyVersion', 1] }, count: { $sum: 1 } } }
+      ]);
+
+      models[target.name] = counts.reduce((byVersion, entry) => {
+        byVersion[entry._id] = entry.count;
+        return byVersion;
+      }, {});
+
+      legacy[target.name] = await target.model.countDocuments({ encryptionAuthTag: Keyring.LEGACY_CBC_TAG });
+
+      const backendCounts = await target.model.aggregate([
+        { $group: { _id: { $ifNull: ['$secretBackend', 'database'] }, count: { $sum: 1 } } }
+      ]);
+      backends[target.name] = Object.fromEntries(backendCounts.map(entry => [entry._id, entry.count]));
+    }
+
+    return {
+      currentKeyVersion: Keyring.getCurrentVersion(),
+      availableKeyVersions: Keyring.getVersions(),
+      keyVersions: models,
+      legacyCbcRecords: legacy,
+      secretBackend: secretStore.getDefaultBackend(),
+      secretBackends: backends,
+      running: !!this.currentRun,
+      lastReport: this.lastReport
+    };
+  }
+
+  /**
+   * Start a rotation in the background
+   * @param {Object} options - { batchSize, dryRun, requestedBy }
+   * @returns {boolean} false if a rotation is already running
+   */
+  start(options = {}) {
+    if (this.currentRun) {
+      return false;
+    }
+
+    this.currentRun = this.rotate(options)
+      .catch(error => {
+        Logger.error('Encryption key rotation failed', { error: error.message, stack: error.stack });
+      })
+      .finally(() => {
+        this.currentRun = null;
+      });
+
+    return true;
+  }
+
+  /**
+   * Re-encrypt every secret that is not on the current key version or still uses
+   * legacy AES-CBC (with legacyOnly, only the legacy CBC records)
+   * @param {Object} options - { batchSize, dryRun, legacyOnly, requestedBy }
+   * @returns {Promise<Object>} Report per model
+   */
+  async rotate(options = {}) {
+    const batchSize = options.batchSize || config.encryption.rotationBatchSize;
+    const dryRun = !!options.dryRun;
+    const report = {
+      targetKeyVersion: Keyring.getCurrentVersion(),
+      dryRun,
+      startedAt: new Date(),
+      completedAt: null,
+      models: {}
+    };
+
+    Logger.security('Encryption key rotation started', 'high', {
+      userId: options.requestedBy,
+      targetKeyVersion: report.targetKeyVersion,
+      batchSize,
+      dryRun
+    });
+
+    for (const target of ROTATION_TARGETS) {
+      report.models[target.name] = await this.rotateModel(target, report.targetKeyVersion, batchSize, dryRun, !!options.legacyOnly);
+    }
+
+    report.completedAt = new Date();
+    this.lastReport = report;
+
+    Logger.security('Encryption key rotation completed', 'high', {
+      userId: options.requestedBy,
+      targetKeyVersion: report.targetKeyVersion,
+      dryRun,
+      models: Object.fromEntries(Object.entries(report.models).map(([name, result]) => [
+        name,
+        { scanned: result.scanned, rotated: result.rotated, failed: result.failed }
+      ]))
+    });
+
+    return report;
+  }
+
+  async rotateModel(target, targetVersion, batchSize, dryRun, legacyOnly) {
+    const result = { scanned: 0, rotated: 0, skipped: 0, failed: 0, failures: [] };
+    const query = legacyOnly
+      ? { ...DATABASE_SECRETS, encryptionAuthTag: Keyring.LEGACY_CBC_TAG }
+      : {
+        ...DATABASE_SECRETS,
+        $or: [
+          { keyVersion: { $exists: false } },
+          { keyVersion: { $ne: targetVersion } },
+          { encryptionAuthTag: Keyring.LEGACY_CBC_TAG }
+        ]
+      };
+
+    await this.forEachBatch(target, query, batchSize, async (doc) => {
+      result.scanned++;
+
+      try {
+        const encryptionResult = target.encrypt(await target.decrypt(doc));
+
+        if (dryRun) {
+          result.rotated++;
+          return;
+        }
+
+        // Only replace the ciphertext we decrypted, in case the secret changed meanwhile
+        const update = await target.model.updateOne(
+          { _id: doc._id, [target.field]: doc[target.field] },
+          {
+            $set: {
+              [target.field]: encryptionResult.encrypted,
+              encryptionIV: encryptionResult.iv,
+              encryptionAuthTag: encryptionResult.authTag,
+              keyVersion: encryptionResult.keyVersion
+            }
+          }
+        );
+
+        if (update.modifiedCount === 1) {
+          result.rotated++;
+        } else {
+          result.skipped++;
+        }
+      } catch (error) {
+        result.failed++;
+        result.failures.push(this.describeFailure(doc, error));
+        Logger.error('Failed to re-encrypt secret', {
+          model: target.name,
+          id: doc._id.toString(),
+          error: error.message
+        });
+      }
+    }, () => {
+      Logger.info('Re-encryption batch processed', {
+        model: target.name,
+        scanned: result.scanned,
+        rotated: result.rotated,
+        failed: result.failed
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Decrypt every stored secret and report the ones that fail integrity checks
+   * @param {Object} options - { batchSize }
+   * @returns {Promise<Object>} Report per model
+   */
+  async verify(options = {}) {
+    const batchSize = options.batchSize || config.encryption.rotationBatchSize;
+    const report = { checkedAt: new Date(), models: {} };
+
+    for (const target of ROTATION_TARGETS) {
+      const result = { scanned: 0, valid: 0, legacy: 0, failed: 0, failures: [] };
+
+      await this.forEachBatch(target, {}, batchSize, async (doc) => {
+        result.scanned++;
+        if (doc.encryptionAuthTag === Keyring.LEGACY_CBC_TAG) {
+          result.legacy++;
+        }
+
+        try {
+          await target.decrypt(doc);
+          result.valid++;
+        } catch (error) {
+          result.failed++;
+          result.failures.push(this.describeFailure(doc, error));
+        }
+      });
+
+      report.models[target.name] = result;
+    }
+
+    return report;
+  }
+
+  /**
+   * Move every secret that is not in the configured secret backend into it
+   * (e.g. from the database to a vault after switching SECRET_BACKEND)
+   * @param {Object} options - { batchSize, dryRun, requestedBy }
+   * @returns {Promise<Object>} Report per model
+   */
+  async migrateBackend(options = {}) {
+    const batchSize = options.batchSize || config.encryption.rotationBatchSize;
+    const dryRun = !!options.dryRun;
+    const targetBackend = secretStore.getDefaultBackend();
+    const report = { targetBackend, dryRun, startedAt: new Date(), completedAt: null, models: {} };
+
+    Logger.security('Secret backend migration started', 'high', {
+      userId: options.requestedBy,
+      targetBackend,
+      dryRun
+    });
+
+    for (const target of ROTATION_TARGETS) {
+      const result = { scanned: 0, migrated: 0, skipped: 0, failed: 0, failures: [] };
+      const query = targetBackend === 'database'
+        ? { secretBackend: { $nin: [null, 'database'] } }
+        : { secretBackend: { $ne: targetBackend } };
+
+      await this.forEachBatch(target, query, batchSize, async (doc) => {
+        result.scanned++;
+
+        try {
+          const value = await target.decrypt(doc);
+
+          if (dryRun) {
+            result.migrated++;
+            return;
+          }
+
+          const stored = await secretStore.put({ path: target.secretPath(doc), value, salt: target.salt });
+          const update = await target.model.updateOne(
+            { _id: doc._id, [target.field]: doc[target.field] },
+            this.buildSecretUpdate(target.field, stored)
+          );
+
+          if (update.modifiedCount !== 1) {
+            result.skipped++;
+            return;
+          }
+          result.migrated++;
+
+          // The old copy is no longer referenced; failing to delete it is not fatal
+          await secretStore.remove(doc.secretBackend, { stored: doc[target.field] }).catch(error => {
+            Logger.warn('Failed to delete migrated secret from previous backend', {
+              model: target.name,
+              id: doc._id.toString(),
+              backend: doc.secretBackend,
+              error: error.message
+            });
+          });
+        } catch (error) {
+          result.failed++;
+          result.failures.push(this.describeFailure(doc, error));
+          Logger.error('Failed to migrate secret', {
+            model: target.name,
+            id: doc._id.toString(),
+            error: error.message
+          });
+        }
+      });
+
+      report.models[target.name] = result;
+    }
+
+    report.completedAt = new Date();
+
+    Logger.security('Secret backend migration completed', 'high', {
+      userId: options.requestedBy,
+      targetBackend,
+      dryRun,
+      models: Object.fromEntries(Object.entries(report.models).map(([name, result]) => [
+        name,
+        { scanned: result.scanned, migrated: result.migrated, failed: result.failed }
+      ]))
+    });
+
+    return report;
+  }
+
+  // External backends do not use the encryption metadata, so it is unset rather than left stale
+  buildSecretUpdate(field, stored) {
+    const update = { $set: { [field]: stored.stored, secretBackend: stored.backend } };
+
+    if (stored.backend === 'database') {
+      Object.assign(update.$set, {
+        encryptionIV: stored.iv,
+        encryptionAuthTag: stored.authTag,
+        keyVersion: stored.keyVersion
+      });
+    } else {
+      update.$unset = { encryptionIV: '', encryptionAuthTag: '', keyVersion: '' };
+    }
+
+    return update;
+  }
+
+  // Walk the documents matching query in _id order, batchSize at a time
+  async forEachBatch(target, query, batchSize, handleDoc, onBatch) {
+    let lastId = null;
+
+    while (true) {
+      const batch = await target.model.find(lastId ? { ...query, _id: { $gt: lastId } } : query)
+        .select(`+${target.field} +encryptionIV +encryptionAuthTag keyVersion secretBackend`)
+        .sort({ _id: 1 })
+        .limit(batchSize);
+
+      if (batch.length === 0) {
+        break;
+      }
+
+      for (const doc of batch) {
+        await handleDoc(doc);
+      }
+
+      lastId = batch[batch.length - 1]._id;
+      if (onBatch) {
+        onBatch();
+      }
+    }
+  }
+
+  describeFailure(doc, error) {
+    return {
+      id: doc._id.toString(),
+      secretBackend: doc.secretBackend || 'database',
+      keyVersion: doc.keyVersion || 1,
+      scheme: doc.encryptionAuthTag === Keyring.LEGACY_CBC_TAG ? 'aes-256-cbc' : 'aes-256-gcm',
+      error: error.message
+    };
+  }
+}
+
+// Create singleton instance
+const keyRotationService = new KeyRotationService();
+
+module.exports = keyRotationService;
@@ -0,0 +1,220 @@
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const Database = require('../utils/database');
+const redisManager = require('./redisManager');
+
+// Import models
+const Subaccount = require('../models/Subaccount');
+const UserSubaccount = require('../models/UserSubaccount');
+const User = require('../models/User');
+const RetellAccount = require('../models/RetellAccount');
+
+class OwnershipTransferService {
+  constructor() {
+    this.expiresInMs = config.ownershipTransfer.expiresInMs;
+  }
+
+  /**
+   * Start a transfer; it only takes effect once the new owner confirms it.
+   * A new request replaces any pending one.
+   * @param {Object} subaccount - Subaccount document
+   * @param {Object} newOwner - User document of the new owner
+   * @param {string} [requestedBy] - ID of the requesting user
+   * @returns {Promise<Object>} The pending transfer
+   */
+  async request(subaccount, newOwner, requestedBy) {
+    const now = new Date();
+    const ownershipTransfer = {
+      toUserId: newOwner._id,
+      requestedBy,
+      requestedAt: now,
+      expiresAt: new Date(now.getTime() + this.expiresInMs)
+    };
+
+    const updated = await Subaccount.findOneAndUpdate(
+      { _id: subaccount._id, pendingDeletion: { $ne: true } },
+      { $set: { ownershipTransfer } },
+      { new: true }
+    );
+    if (!updated) {
+      const error = new Error('Subaccount is pending deletion');
+      error.code = 'SUBACCOUNT_PENDING_DELETION';
+      throw error;
+    }
+
+    Logger.info('Subaccount ownership transfer requested', {
+      subaccountId: subaccount._id.toString(),
+      fromUserId: subaccount.createdBy?.toString(),
+      toUserId: newOwner._id.toString(),
+      requestedBy,
+      expiresAt: ownershipTransfer.expiresAt
+    });
+
+    return updated.ownershipTransfer;
+  }
+
+  /**
+   * Complete a pending transfer as the new owner: the new owner gets the owner role and
+   * becomes createdBy of the subaccount and its Retell account; previous owners become admins.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - ID of the confirming (new) owner
+   * @returns {Promise<Object>} { previousOwnerIds, membership }
+   */
+  async confirm(subaccountId, userId) {
+    const now = new Date();
+
+    const result = await Database.withTransaction(async (session) => {
+      // Claim the transfer so it is applied once
+      const previous = await Subaccount.findOneAndUpdate(
+        {
+          _id: subaccountId,
+          pendingDeletion: { $ne: true },
+          'ownershipTransfer.toUserId': userId,
+          'ownershipTransfer.expiresAt': { $gt: now }
+        },
+        {
+          $set: { createdBy: userId, updatedAt: now },
+          $unset: { ownershipTransfer: 1 }
+        },
+        { session }
+      );
+      if (!previous) {
+        const error = new Error('No pending ownership transfer to this user');
+        error.code = 'TRANSFER_NOT_FOUND';
+        throw error;
+      }
+
+      const previousOwners = await UserSubaccount.find({
+        subaccountId,
+        role: 'owner',
+        userId: { $ne: userId }
+      }).select('userId').session(session);
+
+      // Previous owners keep administrative access
+      await UserSubaccount.updateMany(
+        { subaccountId, role: 'owner', userId: { $ne: userId } },
+        {
+          $set: {
+            role: 'admin',
+            customRole: null,
+            ...this.toPermissionFields(UserSubaccount.ROLE_PERMISSIONS.admin),
+            updatedAt: now
+          }
+        },
+        { session }
+      );
+
+      const membership = await this.makeOwner(subaccountId, userId, previous.createdBy, session);
+
+      await RetellAccount.updateOne(
+        { subaccountId },
+        { $set: { createdBy: userId } },
+        { session }
+      );
+
+      return {
+        previousCreatedBy: previous.createdBy,
+        previousOwnerIds: previousOwners.map(owner => owner.userId.toString()),
+        membership
+      };
+    });
+
+    const affectedUserIds = [...new Set([userId.toString(), ...result.previousOwnerIds])];
+
+    // Invalidate caches
+    const redisService = redisManager.getRedisService();
+    if (redisService && redisService.isConnected) {
+      try {
+        await Promise.all([
+          ...affectedUserIds.map(affectedUserId => redisService.invalidateUserSubaccounts(affectedUserId)),
+          redisService.invalidateSubaccountPermissions(subaccountId),
+          redisService.invalidateSubaccount(subaccountId),
+          redisService.invalidateSubaccountUsers(subaccountId)
+        ]);
+      } catch (error) {
+        Logger.warn('Cache invalidation failed', { error: error.message });
+      }
+    }
+
+    Logger.security('Subaccount ownership transferred', 'high', {
+      subaccountId: subaccountId.toString(),
+      fromUserId: result.previousCreatedBy?.toString(),
+      toUserId: userId.toString(),
+      downgradedOwners: result.previousOwnerIds
+    });
+
+    return { previousOwnerIds: result.previousOwnerIds, membership: result.membership };
+  }
+
+  /**
+   * Drop the pending transfer (cancelled by the owner or declined by the new owner)
+   * @param {string} subaccountId - Subaccount ID
+   * @returns {Promise<boolean>} Whether a pending transfer existed
+   */
+  async cancel(subaccountId) {
+    const result = await Subaccount.updateOne(
+      { _id: subaccountId, 'ownershipTransfer.toUserId': { $exists: true } },
+      { $unset: { ownershipTransfer: 1 } }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  // Give the new owner the owner role, creating the membership if needed
+  async makeOwner(subaccountId, userId, invitedBy, session) {
+    const existing = await UserSubaccount.findOne({ userId, subaccountId }).session(session);
+
+    if (existing && existing.isActive) {
+      existing.set({
+        role: 'owner',
+        customRole: null,
+        temporaryAccess: { enabled: false }
+      });
+      Object.assign(existing.permissions, UserSubaccount.ROLE_PERMISSIONS.owner);
+      await existing.save({ session });
+      return existing;
+    }
+
+    // A membership deactivated when temporary access expired would block the unique index
+    if (existing) {
+      await UserSubaccount.deleteOne({ _id: existing._id }, { session });
+    }
+
+    const membership = new UserSubaccount({
+      userId,
+      subaccountId,
+      role: 'owner',
+      invitedBy,
+      invitedAt: new Date(),
+      acceptedAt: new Date()
+    });
+    await membership.save({ session });
+
+    // Update subaccount user count
+    await Subaccount.findByIdAndUpdate(
+      subaccountId,
+      { $inc: { 'stats.totalUsers': 1 } },
+      { session }
+    );
+
+    // Update new owner's subaccount count
+    await User.findByIdAndUpdate(
+      userId,
+      { $inc: { subaccountCount: 1 } },
+      { session }
+    );
+
+    return membership;
+  }
+
+  // { read: true, ... } -> { 'permissions.read': true, ... } so collections and query limits are kept
+  toPermissionFields(permissions) {
+    return Object.fromEntries(
+      Object.entries(permissions).map(([name, value]) => [`permissions.${name}`, value])
+    );
+  }
+}
+
+const ownershipTransferService = new OwnershipTransferService();
+
+module.exports = ownershipTransferService;
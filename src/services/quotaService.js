@@ -0,0 +1,255 @@
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const redisManager = require('./redisManager');
+const MemoryRateLimitStore = require('../middleware/memoryStore');
+
+// Import models
+const Subaccount = require('../models/Subaccount');
+const UserSubaccount = require('../models/UserSubaccount');
+
+// Quota windows and the rateLimits field that sets their limit
+const WINDOWS = {
+  minute: { field: 'queriesPerMinute', seconds: 60 },
+  hour: { field: 'queriesPerHour', seconds: 60 * 60 },
+  day: { field: 'queriesPerDay', seconds: 24 * 60 * 60 }
+};
+
+class QuotaService {
+  constructor() {
+    this.prefix = config.redis.prefixes.quota;
+
+    // Used while Redis is down; counts are then per instance
+    this.memoryStores = {};
+    Object.entries(WINDOWS).forEach(([window, { seconds }]) => {
+      this.memoryStores[window] = new MemoryRateLimitStore({
+        prefix: this.prefix,
+        windowMs: seconds * 1000
+      });
+    });
+  }
+
+  /**
+   * Resolve the limits that apply to a subaccount and, optionally, one of its users.
+   * A user's rateLimitOverrides replace the subaccount limit for that window.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} [userId] - User ID
+   * @returns {Promise<Object|null>} { subaccount: {minute, hour, day}, user: {minute, hour, day}|null, overrides }, or null if the subaccount does not exist
+   */
+  async getLimits(subaccountId, userId) {
+    const [subaccount, userSubaccount] = await Promise.all([
+      Subaccount.findById(subaccountId).select('rateLimits').lean(),
+      userId
+        ? UserSubaccount.findOne({ userId, subaccountId }).select('rateLimitOverrides').lean()
+        : null
+    ]);
+
+    if (!subaccount) {
+      return null;
+    }
+
+    const overrides = userSubaccount?.rateLimitOverrides || {};
+    const limits = { subaccount: {}, user: userId ? {} : null, overrides: {} };
+
+    Object.entries(WINDOWS).forEach(([window, { field }]) => {
+      limits.subaccount[window] = subaccount.rateLimits?.[field];
+      if (overrides[field] !== undefined && overrides[field] !== null) {
+        limits.overrides[window] = overrides[field];
+      }
+      if (limits.user) {
+        limits.user[window] = limits.overrides[window] !== undefined
+          ? limits.overrides[window]
+          : limits.subaccount[window];
+      }
+    });
+
+    return limits;
+  }
+
+  /**
+   * Count one query against the subaccount and user quotas. Only allowed queries are counted,
+   * so a client over the limit does not add to its windows while it keeps retrying.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} [userId] - User the query is made for (omitted for plain service requests)
+   * @returns {Promise<Object|null>} { allowed, exceeded, usage } or null if the subaccount does not exist
+   */
+  async consume(subaccountId, userId) {
+    const limits = await this.getLimits(subaccountId, userId);
+    if (!limits) {
+      return null;
+    }
+
+    const current = await this.collectUsage(subaccountId, userId, limits, false);
+    const full = this.findExceeded(current, limits, userId, 1);
+    if (full) {
+      return { allowed: false, exceeded: full, usage: current };
+    }
+
+    // Concurrent queries can still pass the check together; the ones counted past the limit are denied
+    const usage = await this.collectUsage(subaccountId, userId, limits, true);
+    const exceeded = this.findExceeded(usage, limits, userId, 0);
+
+    return { allowed: !exceeded, exceeded, usage };
+  }
+
+  // First window whose count (plus pending queries) is over its limit, or null
+  findExceeded(usage, limits, userId, pending) {
+    // The subaccount-wide limit does not apply to windows where the user has an override
+    return usage.find(entry =>
+      entry.limit !== undefined && entry.used + pending > entry.limit &&
+      !(entry.scope === 'subaccount' && userId && limits.overrides[entry.window] !== undefined)
+    ) || null;
+  }
+
+  /**
+   * Count an allowed authorization decision against the quotas (see consume).
+   * Over the limit, the decision becomes a denial with the quota details.
+   * @param {Object} decision - Decision from authorizationService.decide
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} [userId] - User ID
+   * @returns {Promise<Object>} Decision with quota: { limit, remaining, resetAt } or, when exceeded,
+   *   { exceeded: true, scope, window, limit, resetAt, retryAfter }
+   */
+  async applyToDecision(decision, subaccountId, userId) {
+    if (!decision.allowed) {
+      return decision;
+    }
+
+    try {
+      const result = await this.consume(subaccountId, userId);
+      if (!result) {
+        return decision;
+      }
+
+      if (!result.allowed) {
+        const { scope, window, limit, resetAt } = result.exceeded;
+        return {
+          ...decision,
+          allowed: false,
+          reason: this.getExceededMessage(result.exceeded),
+          quota: {
+            exceeded: true,
+            scope,
+            window,
+            limit,
+            resetAt,
+            retryAfter: Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000))
+          }
+        };
+      }
+
+      const tightest = this.getTightest(result.usage);
+      return {
+        ...decision,
+        quota: tightest ? { limit: tightest.limit, remaining: tightest.remaining, resetAt: tightest.resetAt } : null
+      };
+    } catch (error) {
+      // Quota problems must not take the subaccount down
+      Logger.error('Quota enforcement failed, allowing operation', {
+        error: error.message,
+        subaccountId,
+        userId
+      });
+      return decision;
+    }
+  }
+
+  // Usage entry of the window closest to its limit (null if no window is limited)
+  getTightest(usage) {
+    return usage
+      .filter(entry => entry.remaining !== null)
+      .sort((a, b) => a.remaining - b.remaining)[0] || null;
+  }
+
+  // Message for a consume() result that exceeded a limit
+  getExceededMessage({ scope, window }) {
+    return scope === 'user'
+      ? `User query quota per ${window} exceeded for this subaccount`
+      : `Subaccount query quota per ${window} exceeded`;
+  }
+
+  /**
+   * Current usage without counting a query
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} [userId] - User ID
+   * @returns {Promise<Object|null>} { subaccount: {window: entry}, user: {window: entry}|null, overrides }
+   */
+  async getUsage(subaccountId, userId) {
+    const limits = await this.getLimits(subaccountId, userId);
+    if (!limits) {
+      return null;
+    }
+
+    const usage = await this.collectUsage(subaccountId, userId, limits, false);
+    const result = { subaccount: {}, user: userId ? {} : null, overrides: limits.overrides };
+
+    usage.forEach(({ scope, window, ...entry }) => {
+      result[scope][window] = entry;
+    });
+
+    return result;
+  }
+
+  async collectUsage(subaccountId, userId, limits, increment) {
+    const scopes = [['subaccount', `subaccount:${subaccountId}`]];
+    if (userId) {
+      scopes.push(['user', `user:${subaccountId}:${userId}`]);
+    }
+
+    const usage = [];
+    for (const [scope, scopeKey] of scopes) {
+      for (const window of Object.keys(WINDOWS)) {
+        const counter = await this.readCounter(`${scopeKey}:${window}`, window, increment);
+        const limit = limits[scope][window];
+
+        usage.push({
+          scope,
+          window,
+          limit,
+          used: counter.current,
+          remaining: limit !== undefined ? Math.max(0, limit - counter.current) : null,
+          resetAt: counter.resetAt
+        });
+      }
+    }
+
+    return usage;
+  }
+
+  // Fixed windows: the key includes the window number, so counters reset on the window boundary
+  async readCounter(key, window, increment) {
+    const windowMs = WINDOWS[window].seconds * 1000;
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const bucketKey = `${key}:${windowStart}`;
+    const resetAt = new Date(windowStart + windowMs);
+
+    const redisService = redisManager.getRedisService();
+    if (redisService && redisService.isConnected) {
+      try {
+        const result = increment
+          ? await redisService.incrementRateLimit(`${this.prefix}${bucketKey}`, WINDOWS[window].seconds, now)
+          : await redisService.getRateLimit(`${this.prefix}${bucketKey}`);
+
+        return { current: parseInt(result.current) || 0, resetAt };
+      } catch (error) {
+        Logger.warn('Redis quota counter failed, using memory store', {
+          key: bucketKey,
+          error: error.message
+        });
+      }
+    }
+
+    const store = this.memoryStores[window];
+    const entry = increment ? await store.incr(bucketKey) : await store.get(bucketKey);
+
+    return { current: entry ? entry.totalHits : 0, resetAt };
+  }
+
+  shutdown() {
+    Object.values(this.memoryStores).forEach(store => store.stopCleanup());
+  }
+}
+
+const quotaService = new QuotaService();
+
+module.exports = quotaService;
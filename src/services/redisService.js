@@ -395,6 +395,33 @@ class RedisService {
     return await this.del(key);
   }
 
+  // Drop cached permissions of every user in a subaccount (pattern: permissions:*:${subaccountId})
+  async invalidateSubaccountPermissions(subaccountId) {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    try {
+      const keys = [];
+      for await (const key of this.client.scanIterator({ MATCH: `permissions:*:${subaccountId}`, COUNT: 100 })) {
+        keys.push(key);
+      }
+
+      if (keys.length > 0) {
+        await this.client.del(keys);
+        Logger.debug('Invalidated subaccount permissions cache', { subaccountId, keysDeleted: keys.length });
+      }
+
+      return keys.length;
+    } catch (error) {
+      Logger.warn('Failed to invalidate subaccount permissions cache', {
+        subaccountId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
   async invalidateSubaccountUsers(subaccountId) {
     if (!this.isConnected) {
       return null;
@@ -492,8 +519,8 @@ class RedisService {
       multi.ttl(key);
       
       const results = await multi.exec();
-      const current = parseInt(results[0][1]) || 0;
-      const ttl = results[1][1];
+      const current = parseInt(results[0]) || 0; // GET result (node-redis returns plain replies)
+      const ttl = results[1];
       
       return {
         current,
@@ -0,0 +1,311 @@
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+
+/**
+ * Purges Retell resources (agents, phone numbers, knowledge bases, calls) for a subaccount.
+ *
+ * Works against any object exposing the Retell SDK surface used below
+ * (`agent`, `phoneNumber`, `knowledgeBase`, `call` with `list`/`delete`), so a
+ * fake client can be passed in place of the real SDK.
+ */
+class RetellCleanupService {
+  /**
+   * @param {Object} retellClient - Retell SDK client (or a compatible fake)
+   * @param {Object} options - { concurrency, pageSize, onProgress(resource, progress) (may be async),
+   *   heartbeat() (async, called at most every heartbeatIntervalMs between pages and items; a throw aborts the purge),
+   *   heartbeatIntervalMs, context }
+   */
+  constructor(retellClient, options = {}) {
+    this.client = retellClient;
+    this.concurrency = options.concurrency || config.deletion.retellConcurrency;
+    this.pageSize = options.pageSize || config.deletion.retellPageSize;
+    this.onProgress = options.onProgress || null;
+    this.heartbeat = options.heartbeat || null;
+    this.heartbeatIntervalMs = options.heartbeatIntervalMs || 30 * 1000;
+    this.lastHeartbeat = Date.now();
+    this.context = options.context || {};
+  }
+
+  /**
+   * Delete all call logs, paging through every call
+   * @returns {Promise<Object>} { listed, deleted, failed, failures, pages, remaining }
+   */
+  async purgeCalls() {
+    return this.purge('calls', this.getResource('calls'));
+  }
+
+  /**
+   * Delete all agents, paging through every agent version
+   * @returns {Promise<Object>} { listed, deleted, failed, failures, pages, remaining }
+   */
+  async purgeAgents() {
+    return this.purge('agents', this.getResource('agents'));
+  }
+
+  /**
+   * Delete all phone numbers (the Retell API returns them in a single list)
+   * @returns {Promise<Object>} { listed, deleted, failed, failures, pages, remaining }
+   */
+  async purgePhoneNumbers() {
+    return this.purge('phone numbers', this.getResource('phoneNumbers'));
+  }
+
+  /**
+   * Delete all knowledge bases (the Retell API returns them in a single list)
+   * @returns {Promise<Object>} { listed, deleted, failed, failures, pages, remaining }
+   */
+  async purgeKnowledgeBases() {
+    return this.purge('knowledge bases', this.getResource('knowledgeBases'));
+  }
+
+  /**
+   * List everything a purge would delete, without deleting anything
+   * @returns {Promise<Object>} { agents, phoneNumbers, knowledgeBases, callCount }
+   */
+  async inventory() {
+    // Calls can number in the tens of thousands, so only their ids are kept
+    const [agents, phoneNumbers, knowledgeBases, callCount] = await Promise.all([
+      this.listAll(this.getResource('agents')),
+      this.listAll(this.getResource('phoneNumbers')),
+      this.listAll(this.getResource('knowledgeBases')),
+      this.countAll(this.getResource('calls'))
+    ]);
+
+    return { agents, phoneNumbers, knowledgeBases, callCount };
+  }
+
+  // How to list, identify and delete each Retell resource
+  getResource(name) {
+    const resources = {
+      calls: {
+        listPage: async (after) => {
+          const params = { limit: this.pageSize };
+          if (after) {
+            params.pagination_key = after.call_id;
+          }
+          const calls = await this.client.call.list(params);
+          return Array.isArray(calls) ? calls : [];
+        },
+        getId: call => call.call_id,
+        deleteItem: call => this.client.call.delete(call.call_id)
+      },
+      agents: {
+        listPage: async (after) => {
+          const params = { limit: this.pageSize };
+          if (after) {
+            params.pagination_key = after.agent_id;
+            params.pagination_key_version = after.version;
+          }
+          const agents = await this.client.agent.list(params);
+          return Array.isArray(agents) ? agents : [];
+        },
+        // Deleting an agent removes all of its versions
+        getId: agent => agent.agent_id,
+        deleteItem: agent => this.client.agent.delete(agent.agent_id)
+      },
+      phoneNumbers: {
+        paginated: false,
+        listPage: async () => (await this.client.phoneNumber.list()) || [],
+        // Phone numbers are identified by the E.164 number itself
+        getId: phoneNumber => phoneNumber.phone_number,
+        deleteItem: phoneNumber => this.client.phoneNumber.delete(phoneNumber.phone_number)
+      },
+      knowledgeBases: {
+        paginated: false,
+        listPage: async () => (await this.client.knowledgeBase.list()) || [],
+        getId: kb => kb.knowledge_base_id,
+        deleteItem: kb => this.client.knowledgeBase.delete(kb.knowledge_base_id)
+      }
+    };
+
+    return resources[name];
+  }
+
+  /**
+   * Drain a Retell resource.
+   *
+   * Pages are re-listed from the last item that could not be deleted: deleted
+   * items disappear from the listing, so the cursor only ever points to an item
+   * that still exists. The loop ends on an empty page, after which the resource
+   * is listed again to count what is left (reconciliation).
+   */
+  async purge(resource, { listPage, getId, deleteItem, paginated = true }) {
+    const summary = {
+      listed: 0,
+      deleted: 0,
+      failed: 0,
+      failures: [],
+      pages: 0,
+      remaining: 0
+    };
+    const seen = new Set();
+    let cursor = null;
+
+    while (true) {
+      await this.keepAlive();
+      const page = await listPage(cursor);
+      summary.pages++;
+
+      // Agents are listed once per version; only delete each id once
+      const items = page.filter(item => {
+        const id = getId(item);
+        if (seen.has(id)) {
+          return false;
+        }
+        seen.add(id);
+        return true;
+      });
+
+      if (items.length === 0) {
+        break;
+      }
+
+      summary.listed += items.length;
+
+      const results = await this.runWithConcurrency(items, deleteItem);
+      let lastFailed = null;
+
+      results.forEach((result, index) => {
+        if (result.success) {
+          summary.deleted++;
+        } else {
+          summary.failed++;
+          lastFailed = items[index];
+          // Keep a bounded sample of failures for the job record
+          if (summary.failures.length < 20) {
+            summary.failures.push({ id: getId(items[index]), error: result.error });
+          }
+        }
+      });
+
+      await this.reportProgress(resource, summary);
+
+      if (!paginated) {
+        break;
+      }
+
+      if (lastFailed) {
+        cursor = lastFailed;
+      }
+    }
+
+    summary.remaining = await this.countAll({ listPage, getId, paginated });
+
+    Logger.info(`Retell ${resource} purge finished`, {
+      ...this.context,
+      listed: summary.listed,
+      deleted: summary.deleted,
+      failed: summary.failed,
+      pages: summary.pages,
+      remaining: summary.remaining
+    });
+
+    return summary;
+  }
+
+  // Page through the whole resource without deleting anything
+  async listAll(resource) {
+    return [...(await this.collect(resource, true)).values()];
+  }
+
+  // Count the items of a resource without keeping them in memory
+  async countAll(resource) {
+    return (await this.collect(resource, false)).size;
+  }
+
+  async collect({ listPage, getId, paginated = true }, keepItems) {
+    const collected = new Map();
+    let cursor = null;
+
+    while (true) {
+      await this.keepAlive();
+      const page = await listPage(cursor);
+      const newItems = page.filter(item => !collected.has(getId(item)));
+
+      if (newItems.length === 0) {
+        break;
+      }
+
+      newItems.forEach(item => collected.set(getId(item), keepItems ? item : true));
+
+      if (!paginated) {
+        break;
+      }
+
+      cursor = page[page.length - 1];
+    }
+
+    return collected;
+  }
+
+  // Run deleteItem over items with at most `concurrency` requests in flight
+  async runWithConcurrency(items, deleteItem) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let heartbeatError = null;
+
+    const worker = async () => {
+      while (!heartbeatError && nextIndex < items.length) {
+        try {
+          await this.keepAlive();
+        } catch (error) {
+          heartbeatError = error;
+          break;
+        }
+
+        const index = nextIndex++;
+        try {
+          await deleteItem(items[index]);
+          results[index] = { success: true };
+        } catch (error) {
+          results[index] = { success: false, error: error.message };
+        }
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(this.concurrency, items.length); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    if (heartbeatError) {
+      throw heartbeatError;
+    }
+
+    return results;
+  }
+
+  // Call the heartbeat when it is due; concurrent callers share one call
+  async keepAlive() {
+    if (!this.heartbeat || Date.now() - this.lastHeartbeat < this.heartbeatIntervalMs) {
+      return;
+    }
+
+    this.lastHeartbeat = Date.now();
+    await this.heartbeat();
+  }
+
+  async reportProgress(resource, summary) {
+    if (!this.onProgress) {
+      return;
+    }
+
+    try {
+      await this.onProgress(resource, {
+        listed: summary.listed,
+        deleted: summary.deleted,
+        failed: summary.failed,
+        pages: summary.pages
+      });
+    } catch (error) {
+      Logger.warn('Retell purge progress callback failed', {
+        ...this.context,
+        resource,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = RetellCleanupService;
@@ -0,0 +1,260 @@
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const Keyring = require('../utils/keyring');
+
+/**
+ * Secret backends for tenant credentials (subaccount MongoDB URLs, Retell API keys).
+ *
+ * Every backend exposes the same surface:
+ *   put({ path, value, salt })  -> fields to persist on the document
+ *                                  { stored, iv, authTag, keyVersion }
+ *   get({ stored, iv, authTag, keyVersion, salt, isValid }) -> plaintext
+ *   remove({ stored })
+ *
+ * The database backend keeps the ciphertext on the document itself (the
+ * original behavior). External backends keep the secret elsewhere and the
+ * document only stores a reference such as "file:subaccounts/<id>/mongodbUrl".
+ */
+
+// Stores AES-256-GCM ciphertext in the tenant-manager database (see Keyring)
+class DatabaseSecretStore {
+  constructor() {
+    this.name = 'database';
+  }
+
+  async put({ value, salt }) {
+    const encryptionResult = Keyring.encrypt(value, salt);
+
+    return {
+      stored: encryptionResult.encrypted,
+      iv: encryptionResult.iv,
+      authTag: encryptionResult.authTag,
+      keyVersion: encryptionResult.keyVersion
+    };
+  }
+
+  async get({ stored, iv, authTag, keyVersion, salt, isValid }) {
+    if (!stored || !iv || !authTag) {
+      throw new Error('Missing encryption data');
+    }
+
+    return Keyring.decrypt(stored, iv, authTag, salt, keyVersion, isValid).value;
+  }
+
+  async remove() {
+    // Nothing to do, the secret goes away with its document
+  }
+}
+
+// One file per secret (mode 0600), e.g. a volume mounted from a secrets manager
+class FileSecretStore {
+  constructor(options) {
+    this.name = 'file';
+    this.directory = path.resolve(options.directory);
+  }
+
+  resolve(secretPath) {
+    const filePath = path.resolve(this.directory, secretPath);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error('Secret path escapes the secret directory');
+    }
+    return filePath;
+  }
+
+  async put({ path: secretPath, value }) {
+    const filePath = this.resolve(secretPath);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+    // Write then rename so readers never see a partially written secret
+    await fs.writeFile(tempPath, value, { encoding: 'utf8', mode: 0o600 });
+    await fs.rename(tempPath, filePath);
+
+    return { stored: toReference(this.name, secretPath) };
+  }
+
+  async get({ stored }) {
+    const { secretPath } = parseReference(stored, this.name);
+
+    try {
+      return await fs.readFile(this.resolve(secretPath), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Secret ${secretPath} not found in file store`);
+      }
+      throw error;
+    }
+  }
+
+  async remove({ stored }) {
+    const { secretPath } = parseReference(stored, this.name);
+    await fs.rm(this.resolve(secretPath), { force: true });
+  }
+}
+
+// HashiCorp Vault style KV v2 HTTP API
+class HttpVaultSecretStore {
+  constructor(options) {
+    this.name = 'http';
+    this.mount = options.mount;
+    this.prefix = options.prefix;
+
+    if (!options.url) {
+      throw new Error('SECRET_VAULT_URL is required for the http secret backend');
+    }
+
+    this.client = axios.create({
+      baseURL: options.url.replace(/\/$/, ''),
+      timeout: options.timeout,
+      headers: {
+        'X-Vault-Token': options.token,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  url(kind, secretPath) {
+    return `/v1/${this.mount}/${kind}/${this.prefix ? `${this.prefix}/` : ''}${secretPath}`;
+  }
+
+  async put({ path: secretPath, value }) {
+    try {
+      await this.client.post(this.url('data', secretPath), { data: { value } });
+    } catch (error) {
+      throw new Error(`Failed to write secret ${secretPath} to vault: ${describeHttpError(error)}`);
+    }
+
+    return { stored: toReference(this.name, secretPath) };
+  }
+
+  async get({ stored }) {
+    const { secretPath } = parseReference(stored, this.name);
+    let response;
+
+    try {
+      response = await this.client.get(this.url('data', secretPath));
+    } catch (error) {
+      throw new Error(`Failed to read secret ${secretPath} from vault: ${describeHttpError(error)}`);
+    }
+
+    const value = response.data?.data?.data?.value;
+    if (typeof value !== 'string') {
+      throw new Error(`Secret ${secretPath} has no value in vault`);
+    }
+    return value;
+  }
+
+  async remove({ stored }) {
+    const { secretPath } = parseReference(stored, this.name);
+
+    try {
+      // Deleting the metadata removes every version of the secret
+      await this.client.delete(this.url('metadata', secretPath));
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        throw new Error(`Failed to delete secret ${secretPath} from vault: ${describeHttpError(error)}`);
+      }
+    }
+  }
+}
+
+const toReference = (backend, secretPath) => `${backend}:${secretPath}`;
+
+const parseReference = (stored, backend) => {
+  const prefix = `${backend}:`;
+  if (typeof stored !== 'string' || !stored.startsWith(prefix)) {
+    throw new Error(`Invalid ${backend} secret reference`);
+  }
+  return { secretPath: stored.slice(prefix.length) };
+};
+
+const describeHttpError = (error) => {
+  return error.response ? `HTTP ${error.response.status}` : error.message;
+};
+
+const BACKENDS = {
+  database: () => new DatabaseSecretStore(),
+  file: () => new FileSecretStore(config.secrets.file),
+  http: () => new HttpVaultSecretStore(config.secrets.http)
+};
+
+/**
+ * Secret Store
+ * Routes each secret to the backend recorded on its document; new secrets are
+ * written to the configured default backend (config.secrets.backend)
+ */
+class SecretStore {
+  constructor() {
+    this.backends = new Map();
+  }
+
+  static BACKEND_NAMES = Object.keys(BACKENDS);
+
+  getDefaultBackend() {
+    return config.secrets.backend;
+  }
+
+  // Backends are created lazily so a misconfigured, unused backend does not break startup
+  getBackend(name) {
+    const backendName = name || 'database';
+
+    if (!this.backends.has(backendName)) {
+      if (!BACKENDS[backendName]) {
+        throw new Error(`Unknown secret backend: ${backendName}`);
+      }
+      this.backends.set(backendName, BACKENDS[backendName]());
+    }
+
+    return this.backends.get(backendName);
+  }
+
+  /**
+   * Store a secret in the default backend
+   * @param {Object} secret - { path, value, salt }
+   * @returns {Promise<Object>} { backend, stored, iv, authTag, keyVersion }
+   */
+  async put(secret) {
+    const backend = this.getBackend(this.getDefaultBackend());
+    const result = await backend.put(secret);
+
+    if (backend.name !== 'database') {
+      Logger.audit('Secret stored in external backend', 'secrets', {
+        backend: backend.name,
+        path: secret.path
+      });
+    }
+
+    return { backend: backend.name, ...result };
+  }
+
+  /**
+   * Read a secret from the backend it was stored in
+   * @param {String} backendName - Backend recorded on the document
+   * @param {Object} record - { stored, iv, authTag, keyVersion, salt, isValid }
+   * @returns {Promise<String>}
+   */
+  async get(backendName, record) {
+    return this.getBackend(backendName).get(record);
+  }
+
+  /**
+   * Delete a secret from the backend it was stored in
+   * @param {String} backendName - Backend recorded on the document
+   * @param {Object} record - { stored }
+   */
+  async remove(backendName, record) {
+    await this.getBackend(backendName).remove(record);
+  }
+}
+
+// Create singleton instance
+const secretStore = new SecretStore();
+
+module.exports = secretStore;
+module.exports.SecretStore = SecretStore;
+module.exports.DatabaseSecretStore = DatabaseSecretStore;
+module.exports.FileSecretStore = FileSecretStore;
+module.exports.HttpVaultSecretStore = HttpVaultSecretStore;
@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+
+// Import models
+const Subaccount = require('../models/Subaccount');
+const UserSubaccount = require('../models/UserSubaccount');
+const RetellAccount = require('../models/RetellAccount');
+const Connector = require('../models/Connector');
+const User = require('../models/User');
+
+const BUNDLE_FORMAT = 'scalai.subaccount-bundle';
+const BUNDLE_VERSION = 1;
+
+// Settings copied verbatim between environments
+const SETTINGS_FIELDS = [
+  'name',
+  'description',
+  'databaseName',
+  'timezone',
+  'maxConnections',
+  'enforceSchema',
+  'allowedCollections',
+  'rateLimits',
+  'maintenanceMode',
+  'maintenanceMessage',
+  'auditRetention'
+];
+
+/**
+ * Subaccount Bundle Service
+ * Exports a subaccount as a versioned JSON bundle and recreates it from one,
+ * so a tenant can be moved between environments
+ */
+class SubaccountBundleService {
+  /**
+   * Build the export bundle of a subaccount
+   * @param {String} subaccountId - Subaccount to export
+   * @param {Object} options - { passphrase } (secrets are only included with a passphrase)
+   * @returns {Promise<Object|null>} Bundle, or null if the subaccount does not exist
+   */
+  async exportBundle(subaccountId, options = {}) {
+    const subaccount = await Subaccount.findById(subaccountId)
+      .select('+mongodbUrl +encryptionIV +encryptionAuthTag')
+      .populate('activatedConnectors.connectorId', 'type name version');
+
+    if (!subaccount) {
+      return null;
+    }
+
+    const [retellAccount, memberships] = await Promise.all([
+      RetellAccount.findOne({ subaccountId }).select('+apiKey +encryptionIV +encryptionAuthTag'),
+      UserSubaccount.find({ subaccountId }).populate('userId', 'email')
+    ]);
+
+    const bundle = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      source: {
+        environment: config.server.nodeEnv,
+        subaccountId: subaccount._id.toString()
+      },
+      subaccount: Object.fromEntries(SETTINGS_FIELDS.map(field => [field, toPlain(subaccount[field])])),
+      // Connector ids differ between environments, so connectors are matched by type and name
+      connectors: subaccount.activatedConnectors
+        .filter(ac => ac.connectorId)
+        .map(ac => ({
+          type: ac.connectorId.type,
+          name: ac.connectorId.name,
+          version: ac.connectorId.version,
+          config: toPlain(ac.config) || {},
+          isActive: ac.isActive
+        })),
+      retellAccount: retellAccount ? {
+        accountName: retellAccount.accountName,
+        isActive: retellAccount.isActive,
+        verificationStatus: retellAccount.verificationStatus,
+        lastVerified: retellAccount.lastVerified
+      } : null,
+      // Users are matched by email in the target environment
+      members: memberships
+        .filter(membership => membership.userId)
+        .map(membership => ({
+          email: membership.userId.email,
+          role: membership.role,
+          permissions: {
+            read: membership.permissions.read,
+            write: membership.permissions.write,
+            delete: membership.permissions.delete,
+            admin: membership.permissions.admin
+          },
+          isActive: membership.isActive
+        }))
+    };
+
+    if (options.passphrase) {
+      const secrets = { mongodbUrl: await subaccount.getDecryptedUrl() };
+      if (retellAccount) {
+        secrets.retellApiKey = await retellAccount.getDecryptedApiKey();
+      }
+      bundle.secrets = this.sealSecrets(secrets, options.passphrase);
+    }
+
+    return bundle;
+  }
+
+  /**
+   * Recreate a subaccount from a validated bundle.
+   * Records created before a failure are removed again.
+   * @param {Object} bundle - Bundle validated by validateImportBundle
+   * @param {Object} options - { userId, mongodbUrl, secrets }
+   * @returns {Promise<Object>} { subaccount, retellAccountId, connectors, members, warnings }
+   */
+  async importBundle(bundle, options) {
+    const { userId, mongodbUrl, secrets = {} } = options;
+    const warnings = [];
+    const created = { subaccount: null, retellAccount: null, membershipIds: [] };
+
+    try {
+      const subaccount = new Subaccount({
+        ...bundle.subaccount,
+        mongodbUrl, // Will be stored by pre-save middleware
+        createdBy: userId
+      });
+      await subaccount.save();
+      created.subaccount = subaccount;
+
+      const connectors = await this.importConnectors(subaccount, bundle.connectors, userId, warnings);
+
+      if (bundle.retellAccount && secrets.retellApiKey) {
+        const retellAccount = new RetellAccount({
+          apiKey: secrets.retellApiKey, // Will be stored by pre-save middleware
+          accountName: bundle.retellAccount.accountName,
+          subaccountId: subaccount._id,
+          createdBy: userId,
+          isActive: bundle.retellAccount.isActive,
+          // The key has not been verified against Retell from this environment yet
+          verificationStatus: 'pending'
+        });
+        await retellAccount.save();
+        created.retellAccount = retellAccount;
+
+        subaccount.retellAccountId = retellAccount._id;
+        await subaccount.save();
+      } else if (bundle.retellAccount) {
+        warnings.push('Retell account not imported: the bundle contains no API key');
+      }
+
+      const members = await this.importMembers(subaccount, bundle.members, userId, created, warnings);
+
+      return {
+        subaccount,
+        retellAccountId: created.retellAccount ? created.retellAccount._id : null,
+        connectors,
+        members,
+        warnings
+      };
+    } catch (error) {
+      await this.rollback(created);
+      throw error;
+    }
+  }
+
+  async importConnectors(subaccount, connectors, userId, warnings) {
+    const imported = [];
+
+    for (const entry of connectors) {
+      const connector = await Connector.findOne({ type: entry.type, name: entry.name });
+
+      if (!connector) {
+        warnings.push(`Connector ${entry.type}/${entry.name} does not exist in this environment`);
+        continue;
+      }
+
+      try {
+        connector.validateSubaccountConfig(entry.config);
+      } catch (validationError) {
+        warnings.push(`Connector ${entry.type}/${entry.name} skipped: ${validationError.message}`);
+        continue;
+      }
+
+      await subaccount.activateConnector(connector._id, entry.config, userId);
+      if (!entry.isActive) {
+        await subaccount.deactivateConnector(connector._id);
+      }
+
+      imported.push({ connectorId: connector._id, type: entry.type, name: entry.name, isActive: entry.isActive });
+    }
+
+    return imported;
+  }
+
+  // The importing user becomes owner; other members are matched by email. A subaccount has a
+  // single owner, so the source owner is imported as admin.
+  async importMembers(subaccount, members, userId, created, warnings) {
+    const memberships = [{
+      userId,
+      subaccountId: subaccount._id,
+      role: 'owner',
+      permissions: { read: true, write: true, delete: true, admin: true },
+      invitedBy: userId,
+      invitedAt: new Date(),
+      acceptedAt: new Date()
+    }];
+
+    const users = await User.find({ email: { $in: members.map(member => member.email) } }).select('email');
+    const usersByEmail = new Map(users.map(user => [user.email, user]));
+
+    for (const member of members) {
+      const user = usersByEmail.get(member.email);
+
+      if (!user) {
+        warnings.push(`Member ${member.email} does not exist in this environment`);
+        continue;
+      }
+      if (user._id.toString() === userId.toString()) {
+        continue;
+      }
+      if (memberships.length >= config.security.maxUsersPerSubaccount) {
+        warnings.push(`Member ${member.email} skipped: maximum ${config.security.maxUsersPerSubaccount} users per subaccount`);
+        continue;
+      }
+
+      if (member.role === 'owner') {
+        warnings.push(`Member ${member.email} owns the source subaccount and is imported as admin`);
+      }
+
+      memberships.push({
+        userId: user._id,
+        subaccountId: subaccount._id,
+        role: member.role === 'owner' ? 'admin' : member.role,
+        permissions: member.permissions,
+        isActive: member.isActive,
+        invitedBy: userId,
+        invitedAt: new Date(),
+        acceptedAt: new Date()
+      });
+    }
+
+    const inserted = await UserSubaccount.insertMany(memberships);
+    created.membershipIds = inserted.map(membership => membership._id);
+
+    // Keep per-user subaccount counts in line with createSubaccount
+    const activeUserIds = inserted.filter(membership => membership.isActive).map(membership => membership.userId);
+    await User.updateMany({ _id: { $in: activeUserIds } }, { $inc: { subaccountCount: 1 } });
+
+    return inserted.map(membership => ({
+      userId: membership.userId,
+      role: membership.role,
+      isActive: membership.isActive
+    }));
+  }
+
+  async rollback(created) {
+    try {
+      if (created.membershipIds.length > 0) {
+        await UserSubaccount.deleteMany({ _id: { $in: created.membershipIds } });
+      }
+      if (created.retellAccount) {
+        await RetellAccount.findByIdAndDelete(created.retellAccount._id);
+      }
+      if (created.subaccount) {
+        await created.subaccount.removeSecret();
+        await Subaccount.findByIdAndDelete(created.subaccount._id);
+      }
+    } catch (error) {
+      Logger.error('Failed to roll back subaccount import', {
+        subaccountId: created.subaccount?._id?.toString(),
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Encrypt bundle secrets with a passphrase (scrypt + AES-256-GCM), independent
+   * of the environment's encryption keys
+   * @param {Object} secrets - { mongodbUrl, retellApiKey }
+   * @param {String} passphrase - Passphrase chosen by the exporting user
+   * @returns {Object} Sealed secrets
+   */
+  sealSecrets(secrets, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync(passphrase, salt, 32), iv);
+
+    let data = cipher.update(JSON.stringify(secrets), 'utf8', 'base64');
+    data += cipher.final('base64');
+
+    return {
+      algorithm: 'aes-256-gcm',
+      kdf: 'scrypt',
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      authTag: cipher.getAuthTag().toString('base64'),
+      data
+    };
+  }
+
+  /**
+   * Decrypt bundle secrets
+   * @param {Object} sealed - Output of sealSecrets
+   * @param {String} passphrase - Passphrase used on export
+   * @returns {Object} { mongodbUrl, retellApiKey }
+   */
+  openSecrets(sealed, passphrase) {
+    try {
+      const key = crypto.scryptSync(passphrase, Buffer.from(sealed.salt, 'base64'), 32);
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(sealed.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(sealed.authTag, 'base64'));
+
+      let decrypted = decipher.update(sealed.data, 'base64', 'utf8');
+      decrypted += decipher.final('utf8');
+
+      return JSON.parse(decrypted);
+    } catch (error) {
+      throw new Error('Wrong passphrase or corrupted bundle secrets');
+    }
+  }
+}
+
+// Mongoose values (subdocuments, Mixed) to plain JSON
+const toPlain = (value) => {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  return JSON.parse(JSON.stringify(value));
+};
+
+// Create singleton instance
+const subaccountBundleService = new SubaccountBundleService();
+
+module.exports = subaccountBundleService;
+module.exports.BUNDLE_FORMAT = BUNDLE_FORMAT;
+module.exports.BUNDLE_VERSION = BUNDLE_VERSION;
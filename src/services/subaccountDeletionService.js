@@ -0,0 +1,1099 @@
+const mongoose = require('mongoose');
+const os = require('os');
+const crypto = require('crypto');
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const Database = require('../utils/database');
+const redisManager = require('./redisManager');
+const databaseService = require('./databaseService');
+const RetellCleanupService = require('./retellCleanupService');
+const RetellSDK = require('retell-sdk').Retell;
+
+// Import models
+const DeletionJob = require('../models/DeletionJob');
+const Subaccount = require('../models/Subaccount');
+const UserSubaccount = require('../models/UserSubaccount');
+const User = require('../models/User');
+const RetellAccount = require('../models/RetellAccount');
+
+// Steps that talk to Retell and are skipped when the subaccount has no active Retell account
+const RETELL_STEPS = [
+  'deleteRetellAgents',
+  'deleteTwilioTrunk',
+  'releasePhoneNumbers',
+  'deleteRetellPhoneNumbers',
+  'deleteRetellKnowledgeBases',
+  'deleteRetellCalls'
+];
+
+class SubaccountDeletionService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.maxStepAttempts = config.deletion.maxStepAttempts;
+    this.retryDelayMs = config.deletion.retryDelayMs;
+    this.leaseMs = config.deletion.leaseMs;
+    this.gracePeriodMs = config.deletion.gracePeriodMs;
+    this.reaperIntervalMs = config.deletion.reaperIntervalMs;
+    this.reaperTimer = null;
+    this.resumeTimer = null;
+    this.resuming = false;
+  }
+
+  /**
+   * Delete a subaccount: mark it pending deletion for the grace period, or start
+   * the deletion job right away when no grace period is configured
+   * @param {Object} subaccount - Subaccount document
+   * @param {string} requestedBy - ID of the user requesting the deletion
+   * @returns {Promise<Object>} { job } when deletion started, { scheduledFor } when pending
+   */
+  async scheduleDeletion(subaccount, requestedBy) {
+    if (this.gracePeriodMs <= 0) {
+      const job = await this.startDeletion(subaccount, requestedBy);
+      return { job };
+    }
+
+    await subaccount.markPendingDeletion(
+      mongoose.Types.ObjectId.isValid(requestedBy) ? requestedBy : undefined,
+      this.gracePeriodMs
+    );
+    await this.invalidateMemberCaches(subaccount._id.toString());
+
+    Logger.security('Subaccount scheduled for deletion', 'medium', {
+      userId: requestedBy,
+      subaccountId: subaccount._id.toString(),
+      scheduledFor: subaccount.deletion.scheduledFor
+    });
+
+    return { scheduledFor: subaccount.deletion.scheduledFor };
+  }
+
+  /**
+   * Cancel a pending deletion during the grace period
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} restoredBy - ID of the user restoring the subaccount
+   * @returns {Promise<Object|null>} The restored subaccount, or null if it is no longer pending
+   *   or the reaper has already started its deletion
+   */
+  async restoreSubaccount(subaccountId, restoredBy) {
+    const subaccount = await Subaccount.restorePending(subaccountId);
+    if (!subaccount) {
+      return null;
+    }
+
+    await this.invalidateMemberCaches(subaccount._id.toString());
+
+    Logger.security('Subaccount restored from pending deletion', 'medium', {
+      userId: restoredBy,
+      subaccountId: subaccount._id.toString()
+    });
+
+    return subaccount;
+  }
+
+  /**
+   * Create a deletion job for a subaccount and start running it in the background
+   * @param {Object} subaccount - Subaccount document
+   * @param {string} requestedBy - ID of the user requesting the deletion
+   * @param {Object} options - { expiredOnly: only claim a subaccount whose grace period has ended }
+   * @returns {Promise<Object|null>} The created DeletionJob, or null if another worker already started one
+   *   (or, with expiredOnly, the subaccount was restored in the meantime)
+   */
+  async startDeletion(subaccount, requestedBy, options = {}) {
+    // Claim the subaccount first so only one job is ever created for it
+    const jobId = new mongoose.Types.ObjectId();
+    const claim = { _id: subaccount._id, 'deletion.jobId': { $exists: false } };
+    if (options.expiredOnly) {
+      // A restore may have landed since the reaper listed the subaccount
+      claim.pendingDeletion = true;
+      claim['deletion.scheduledFor'] = { $lte: new Date() };
+    }
+
+    const claimed = await Subaccount.findOneAndUpdate(
+      claim,
+      { $set: { 'deletion.jobId': jobId, isActive: false } }
+    );
+
+    if (!claimed) {
+      return null;
+    }
+
+    const job = await DeletionJob.create({
+      _id: jobId,
+      subaccountId: subaccount._id,
+      subaccountName: subaccount.name,
+      databaseName: subaccount.databaseName,
+      requestedBy: mongoose.Types.ObjectId.isValid(requestedBy) ? requestedBy : undefined
+    });
+
+    // Block further access while the deletion is in progress
+    await this.invalidateSubaccountCache(subaccount._id.toString());
+
+    Logger.info('Subaccount deletion job created', {
+      jobId: job._id.toString(),
+      subaccountId: subaccount._id.toString(),
+      requestedBy
+    });
+
+    this.runInBackground(job._id);
+
+    return job;
+  }
+
+  /**
+   * Start deletion jobs for subaccounts whose grace period has ended
+   * @returns {Promise<number>} Number of deletion jobs started
+   */
+  async reapExpiredSubaccounts() {
+    const subaccounts = await Subaccount.find({
+      pendingDeletion: true,
+      'deletion.scheduledFor': { $lte: new Date() },
+      'deletion.jobId': { $exists: false }
+    }).select('name databaseName deletion');
+
+    let started = 0;
+    for (const subaccount of subaccounts) {
+      try {
+        const job = await this.startDeletion(subaccount, subaccount.deletion.requestedBy?.toString(), {
+          expiredOnly: true
+        });
+        if (job) {
+          started++;
+        }
+      } catch (error) {
+        Logger.error('Failed to start deletion for expired subaccount', {
+          subaccountId: subaccount._id.toString(),
+          error: error.message
+        });
+      }
+    }
+
+    if (started > 0) {
+      Logger.info('Started deletion of subaccounts past their grace period', { count: started });
+    }
+
+    return started;
+  }
+
+  startReaper() {
+    if (this.reaperTimer) {
+      return;
+    }
+
+    this.reaperTimer = setInterval(() => {
+      this.reapExpiredSubaccounts().catch(error => {
+        Logger.error('Subaccount deletion reaper failed', { error: error.message });
+      });
+    }, this.reaperIntervalMs);
+    this.reaperTimer.unref();
+  }
+
+  stopReaper() {
+    if (this.reaperTimer) {
+      clearInterval(this.reaperTimer);
+      this.reaperTimer = null;
+    }
+  }
+
+  /**
+   * Reset failed steps of a job and run it again. Completed steps are not re-run.
+   * @param {Object} job - DeletionJob document
+   * @param {Object} options - { skipFailed: mark failed steps as skipped instead of retrying them }
+   * @returns {Promise<Object>} The updated DeletionJob
+   */
+  async retryJob(job, options = {}) {
+    job.steps.forEach(step => {
+      if (step.status === 'failed') {
+        // Error history is kept; attempts restart so the step gets a full retry budget
+        step.status = options.skipFailed ? 'skipped' : 'pending';
+        step.attempts = 0;
+        if (options.skipFailed) {
+          step.completedAt = new Date();
+        }
+      }
+    });
+    job.status = 'pending';
+    job.completedAt = undefined;
+    await job.save();
+
+    Logger.info('Subaccount deletion job retry requested', {
+      jobId: job._id.toString(),
+      subaccountId: job.subaccountId.toString(),
+      skipFailed: !!options.skipFailed
+    });
+
+    this.runInBackground(job._id);
+
+    return job;
+  }
+
+  /**
+   * Resume jobs whose worker crashed or was restarted mid-run
+   * @returns {Promise<number>} Number of jobs resumed
+   */
+  async resumeInterruptedJobs() {
+    const jobs = await DeletionJob.find({
+      status: { $in: ['pending', 'running'] },
+      $or: [
+        { lockedUntil: { $exists: false } },
+        { lockedUntil: null },
+        { lockedUntil: { $lt: new Date() } }
+      ]
+    }).select('_id');
+
+    if (jobs.length > 0) {
+      Logger.info('Resuming interrupted subaccount deletion jobs', {
+        count: jobs.length,
+        workerId: this.workerId
+      });
+    }
+
+    for (const job of jobs) {
+      await this.runJob(job._id);
+    }
+
+    return jobs.length;
+  }
+
+  // Pick up jobs whose worker died once their lease expires, not only at startup
+  startResumer() {
+    if (this.resumeTimer) {
+      return;
+    }
+
+    this.resumeTimer = setInterval(() => {
+      if (this.resuming) {
+        return;
+      }
+      this.resuming = true;
+      this.resumeInterruptedJobs()
+        .catch(error => {
+          Logger.error('Failed to resume subaccount deletion jobs', { error: error.message });
+        })
+        .finally(() => {
+          this.resuming = false;
+        });
+    }, this.reaperIntervalMs);
+    this.resumeTimer.unref();
+  }
+
+  stopResumer() {
+    if (this.resumeTimer) {
+      clearInterval(this.resumeTimer);
+      this.resumeTimer = null;
+    }
+  }
+
+  runInBackground(jobId) {
+    this.runJob(jobId).catch(error => {
+      Logger.error('Subaccount deletion job crashed', {
+        jobId: jobId.toString(),
+        error: error.message,
+        stack: error.stack
+      });
+    });
+  }
+
+  /**
+   * Run all remaining steps of a job. Returns without doing anything when another
+   * worker holds the lease.
+   * @param {string} jobId - DeletionJob ID
+   * @returns {Promise<Object|null>} The final job state, or null if the lease was not acquired
+   */
+  async runJob(jobId) {
+    const job = await this.acquireLease(jobId);
+    if (!job) {
+      Logger.debug('Deletion job already running on another worker', { jobId: jobId.toString() });
+      return null;
+    }
+
+    const subaccountId = job.subaccountId.toString();
+    Logger.info('Running subaccount deletion job', {
+      jobId: job._id.toString(),
+      subaccountId,
+      remainingSteps: job.getRemainingSteps().map(step => step.name)
+    });
+
+    const ctx = await this.buildContext(job);
+    let leaseLost = false;
+
+    try {
+      for (const step of job.getRemainingSteps()) {
+        const succeeded = await this.runStep(job, step, ctx);
+        if (!succeeded) {
+          job.status = 'failed';
+          break;
+        }
+      }
+
+      if (job.status !== 'failed') {
+        job.status = 'completed';
+        job.completedAt = new Date();
+      }
+    } catch (error) {
+      if (error.code !== 'LEASE_LOST') {
+        throw error;
+      }
+      // Another worker owns the job now; leave its state alone
+      leaseLost = true;
+      Logger.warn('Deletion job lease lost, stopping', {
+        jobId: job._id.toString(),
+        subaccountId,
+        workerId: this.workerId
+      });
+    } finally {
+      if (!leaseLost) {
+        job.lockedBy = undefined;
+        job.lockedUntil = undefined;
+        await job.save();
+      }
+    }
+
+    if (leaseLost) {
+      return null;
+    }
+
+    if (job.status === 'completed') {
+      Logger.security('Subaccount deleted', 'high', {
+        userId: job.requestedBy?.toString(),
+        subaccountId,
+        jobId: job._id.toString(),
+        action: 'hard_delete',
+        affectedUsers: (job.context.affectedUserIds || []).length
+      });
+    } else {
+      const failedStep = job.steps.find(step => step.status === 'failed');
+      Logger.error('Subaccount deletion job failed', {
+        jobId: job._id.toString(),
+        subaccountId,
+        failedStep: failedStep?.name,
+        error: failedStep?.lastError
+      });
+    }
+
+    return job;
+  }
+
+  async acquireLease(jobId) {
+    const now = new Date();
+
+    return DeletionJob.findOneAndUpdate(
+      {
+        _id: jobId,
+        status: { $in: ['pending', 'running'] },
+        $or: [
+          { lockedUntil: { $exists: false } },
+          { lockedUntil: null },
+          { lockedUntil: { $lt: now } },
+          { lockedBy: this.workerId }
+        ]
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: this.workerId,
+          lockedUntil: new Date(now.getTime() + this.leaseMs)
+        }
+      },
+      { new: true }
+    ).then(job => {
+      if (job && !job.startedAt) {
+        job.startedAt = now;
+      }
+      return job;
+    });
+  }
+
+  /**
+   * Extend the lease of a job (called before every step and between Retell pages and items).
+   * Throws an error with code LEASE_LOST when another worker has taken the job over.
+   * @param {Object} job - DeletionJob document
+   */
+  async renewLease(job) {
+    const renewed = await DeletionJob.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      { $set: { lockedUntil: new Date(Date.now() + this.leaseMs) } }
+    );
+
+    if (renewed.matchedCount === 0) {
+      const error = new Error('Deletion job lease was taken over by another worker');
+      error.code = 'LEASE_LOST';
+      throw error;
+    }
+  }
+
+  // Execute one step with retries. Returns true when the step completed or was skipped.
+  async runStep(job, step, ctx) {
+    const handler = this.getStepHandler(step.name);
+    ctx.currentStep = step;
+
+    // step.attempts is the total across runs; every run (e.g. after a crash) gets a full retry budget
+    for (let attempt = 1; attempt <= this.maxStepAttempts; attempt++) {
+      await this.renewLease(job);
+      step.status = 'running';
+      step.attempts += 1;
+      step.startedAt = step.startedAt || new Date();
+      await job.save();
+
+      try {
+        const outcome = await handler(job, ctx);
+        step.status = outcome?.skipped ? 'skipped' : 'completed';
+        step.result = outcome;
+        step.lastError = undefined;
+        step.completedAt = new Date();
+        job.markModified('context');
+        await job.save();
+
+        Logger.info('Deletion step finished', {
+          jobId: job._id.toString(),
+          subaccountId: job.subaccountId.toString(),
+          step: step.name,
+          status: step.status,
+          attempt: step.attempts,
+          result: outcome
+        });
+
+        return true;
+      } catch (error) {
+        if (error.code === 'LEASE_LOST') {
+          throw error;
+        }
+
+        step.lastError = error.message;
+        step.errorHistory.push({ message: error.message, attempt: step.attempts });
+        step.status = 'failed';
+        job.markModified('context');
+        await job.save();
+
+        Logger.warn('Deletion step attempt failed', {
+          jobId: job._id.toString(),
+          subaccountId: job.subaccountId.toString(),
+          step: step.name,
+          attempt: step.attempts,
+          error: error.message
+        });
+
+        if (attempt < this.maxStepAttempts) {
+          await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * Math.pow(2, attempt - 1)));
+        }
+      }
+    }
+
+    return false;
+  }
+
+  getStepHandler(name) {
+    const handlers = {
+      dropDatabase: this.dropDatabase,
+      deleteRetellAgents: this.deleteRetellAgents,
+      deleteTwilioTrunk: this.deleteTwilioTrunk,
+      releasePhoneNumbers: this.releasePhoneNumbers,
+      deleteRetellPhoneNumbers: this.deleteRetellPhoneNumbers,
+      deleteRetellKnowledgeBases: this.deleteRetellKnowledgeBases,
+      deleteRetellCalls: this.deleteRetellCalls,
+      removeSubaccountRecords: this.removeSubaccountRecords,
+      invalidateCaches: this.invalidateCaches
+    };
+
+    const handler = handlers[name];
+    if (!handler) {
+      throw new Error(`Unknown deletion step: ${name}`);
+    }
+
+    const wrapped = handler.bind(this);
+    if (RETELL_STEPS.includes(name)) {
+      return async (job, ctx) => {
+        if (ctx.retellError) {
+          throw new Error(`Retell client unavailable: ${ctx.retellError}`);
+        }
+        if (!ctx.retellClient) {
+          return { skipped: true, reason: ctx.retellSkipReason };
+        }
+        return wrapped(job, ctx);
+      };
+    }
+
+    return wrapped;
+  }
+
+  // Load the data every step needs: the subaccount secrets and a Retell client
+  async buildContext(job) {
+    const subaccountId = job.subaccountId;
+
+    const ctx = {
+      subaccount: null,
+      retellClient: null,
+      retellSkipReason: null,
+      retellError: null
+    };
+
+    ctx.subaccount = await Subaccount.findById(subaccountId)
+      .select('+mongodbUrl +encryptionIV +encryptionAuthTag secretBackend databaseName name');
+
+    try {
+      const retellAccount = await RetellAccount.findOne({ subaccountId })
+        .select('+apiKey +encryptionIV +encryptionAuthTag');
+
+      if (retellAccount && retellAccount.isActive) {
+        ctx.retellClient = this.createRetellClient(await retellAccount.getDecryptedApiKey());
+        ctx.retellAccountId = retellAccount._id;
+      } else {
+        ctx.retellSkipReason = retellAccount ? 'Retell account inactive' : 'No Retell account';
+      }
+    } catch (error) {
+      // Retell steps fail (and can be retried) instead of being skipped
+      ctx.retellError = error.message;
+      Logger.error('Failed to prepare Retell client for deletion', {
+        jobId: job._id.toString(),
+        subaccountId: subaccountId.toString(),
+        error: error.message
+      });
+    }
+
+    return ctx;
+  }
+
+  createRetellClient(apiKey) {
+    return new RetellSDK({ apiKey });
+  }
+
+  requireSubaccount(ctx) {
+    if (!ctx.subaccount) {
+      throw new Error('Subaccount record not found');
+    }
+    return ctx.subaccount;
+  }
+
+  // Open a short-lived connection to the tenant database, run fn and close it
+  async withTenantConnection(subaccount, fn) {
+    let dbConnection = null;
+
+    try {
+      dbConnection = await mongoose.createConnection(await subaccount.getDecryptedUrl(), {
+        dbName: subaccount.databaseName, // Explicitly specify the database name
+        serverSelectionTimeoutMS: 10000,
+        connectTimeoutMS: 10000,
+        maxPoolSize: 1,
+        minPoolSize: 0
+      }).asPromise();
+
+      return await fn(dbConnection.db);
+    } finally {
+      if (dbConnection) {
+        try {
+          await dbConnection.close();
+        } catch (closeError) {
+          Logger.warn('Error closing database connection', {
+            error: closeError.message,
+            subaccountId: subaccount._id.toString()
+          });
+        }
+      }
+    }
+  }
+
+  // Step: drop the tenant MongoDB database
+  async dropDatabase(job, ctx) {
+    const subaccount = this.requireSubaccount(ctx);
+    const databaseName = subaccount.databaseName;
+
+    Logger.info('Deleting MongoDB database for subaccount', {
+      subaccountId: job.subaccountId.toString(),
+      databaseName,
+      maskedUrl: Database.maskConnectionString(await subaccount.getDecryptedUrl())
+    });
+
+    await this.withTenantConnection(subaccount, db => db.dropDatabase());
+
+    return { databaseName };
+  }
+
+  // Purge one Retell resource; throws when anything is left so the step is retried
+  async purgeRetellResource(job, ctx, method) {
+    const step = ctx.currentStep;
+    const cleanup = new RetellCleanupService(ctx.retellClient, {
+      context: { subaccountId: job.subaccountId.toString(), jobId: job._id.toString() },
+      // Keep the lease while long purges run; stops the purge if another worker took over
+      heartbeat: () => this.renewLease(job),
+      heartbeatIntervalMs: Math.floor(this.leaseMs / 3),
+      // Persist progress after every page so pollers can follow long purges
+      onProgress: async (resource, progress) => {
+        if (step) {
+          step.result = { ...progress, inProgress: true };
+        }
+        await job.save();
+      }
+    });
+
+    const resourceNames = {
+      purgeAgents: 'agents',
+      purgePhoneNumbers: 'phone numbers',
+      purgeKnowledgeBases: 'knowledge bases',
+      purgeCalls: 'calls'
+    };
+    const summary = await cleanup[method]();
+
+    if (summary.failed > 0 || summary.remaining > 0) {
+      Logger.warn(`Retell ${resourceNames[method]} left after purge`, {
+        subaccountId: job.subaccountId.toString(),
+        failed: summary.failed,
+        remaining: summary.remaining,
+        failures: summary.failures
+      });
+      throw new Error(
+        `Failed to delete all Retell ${resourceNames[method]} ` +
+        `(deleted ${summary.deleted}, failed ${summary.failed}, remaining ${summary.remaining})`
+      );
+    }
+
+    return {
+      listed: summary.listed,
+      deleted: summary.deleted,
+      pages: summary.pages,
+      remaining: summary.remaining
+    };
+  }
+
+  // Step: delete Retell agents
+  async deleteRetellAgents(job, ctx) {
+    return this.purgeRetellResource(job, ctx, 'purgeAgents');
+  }
+
+  // Step: delete the Twilio trunk, recording the phone numbers attached to it
+  async deleteTwilioTrunk(job) {
+    const subaccountId = job.subaccountId.toString();
+    const result = await databaseService.deleteTwilioTrunk(subaccountId);
+
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    job.context = {
+      ...job.context,
+      phoneNumbersToRelease: result.phoneNumbersToRelease
+    };
+
+    return {
+      trunkSid: result.trunkSid,
+      trunkDeleted: result.trunkDeleted,
+      skipped: false,
+      trunkMissing: !!result.skipped,
+      phoneNumbersRecorded: result.phoneNumbersToRelease.length
+    };
+  }
+
+  // Step: release the phone numbers that were attached to the trunk
+  async releasePhoneNumbers(job) {
+    const phoneNumbersToRelease = job.context.phoneNumbersToRelease || [];
+    if (phoneNumbersToRelease.length === 0) {
+      return { released: 0 };
+    }
+
+    const result = await databaseService.releaseTwilioPhoneNumbers(
+      job.subaccountId.toString(),
+      phoneNumbersToRelease
+    );
+
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    if (result.phoneNumbersFailed.length > 0) {
+      // Only retry the numbers that could not be released (entries are numbers or { phoneNumber })
+      const key = n => n.phoneNumber || n;
+      const failed = new Set(result.phoneNumbersFailed.map(key));
+      job.context = {
+        ...job.context,
+        phoneNumbersToRelease: phoneNumbersToRelease.filter(n => failed.has(key(n)))
+      };
+      throw new Error(`Failed to release ${result.phoneNumbersFailed.length} phone numbers`);
+    }
+
+    return { released: result.phoneNumbersReleased.length };
+  }
+
+  // Step: delete phone numbers from Retell
+  async deleteRetellPhoneNumbers(job, ctx) {
+    return this.purgeRetellResource(job, ctx, 'purgePhoneNumbers');
+  }
+
+  // Step: delete knowledge bases from Retell
+  async deleteRetellKnowledgeBases(job, ctx) {
+    return this.purgeRetellResource(job, ctx, 'purgeKnowledgeBases');
+  }
+
+  // Step: delete all call logs from Retell, paging through every call
+  async deleteRetellCalls(job, ctx) {
+    return this.purgeRetellResource(job, ctx, 'purgeCalls');
+  }
+
+  // Step: remove the subaccount and its memberships, and fix user counts
+  async removeSubaccountRecords(job, ctx) {
+    const subaccountId = job.subaccountId;
+    let affectedUserIds = [];
+
+    await Database.withTransaction(async (session) => {
+      // Get all users associated with this subaccount before deletion (for updating counts)
+      const allUserSubaccounts = await UserSubaccount.find({ subaccountId }).session(session);
+      affectedUserIds = [...new Set(allUserSubaccounts.map(us => us.userId.toString()))];
+
+      // Note: RetellAccount is NOT deleted - it's kept for potential reuse
+      await UserSubaccount.deleteMany({ subaccountId }).session(session);
+      await Subaccount.findByIdAndDelete(subaccountId).session(session);
+
+      for (const affectedUserId of affectedUserIds) {
+        const activeSubaccountCount = await UserSubaccount.countDocuments({
+          userId: affectedUserId,
+          isActive: true
+        }).session(session);
+
+        await User.findByIdAndUpdate(
+          affectedUserId,
+          { subaccountCount: activeSubaccountCount }
+        ).session(session);
+      }
+    });
+
+    // Keep users found by an earlier attempt that already removed the memberships
+    affectedUserIds = [...new Set([...(job.context.affectedUserIds || []), ...affectedUserIds])];
+    job.context = { ...job.context, affectedUserIds };
+
+    // The connection string of an external secret backend outlives the record otherwise
+    let secretRemoved = false;
+    if (ctx.subaccount) {
+      try {
+        await ctx.subaccount.removeSecret();
+        secretRemoved = true;
+      } catch (error) {
+        Logger.warn('Failed to delete subaccount secret from external backend', {
+          jobId: job._id.toString(),
+          subaccountId: subaccountId.toString(),
+          secretBackend: ctx.subaccount.secretBackend,
+          error: error.message
+        });
+      }
+    }
+
+    return { affectedUsers: affectedUserIds.length, secretRemoved };
+  }
+
+  // Step: invalidate all caches related to the subaccount
+  async invalidateCaches(job) {
+    const subaccountId = job.subaccountId.toString();
+    const redisService = redisManager.getRedisService();
+
+    if (!redisService || !redisService.isConnected) {
+      return { redisConnected: false };
+    }
+
+    const affectedUserIds = job.context.affectedUserIds || [];
+    await Promise.all([
+      redisService.invalidateSubaccount(subaccountId),
+      redisService.invalidateSubaccountUsers(subaccountId),
+      redisService.invalidateSubaccountPermissions(subaccountId),
+      ...affectedUserIds.map(userId => redisService.invalidateUserSubaccounts(userId))
+    ]);
+
+    return { redisConnected: true, usersInvalidated: affectedUserIds.length };
+  }
+
+  // Invalidate the subaccount and the subaccount lists of all its members
+  async invalidateMemberCaches(subaccountId) {
+    const redisService = redisManager.getRedisService();
+    if (!redisService || !redisService.isConnected) {
+      return;
+    }
+
+    try {
+      const userIds = await UserSubaccount.distinct('userId', { subaccountId });
+      await Promise.all([
+        redisService.invalidateSubaccount(subaccountId),
+        redisService.invalidateSubaccountUsers(subaccountId),
+        redisService.invalidateSubaccountPermissions(subaccountId),
+        ...userIds.map(userId => redisService.invalidateUserSubaccounts(userId.toString()))
+      ]);
+    } catch (cacheError) {
+      Logger.warn('Failed to invalidate cache', { error: cacheError.message });
+    }
+  }
+
+  async invalidateSubaccountCache(subaccountId) {
+    const redisService = redisManager.getRedisService();
+    if (redisService && redisService.isConnected) {
+      try {
+        // Cached authorization decisions would keep allowing access for up to an hour
+        await Promise.all([
+          redisService.invalidateSubaccount(subaccountId),
+          redisService.invalidateSubaccountPermissions(subaccountId)
+        ]);
+      } catch (cacheError) {
+        Logger.warn('Failed to invalidate cache', { error: cacheError.message });
+      }
+    }
+  }
+
+  /**
+   * Report everything a deletion would destroy, without changing anything
+   * @param {string} subaccountId - Subaccount ID
+   * @returns {Promise<Object|null>} Preview with a confirmation token, or null if the subaccount does not exist
+   */
+  async buildPreview(subaccountId) {
+    const subaccount = await Subaccount.findById(subaccountId)
+      .select('+mongodbUrl +encryptionIV +encryptionAuthTag secretBackend name databaseName');
+
+    if (!subaccount) {
+      return null;
+    }
+
+    const [database, users, retell] = await Promise.all([
+      this.previewDatabase(subaccount),
+      this.previewUsers(subaccountId),
+      this.previewRetell(subaccountId)
+    ]);
+
+    // The Twilio trunk is only removed as part of the Retell cleanup
+    const twilio = retell.willDelete
+      ? await this.previewTwilio(subaccountId)
+      : { willDelete: false, reason: retell.skipReason };
+
+    const preview = {
+      subaccount: {
+        id: subaccount._id,
+        name: subaccount.name,
+        databaseName: subaccount.databaseName
+      },
+      database,
+      users,
+      retell,
+      twilio,
+      cacheKeys: [
+        `${config.redis.prefixes.subaccount}${subaccountId}`,
+        'user_subaccounts:*:global_admin:*',
+        `subaccount_users:${subaccountId}:*`,
+        `permissions:*:${subaccountId}`,
+        ...users.map(user => `user_subaccounts:${user.userId}:*`)
+      ],
+      steps: DeletionJob.STEPS.map(name => ({
+        name,
+        willRun: !RETELL_STEPS.includes(name) || retell.willDelete
+      })),
+      generatedAt: new Date()
+    };
+
+    // A token would confirm resources nobody has seen, so incomplete previews get none
+    preview.errors = this.getPreviewErrors(preview);
+    if (preview.errors.length > 0) {
+      return preview;
+    }
+
+    const confirmation = this.createConfirmationToken(subaccountId, this.getPreviewFingerprint(preview));
+    preview.confirmationToken = confirmation.token;
+    preview.confirmationExpiresAt = confirmation.expiresAt;
+
+    return preview;
+  }
+
+  // Sections of a preview that could not be listed: [{ section, error }]
+  getPreviewErrors(preview) {
+    return ['database', 'retell', 'twilio']
+      .filter(section => preview[section].error)
+      .map(section => ({ section, error: preview[section].error }));
+  }
+
+  async previewDatabase(subaccount) {
+    try {
+      return await this.withTenantConnection(subaccount, async (db) => {
+        const collections = await db.listCollections({}, { nameOnly: true }).toArray();
+        const counts = await Promise.all(collections
+          .filter(collection => !collection.name.startsWith('system.'))
+          .map(async (collection) => ({
+            name: collection.name,
+            documentCount: await db.collection(collection.name).estimatedDocumentCount()
+          })));
+
+        counts.sort((a, b) => a.name.localeCompare(b.name));
+
+        return {
+          name: subaccount.databaseName,
+          collections: counts,
+          totalDocuments: counts.reduce((sum, collection) => sum + collection.documentCount, 0)
+        };
+      });
+    } catch (error) {
+      Logger.warn('Failed to inspect subaccount database for deletion preview', {
+        subaccountId: subaccount._id.toString(),
+        error: error.message
+      });
+      return { name: subaccount.databaseName, collections: null, error: error.message };
+    }
+  }
+
+  async previewUsers(subaccountId) {
+    const userSubaccounts = await UserSubaccount.find({ subaccountId })
+      .populate('userId', 'email firstName lastName');
+
+    return userSubaccounts
+      .filter(us => us.userId)
+      .map(us => ({
+        userId: us.userId._id.toString(),
+        email: us.userId.email,
+        name: [us.userId.firstName, us.userId.lastName].filter(Boolean).join(' '),
+        role: us.role,
+        isActive: us.isActive
+      }));
+  }
+
+  async previewRetell(subaccountId) {
+    const retellAccount = await RetellAccount.findOne({ subaccountId })
+      .select('+apiKey +encryptionIV +encryptionAuthTag');
+
+    if (!retellAccount || !retellAccount.isActive) {
+      return {
+        willDelete: false,
+        skipReason: retellAccount ? 'Retell account inactive' : 'No Retell account'
+      };
+    }
+
+    try {
+      const cleanup = new RetellCleanupService(this.createRetellClient(await retellAccount.getDecryptedApiKey()), {
+        context: { subaccountId: subaccountId.toString() }
+      });
+      const inventory = await cleanup.inventory();
+
+      return {
+        willDelete: true,
+        accountId: retellAccount._id,
+        agents: inventory.agents.map(agent => ({ agentId: agent.agent_id, name: agent.agent_name })),
+        phoneNumbers: inventory.phoneNumbers.map(phoneNumber => ({
+          phoneNumber: phoneNumber.phone_number,
+          nickname: phoneNumber.nickname
+        })),
+        knowledgeBases: inventory.knowledgeBases.map(kb => ({
+          knowledgeBaseId: kb.knowledge_base_id,
+          name: kb.knowledge_base_name
+        })),
+        callCount: inventory.callCount
+      };
+    } catch (error) {
+      Logger.warn('Failed to list Retell resources for deletion preview', {
+        subaccountId: subaccountId.toString(),
+        error: error.message
+      });
+      return { willDelete: true, accountId: retellAccount._id, error: error.message };
+    }
+  }
+
+  async previewTwilio(subaccountId) {
+    const result = await databaseService.getTwilioTrunk(subaccountId.toString());
+
+    if (!result.success) {
+      return { willDelete: true, error: result.message };
+    }
+
+    // Whatever trunk exists at deletion time is still removed
+    if (!result.known) {
+      return { willDelete: true, known: false, message: result.message };
+    }
+
+    return {
+      willDelete: true,
+      known: true,
+      trunkSid: result.trunkSid,
+      phoneNumbersToRelease: result.phoneNumbers.map(n => n.phoneNumber || n)
+    };
+  }
+
+  /**
+   * Fingerprint of the resources in a preview. Volatile counts (documents, calls)
+   * are left out so a busy tenant does not invalidate its own confirmation.
+   */
+  getPreviewFingerprint(preview) {
+    const ids = (list, key) => (list || []).map(item => item[key]).sort();
+
+    const material = {
+      subaccountId: preview.subaccount.id.toString(),
+      databaseName: preview.database.name,
+      collections: ids(preview.database.collections, 'name'),
+      users: ids(preview.users, 'userId'),
+      retell: preview.retell.willDelete ? {
+        agents: ids(preview.retell.agents, 'agentId'),
+        phoneNumbers: ids(preview.retell.phoneNumbers, 'phoneNumber'),
+        knowledgeBases: ids(preview.retell.knowledgeBases, 'knowledgeBaseId')
+      } : null,
+      twilio: preview.twilio.willDelete ? {
+        trunkSid: preview.twilio.trunkSid || null,
+        phoneNumbers: [...(preview.twilio.phoneNumbersToRelease || [])].sort()
+      } : null
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(material)).digest('hex');
+  }
+
+  createConfirmationToken(subaccountId, fingerprint) {
+    const expiresAt = new Date(Date.now() + config.deletion.confirmationTtlMs);
+    const payload = Buffer.from(JSON.stringify({
+      sub: subaccountId.toString(),
+      fp: fingerprint,
+      exp: expiresAt.getTime()
+    })).toString('base64url');
+
+    return { token: `${payload}.${this.signConfirmationPayload(payload)}`, expiresAt };
+  }
+
+  signConfirmationPayload(payload) {
+    return crypto.createHmac('sha256', config.jwt.secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Check a confirmation token against the current state of the subaccount
+   * @returns {Promise<Object>} { valid, code, message, preview }
+   */
+  async verifyConfirmationToken(token, subaccountId) {
+    const [payload, signature] = String(token).split('.');
+    const expected = payload ? this.signConfirmationPayload(payload) : '';
+
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return { valid: false, code: 'INVALID_CONFIRMATION_TOKEN', message: 'Invalid confirmation token' };
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return { valid: false, code: 'INVALID_CONFIRMATION_TOKEN', message: 'Invalid confirmation token' };
+    }
+
+    if (claims.sub !== subaccountId.toString()) {
+      return { valid: false, code: 'INVALID_CONFIRMATION_TOKEN', message: 'Confirmation token belongs to another subaccount' };
+    }
+
+    if (claims.exp < Date.now()) {
+      return { valid: false, code: 'CONFIRMATION_TOKEN_EXPIRED', message: 'Confirmation token has expired, request a new preview' };
+    }
+
+    const preview = await this.buildPreview(subaccountId);
+    if (preview && preview.errors.length > 0) {
+      return {
+        valid: false,
+        code: 'DELETION_PREVIEW_INCOMPLETE',
+        message: `Could not list the resources to delete (${preview.errors.map(e => e.section).join(', ')}), try again later`,
+        preview
+      };
+    }
+    if (!preview || this.getPreviewFingerprint(preview) !== claims.fp) {
+      return {
+        valid: false,
+        code: 'DELETION_PREVIEW_CHANGED',
+        message: 'Resources changed since the preview was generated, review the new preview',
+        preview
+      };
+    }
+
+    return { valid: true };
+  }
+}
+
+// Create singleton instance
+const subaccountDeletionService = new SubaccountDeletionService();
+
+module.exports = subaccountDeletionService;
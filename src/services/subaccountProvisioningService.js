@@ -0,0 +1,425 @@
+const os = require('os');
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const redisManager = require('./redisManager');
+const webhookService = require('./webhookService');
+const databaseService = require('./databaseService');
+
+// Import models
+const Subaccount = require('../models/Subaccount');
+const RetellAccount = require('../models/RetellAccount');
+
+class SubaccountProvisioningService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.maxStepAttempts = config.provisioning.maxStepAttempts;
+    this.retryDelayMs = config.provisioning.retryDelayMs;
+    this.maxRetryDelayMs = config.provisioning.maxRetryDelayMs;
+    this.leaseMs = config.provisioning.leaseMs;
+    this.workerIntervalMs = config.provisioning.workerIntervalMs;
+    this.workerTimer = null;
+  }
+
+  /**
+   * Record the provisioning steps of a new subaccount and run each of them once.
+   * Steps that fail are left to the retry worker.
+   * @param {Object} subaccount - Newly created Subaccount document
+   * @param {Object} options - { steps: names of the steps to run (default: all) }
+   * @returns {Promise<Object>} Provisioning state (see formatStatus)
+   */
+  async start(subaccount, options = {}) {
+    const steps = options.steps || Subaccount.PROVISIONING_STEPS;
+
+    await Subaccount.updateOne(
+      { _id: subaccount._id },
+      {
+        $set: {
+          provisioning: {
+            status: 'pending',
+            steps: steps.map(name => ({ name, status: 'pending', attempts: 0 }))
+          }
+        }
+      }
+    );
+
+    const provisioned = await this.runSteps(subaccount._id);
+
+    // Keep the caller's document in sync with the linked Retell account
+    if (provisioned && provisioned.retellAccountId) {
+      subaccount.retellAccountId = provisioned.retellAccountId;
+    }
+
+    return this.formatStatus(provisioned || subaccount);
+  }
+
+  /**
+   * Reset failed steps (or the given ones) and run them again right away
+   * @param {Object} subaccount - Subaccount document
+   * @param {Object} options - { steps: names of the steps to re-run (default: all failed steps) }
+   * @returns {Promise<Object|null>} Provisioning state, or null if another worker holds the lease
+   */
+  async retry(subaccount, options = {}) {
+    const steps = options.steps || subaccount.provisioning.steps
+      .filter(step => step.status === 'failed')
+      .map(step => step.name);
+
+    Logger.info('Subaccount provisioning retry requested', {
+      subaccountId: subaccount._id.toString(),
+      steps
+    });
+
+    const provisioned = await this.runSteps(subaccount._id, { resetSteps: steps });
+    return provisioned ? this.formatStatus(provisioned) : null;
+  }
+
+  /**
+   * Retry steps whose backoff has elapsed, and steps left running by a crashed worker
+   * @returns {Promise<number>} Number of subaccounts processed
+   */
+  async processDueSteps() {
+    const now = new Date();
+    const subaccounts = await Subaccount.find({
+      pendingDeletion: { $ne: true },
+      'deletion.jobId': { $exists: false },
+      $or: [
+        {
+          'provisioning.steps': {
+            $elemMatch: {
+              status: 'pending',
+              $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }]
+            }
+          }
+        },
+        {
+          'provisioning.steps.status': 'running',
+          'provisioning.lockedUntil': { $lt: now }
+        }
+      ]
+    }).select('_id');
+
+    let processed = 0;
+    for (const subaccount of subaccounts) {
+      try {
+        if (await this.runSteps(subaccount._id)) {
+          processed++;
+        }
+      } catch (error) {
+        Logger.error('Failed to provision subaccount', {
+          subaccountId: subaccount._id.toString(),
+          error: error.message
+        });
+      }
+    }
+
+    if (processed > 0) {
+      Logger.info('Retried pending subaccount provisioning steps', { count: processed });
+    }
+
+    return processed;
+  }
+
+  startWorker() {
+    if (this.workerTimer) {
+      return;
+    }
+
+    this.workerTimer = setInterval(() => {
+      this.processDueSteps().catch(error => {
+        Logger.error('Subaccount provisioning worker failed', { error: error.message });
+      });
+    }, this.workerIntervalMs);
+    this.workerTimer.unref();
+  }
+
+  stopWorker() {
+    if (this.workerTimer) {
+      clearInterval(this.workerTimer);
+      this.workerTimer = null;
+    }
+  }
+
+  /**
+   * Run every step that is due. Each step gets one attempt per run; failures are
+   * scheduled for a later retry with exponential backoff.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} options - { resetSteps: names of steps to reset to pending before running }
+   * @returns {Promise<Object|null>} The updated Subaccount, or null if the lease was not acquired
+   */
+  async runSteps(subaccountId, options = {}) {
+    const subaccount = await this.acquireLease(subaccountId);
+    if (!subaccount) {
+      Logger.debug('Subaccount provisioning already running on another worker', {
+        subaccountId: subaccountId.toString()
+      });
+      return null;
+    }
+
+    try {
+      for (const step of subaccount.provisioning.steps) {
+        if ((options.resetSteps || []).includes(step.name)) {
+          // lastError is kept until the step succeeds; attempts restart for a full retry budget
+          step.status = 'pending';
+          step.attempts = 0;
+          step.nextAttemptAt = undefined;
+          step.completedAt = undefined;
+        }
+      }
+
+      const now = new Date();
+      for (const step of subaccount.provisioning.steps) {
+        // A step still marked running was interrupted together with its worker
+        const due = step.status === 'running' ||
+          (step.status === 'pending' && (!step.nextAttemptAt || step.nextAttemptAt <= now));
+
+        if (due) {
+          await this.runStep(subaccount, step);
+        }
+      }
+    } finally {
+      subaccount.provisioning.status = this.getOverallStatus(subaccount.provisioning.steps);
+      await Subaccount.updateOne(
+        { _id: subaccount._id },
+        {
+          $set: { 'provisioning.status': subaccount.provisioning.status },
+          $unset: { 'provisioning.lockedBy': '', 'provisioning.lockedUntil': '' }
+        }
+      );
+    }
+
+    return subaccount;
+  }
+
+  async acquireLease(subaccountId) {
+    const now = new Date();
+
+    return Subaccount.findOneAndUpdate(
+      {
+        _id: subaccountId,
+        pendingDeletion: { $ne: true },
+        'provisioning.steps.0': { $exists: true },
+        $or: [
+          { 'provisioning.lockedUntil': { $exists: false } },
+          { 'provisioning.lockedUntil': null },
+          { 'provisioning.lockedUntil': { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          'provisioning.status': 'running',
+          'provisioning.lockedBy': this.workerId,
+          'provisioning.lockedUntil': new Date(now.getTime() + this.leaseMs)
+        }
+      },
+      { new: true }
+    );
+  }
+
+  // Execute one attempt of a step and persist the outcome
+  async runStep(subaccount, step) {
+    const handler = this.getStepHandler(step.name);
+
+    step.status = 'running';
+    step.attempts += 1;
+    step.startedAt = step.startedAt || new Date();
+    await this.saveSteps(subaccount);
+
+    try {
+      const outcome = await handler(subaccount);
+      step.status = outcome?.skipped ? 'skipped' : 'completed';
+      step.result = outcome;
+      step.lastError = undefined;
+      step.nextAttemptAt = undefined;
+      step.completedAt = new Date();
+
+      Logger.info('Provisioning step finished', {
+        subaccountId: subaccount._id.toString(),
+        step: step.name,
+        status: step.status,
+        attempt: step.attempts,
+        result: outcome
+      });
+    } catch (error) {
+      step.lastError = error.response?.data?.message || error.message;
+
+      if (step.attempts >= this.maxStepAttempts) {
+        step.status = 'failed';
+        step.nextAttemptAt = undefined;
+
+        Logger.error('Provisioning step failed, re-run it with POST /api/subaccounts/:subaccountId/provisioning', {
+          subaccountId: subaccount._id.toString(),
+          step: step.name,
+          attempts: step.attempts,
+          error: step.lastError
+        });
+      } else {
+        step.status = 'pending';
+        step.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(step.attempts));
+
+        Logger.warn('Provisioning step attempt failed, will retry', {
+          subaccountId: subaccount._id.toString(),
+          step: step.name,
+          attempt: step.attempts,
+          nextAttemptAt: step.nextAttemptAt,
+          error: step.lastError,
+          status: error.response?.status
+        });
+      }
+    }
+
+    await this.saveSteps(subaccount);
+  }
+
+  // Steps are written on their own so concurrent edits of the subaccount are not overwritten
+  async saveSteps(subaccount) {
+    await Subaccount.updateOne(
+      { _id: subaccount._id },
+      { $set: { 'provisioning.steps': subaccount.provisioning.steps.map(step => step.toObject()) } }
+    );
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(this.retryDelayMs * Math.pow(2, attempts - 1), this.maxRetryDelayMs);
+  }
+
+  getOverallStatus(steps) {
+    if (steps.some(step => step.status === 'pending' || step.status === 'running')) {
+      return 'pending';
+    }
+    if (steps.some(step => step.status === 'failed')) {
+      return 'failed';
+    }
+    return 'completed';
+  }
+
+  getStepHandler(name) {
+    const handlers = {
+      cloneRetellAccount: this.cloneRetellAccount,
+      createDefaultCalendar: this.createDefaultCalendar,
+      configureTwilioBundle: this.configureTwilioBundle
+    };
+
+    const handler = handlers[name];
+    if (!handler) {
+      throw new Error(`Unknown provisioning step: ${name}`);
+    }
+
+    return handler.bind(this);
+  }
+
+  // Step: create a RetellAccount for the subaccount with the API key of the first RetellAccount
+  async cloneRetellAccount(subaccount) {
+    // A previous attempt may have created the account before failing to link it
+    let retellAccount = await RetellAccount.findOne({ subaccountId: subaccount._id });
+
+    if (!retellAccount) {
+      const firstRetellAccount = await RetellAccount.findOne({})
+        .select('+apiKey +encryptionIV +encryptionAuthTag')
+        .sort({ createdAt: 1 }); // Get the first created one
+
+      if (!firstRetellAccount) {
+        return { skipped: true, reason: 'No RetellAccount to clone the API key from' };
+      }
+
+      retellAccount = new RetellAccount({
+        apiKey: await firstRetellAccount.getDecryptedApiKey(), // Will be encrypted by pre-save middleware
+        accountName: firstRetellAccount.accountName || `${subaccount.name} Retell Account`,
+        subaccountId: subaccount._id,
+        createdBy: subaccount.createdBy,
+        isActive: firstRetellAccount.isActive !== undefined ? firstRetellAccount.isActive : true,
+        verificationStatus: firstRetellAccount.verificationStatus || 'pending'
+      });
+
+      await retellAccount.save();
+    }
+
+    await Subaccount.updateOne({ _id: subaccount._id }, { $set: { retellAccountId: retellAccount._id } });
+    subaccount.retellAccountId = retellAccount._id;
+    await this.invalidateSubaccountCache(subaccount._id.toString());
+
+    return { retellAccountId: retellAccount._id.toString() };
+  }
+
+  // Step: create the default calendar on the webhook server
+  async createDefaultCalendar(subaccount) {
+    if (!webhookService.serviceToken) {
+      return { skipped: true, reason: 'Webhook server service token not configured' };
+    }
+
+    const subaccountId = subaccount._id.toString();
+    const response = await webhookService.client.post(
+      `/api/calendar/${subaccountId}/default`,
+      {},
+      {
+        headers: {
+          'X-Service-Token': webhookService.serviceToken,
+          'X-Service-Name': config.server.serviceName
+        },
+        timeout: 10000
+      }
+    );
+
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Webhook server did not create the default calendar');
+    }
+
+    return {
+      calendarId: response.data.calendar?._id,
+      calendarUserEmail: response.data.calendar?.userEmail
+    };
+  }
+
+  // Step: configure the Twilio regulatory bundle for GB phone numbers
+  async configureTwilioBundle(subaccount) {
+    const bundleSid = config.twilio.defaultBundleSid;
+
+    if (!bundleSid) {
+      return { skipped: true, reason: 'No default Twilio bundle SID configured' };
+    }
+    if (!databaseService.serviceToken) {
+      return { skipped: true, reason: 'Database server service token not configured' };
+    }
+
+    const response = await databaseService.configureTwilioBundle(subaccount._id.toString(), bundleSid);
+
+    if (!response.success) {
+      throw new Error(response.message || 'Database server did not configure the Twilio bundle');
+    }
+
+    return { bundleSid };
+  }
+
+  async invalidateSubaccountCache(subaccountId) {
+    const redisService = redisManager.getRedisService();
+    if (redisService && redisService.isConnected) {
+      try {
+        await redisService.invalidateSubaccount(subaccountId);
+      } catch (cacheError) {
+        Logger.warn('Failed to invalidate cache', { error: cacheError.message });
+      }
+    }
+  }
+
+  // Client-facing view of the provisioning state
+  formatStatus(subaccount) {
+    const provisioning = subaccount.provisioning || {};
+
+    return {
+      subaccountId: subaccount._id.toString(),
+      status: provisioning.status || null,
+      steps: (provisioning.steps || []).map(step => ({
+        name: step.name,
+        status: step.status,
+        attempts: step.attempts,
+        lastError: step.lastError,
+        result: step.result,
+        nextAttemptAt: step.nextAttemptAt,
+        startedAt: step.startedAt,
+        completedAt: step.completedAt
+      }))
+    };
+  }
+}
+
+const subaccountProvisioningService = new SubaccountProvisioningService();
+
+module.exports = subaccountProvisioningService;
@@ -0,0 +1,307 @@
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const redisManager = require('./redisManager');
+const webhookService = require('./webhookService');
+
+// Import models
+const UserSubaccount = require('../models/UserSubaccount');
+const Subaccount = require('../models/Subaccount');
+const User = require('../models/User');
+
+class TemporaryAccessService {
+  constructor() {
+    this.workerIntervalMs = config.temporaryAccess.workerIntervalMs;
+    this.warningLeadMs = config.temporaryAccess.warningLeadMs;
+    this.batchSize = config.temporaryAccess.batchSize;
+    this.workerTimer = null;
+  }
+
+  /**
+   * Send warnings for memberships about to expire, then deactivate expired ones.
+   * Every membership is claimed with a conditional update, so several instances can run the worker.
+   * @returns {Promise<Object>} { warned, expired }
+   */
+  async processDue() {
+    const now = new Date();
+    const warned = await this.sendWarnings(now);
+    const expired = await this.expireMemberships(now);
+
+    if (warned > 0 || expired > 0) {
+      Logger.info('Processed temporary access expiry', { warned, expired });
+    }
+
+    return { warned, expired };
+  }
+
+  startWorker() {
+    if (this.workerTimer) {
+      return;
+    }
+
+    this.removeTtlIndex().catch(error => {
+      Logger.warn('Failed to check temporary access TTL index', { error: error.message });
+    });
+
+    this.workerTimer = setInterval(() => {
+      this.processDue().catch(error => {
+        Logger.error('Temporary access worker failed', { error: error.message });
+      });
+    }, this.workerIntervalMs);
+    this.workerTimer.unref();
+  }
+
+  stopWorker() {
+    if (this.workerTimer) {
+      clearInterval(this.workerTimer);
+      this.workerTimer = null;
+    }
+  }
+
+  // Older deployments expired memberships with a TTL index that deletes the row; drop it
+  // so expiry goes through the worker instead
+  async removeTtlIndex() {
+    const indexes = await UserSubaccount.collection.indexes();
+    const ttlIndex = indexes.find(index =>
+      index.key['temporaryAccess.expiresAt'] !== undefined && index.expireAfterSeconds !== undefined);
+
+    if (ttlIndex) {
+      await UserSubaccount.collection.dropIndex(ttlIndex.name);
+      Logger.info('Dropped temporary access TTL index', { index: ttlIndex.name });
+    }
+  }
+
+  /**
+   * Notify the webhook server about memberships that expire within the warning lead time
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of warnings sent
+   */
+  async sendWarnings(now) {
+    const memberships = await UserSubaccount.find({
+      isActive: true,
+      'temporaryAccess.enabled': true,
+      'temporaryAccess.expiresAt': { $gt: now, $lte: new Date(now.getTime() + this.warningLeadMs) },
+      'temporaryAccess.warningSentAt': null
+    })
+      .sort({ 'temporaryAccess.expiresAt': 1 })
+      .limit(this.batchSize);
+
+    let warned = 0;
+    for (const membership of memberships) {
+      // Claim the warning so it is sent once across instances
+      const claim = await UserSubaccount.updateOne(
+        { _id: membership._id, 'temporaryAccess.warningSentAt': null },
+        { $set: { 'temporaryAccess.warningSentAt': now } }
+      );
+      if (claim.modifiedCount === 0) {
+        continue;
+      }
+
+      const result = await webhookService.notifyTemporaryAccess(
+        'temporary_access.expiring',
+        await this.buildNotification(membership)
+      );
+
+      if (!result.success) {
+        // Release the claim so the next run retries
+        await UserSubaccount.updateOne(
+          { _id: membership._id },
+          { $unset: { 'temporaryAccess.warningSentAt': 1 } }
+        );
+        continue;
+      }
+
+      Logger.audit('Temporary access expiry warning sent', 'user_subaccount', {
+        userId: membership.userId.toString(),
+        subaccountId: membership.subaccountId.toString(),
+        expiresAt: membership.temporaryAccess.expiresAt
+      });
+      warned++;
+    }
+
+    return warned;
+  }
+
+  /**
+   * Deactivate memberships whose temporary access has expired (or restore the previous role
+   * of time-boxed elevations), keeping user counts and caches in sync
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of memberships expired
+   */
+  async expireMemberships(now) {
+    const memberships = await UserSubaccount.find({
+      isActive: true,
+      'temporaryAccess.enabled': true,
+      'temporaryAccess.expiresAt': { $lte: now }
+    })
+      .sort({ 'temporaryAccess.expiresAt': 1 })
+      .limit(this.batchSize);
+
+    let expired = 0;
+    for (const membership of memberships) {
+      try {
+        if (await this.expireMembership(membership, now)) {
+          expired++;
+        }
+      } catch (error) {
+        Logger.error('Failed to expire temporary access', {
+          userSubaccountId: membership._id.toString(),
+          userId: membership.userId.toString(),
+          subaccountId: membership.subaccountId.toString(),
+          error: error.message
+        });
+      }
+    }
+
+    return expired;
+  }
+
+  async expireMembership(membership, now) {
+    if (membership.temporaryAccess.revertTo) {
+      return this.revertElevation(membership, now);
+    }
+
+    const userId = membership.userId.toString();
+    const subaccountId = membership.subaccountId.toString();
+
+    // Only the instance that flips isActive does the bookkeeping
+    const claim = await UserSubaccount.updateOne(
+      { _id: membership._id, isActive: true },
+      { $set: { isActive: false, 'temporaryAccess.expiredAt': now } }
+    );
+    if (claim.modifiedCount === 0) {
+      return false;
+    }
+
+    // Update subaccount user count
+    await Subaccount.findByIdAndUpdate(
+      subaccountId,
+      {
+        $inc: { 'stats.totalUsers': -1 },
+        updatedAt: new Date()
+      }
+    );
+
+    // Update user's subaccount count
+    const activeSubaccounts = await UserSubaccount.countDocuments({
+      userId,
+      isActive: true
+    });
+    await User.findByIdAndUpdate(userId, { subaccountCount: activeSubaccounts });
+
+    // Invalidate caches
+    const redisService = redisManager.getRedisService();
+    if (redisService && redisService.isConnected) {
+      try {
+        await Promise.all([
+          redisService.invalidateUserSubaccounts(userId),
+          redisService.invalidatePermissions(userId, subaccountId),
+          redisService.invalidateSubaccount(subaccountId),
+          redisService.invalidateSubaccountUsers(subaccountId)
+        ]);
+      } catch (error) {
+        Logger.warn('Cache invalidation failed', { error: error.message });
+      }
+    }
+
+    Logger.audit('Temporary access expired', 'user_subaccount', {
+      userId,
+      subaccountId,
+      role: membership.role,
+      expiresAt: membership.temporaryAccess.expiresAt,
+      reason: membership.temporaryAccess.reason
+    });
+
+    Logger.security('Temporary subaccount access expired', 'low', {
+      userId,
+      subaccountId
+    });
+
+    await webhookService.notifyTemporaryAccess(
+      'temporary_access.expired',
+      await this.buildNotification(membership)
+    );
+
+    return true;
+  }
+
+  // End a time-boxed elevation (approved access request) by restoring the previous role;
+  // the membership itself stays active
+  async revertElevation(membership, now) {
+    const userId = membership.userId.toString();
+    const subaccountId = membership.subaccountId.toString();
+    const { role, customRole, permissions, temporaryAccess } = membership.temporaryAccess.revertTo;
+
+    const claim = await UserSubaccount.updateOne(
+      {
+        _id: membership._id,
+        isActive: true,
+        'temporaryAccess.enabled': true,
+        'temporaryAccess.expiresAt': membership.temporaryAccess.expiresAt
+      },
+      {
+        $set: {
+          role,
+          customRole: customRole || null,
+          permissions,
+          // Temporary members stay temporary, with their original expiry
+          temporaryAccess: temporaryAccess?.enabled ? temporaryAccess : { enabled: false, expiredAt: now }
+        }
+      }
+    );
+    if (claim.modifiedCount === 0) {
+      return false;
+    }
+
+    // Invalidate caches
+    const redisService = redisManager.getRedisService();
+    if (redisService && redisService.isConnected) {
+      try {
+        await Promise.all([
+          redisService.invalidateUserSubaccounts(userId),
+          redisService.invalidatePermissions(userId, subaccountId),
+          redisService.invalidateSubaccountUsers(subaccountId)
+        ]);
+      } catch (error) {
+        Logger.warn('Cache invalidation failed', { error: error.message });
+      }
+    }
+
+    Logger.audit('Temporary elevation expired', 'user_subaccount', {
+      userId,
+      subaccountId,
+      elevatedRole: membership.role,
+      restoredRole: role,
+      expiresAt: membership.temporaryAccess.expiresAt
+    });
+
+    await webhookService.notifyTemporaryAccess('temporary_access.expired', {
+      ...(await this.buildNotification(membership)),
+      restoredRole: role
+    });
+
+    return true;
+  }
+
+  async buildNotification(membership) {
+    const [user, subaccount] = await Promise.all([
+      User.findById(membership.userId).select('email firstName lastName'),
+      Subaccount.findById(membership.subaccountId).select('name')
+    ]);
+
+    return {
+      subaccountId: membership.subaccountId.toString(),
+      subaccountName: subaccount?.name,
+      userId: membership.userId.toString(),
+      email: user?.email,
+      firstName: user?.firstName,
+      lastName: user?.lastName,
+      role: membership.role,
+      expiresAt: membership.temporaryAccess.expiresAt,
+      reason: membership.temporaryAccess.reason
+    };
+  }
+}
+
+const temporaryAccessService = new TemporaryAccessService();
+
+module.exports = temporaryAccessService;
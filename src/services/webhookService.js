@@ -172,6 +172,42 @@ class WebhookService {
     }
   }
   
+  // Notify about temporary subaccount access ('temporary_access.expiring' or 'temporary_access.expired')
+  async notifyTemporaryAccess(event, payload) {
+    try {
+      Logger.debug('Sending temporary access notification', { event, ...payload });
+
+      const response = await this.client.post(
+        '/api/notifications/temporary-access',
+        { event, ...payload },
+        {
+          headers: {
+            'X-Service-Token': this.serviceToken,
+            'X-Service-Name': config.server.serviceName
+          }
+        }
+      );
+
+      return {
+        success: response.data?.success !== false,
+        message: response.data?.message
+      };
+    } catch (error) {
+      Logger.error('Failed to send temporary access notification', {
+        event,
+        subaccountId: payload.subaccountId,
+        userId: payload.userId,
+        error: error.message,
+        status: error.response?.status
+      });
+
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Webhook service unavailable'
+      };
+    }
+  }
+
   // Health check for webhook service
   async healthCheck() {
     try {
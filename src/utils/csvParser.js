@@ -0,0 +1,85 @@
+/**
+ * CSV Parser Utility
+ * Minimal RFC 4180 parser for uploads (quoted fields, escaped quotes, CRLF line endings)
+ */
+class CsvParser {
+  /**
+   * Parse CSV text into rows of fields
+   * @param {String} text - CSV content
+   * @param {String} delimiter - Field delimiter
+   * @returns {Array<Array<String>>} - Rows (blank lines are skipped)
+   */
+  static parseRows(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    // Strip a UTF-8 byte order mark (spreadsheet exports)
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (quoted) {
+      throw new Error('Unterminated quoted field');
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+  }
+
+  /**
+   * Parse CSV text with a header line into objects keyed by header
+   * @param {String} text - CSV content
+   * @returns {Array<Object>} - One object per data row (headers are trimmed; empty cells are left out)
+   */
+  static parseObjects(text) {
+    const [header = [], ...rows] = this.parseRows(text);
+    const keys = header.map(key => key.trim());
+
+    return rows.map(fields => {
+      const entry = {};
+      keys.forEach((key, index) => {
+        const value = (fields[index] || '').trim();
+        if (key && value !== '') {
+          entry[key] = value;
+        }
+      });
+      return entry;
+    });
+  }
+}
+
+module.exports = CsvParser;
@@ -327,15 +327,18 @@ class Database {
     }
   }
 
-  // Transaction support
+  // Transaction support. Resolves to the value returned by the operation (the driver's
+  // session.withTransaction resolves to the commit result instead). The operation can run
+  // more than once when the transaction is retried; the value of the committed run is kept.
   static async withTransaction(operation) {
     const session = await mongoose.startSession();
     
     try {
       Logger.debug('Starting database transaction');
       
-      const result = await session.withTransaction(async () => {
-        return await operation(session);
+      let result;
+      await session.withTransaction(async () => {
+        result = await operation(session);
       });
       
       Logger.debug('Database transaction completed successfully');
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const config = require('../../config/config');
+
+// Value stored in encryptionAuthTag by the legacy AES-256-CBC scheme
+const LEGACY_CBC_TAG = 'cbc-mode';
+
+/**
+ * Encryption Keyring
+ * Encrypts secrets with the current key version and decrypts with any key in the keyring
+ */
+class Keyring {
+  static LEGACY_CBC_TAG = LEGACY_CBC_TAG;
+  static derivedKeys = new Map();
+
+  /**
+   * Version used to encrypt new secrets
+   * @returns {Number}
+   */
+  static getCurrentVersion() {
+    return config.encryption.currentKeyVersion;
+  }
+
+  /**
+   * All key versions in the keyring, newest first
+   * @returns {Number[]}
+   */
+  static getVersions() {
+    return Object.keys(config.encryption.keys).map(Number).sort((a, b) => b - a);
+  }
+
+  /**
+   * Derive (and cache) the AES key for a version and salt
+   * @param {Number} version - Key version
+   * @param {String} salt - Per-model salt (e.g. 'subaccount-salt')
+   * @returns {Buffer}
+   */
+  static deriveKey(version, salt) {
+    const cacheKey = `${version}:${salt}`;
+
+    if (!this.derivedKeys.has(cacheKey)) {
+      const secret = config.encryption.keys[version];
+      if (!secret) {
+        throw new Error(`Encryption key version ${version} is not configured`);
+      }
+      this.derivedKeys.set(cacheKey, crypto.scryptSync(secret, salt, 32));
+    }
+
+    return this.derivedKeys.get(cacheKey);
+  }
+
+  /**
+   * Encrypt a value with the current key version (AES-256-GCM)
+   * @param {String} plaintext - Value to encrypt
+   * @param {String} salt - Per-model salt
+   * @returns {Object} { encrypted, iv, authTag, keyVersion }
+   */
+  static encrypt(plaintext, salt) {
+    const keyVersion = this.getCurrentVersion();
+    const iv = crypto.randomBytes(12);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(keyVersion, salt), iv);
+    let encrypted = cipher.update(plaintext, 'utf8', 'hex');
+    encrypted += cipher.final('hex');
+
+    return {
+      encrypted,
+      iv: iv.toString('hex'),
+      authTag: cipher.getAuthTag().toString('hex'),
+      keyVersion
+    };
+  }
+
+  /**
+   * Encrypt a value with the legacy AES-256-CBC scheme and key version 1 (ENCRYPTION_KEY),
+   * for services that still decrypt that way. Only used for payloads sent to those
+   * services, never for storage.
+   * @param {String} plaintext - Value to encrypt
+   * @param {String} salt - Per-model salt
+   * @returns {Object} { encrypted, iv, authTag: 'cbc-mode', keyVersion: 1 }
+   */
+  static encryptLegacy(plaintext, salt) {
+    const iv = crypto.randomBytes(16);
+
+    const cipher = crypto.createCipheriv('aes-256-cbc', this.deriveKey(1, salt), iv);
+    let encrypted = cipher.update(plaintext, 'utf8', 'hex');
+    encrypted += cipher.final('hex');
+
+    return {
+      encrypted,
+      iv: iv.toString('hex'),
+      authTag: LEGACY_CBC_TAG,
+      keyVersion: 1
+    };
+  }
+
+  /**
+   * Scheme of the secrets sent to another service: what it asked for in the
+   * X-Encryption-Scheme header ('cbc' or 'gcm'), else config.encryption.serviceScheme
+   * @param {String} requested - Header value
+   * @returns {String} 'cbc' | 'gcm'
+   */
+  static resolveServiceScheme(requested) {
+    const scheme = (requested || '').toLowerCase();
+    return ['cbc', 'gcm'].includes(scheme) ? scheme : config.encryption.serviceScheme;
+  }
+
+  /**
+   * Whether a record was encrypted with the legacy AES-256-CBC scheme
+   * @param {String} authTag - Stored auth tag
+   * @returns {Boolean}
+   */
+  static isLegacy(authTag) {
+    return authTag === LEGACY_CBC_TAG;
+  }
+
+  /**
+   * Decrypt a value, trying the recorded key version first and then every other key.
+   * GCM records are authenticated, so a wrong key or tampered ciphertext always fails.
+   * Legacy CBC records have no integrity check and a wrong key can occasionally
+   * "succeed": `isValid` rejects such garbage before falling back to the next key.
+   * @param {String} encrypted - Hex ciphertext
+   * @param {String} iv - Hex IV
+   * @param {String} authTag - Hex GCM auth tag, or 'cbc-mode' for legacy records
+   * @param {String} salt - Per-model salt
+   * @param {Number} keyVersion - Version recorded on the document (missing = 1)
+   * @param {Function} isValid - Optional plaintext check
+   * @returns {Object} { value, keyVersion, legacy }
+   */
+  static decrypt(encrypted, iv, authTag, salt, keyVersion, isValid = () => true) {
+    const legacy = this.isLegacy(authTag);
+    const recordedVersion = keyVersion || 1;
+    const versions = [recordedVersion, ...this.getVersions().filter(v => v !== recordedVersion)];
+    let lastError = null;
+
+    for (const version of versions) {
+      if (!config.encryption.keys[version]) {
+        lastError = new Error(`Encryption key version ${version} is not configured`);
+        continue;
+      }
+
+      try {
+        const key = this.deriveKey(version, salt);
+        let decipher;
+
+        if (legacy) {
+          decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(iv, 'hex'));
+        } else {
+          decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+          decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+        }
+
+        let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+        decrypted += decipher.final('utf8');
+
+        if (isValid(decrypted)) {
+          return { value: decrypted, keyVersion: version, legacy };
+        }
+        lastError = new Error('Decrypted value failed validation');
+      } catch (error) {
+        lastError = legacy ? error : new Error('Integrity check failed (wrong key or tampered data)');
+      }
+    }
+
+    throw lastError || new Error('No encryption keys configured');
+  }
+}
+
+module.exports = Keyring;
@@ -0,0 +1,99 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const Logger = require('../utils/logger');
+const { inviteUserSchema } = require('./userValidator');
+
+// Same rules as the time box of an invite, but the expiry must lie in the future
+const temporaryAccess = Joi.object({
+  enabled: Joi.boolean().default(false),
+  expiresAt: Joi.date().greater('now').when('enabled', {
+    is: true,
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }).messages({
+    'date.greater': 'Expiry must be in the future'
+  }),
+  reason: Joi.string().max(500)
+});
+
+const note = Joi.string()
+  .trim()
+  .max(1000)
+  .allow('');
+
+// Validation schemas
+const createAccessRequestSchema = Joi.object({
+  // Built-in role (except owner) or the name of a custom role
+  role: inviteUserSchema.extract('role'),
+  temporaryAccess: temporaryAccess.default({ enabled: false }),
+  justification: note
+});
+
+const approveAccessRequestSchema = Joi.object({
+  // Overrides the requested time box ({ enabled: false } grants the role permanently)
+  temporaryAccess,
+  note
+});
+
+const denyAccessRequestSchema = Joi.object({
+  note
+});
+
+// Shared middleware factory for the schemas above
+const validateBody = (schema, description) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body || {}, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      Logger.warn(`${description} validation failed`, {
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId,
+        requestId: req.params.requestId,
+        errors
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        errors
+      });
+    }
+
+    // Replace req.body with validated and sanitized data
+    req.body = value;
+    next();
+  };
+};
+
+const validateAccessRequestId = (req, res, next) => {
+  const { requestId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(requestId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid access request ID format',
+      code: 'INVALID_ID_FORMAT'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  validateCreateAccessRequest: validateBody(createAccessRequestSchema, 'Access request'),
+  validateApproveAccessRequest: validateBody(approveAccessRequestSchema, 'Access request approval'),
+  validateDenyAccessRequest: validateBody(denyAccessRequestSchema, 'Access request denial'),
+  validateAccessRequestId,
+  createAccessRequestSchema,
+  approveAccessRequestSchema,
+  denyAccessRequestSchema
+};
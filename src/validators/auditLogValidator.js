@@ -0,0 +1,120 @@
+const Joi = require('joi');
+const Logger = require('../utils/logger');
+const AuditLog = require('../models/AuditLog');
+
+const objectId = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': 'Invalid ID format'
+  });
+
+// Largest page returned by the list endpoints (exports are streamed without a limit)
+const MAX_PAGE_SIZE = 200;
+
+// Filters accepting several values (?riskLevel=high,critical or repeated parameters)
+const LIST_FILTERS = ['operation', 'riskLevel'];
+
+// Validation schemas
+const auditLogFilterSchema = Joi.object({
+  userId: objectId,
+  operation: Joi.array()
+    .items(Joi.string().valid(...AuditLog.schema.path('operation').enumValues))
+    .single(),
+  collection: Joi.string()
+    .trim()
+    .min(1)
+    .max(120),
+  riskLevel: Joi.array()
+    .items(Joi.string().valid(...AuditLog.schema.path('securityFlags.riskLevel').enumValues))
+    .single(),
+  success: Joi.boolean(),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().when('startDate', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('startDate'))
+  })
+});
+
+const auditLogListSchema = auditLogFilterSchema.keys({
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(MAX_PAGE_SIZE)
+    .default(50),
+  // Opaque value from the nextCursor of the previous page
+  cursor: Joi.string().max(200)
+});
+
+const auditLogExportSchema = auditLogFilterSchema.keys({
+  format: Joi.string()
+    .valid('csv', 'ndjson')
+    .default('csv')
+});
+
+// Range of the hash chain to verify (the whole chain when omitted)
+const auditLogVerifySchema = Joi.object({
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().when('startDate', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('startDate'))
+  })
+});
+
+// Global (cross-subaccount) variants can narrow the logs to one subaccount
+const globalAuditLogListSchema = auditLogListSchema.keys({ subaccountId: objectId });
+const globalAuditLogExportSchema = auditLogExportSchema.keys({ subaccountId: objectId });
+
+// Shared middleware factory for the schemas above
+const validateQuery = (schema, description) => {
+  return (req, res, next) => {
+    const query = { ...req.query };
+    LIST_FILTERS.forEach(field => {
+      if (typeof query[field] === 'string') {
+        query[field] = query[field].split(',').map(value => value.trim()).filter(Boolean);
+      }
+    });
+
+    const { error, value } = schema.validate(query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      Logger.warn(`${description} validation failed`, {
+        userId: req.user?.id,
+        serviceName: req.service?.serviceName,
+        subaccountId: req.params.subaccountId,
+        errors
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        code: 'INVALID_QUERY_PARAMS',
+        errors
+      });
+    }
+
+    // Replace req.query with validated and converted values
+    req.query = value;
+    next();
+  };
+};
+
+module.exports = {
+  validateAuditLogList: validateQuery(auditLogListSchema, 'Audit log query'),
+  validateAuditLogExport: validateQuery(auditLogExportSchema, 'Audit log export'),
+  validateAuditLogVerify: validateQuery(auditLogVerifySchema, 'Audit log verification'),
+  validateGlobalAuditLogList: validateQuery(globalAuditLogListSchema, 'Global audit log query'),
+  validateGlobalAuditLogExport: validateQuery(globalAuditLogExportSchema, 'Global audit log export'),
+  auditLogListSchema,
+  auditLogExportSchema,
+  auditLogVerifySchema,
+  globalAuditLogListSchema,
+  globalAuditLogExportSchema
+};
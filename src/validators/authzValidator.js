@@ -0,0 +1,90 @@
+const Joi = require('joi');
+const Logger = require('../utils/logger');
+
+const objectId = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': 'Invalid ID format'
+  });
+
+// Largest number of checks accepted by POST /api/authz/check/batch
+const MAX_BATCH_CHECKS = 200;
+
+// Validation schemas
+const authzCheckSchema = Joi.object({
+  userId: objectId.required(),
+  subaccountId: objectId.required(),
+  collection: Joi.string()
+    .trim()
+    .min(1)
+    .max(120),
+  operation: Joi.string()
+    .trim()
+    .lowercase()
+    .valid('read', 'find', 'get', 'write', 'insert', 'update', 'create', 'delete', 'remove', 'admin', 'manage')
+    .required()
+    .messages({
+      'any.only': 'Operation must be one of read, write, delete, admin (or find, get, insert, update, create, remove, manage)'
+    }),
+  // false for checks that do not precede a query (e.g. showing or hiding a UI action)
+  countQuery: Joi.boolean().default(true)
+});
+
+const authzBatchCheckSchema = Joi.object({
+  checks: Joi.array()
+    .items(authzCheckSchema)
+    .min(1)
+    .max(MAX_BATCH_CHECKS)
+    .required()
+    .messages({
+      'array.max': `At most ${MAX_BATCH_CHECKS} checks per batch`
+    })
+});
+
+const authzInvalidateSchema = Joi.object({
+  subaccountId: objectId.required(),
+  // Without userId, cached decisions of every user in the subaccount are dropped
+  userId: objectId
+});
+
+// Shared middleware factory for the schemas above
+const validateBody = (schema, description) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      Logger.warn(`${description} validation failed`, {
+        serviceName: req.service?.serviceName,
+        errors
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        errors
+      });
+    }
+
+    // Replace req.body with validated and sanitized data
+    req.body = value;
+    next();
+  };
+};
+
+module.exports = {
+  validateAuthzCheck: validateBody(authzCheckSchema, 'Authorization check'),
+  validateAuthzBatchCheck: validateBody(authzBatchCheckSchema, 'Batch authorization check'),
+  validateAuthzInvalidate: validateBody(authzInvalidateSchema, 'Authorization cache invalidation'),
+  authzCheckSchema,
+  authzBatchCheckSchema,
+  authzInvalidateSchema
+};
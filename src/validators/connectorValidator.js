@@ -125,9 +125,43 @@ const validateConnectorId = (req, res, next) => {
   next();
 };
 
+// Validate per-subaccount connector config payload
+const validateSubaccountConnectorConfig = (requireConfig = false) => {
+  return (req, res, next) => {
+    const { config } = req.body;
+    const errors = [];
+
+    if (config === undefined) {
+      if (requireConfig) {
+        errors.push('Config is required');
+      }
+    } else if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      errors.push('Config must be an object');
+    }
+
+    if (errors.length > 0) {
+      Logger.warn('Subaccount connector config validation failed', {
+        errors,
+        subaccountId: req.params.subaccountId,
+        connectorId: req.params.connectorId
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    next();
+  };
+};
+
 module.exports = {
   validateCreateConnector,
   validateUpdateConnector,
-  validateConnectorId
+  validateConnectorId,
+  validateSubaccountConnectorConfig
 };
 
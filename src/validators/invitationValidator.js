@@ -0,0 +1,122 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const CsvParser = require('../utils/csvParser');
+
+// Invitation tokens are 32 random bytes, base64url encoded
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+// Validation schemas
+// Rows are only checked for shape here; each row is validated with inviteUserSchema while
+// it is processed, so invalid rows show up in the report instead of failing the upload
+const bulkInviteSchema = Joi.object({
+  rows: Joi.array()
+    .items(Joi.object().unknown(true))
+    .min(1)
+    .max(config.invitations.bulkMaxRows)
+    .required()
+    .messages({
+      'array.min': 'At least one row is required',
+      'array.max': `A bulk invite cannot have more than ${config.invitations.bulkMaxRows} rows`
+    })
+});
+
+// Accepts a JSON body ({ rows: [...] }) or a CSV upload (Content-Type: text/csv) with a header line
+const validateBulkInvite = (req, res, next) => {
+  let body = req.body;
+
+  if (req.is('text/csv')) {
+    try {
+      body = { rows: CsvParser.parseObjects(typeof req.body === 'string' ? req.body : '') };
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid CSV: ${error.message}`,
+        code: 'INVALID_CSV'
+      });
+    }
+  }
+
+  const { error, value } = bulkInviteSchema.validate(body, {
+    abortEarly: false
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    Logger.warn('Bulk invitation validation failed', {
+      userId: req.user?.id,
+      subaccountId: req.params.subaccountId,
+      errors
+    });
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      errors
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+const validateInvitationToken = (req, res, next) => {
+  const { token } = req.params;
+
+  if (!TOKEN_PATTERN.test(token)) {
+    Logger.security('Malformed invitation token', 'low', {
+      userId: req.user?.id,
+      ip: req.ip
+    });
+
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid invitation token format',
+      code: 'INVALID_TOKEN_FORMAT'
+    });
+  }
+
+  next();
+};
+
+const validateInvitationId = (req, res, next) => {
+  const { invitationId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid invitation ID format',
+      code: 'INVALID_ID_FORMAT'
+    });
+  }
+
+  next();
+};
+
+const validateBulkJobId = (req, res, next) => {
+  const { jobId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid job ID format',
+      code: 'INVALID_ID_FORMAT'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  validateBulkInvite,
+  validateInvitationToken,
+  validateInvitationId,
+  validateBulkJobId,
+  bulkInviteSchema
+};
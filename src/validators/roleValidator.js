@@ -0,0 +1,97 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const Logger = require('../utils/logger');
+const { inviteUserSchema, updatePermissionsSchema } = require('./userValidator');
+
+const name = Joi.string()
+  .trim()
+  .lowercase()
+  .min(2)
+  .max(50)
+  .pattern(/^[a-z0-9][a-z0-9_-]*$/)
+  .invalid('viewer', 'editor', 'admin', 'owner')
+  .messages({
+    'string.empty': 'Role name is required',
+    'string.min': 'Name must be at least 2 characters long',
+    'string.max': 'Name cannot exceed 50 characters',
+    'string.pattern.base': 'Name may only contain letters, numbers, dashes and underscores',
+    'any.invalid': 'Name is reserved for a built-in role'
+  });
+
+const description = Joi.string()
+  .trim()
+  .max(500)
+  .allow('');
+
+// Validation schemas
+const createRoleSchema = Joi.object({
+  name: name.required(),
+  description,
+  // Same rules as member permissions
+  permissions: inviteUserSchema.extract('permissions')
+});
+
+const updateRoleSchema = Joi.object({
+  name,
+  description,
+  permissions: updatePermissionsSchema.extract('permissions')
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+// Shared middleware factory for the schemas above
+const validateBody = (schema, description) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      Logger.warn(`${description} validation failed`, {
+        userId: req.user?.id,
+        subaccountId: req.params.subaccountId,
+        roleId: req.params.roleId,
+        errors
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        errors
+      });
+    }
+
+    // Replace req.body with validated and sanitized data
+    req.body = value;
+    next();
+  };
+};
+
+const validateRoleId = (req, res, next) => {
+  const { roleId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(roleId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid role ID format',
+      code: 'INVALID_ID_FORMAT'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  validateCreateRole: validateBody(createRoleSchema, 'Role creation'),
+  validateUpdateRole: validateBody(updateRoleSchema, 'Role update'),
+  validateRoleId,
+  createRoleSchema,
+  updateRoleSchema
+};
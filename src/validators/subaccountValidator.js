@@ -217,6 +217,14 @@ const updateSubaccountSchema = Joi.object({
       .max(100000)
   }),
   
+  // Days audit logs are kept per risk level (see config.auditRetention); {} restores the defaults
+  auditRetention: Joi.object({
+    low: Joi.number().integer().min(1).max(3650),
+    medium: Joi.number().integer().min(1).max(3650),
+    high: Joi.number().integer().min(1).max(3650),
+    critical: Joi.number().integer().min(1).max(3650)
+  }),
+  
   maintenanceMode: Joi.boolean(),
   
   maintenanceMessage: Joi.string()
@@ -237,6 +245,112 @@ const updateSubaccountSchema = Joi.object({
   'object.min': 'At least one field must be provided for update'
 });
 
+// Settings section of an export bundle: the create schema plus maintenance and retention settings
+const bundleSubaccountSchema = createSubaccountSchema.keys({
+  mongodbUrl: Joi.any().strip(), // Connection strings only travel in the encrypted secrets
+  maintenanceMode: updateSubaccountSchema.extract('maintenanceMode').default(false),
+  maintenanceMessage: updateSubaccountSchema.extract('maintenanceMessage'),
+  auditRetention: updateSubaccountSchema.extract('auditRetention')
+});
+
+const importBundleSchema = Joi.object({
+  bundle: Joi.object({
+    format: Joi.string()
+      .valid('scalai.subaccount-bundle')
+      .required(),
+    version: Joi.number()
+      .integer()
+      .valid(1)
+      .required()
+      .messages({
+        'any.only': 'Unsupported bundle version'
+      }),
+    exportedAt: Joi.date(),
+    source: Joi.object().unknown(true),
+    subaccount: Joi.object().required(),
+    connectors: Joi.array()
+      .items(Joi.object({
+        type: Joi.string().required(),
+        name: Joi.string().required(),
+        version: Joi.string().allow(null, ''),
+        config: Joi.object().default({}),
+        isActive: Joi.boolean().default(true)
+      }))
+      .default([]),
+    retellAccount: Joi.object({
+      accountName: Joi.string()
+        .trim()
+        .max(100)
+        .allow('', null),
+      isActive: Joi.boolean().default(true),
+      verificationStatus: Joi.string(),
+      lastVerified: Joi.date().allow(null)
+    }).allow(null).default(null),
+    members: Joi.array()
+      .items(Joi.object({
+        email: Joi.string()
+          .email()
+          .lowercase()
+          .required(),
+        // 'owner' is what the source owner exported as; it is imported as 'admin'
+        role: Joi.string()
+          .valid('viewer', 'editor', 'admin', 'owner')
+          .default('viewer'),
+        permissions: Joi.object({
+          read: Joi.boolean().default(true),
+          write: Joi.boolean().default(false),
+          delete: Joi.boolean().default(false),
+          admin: Joi.boolean().default(false)
+        }).default(),
+        isActive: Joi.boolean().default(true)
+      }))
+      .default([]),
+    secrets: Joi.object({
+      algorithm: Joi.string().valid('aes-256-gcm').required(),
+      kdf: Joi.string().valid('scrypt').required(),
+      salt: Joi.string().base64().required(),
+      iv: Joi.string().base64().required(),
+      authTag: Joi.string().base64().required(),
+      data: Joi.string().base64().required()
+    })
+  }).required(),
+
+  // Sent in the X-Bundle-Passphrase header, like on export, so it stays out of bodies and logs
+  passphrase: Joi.any()
+    .forbidden()
+    .messages({
+      'any.unknown': 'Send the passphrase in the X-Bundle-Passphrase header'
+    }),
+
+  // Values replacing the bundle settings, e.g. to avoid clashing with an existing tenant
+  overrides: Joi.object({
+    name: Joi.string(),
+    databaseName: Joi.string(),
+    mongodbUrl: Joi.string()
+      .trim()
+      .pattern(mongoUrlRegex)
+      .messages({
+        'string.pattern.base': 'Invalid MongoDB URL format'
+      })
+  }).default({})
+});
+
+// New owner of a subaccount, by user ID or email
+const transferOwnershipSchema = Joi.object({
+  newOwnerId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': 'Invalid user ID format'
+    }),
+  email: Joi.string()
+    .email()
+    .lowercase()
+    .trim()
+}).xor('newOwnerId', 'email').messages({
+  'object.missing': 'Either newOwnerId or email is required',
+  'object.xor': 'Provide either newOwnerId or email, not both'
+});
+
 // Middleware functions
 const validateCreateSubaccount = (req, res, next) => {
   const { error, value } = createSubaccountSchema.validate(req.body, {
@@ -301,6 +415,86 @@ const validateUpdateSubaccount = (req, res, next) => {
   next();
 };
 
+const validateImportBundle = (req, res, next) => {
+  const { error, value } = importBundleSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  let errors = error ? error.details.map(detail => ({
+    field: detail.path.join('.'),
+    message: detail.message
+  })) : [];
+
+  // Settings are checked with the same rules as a newly created subaccount
+  let settings;
+  if (!error) {
+    const { name, databaseName } = value.overrides;
+    const result = bundleSubaccountSchema.validate(
+      { ...value.bundle.subaccount, ...(name && { name }), ...(databaseName && { databaseName }) },
+      { abortEarly: false, stripUnknown: true }
+    );
+
+    if (result.error) {
+      errors = result.error.details.map(detail => ({
+        field: ['bundle', 'subaccount', ...detail.path].join('.'),
+        message: detail.message
+      }));
+    }
+    settings = result.value;
+  }
+
+  if (errors.length > 0) {
+    Logger.warn('Subaccount import validation failed', {
+      userId: req.user?.id,
+      errors
+    });
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      errors
+    });
+  }
+
+  // Replace req.body with validated and sanitized data
+  value.bundle.subaccount = settings;
+  req.body = value;
+  next();
+};
+
+const validateTransferOwnership = (req, res, next) => {
+  const { error, value } = transferOwnershipSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    Logger.warn('Ownership transfer validation failed', {
+      userId: req.user?.id,
+      subaccountId: req.params.subaccountId,
+      errors
+    });
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      errors
+    });
+  }
+
+  // Replace req.body with validated and sanitized data
+  req.body = value;
+  next();
+};
+
 const validateSubaccountId = (req, res, next) => {
   const { subaccountId } = req.params;
   
@@ -444,10 +638,14 @@ const validateDatabaseName = (databaseName) => {
 module.exports = {
   validateCreateSubaccount,
   validateUpdateSubaccount,
+  validateImportBundle,
+  validateTransferOwnership,
   validateSubaccountId,
   validateQueryParams,
   validateConnectionString,
   validateDatabaseName,
   createSubaccountSchema,
-  updateSubaccountSchema
+  updateSubaccountSchema,
+  importBundleSchema,
+  transferOwnershipSchema
 }; 
\ No newline at end of file
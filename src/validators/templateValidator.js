@@ -0,0 +1,141 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const Logger = require('../utils/logger');
+const { createSubaccountSchema, updateSubaccountSchema } = require('./subaccountValidator');
+
+const objectId = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': 'Invalid ID format'
+  });
+
+const defaultConnectors = Joi.array()
+  .items(Joi.object({
+    connectorId: objectId.required(),
+    config: Joi.object().default({}),
+    isActive: Joi.boolean().default(true)
+  }));
+
+const defaultUserRoles = Joi.array()
+  .items(Joi.object({
+    userId: objectId.required(),
+    role: Joi.string()
+      .valid('viewer', 'editor', 'admin')
+      .default('viewer')
+  }));
+
+// Template settings use the subaccount rules without request defaults: the model
+// supplies defaults, and values captured with fromSubaccountId must not be overwritten
+const templateSettings = Object.fromEntries(
+  ['description', 'timezone', 'maxConnections', 'enforceSchema', 'allowedCollections', 'rateLimits']
+    .map(field => [field, updateSubaccountSchema.extract(field)])
+);
+
+// Validation schemas
+const createTemplateSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'Template name is required',
+      'string.min': 'Name must be at least 2 characters long',
+      'string.max': 'Name cannot exceed 100 characters'
+    }),
+
+  // Capture settings, connectors and member roles from an existing subaccount
+  fromSubaccountId: objectId,
+
+  ...templateSettings,
+  defaultConnectors,
+  defaultUserRoles
+});
+
+const updateTemplateSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .messages({
+      'string.min': 'Name must be at least 2 characters long',
+      'string.max': 'Name cannot exceed 100 characters'
+    }),
+
+  isActive: Joi.boolean(),
+
+  ...templateSettings,
+  defaultConnectors,
+  defaultUserRoles
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+const cloneSubaccountSchema = Joi.object({
+  name: createSubaccountSchema.extract('name'),
+  description: createSubaccountSchema.extract('description'),
+  databaseName: createSubaccountSchema.extract('databaseName'),
+  mongodbUrl: createSubaccountSchema.extract('mongodbUrl'),
+
+  includeMembers: Joi.boolean().default(true),
+  includeConnectors: Joi.boolean().default(true)
+});
+
+// Shared middleware factory for the schemas above
+const validateBody = (schema, description) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      Logger.warn(`${description} validation failed`, {
+        userId: req.user?.id,
+        templateId: req.params.templateId,
+        subaccountId: req.params.subaccountId,
+        errors
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        errors
+      });
+    }
+
+    // Replace req.body with validated and sanitized data
+    req.body = value;
+    next();
+  };
+};
+
+const validateTemplateId = (req, res, next) => {
+  const { templateId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(templateId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid template ID format',
+      code: 'INVALID_ID_FORMAT'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  validateCreateTemplate: validateBody(createTemplateSchema, 'Template creation'),
+  validateUpdateTemplate: validateBody(updateTemplateSchema, 'Template update'),
+  validateCloneSubaccount: validateBody(cloneSubaccountSchema, 'Subaccount clone'),
+  validateTemplateId,
+  createTemplateSchema,
+  updateTemplateSchema,
+  cloneSubaccountSchema
+};
@@ -6,17 +6,22 @@ const Logger = require('../utils/logger');
 const inviteUserSchema = Joi.object({
   email: Joi.string()
     .email()
+    .lowercase()
+    .trim()
     .required()
     .messages({
       'string.email': 'Please provide a valid email address',
       'string.empty': 'Email is required'
     }),
     
+  // Built-in role or the name of a custom role
   role: Joi.string()
-    .valid('viewer', 'editor', 'admin')
+    .trim()
+    .lowercase()
+    .invalid('owner')
     .default('viewer')
     .messages({
-      'any.only': 'Role must be one of: viewer, editor, admin. Owner role can only be assigned to the subaccount creator automatically.'
+      'any.invalid': 'Role must be one of: viewer, editor, admin, or a custom role. Owner role can only be assigned to the subaccount creator automatically.'
     }),
     
   permissions: Joi.object({
@@ -60,10 +65,13 @@ const inviteUserSchema = Joi.object({
 });
 
 const updatePermissionsSchema = Joi.object({
+  // Built-in role or the name of a custom role
   role: Joi.string()
-    .valid('viewer', 'editor', 'admin')
+    .trim()
+    .lowercase()
+    .invalid('owner')
     .messages({
-      'any.only': 'Role must be one of: viewer, editor, admin'
+      'any.invalid': 'Role must be one of: viewer, editor, admin, or a custom role'
     }),
     
   permissions: Joi.object({
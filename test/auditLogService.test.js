@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// config exits without these; nothing below connects to MongoDB
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost/test';
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const auditLogService = require('../src/services/auditLogService');
+const AuditLog = require('../src/models/AuditLog');
+
+// In-memory stand-in for the audit log collection: enough of findOne/find (equality, $exists,
+// $gte, $lte, sort, lean, cursor) for appendToChain and verifyChain. Stored entries are what
+// save() would write, so tests can tamper with them like someone with database access.
+function mockAuditLogs(t) {
+  const entries = [];
+  const get = (entry, path) => path.split('.').reduce((value, key) => value?.[key], entry);
+  const matches = (entry, filter) => Object.entries(filter).every(([path, condition]) => {
+    const value = get(entry, path);
+    if (condition !== null && typeof condition === 'object' && !(condition instanceof Date) &&
+        !(condition instanceof mongoose.Types.ObjectId)) {
+      if ('$exists' in condition && (value !== undefined) !== condition.$exists) return false;
+      if ('$gte' in condition && !(value >= condition.$gte)) return false;
+      if ('$lte' in condition && !(value <= condition.$lte)) return false;
+      return true;
+    }
+    return String(value) === String(condition);
+  });
+
+  const query = (filter, single) => {
+    let order = null;
+    const run = () => {
+      const found = entries.filter(entry => matches(entry, filter)).map(entry => ({ ...entry }));
+      if (order) {
+        const [[path, direction]] = Object.entries(order);
+        found.sort((a, b) => (get(a, path) - get(b, path)) * direction);
+      }
+      return single ? found[0] || null : found;
+    };
+    const chain = {
+      sort: value => { order = value; return chain; },
+      select: () => chain,
+      lean: () => chain,
+      cursor: () => {
+        const found = run();
+        return { [Symbol.asyncIterator]: async function* () { yield* found; }, close: async () => {} };
+      },
+      then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+    };
+    return chain;
+  };
+
+  t.mock.method(AuditLog, 'findOne', filter => query(filter, true));
+  t.mock.method(AuditLog, 'find', filter => query(filter, false));
+  t.mock.method(AuditLog.prototype, 'save', async function() {
+    entries.push(this.toBSON());
+    return this;
+  });
+
+  return entries;
+}
+
+async function appendEntries(subaccountId, count) {
+  const userId = new mongoose.Types.ObjectId();
+  for (let i = 0; i < count; i++) {
+    await AuditLog.appendToChain(new AuditLog({
+      userId,
+      subaccountId,
+      operation: 'find',
+      databaseName: 'acme',
+      collectionName: `collection_${i}`
+    }));
+    // Distinct timestamps, so date ranges can start at any entry
+    await new Promise(resolve => setTimeout(resolve, 2));
+  }
+}
+
+// Reduce an entry to the tombstone the archiver leaves behind
+function archive(entry) {
+  const { _id, subaccountId, createdAt, updatedAt, integrity } = entry;
+  Object.keys(entry).forEach(key => delete entry[key]);
+  Object.assign(entry, {
+    _id, subaccountId, createdAt, updatedAt, integrity,
+    archive: { archivedAt: new Date(), file: 'audit-logs.ndjson.gz' }
+  });
+}
+
+test('verifyChain accepts an untouched chain', async (t) => {
+  const entries = mockAuditLogs(t);
+  const subaccountId = new mongoose.Types.ObjectId();
+  await appendEntries(subaccountId, 5);
+
+  const report = await auditLogService.verifyChain(subaccountId.toString());
+
+  assert.deepEqual(entries.map(entry => entry.integrity.sequence), [1, 2, 3, 4, 5]);
+  assert.equal(entries[1].integrity.previousHash, entries[0].integrity.hash);
+  assert.equal(report.valid, true);
+  assert.equal(report.checked, 5);
+  assert.equal(report.anchored, true);
+  assert.deepEqual([report.firstSequence, report.lastSequence], [1, 5]);
+});
+
+test('verifyChain reports a modified entry', async (t) => {
+  const entries = mockAuditLogs(t);
+  const subaccountId = new mongoose.Types.ObjectId();
+  await appendEntries(subaccountId, 5);
+
+  entries[2].collectionName = 'payments';
+  const report = await auditLogService.verifyChain(subaccountId.toString());
+
+  assert.equal(report.valid, false);
+  assert.equal(report.checked, 2);
+  assert.equal(report.brokenLink.sequence, 3);
+  assert.equal(report.brokenLink.reason, 'hash_mismatch');
+});
+
+test('verifyChain reports a replaced entry whose hash was recomputed', async (t) => {
+  const entries = mockAuditLogs(t);
+  const subaccountId = new mongoose.Types.ObjectId();
+  await appendEntries(subaccountId, 5);
+
+  entries[2].collectionName = 'payments';
+  entries[2].integrity.hash = AuditLog.computeHash(entries[2]);
+  const report = await auditLogService.verifyChain(subaccountId.toString());
+
+  assert.equal(report.valid, false);
+  assert.equal(report.brokenLink.sequence, 4);
+  assert.equal(report.brokenLink.reason, 'previous_hash_mismatch');
+});
+
+test('verifyChain reports deleted entries', async (t) => {
+  const entries = mockAuditLogs(t);
+  const subaccountId = new mongoose.Types.ObjectId();
+  await appendEntries(subaccountId, 5);
+
+  entries.splice(1, 2);
+  const report = await auditLogService.verifyChain(subaccountId.toString());
+
+  assert.equal(report.valid, false);
+  assert.equal(report.brokenLink.sequence, 4);
+  assert.equal(report.brokenLink.reason, 'missing_entries');
+  assert.equal(report.brokenLink.message, 'Entries 2-3 are missing');
+});
+
+test('verifyChain checks the links of archived tombstones and flags content added back', async (t) => {
+  const entries = mockAuditLogs(t);
+  const subaccountId = new mongoose.Types.ObjectId();
+  await appendEntries(subaccountId, 4);
+
+  archive(entries[0]);
+  archive(entries[1]);
+  const intact = await auditLogService.verifyChain(subaccountId.toString());
+
+  assert.equal(intact.valid, true);
+  assert.equal(intact.checked, 4);
+  assert.equal(intact.archived, 2);
+
+  entries[1].collectionName = 'payments';
+  const modified = await auditLogService.verifyChain(subaccountId.toString());
+
+  assert.equal(modified.valid, false);
+  assert.equal(modified.brokenLink.sequence, 2);
+  assert.equal(modified.brokenLink.reason, 'tombstone_modified');
+});
+
+test('verifyChain checks a range on its own when its predecessor is gone', async (t) => {
+  const entries = mockAuditLogs(t);
+  const subaccountId = new mongoose.Types.ObjectId();
+  await appendEntries(subaccountId, 5);
+
+  const startDate = entries[3].createdAt;
+  entries.splice(2, 1);
+
+  const report = await auditLogService.verifyChain(subaccountId.toString(), { startDate });
+
+  assert.equal(report.valid, true);
+  assert.equal(report.anchored, false);
+  assert.equal(report.checked, 2);
+  assert.deepEqual([report.firstSequence, report.lastSequence], [4, 5]);
+});
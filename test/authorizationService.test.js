@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// config exits without these; nothing below connects to MongoDB or Redis
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost/test';
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const authorizationService = require('../src/services/authorizationService');
+const redisManager = require('../src/services/redisManager');
+const { validateSubaccountAccess } = require('../src/middleware/authMiddleware');
+const UserSubaccount = require('../src/models/UserSubaccount');
+const quotaService = require('../src/services/quotaService');
+
+// The quota stores keep cleanup timers running
+test.after(() => quotaService.shutdown());
+
+// Redis stand-in that records the TTL of every cached permission entry
+function mockRedis(t) {
+  const entries = new Map();
+  const redisService = {
+    isConnected: true,
+    cachePermissions: async (userId, subaccountId, permissions, ttl) => {
+      entries.set(`${userId}:${subaccountId}`, { permissions: structuredClone(permissions), ttl });
+    },
+    getCachedPermissions: async (userId, subaccountId) => entries.get(`${userId}:${subaccountId}`)?.permissions || null
+  };
+  t.mock.method(redisManager, 'getRedisService', () => redisService);
+  return entries;
+}
+
+// A member whose access ends in expiresInMs (no temporary access when omitted)
+function mockMembership(t, { role = 'editor', expiresInMs } = {}) {
+  const userId = new mongoose.Types.ObjectId();
+  const subaccountId = new mongoose.Types.ObjectId();
+  const userSubaccount = new UserSubaccount({
+    userId,
+    subaccountId,
+    role,
+    permissions: { read: true, write: true, delete: false, admin: false },
+    temporaryAccess: expiresInMs === undefined
+      ? { enabled: false }
+      : { enabled: true, expiresAt: new Date(Date.now() + expiresInMs) }
+  });
+  t.mock.method(UserSubaccount, 'hasAccess', async () => ({
+    hasAccess: true,
+    userSubaccount,
+    permissions: userSubaccount.permissions,
+    role: userSubaccount.role
+  }));
+  return { userId: userId.toString(), subaccountId: subaccountId.toString(), userSubaccount };
+}
+
+async function runMiddleware(userId, subaccountId) {
+  const req = { params: { subaccountId }, body: {}, user: { id: userId, role: 'user' }, originalUrl: '/test' };
+  const res = { status: () => res, json: body => { res.body = body; return res; } };
+  let passed = false;
+  await validateSubaccountAccess('read')(req, res, () => { passed = true; });
+  assert.equal(passed, true, res.body?.message);
+  return req;
+}
+
+test('authz caches permanent access for the configured TTL', async (t) => {
+  const entries = mockRedis(t);
+  const { userId, subaccountId } = mockMembership(t);
+
+  const decision = await authorizationService.check({ userId, subaccountId, operation: 'read', countQuery: false });
+
+  assert.equal(decision.allowed, true);
+  assert.equal(entries.get(`${userId}:${subaccountId}`).ttl, authorizationService.cacheTtl);
+});
+
+test('authz caps the cache TTL at the temporary access expiry', async (t) => {
+  const entries = mockRedis(t);
+  const { userId, subaccountId } = mockMembership(t, { expiresInMs: 90 * 1000 });
+
+  await authorizationService.check({ userId, subaccountId, operation: 'read', countQuery: false });
+
+  const { ttl } = entries.get(`${userId}:${subaccountId}`);
+  assert.ok(ttl > 0 && ttl <= 90, `ttl ${ttl}`);
+});
+
+test('authz does not cache temporary access that has already expired', async (t) => {
+  const entries = mockRedis(t);
+  const { userId, subaccountId, userSubaccount } = mockMembership(t, { expiresInMs: -1000 });
+
+  await authorizationService.cacheAccess(userId, subaccountId, { read: true, role: 'editor' }, userSubaccount);
+
+  assert.equal(entries.size, 0);
+});
+
+test('validateSubaccountAccess caches with the same TTL cap and role as authz', async (t) => {
+  const entries = mockRedis(t);
+  const { userId, subaccountId } = mockMembership(t, { role: 'editor', expiresInMs: 90 * 1000 });
+
+  await runMiddleware(userId, subaccountId);
+
+  const { ttl, permissions } = entries.get(`${userId}:${subaccountId}`);
+  assert.ok(ttl > 0 && ttl <= 90, `ttl ${ttl}`);
+  assert.equal(permissions.role, 'editor');
+
+  // A later authz check is served from that entry with the member's role
+  const decision = await authorizationService.check({ userId, subaccountId, operation: 'write', countQuery: false });
+  assert.equal(decision.cached, true);
+  assert.equal(decision.allowed, true);
+  assert.equal(decision.role, 'editor');
+});
+
+test('batch checks count allowed items against the quota in request order', async (t) => {
+  t.mock.method(redisManager, 'getRedisService', () => null);
+  const { userId, subaccountId } = mockMembership(t);
+  t.mock.method(authorizationService, 'loadAccess', async (pairs) => {
+    const result = await UserSubaccount.hasAccess();
+    pairs.forEach(pair => { pair.access = authorizationService.toCachedAccess(result); });
+  });
+  t.mock.method(quotaService, 'getLimits', async () => ({
+    subaccount: { minute: 2 },
+    user: { minute: 2 },
+    overrides: {}
+  }));
+
+  const decisions = await authorizationService.checkBatch([
+    { userId, subaccountId, operation: 'read' },
+    { userId, subaccountId, operation: 'read', countQuery: false },
+    { userId, subaccountId, operation: 'read' },
+    { userId, subaccountId, operation: 'read' }
+  ]);
+
+  assert.deepEqual(decisions.map(decision => decision.allowed), [true, true, true, false]);
+  assert.equal(decisions[1].quota, undefined);
+  assert.equal(decisions[2].quota.remaining, 0);
+  assert.equal(decisions[3].quota.exceeded, true);
+});
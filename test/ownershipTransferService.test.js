@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// config exits without these; nothing below connects to MongoDB or Redis
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost/test';
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const ownershipTransferService = require('../src/services/ownershipTransferService');
+const redisManager = require('../src/services/redisManager');
+const Subaccount = require('../src/models/Subaccount');
+const UserSubaccount = require('../src/models/UserSubaccount');
+const User = require('../src/models/User');
+const RetellAccount = require('../src/models/RetellAccount');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Equality, $ne, $gt and $exists on (dotted) paths of plain objects or documents
+function matches(doc, filter) {
+  const get = path => (typeof doc.get === 'function' ? doc.get(path) : path.split('.').reduce((v, k) => v?.[k], doc));
+  return Object.entries(filter).every(([path, condition]) => {
+    const value = get(path);
+    if (condition !== null && typeof condition === 'object' && !(condition instanceof mongoose.Types.ObjectId)) {
+      if ('$ne' in condition && String(value) === String(condition.$ne)) return false;
+      if ('$gt' in condition && !(value > condition.$gt)) return false;
+      if ('$exists' in condition && (value !== undefined && value !== null) !== condition.$exists) return false;
+      return true;
+    }
+    return String(value) === String(condition);
+  });
+}
+
+// In-memory subaccount and memberships. Transactions run like the driver's withTransaction,
+// which resolves to the commit result rather than the callback's value.
+function mockStore(t, { subaccount, memberships }) {
+  const chain = value => ({ select: () => chain(value), session: async () => value });
+
+  t.mock.method(redisManager, 'getRedisService', () => null);
+  t.mock.method(mongoose, 'startSession', async () => ({
+    withTransaction: async (fn) => { await fn(); return { ok: 1 }; },
+    endSession: async () => {}
+  }));
+
+  t.mock.method(Subaccount, 'findOneAndUpdate', async (filter, update, options = {}) => {
+    if (!matches(subaccount, filter)) {
+      return null;
+    }
+    const before = structuredClone(subaccount);
+    Object.assign(subaccount, update.$set);
+    Object.keys(update.$unset || {}).forEach(path => delete subaccount[path]);
+    return options.new ? subaccount : before;
+  });
+  t.mock.method(Subaccount, 'findByIdAndUpdate', async () => subaccount);
+  t.mock.method(User, 'findByIdAndUpdate', async () => null);
+  t.mock.method(RetellAccount, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  t.mock.method(UserSubaccount, 'find', filter => chain(memberships.filter(doc => matches(doc, filter))));
+  t.mock.method(UserSubaccount, 'findOne', filter => chain(memberships.find(doc => matches(doc, filter)) || null));
+  t.mock.method(UserSubaccount, 'updateMany', async (filter, update) => {
+    memberships.filter(doc => matches(doc, filter)).forEach(doc => doc.set(update.$set));
+  });
+  t.mock.method(UserSubaccount.prototype, 'save', async function() {
+    if (!memberships.includes(this)) {
+      memberships.push(this);
+    }
+    return this;
+  });
+}
+
+function createSubaccountWithOwner() {
+  const ownerId = id();
+  const subaccount = { _id: id(), name: 'Acme', createdBy: ownerId, pendingDeletion: false };
+  const owner = new UserSubaccount({
+    userId: ownerId,
+    subaccountId: subaccount._id,
+    role: 'owner',
+    permissions: UserSubaccount.ROLE_PERMISSIONS.owner
+  });
+  return { subaccount, ownerId, memberships: [owner] };
+}
+
+test('the new owner confirms a pending transfer', async (t) => {
+  const { subaccount, ownerId, memberships } = createSubaccountWithOwner();
+  mockStore(t, { subaccount, memberships });
+  const newOwner = { _id: id() };
+
+  const transfer = await ownershipTransferService.request(subaccount, newOwner, ownerId.toString());
+  assert.equal(String(transfer.toUserId), String(newOwner._id));
+  assert.ok(Math.abs(transfer.expiresAt - Date.now() - ownershipTransferService.expiresInMs) < 1000);
+
+  const result = await ownershipTransferService.confirm(subaccount._id, newOwner._id);
+
+  assert.deepEqual(result.previousOwnerIds, [ownerId.toString()]);
+  assert.equal(String(result.membership.userId), String(newOwner._id));
+  assert.equal(result.membership.role, 'owner');
+  assert.equal(String(subaccount.createdBy), String(newOwner._id));
+  assert.equal(subaccount.ownershipTransfer, undefined);
+
+  const previousOwner = memberships.find(doc => String(doc.userId) === String(ownerId));
+  assert.equal(previousOwner.role, 'admin');
+  assert.equal(previousOwner.permissions.admin, true);
+  assert.deepEqual(memberships.filter(doc => doc.role === 'owner').map(doc => String(doc.userId)), [String(newOwner._id)]);
+});
+
+test('only the user the transfer was made out to can confirm it', async (t) => {
+  const { subaccount, ownerId, memberships } = createSubaccountWithOwner();
+  mockStore(t, { subaccount, memberships });
+  const newOwner = { _id: id() };
+
+  await ownershipTransferService.request(subaccount, newOwner, ownerId.toString());
+
+  await assert.rejects(ownershipTransferService.confirm(subaccount._id, id()), { code: 'TRANSFER_NOT_FOUND' });
+  assert.equal(String(subaccount.createdBy), String(ownerId));
+  assert.ok(subaccount.ownershipTransfer);
+});
+
+test('an expired transfer cannot be confirmed', async (t) => {
+  const { subaccount, ownerId, memberships } = createSubaccountWithOwner();
+  mockStore(t, { subaccount, memberships });
+  const newOwner = { _id: id() };
+
+  await ownershipTransferService.request(subaccount, newOwner, ownerId.toString());
+  subaccount.ownershipTransfer.expiresAt = new Date(Date.now() - 1000);
+
+  await assert.rejects(ownershipTransferService.confirm(subaccount._id, newOwner._id), { code: 'TRANSFER_NOT_FOUND' });
+  assert.equal(String(subaccount.createdBy), String(ownerId));
+  assert.equal(memberships.length, 1);
+  assert.equal(memberships[0].role, 'owner');
+});
+
+test('a transfer cannot be requested for a subaccount pending deletion', async (t) => {
+  const { subaccount, ownerId, memberships } = createSubaccountWithOwner();
+  mockStore(t, { subaccount, memberships });
+  subaccount.pendingDeletion = true;
+
+  await assert.rejects(
+    ownershipTransferService.request(subaccount, { _id: id() }, ownerId.toString()),
+    { code: 'SUBACCOUNT_PENDING_DELETION' }
+  );
+  assert.equal(subaccount.ownershipTransfer, undefined);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// config exits without these; nothing below connects to MongoDB or Redis
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost/test';
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const quotaService = require('../src/services/quotaService');
+const redisManager = require('../src/services/redisManager');
+
+// The memory stores keep cleanup timers running
+test.after(() => quotaService.shutdown());
+
+// Counters use the in-memory fallback; limits come from the given rateLimits
+function mockLimits(t, { subaccount = {}, overrides = {} } = {}) {
+  t.mock.method(redisManager, 'getRedisService', () => null);
+  t.mock.method(quotaService, 'getLimits', async (subaccountId, userId) => {
+    const user = userId
+      ? Object.fromEntries(['minute', 'hour', 'day'].map(w => [w, overrides[w] !== undefined ? overrides[w] : subaccount[w]]))
+      : null;
+    return { subaccount: { ...subaccount }, user, overrides: { ...overrides } };
+  });
+  return { subaccountId: new mongoose.Types.ObjectId().toString(), userId: new mongoose.Types.ObjectId().toString() };
+}
+
+const used = async (subaccountId, userId, scope, window) =>
+  (await quotaService.getUsage(subaccountId, userId))[scope][window].used;
+
+test('consume allows queries up to the limit and denies the next one', async (t) => {
+  const { subaccountId, userId } = mockLimits(t, { subaccount: { minute: 2 } });
+
+  const results = [];
+  for (let i = 0; i < 3; i++) {
+    results.push(await quotaService.consume(subaccountId, userId));
+  }
+
+  assert.deepEqual(results.map(result => result.allowed), [true, true, false]);
+  assert.equal(results[2].exceeded.scope, 'subaccount');
+  assert.equal(results[2].exceeded.window, 'minute');
+});
+
+test('denied queries are not counted in any window', async (t) => {
+  const { subaccountId, userId } = mockLimits(t, { subaccount: { minute: 2, hour: 5 } });
+
+  for (let i = 0; i < 10; i++) {
+    await quotaService.consume(subaccountId, userId);
+  }
+
+  assert.equal(await used(subaccountId, userId, 'subaccount', 'minute'), 2);
+  assert.equal(await used(subaccountId, userId, 'subaccount', 'hour'), 2);
+  assert.equal(await used(subaccountId, userId, 'user', 'day'), 2);
+});
+
+test('a user override replaces the subaccount limit for that user', async (t) => {
+  const { subaccountId, userId } = mockLimits(t, { subaccount: { minute: 1 }, overrides: { minute: 3 } });
+
+  const results = [];
+  for (let i = 0; i < 4; i++) {
+    results.push((await quotaService.consume(subaccountId, userId)).allowed);
+  }
+
+  assert.deepEqual(results, [true, true, true, false]);
+  assert.equal(await used(subaccountId, userId, 'user', 'minute'), 3);
+});
+
+test('applyToDecision turns an allowed decision over the limit into a denial', async (t) => {
+  const { subaccountId, userId } = mockLimits(t, { subaccount: { minute: 1 } });
+  const allowed = { allowed: true, reason: null, role: 'editor' };
+
+  const first = await quotaService.applyToDecision(allowed, subaccountId, userId);
+  const second = await quotaService.applyToDecision(allowed, subaccountId, userId);
+  const denied = await quotaService.applyToDecision({ allowed: false, reason: 'No access' }, subaccountId, userId);
+
+  assert.equal(first.allowed, true);
+  assert.deepEqual({ limit: first.quota.limit, remaining: first.quota.remaining }, { limit: 1, remaining: 0 });
+  assert.equal(second.allowed, false);
+  assert.equal(second.reason, 'Subaccount query quota per minute exceeded');
+  assert.equal(second.quota.exceeded, true);
+  assert.ok(second.quota.retryAfter >= 1 && second.quota.retryAfter <= 60);
+  assert.deepEqual(denied, { allowed: false, reason: 'No access' });
+  assert.equal(await used(subaccountId, userId, 'subaccount', 'minute'), 1);
+});
@@ -0,0 +1,211 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// config exits without these; the service under test never uses them
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost/test';
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const RetellCleanupService = require('../src/services/retellCleanupService');
+
+// In-memory stand-in for the Retell SDK. Calls and agents page like the API: `limit` items
+// after `pagination_key`; phone numbers and knowledge bases come back in a single list.
+function createFakeRetellClient({ calls = 0, agents = [], phoneNumbers = [], knowledgeBases = [], failingCalls = [] } = {}) {
+  const state = {
+    calls: Array.from({ length: calls }, (_, i) => ({ call_id: `call_${i}` })),
+    agents: agents.flatMap(({ id, versions }) => Array.from({ length: versions }, (_, version) => ({ agent_id: id, version }))),
+    phoneNumbers: phoneNumbers.map(number => ({ phone_number: number, nickname: `Line ${number}` })),
+    knowledgeBases: knowledgeBases.map(id => ({ knowledge_base_id: id })),
+    listRequests: [],
+    deleted: [],
+    inFlight: 0,
+    maxInFlight: 0
+  };
+
+  const page = (items, matchesKey, { limit = 1000, pagination_key: key } = {}) => {
+    const start = key ? items.findIndex(matchesKey) + 1 : 0;
+    return items.slice(start, start + limit);
+  };
+
+  const remove = async (collection, matches, label) => {
+    state.inFlight++;
+    state.maxInFlight = Math.max(state.maxInFlight, state.inFlight);
+    await new Promise(resolve => setImmediate(resolve));
+    state.inFlight--;
+
+    if (failingCalls.includes(label)) {
+      throw new Error(`Cannot delete ${label}`);
+    }
+    if (!state[collection].some(matches)) {
+      throw new Error(`${label} not found`);
+    }
+    state[collection] = state[collection].filter(item => !matches(item));
+    state.deleted.push(label);
+  };
+
+  const client = {
+    call: {
+      list: async params => {
+        state.listRequests.push({ resource: 'calls', ...params });
+        return page(state.calls, call => call.call_id === params.pagination_key, params);
+      },
+      delete: async id => remove('calls', call => call.call_id === id, id)
+    },
+    agent: {
+      list: async params => {
+        state.listRequests.push({ resource: 'agents', ...params });
+        return page(state.agents, agent =>
+          agent.agent_id === params.pagination_key && agent.version === params.pagination_key_version, params);
+      },
+      delete: async id => remove('agents', agent => agent.agent_id === id, id)
+    },
+    phoneNumber: {
+      list: async () => [...state.phoneNumbers],
+      delete: async number => remove('phoneNumbers', phoneNumber => phoneNumber.phone_number === number, number)
+    },
+    knowledgeBase: {
+      list: async () => [...state.knowledgeBases],
+      delete: async id => remove('knowledgeBases', kb => kb.knowledge_base_id === id, id)
+    }
+  };
+
+  return { client, state };
+}
+
+test('purgeCalls pages through every call and reconciles to zero', async () => {
+  const { client, state } = createFakeRetellClient({ calls: 2500 });
+  const cleanup = new RetellCleanupService(client, { concurrency: 5, pageSize: 1000 });
+
+  const summary = await cleanup.purgeCalls();
+
+  assert.equal(summary.listed, 2500);
+  assert.equal(summary.deleted, 2500);
+  assert.equal(summary.failed, 0);
+  assert.equal(summary.remaining, 0);
+  assert.equal(state.calls.length, 0);
+  assert.ok(state.listRequests.every(request => request.limit === 1000));
+});
+
+test('deletions never exceed the configured concurrency', async () => {
+  const { client, state } = createFakeRetellClient({ calls: 50 });
+  const cleanup = new RetellCleanupService(client, { concurrency: 3, pageSize: 20 });
+
+  await cleanup.purgeCalls();
+
+  assert.equal(state.maxInFlight, 3);
+});
+
+test('failed deletions are reported and paging continues past them', async () => {
+  const failingCalls = ['call_3', 'call_12'];
+  const { client, state } = createFakeRetellClient({ calls: 25, failingCalls });
+  const cleanup = new RetellCleanupService(client, { concurrency: 2, pageSize: 10 });
+
+  const summary = await cleanup.purgeCalls();
+
+  assert.equal(summary.deleted, 23);
+  assert.equal(summary.failed, 2);
+  assert.deepEqual(summary.failures.map(failure => failure.id), failingCalls);
+  assert.equal(summary.remaining, 2);
+  assert.deepEqual(state.calls.map(call => call.call_id), failingCalls);
+  // Later pages start after the last call that is still there
+  assert.ok(state.listRequests.some(request => request.pagination_key === 'call_12'));
+});
+
+test('progress is reported after every page', async () => {
+  const { client } = createFakeRetellClient({ calls: 7 });
+  const progress = [];
+  const cleanup = new RetellCleanupService(client, {
+    concurrency: 2,
+    pageSize: 3,
+    onProgress: async (resource, update) => progress.push({ resource, ...update })
+  });
+
+  await cleanup.purgeCalls();
+
+  assert.deepEqual(progress.map(update => update.deleted), [3, 6, 7]);
+  assert.ok(progress.every(update => update.resource === 'calls'));
+});
+
+test('purgeAgents deletes each agent once, whatever its number of versions', async () => {
+  const { client, state } = createFakeRetellClient({
+    agents: [{ id: 'agent_a', versions: 3 }, { id: 'agent_b', versions: 1 }, { id: 'agent_c', versions: 4 }]
+  });
+  const cleanup = new RetellCleanupService(client, { concurrency: 2, pageSize: 2 });
+
+  const summary = await cleanup.purgeAgents();
+
+  assert.equal(summary.deleted, 3);
+  assert.equal(summary.failed, 0);
+  assert.equal(summary.remaining, 0);
+  assert.deepEqual([...state.deleted].sort(), ['agent_a', 'agent_b', 'agent_c']);
+});
+
+test('purgePhoneNumbers deletes phone numbers by their E.164 number', async () => {
+  const { client, state } = createFakeRetellClient({ phoneNumbers: ['+14155550100', '+447111111111'] });
+  const cleanup = new RetellCleanupService(client, { concurrency: 2 });
+
+  const summary = await cleanup.purgePhoneNumbers();
+
+  assert.equal(summary.deleted, 2);
+  assert.equal(summary.failed, 0);
+  assert.equal(summary.remaining, 0);
+  assert.deepEqual([...state.deleted].sort(), ['+14155550100', '+447111111111']);
+});
+
+test('purgeKnowledgeBases deletes every knowledge base', async () => {
+  const { client, state } = createFakeRetellClient({ knowledgeBases: ['kb_1', 'kb_2', 'kb_3'] });
+  const cleanup = new RetellCleanupService(client, { concurrency: 2 });
+
+  const summary = await cleanup.purgeKnowledgeBases();
+
+  assert.equal(summary.deleted, 3);
+  assert.equal(summary.remaining, 0);
+  assert.equal(state.knowledgeBases.length, 0);
+});
+
+test('inventory lists everything without deleting it', async () => {
+  const { client, state } = createFakeRetellClient({
+    calls: 12,
+    agents: [{ id: 'agent_a', versions: 2 }],
+    phoneNumbers: ['+14155550100'],
+    knowledgeBases: ['kb_1']
+  });
+  const cleanup = new RetellCleanupService(client, { pageSize: 5 });
+
+  const inventory = await cleanup.inventory();
+
+  assert.equal(inventory.callCount, 12);
+  assert.deepEqual(inventory.agents.map(agent => agent.agent_id), ['agent_a']);
+  assert.deepEqual(inventory.phoneNumbers.map(phoneNumber => phoneNumber.phone_number), ['+14155550100']);
+  assert.deepEqual(inventory.knowledgeBases.map(kb => kb.knowledge_base_id), ['kb_1']);
+  assert.equal(state.deleted.length, 0);
+});
+
+test('a failing heartbeat aborts the purge', async () => {
+  const { client, state } = createFakeRetellClient({ calls: 30 });
+  let beats = 0;
+  const cleanup = new RetellCleanupService(client, {
+    concurrency: 2,
+    pageSize: 10,
+    heartbeatIntervalMs: 1,
+    heartbeat: async () => {
+      beats++;
+      if (beats > 2) {
+        const error = new Error('Lease lost');
+        error.code = 'LEASE_LOST';
+        throw error;
+      }
+    }
+  });
+
+  // Slow deletions, so the heartbeat is due before every item
+  const deleteCall = client.call.delete;
+  client.call.delete = async id => {
+    await new Promise(resolve => setTimeout(resolve, 2));
+    return deleteCall(id);
+  };
+
+  await assert.rejects(cleanup.purgeCalls(), { code: 'LEASE_LOST' });
+  assert.ok(state.calls.length > 0);
+});
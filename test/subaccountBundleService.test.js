@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// config exits without these; nothing below connects to MongoDB
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost/test';
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const subaccountBundleService = require('../src/services/subaccountBundleService');
+const { importBundleSchema } = require('../src/validators/subaccountValidator');
+const User = require('../src/models/User');
+const UserSubaccount = require('../src/models/UserSubaccount');
+
+const ALL_PERMISSIONS = { read: true, write: true, delete: true, admin: true };
+
+// Users that exist in the target environment; inserted memberships are validated against the model
+function mockTargetEnvironment(t, emails) {
+  const users = emails.map(email => ({ _id: new mongoose.Types.ObjectId(), email }));
+  t.mock.method(User, 'find', () => ({ select: async () => users }));
+  t.mock.method(User, 'updateMany', async () => ({}));
+  t.mock.method(UserSubaccount, 'insertMany', async (memberships) => memberships.map(membership => {
+    const doc = new UserSubaccount(membership);
+    const error = doc.validateSync();
+    if (error) {
+      throw error;
+    }
+    return doc;
+  }));
+  return users;
+}
+
+function importMembers(members, userId) {
+  const subaccount = { _id: new mongoose.Types.ObjectId() };
+  const warnings = [];
+  const created = { membershipIds: [] };
+  return subaccountBundleService.importMembers(subaccount, members, userId, created, warnings)
+    .then(imported => ({ imported, warnings }));
+}
+
+test('importMembers keeps a single owner: the importing user', async (t) => {
+  const [source, editor] = mockTargetEnvironment(t, ['owner@acme.test', 'editor@acme.test']);
+  const importingUserId = new mongoose.Types.ObjectId();
+
+  const { imported, warnings } = await importMembers([
+    { email: 'owner@acme.test', role: 'owner', permissions: ALL_PERMISSIONS, isActive: true },
+    { email: 'editor@acme.test', role: 'editor', permissions: { read: true, write: true }, isActive: true }
+  ], importingUserId);
+
+  const roleOf = id => imported.find(membership => membership.userId.toString() === id.toString())?.role;
+  assert.deepEqual(imported.filter(membership => membership.role === 'owner').map(m => m.userId.toString()),
+    [importingUserId.toString()]);
+  assert.equal(roleOf(source._id), 'admin');
+  assert.equal(roleOf(editor._id), 'editor');
+  assert.deepEqual(warnings, ['Member owner@acme.test owns the source subaccount and is imported as admin']);
+});
+
+test('importMembers does not add the importing user twice', async (t) => {
+  const [source] = mockTargetEnvironment(t, ['owner@acme.test']);
+
+  const { imported, warnings } = await importMembers([
+    { email: 'owner@acme.test', role: 'owner', permissions: ALL_PERMISSIONS, isActive: true }
+  ], source._id);
+
+  assert.deepEqual(imported.map(membership => membership.role), ['owner']);
+  assert.deepEqual(warnings, []);
+});
+
+test('import bundles take the passphrase from the header, not the body', () => {
+  const body = {
+    bundle: { format: 'scalai.subaccount-bundle', version: 1, subaccount: { name: 'Acme' } },
+    passphrase: 'correct horse battery'
+  };
+
+  const { error } = importBundleSchema.validate(body, { abortEarly: false, stripUnknown: true });
+
+  assert.deepEqual(error.details.map(detail => detail.message), ['Send the passphrase in the X-Bundle-Passphrase header']);
+});
@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// config exits without these; nothing below connects to MongoDB or Redis
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost/test';
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const subaccountDeletionService = require('../src/services/subaccountDeletionService');
+const databaseService = require('../src/services/databaseService');
+const DeletionJob = require('../src/models/DeletionJob');
+
+// A deletion job that lives in memory: saves and lease renewals are no-ops
+function createJob(t, context = {}) {
+  const job = new DeletionJob({
+    subaccountId: new mongoose.Types.ObjectId(),
+    subaccountName: 'Acme',
+    databaseName: 'acme',
+    context
+  });
+  t.mock.method(job, 'save', async () => job);
+  t.mock.method(subaccountDeletionService, 'renewLease', async () => {});
+  const { retryDelayMs } = subaccountDeletionService;
+  subaccountDeletionService.retryDelayMs = 0;
+  t.after(() => { subaccountDeletionService.retryDelayMs = retryDelayMs; });
+  return job;
+}
+
+// Retell steps are skipped without a client; the release step itself never uses it
+const RETELL_CTX = { retellClient: {} };
+
+// Twilio stand-in that fails to release the given numbers on the first call only
+function mockRelease(t, failOnce) {
+  const requests = [];
+  t.mock.method(databaseService, 'releaseTwilioPhoneNumbers', async (subaccountId, phoneNumbers) => {
+    requests.push(phoneNumbers.map(n => n.phoneNumber || n));
+    const failing = requests.length === 1 ? phoneNumbers.filter(n => failOnce.includes(n.phoneNumber || n)) : [];
+    return {
+      success: true,
+      phoneNumbersReleased: phoneNumbers.filter(n => !failing.includes(n)),
+      phoneNumbersFailed: failing
+    };
+  });
+  return requests;
+}
+
+for (const [shape, toEntry] of [['strings', n => n], ['objects', n => ({ phoneNumber: n, sid: `PN${n}` })]]) {
+  test(`releasePhoneNumbers retries only the numbers that failed (${shape})`, async (t) => {
+    const job = createJob(t, { phoneNumbersToRelease: ['+1', '+2', '+3'].map(toEntry) });
+    const requests = mockRelease(t, ['+2']);
+    const step = job.steps.find(s => s.name === 'releasePhoneNumbers');
+
+    const succeeded = await subaccountDeletionService.runStep(job, step, { ...RETELL_CTX });
+
+    assert.equal(succeeded, true);
+    assert.deepEqual(requests, [['+1', '+2', '+3'], ['+2']]);
+    assert.equal(step.status, 'completed');
+    assert.equal(step.attempts, 2);
+    assert.deepEqual(step.result, { released: 1 });
+    assert.equal(step.errorHistory.length, 1);
+  });
+}
+
+test('releasePhoneNumbers fails the step while numbers stay unreleased', async (t) => {
+  const job = createJob(t, { phoneNumbersToRelease: ['+1', '+2'] });
+  t.mock.method(databaseService, 'releaseTwilioPhoneNumbers', async (subaccountId, phoneNumbers) => ({
+    success: true,
+    phoneNumbersReleased: [],
+    phoneNumbersFailed: phoneNumbers.slice(-1)
+  }));
+  const step = job.steps.find(s => s.name === 'releasePhoneNumbers');
+
+  const succeeded = await subaccountDeletionService.runStep(job, step, { ...RETELL_CTX });
+
+  assert.equal(succeeded, false);
+  assert.equal(step.status, 'failed');
+  assert.deepEqual(job.context.phoneNumbersToRelease, ['+2']);
+});
+
+// In-memory stand-in for the subaccounts collection: enough of find/findOneAndUpdate
+// (equality, $exists, $lte, $set, $unset on dotted paths) to exercise the claims
+function mockSubaccounts(t, docs) {
+  const Subaccount = require('../src/models/Subaccount');
+  const get = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+  const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+    const value = get(doc, path);
+    if (condition && typeof condition === 'object' && !(condition instanceof Date) && !mongoose.isValidObjectId(condition)) {
+      if ('$exists' in condition && (value !== undefined) !== condition.$exists) return false;
+      if ('$lte' in condition && !(value <= condition.$lte)) return false;
+      return true;
+    }
+    return String(value) === String(condition);
+  });
+  const set = (doc, path, value) => {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((target, key) => (target[key] = target[key] || {}), doc);
+    if (value === undefined) {
+      delete parent[keys[keys.length - 1]];
+    } else {
+      parent[keys[keys.length - 1]] = value;
+    }
+  };
+  const copy = doc => doc && structuredClone(doc);
+
+  const hooks = { beforeClaim: null };
+  t.mock.method(Subaccount, 'find', filter => ({
+    select: async () => docs.filter(doc => matches(doc, filter)).map(copy)
+  }));
+  t.mock.method(Subaccount, 'findOneAndUpdate', async (filter, update, options = {}) => {
+    if (hooks.beforeClaim && update.$set?.['deletion.jobId']) {
+      await hooks.beforeClaim();
+    }
+    const doc = docs.find(candidate => matches(candidate, filter));
+    if (!doc) {
+      return null;
+    }
+    const before = copy(doc);
+    Object.entries(update.$set || {}).forEach(([path, value]) => set(doc, path, value));
+    Object.keys(update.$unset || {}).forEach(path => set(doc, path, undefined));
+    return options.new ? copy(doc) : before;
+  });
+
+  return hooks;
+}
+
+function createExpiredSubaccount() {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Acme',
+    databaseName: 'acme',
+    isActive: true,
+    pendingDeletion: true,
+    deletion: {
+      requestedAt: new Date(Date.now() - 2000),
+      scheduledFor: new Date(Date.now() - 1000)
+    }
+  };
+}
+
+function mockJobStart(t) {
+  const created = [];
+  t.mock.method(DeletionJob, 'create', async (fields) => {
+    created.push(fields);
+    return { _id: fields._id };
+  });
+  t.mock.method(subaccountDeletionService, 'runInBackground', () => {});
+  t.mock.method(subaccountDeletionService, 'invalidateSubaccountCache', async () => {});
+  t.mock.method(subaccountDeletionService, 'invalidateMemberCaches', async () => {});
+  return created;
+}
+
+test('reaper starts the deletion of a subaccount past its grace period', async (t) => {
+  const subaccount = createExpiredSubaccount();
+  mockSubaccounts(t, [subaccount]);
+  const created = mockJobStart(t);
+
+  assert.equal(await subaccountDeletionService.reapExpiredSubaccounts(), 1);
+  assert.equal(created.length, 1);
+  assert.equal(String(subaccount.deletion.jobId), String(created[0]._id));
+  assert.equal(subaccount.isActive, false);
+});
+
+test('a restore that lands after the reaper listed the subaccount wins', async (t) => {
+  const subaccount = createExpiredSubaccount();
+  const hooks = mockSubaccounts(t, [subaccount]);
+  const created = mockJobStart(t);
+  let restored = null;
+  hooks.beforeClaim = async () => {
+    hooks.beforeClaim = null;
+    restored = await subaccountDeletionService.restoreSubaccount(subaccount._id, 'user-1');
+  };
+
+  assert.equal(await subaccountDeletionService.reapExpiredSubaccounts(), 0);
+  assert.equal(restored.pendingDeletion, false);
+  assert.equal(created.length, 0);
+  assert.equal(subaccount.pendingDeletion, false);
+  assert.equal(subaccount.deletion, undefined);
+  assert.equal(subaccount.isActive, true);
+});
+
+test('a restore after the reaper claimed the subaccount leaves the deletion job alone', async (t) => {
+  const subaccount = createExpiredSubaccount();
+  mockSubaccounts(t, [subaccount]);
+  const created = mockJobStart(t);
+
+  await subaccountDeletionService.reapExpiredSubaccounts();
+  const restored = await subaccountDeletionService.restoreSubaccount(subaccount._id, 'user-1');
+
+  assert.equal(restored, null);
+  assert.equal(subaccount.pendingDeletion, true);
+  assert.equal(String(subaccount.deletion.jobId), String(created[0]._id));
+});